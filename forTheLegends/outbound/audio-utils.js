@@ -0,0 +1,126 @@
+// forTheLegends/outbound/audio-utils.js
+// G.711 μ-law helpers and frame measurements for Twilio media stream audio (8 kHz mono)
+
+// Twilio media streams carry 8 kHz μ-law audio in 20 ms frames
+export const SAMPLE_RATE = 8000;
+export const FRAME_SAMPLES = 160;
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Decode one μ-law byte to a 16-bit PCM sample
+ * @param {number} byte - μ-law byte
+ * @returns {number} PCM sample
+ */
+function decodeMulawSample(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const magnitude = ((((value & 0x0f) << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+// PCM samples for every μ-law byte
+const DECODE_TABLE = Int16Array.from({ length: 256 }, (_, byte) => decodeMulawSample(byte));
+
+/**
+ * Decode μ-law audio to 16-bit PCM
+ * @param {Buffer|Uint8Array} buffer - μ-law audio
+ * @returns {Int16Array} PCM samples
+ */
+function decodeMulaw(buffer) {
+  const samples = new Int16Array(buffer.length);
+  for (let i = 0; i < buffer.length; i++) {
+    samples[i] = DECODE_TABLE[buffer[i]];
+  }
+  return samples;
+}
+
+/**
+ * Encode 16-bit PCM samples to μ-law
+ * @param {ArrayLike<number>} samples - PCM samples
+ * @returns {Buffer} μ-law audio
+ */
+function encodeMulaw(samples) {
+  const buffer = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    const sign = samples[i] < 0 ? 0x80 : 0;
+    const magnitude = Math.min(Math.abs(Math.round(samples[i])), MULAW_CLIP) + MULAW_BIAS;
+
+    let exponent = 7;
+    for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+      exponent--;
+    }
+    const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+    buffer[i] = ~(sign | (exponent << 4) | mantissa) & 0xff;
+  }
+  return buffer;
+}
+
+/**
+ * Root mean square level of a frame
+ * @param {ArrayLike<number>} samples - PCM samples
+ * @returns {number} RMS level (0 to 32768)
+ */
+function getRms(samples) {
+  if (samples.length === 0) return 0;
+
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Share of a frame's energy at one frequency (Goertzel algorithm)
+ * @param {ArrayLike<number>} samples - PCM samples
+ * @param {number} frequency - Frequency in Hz
+ * @returns {number} Tonality from 0 (none) to about 1 (a pure tone at that frequency)
+ */
+function getTonality(samples, frequency) {
+  const n = samples.length;
+  const coefficient = 2 * Math.cos((2 * Math.PI * frequency) / SAMPLE_RATE);
+  let previous = 0;
+  let beforePrevious = 0;
+  let energy = 0;
+
+  for (let i = 0; i < n; i++) {
+    const current = samples[i] + coefficient * previous - beforePrevious;
+    beforePrevious = previous;
+    previous = current;
+    energy += samples[i] * samples[i];
+  }
+
+  if (energy === 0) return 0;
+  const power = previous * previous + beforePrevious * beforePrevious - coefficient * previous * beforePrevious;
+  return (2 * power) / (n * energy);
+}
+
+/**
+ * Find the strongest single tone in a frame
+ * @param {ArrayLike<number>} samples - PCM samples
+ * @param {Object} range - Frequencies to scan
+ * @param {number} range.minHz - Lowest frequency
+ * @param {number} range.maxHz - Highest frequency
+ * @param {number} range.stepHz - Scan step
+ * @returns {Object} { frequency, tonality }
+ */
+function findDominantTone(samples, { minHz, maxHz, stepHz }) {
+  let best = { frequency: null, tonality: 0 };
+  for (let frequency = minHz; frequency <= maxHz; frequency += stepHz) {
+    const tonality = getTonality(samples, frequency);
+    if (tonality > best.tonality) {
+      best = { frequency, tonality };
+    }
+  }
+  return best;
+}
+
+export {
+  decodeMulaw,
+  encodeMulaw,
+  getRms,
+  getTonality,
+  findDominantTone
+};
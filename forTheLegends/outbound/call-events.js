@@ -0,0 +1,73 @@
+// forTheLegends/outbound/call-events.js
+// Per-call event bus that lets webhooks reach the live media stream of a call
+
+import { EventEmitter } from 'events';
+
+// Events published on a call's bus
+export const CALL_EVENTS = {
+  AMD_RESULT: 'amd-result'
+};
+
+// Event emitters by call SID, created on first subscription
+const buses = {};
+
+/**
+ * Listen for events published for a call
+ * @param {string} callSid - Call SID
+ * @param {string} event - Event name (see CALL_EVENTS)
+ * @param {Function} listener - Called with the event payload
+ * @returns {Function} Removes the listener
+ */
+function subscribeToCall(callSid, event, listener) {
+  if (!buses[callSid]) {
+    buses[callSid] = new EventEmitter();
+  }
+  const bus = buses[callSid];
+  bus.on(event, listener);
+
+  return () => {
+    bus.off(event, listener);
+    if (buses[callSid] === bus && bus.eventNames().length === 0) {
+      delete buses[callSid];
+    }
+  };
+}
+
+/**
+ * Publish an event to everyone listening on a call
+ * @param {string} callSid - Call SID
+ * @param {string} event - Event name (see CALL_EVENTS)
+ * @param {Object} payload - Event payload
+ * @returns {boolean} Whether anyone was listening
+ */
+function publishCallEvent(callSid, event, payload = {}) {
+  const bus = buses[callSid];
+  if (!bus || bus.listenerCount(event) === 0) return false;
+
+  bus.listeners(event).forEach(listener => {
+    try {
+      listener(payload);
+    } catch (error) {
+      console.error(`[CallEvents] Error handling ${event} for call ${callSid}:`, error);
+    }
+  });
+  return true;
+}
+
+/**
+ * Drop all listeners for a call
+ * @param {string} [callSid] - Call SID; every call when omitted (for tests)
+ */
+function clearCallEvents(callSid) {
+  const callSids = callSid ? [callSid] : Object.keys(buses);
+  callSids.forEach(sid => {
+    buses[sid]?.removeAllListeners();
+    delete buses[sid];
+  });
+}
+
+export {
+  subscribeToCall,
+  publishCallEvent,
+  clearCallEvents
+};
@@ -0,0 +1,168 @@
+// forTheLegends/outbound/call-lifecycle.js
+// Lifecycle state machine for lead calls with a timestamped transition history
+
+import { getCallData, updateCallData } from './call-state.js';
+
+// Lifecycle states of a lead call
+export const CALL_STATES = {
+  DIALING: 'dialing',
+  RINGING: 'ringing',
+  AI_CONVERSATION: 'ai-conversation',
+  TRANSFER_PENDING: 'transfer-pending',
+  BRIDGED: 'bridged',
+  VOICEMAIL: 'voicemail',
+  CALLBACK_SCHEDULED: 'callback-scheduled',
+  FAILED: 'failed',
+  COMPLETED: 'completed'
+};
+
+const {
+  DIALING,
+  RINGING,
+  AI_CONVERSATION,
+  TRANSFER_PENDING,
+  BRIDGED,
+  VOICEMAIL,
+  CALLBACK_SCHEDULED,
+  FAILED,
+  COMPLETED
+} = CALL_STATES;
+
+// Allowed transitions: state -> states it may move to
+export const ALLOWED_TRANSITIONS = {
+  [DIALING]: [RINGING, AI_CONVERSATION, VOICEMAIL, FAILED],
+  [RINGING]: [AI_CONVERSATION, VOICEMAIL, FAILED],
+  // AMD can report a machine after the AI conversation has already started
+  [AI_CONVERSATION]: [TRANSFER_PENDING, VOICEMAIL, CALLBACK_SCHEDULED, FAILED, COMPLETED],
+  // A failed transfer hands the lead back to the AI
+  [TRANSFER_PENDING]: [BRIDGED, AI_CONVERSATION, CALLBACK_SCHEDULED, FAILED],
+  // A specialist hanging up mid-call hands the lead back to the AI
+  [BRIDGED]: [AI_CONVERSATION],
+  [VOICEMAIL]: [],
+  [CALLBACK_SCHEDULED]: [],
+  [FAILED]: [],
+  [COMPLETED]: []
+};
+
+/**
+ * Check whether a state is terminal (no further transitions)
+ * @param {string} state - Lifecycle state
+ * @returns {boolean} Whether the state is terminal
+ */
+export function isTerminalState(state) {
+  return Array.isArray(ALLOWED_TRANSITIONS[state]) && ALLOWED_TRANSITIONS[state].length === 0;
+}
+
+/**
+ * Check whether a transition is allowed
+ * @param {string} fromState - Current state
+ * @param {string} toState - Target state
+ * @returns {boolean} Whether the transition is allowed
+ */
+export function canTransition(fromState, toState) {
+  return (ALLOWED_TRANSITIONS[fromState] || []).includes(toState);
+}
+
+/**
+ * Create a history entry
+ * @param {string|null} from - Previous state
+ * @param {string} to - New state
+ * @param {Object} options - Transition metadata
+ * @returns {Object} History entry
+ */
+function createHistoryEntry(from, to, options = {}) {
+  return {
+    from,
+    to,
+    timestamp: new Date().toISOString(),
+    reason: options.reason || null,
+    source: options.source || null
+  };
+}
+
+/**
+ * Start the lifecycle of a newly dialed lead call
+ * @param {string} callSid - The Twilio call SID
+ * @param {Object} options - Transition metadata (reason, source, data)
+ * @returns {Object} Updated call data
+ */
+export function initializeCallLifecycle(callSid, options = {}) {
+  return updateCallData(callSid, {
+    ...(options.data || {}),
+    lifecycleState: DIALING,
+    stateHistory: [createHistoryEntry(null, DIALING, options)]
+  });
+}
+
+/**
+ * Move a lead call to a new lifecycle state
+ *
+ * Illegal transitions are rejected and leave the call data untouched.
+ * Transitioning to the current state is a no-op, since Twilio can
+ * deliver the same status callback more than once.
+ *
+ * @param {string} callSid - The Twilio call SID
+ * @param {string} toState - Target state
+ * @param {Object} options - Transition metadata
+ * @param {string} [options.reason] - Why the transition happened
+ * @param {string} [options.source] - What triggered it (route or module)
+ * @param {Object} [options.data] - Extra call data to write with the transition
+ * @returns {Object} Result with success flag, from/to states and error if rejected
+ */
+export function transitionCallState(callSid, toState, options = {}) {
+  if (!Object.values(CALL_STATES).includes(toState)) {
+    console.error(`[Lifecycle] Unknown state ${toState} for call ${callSid}`);
+    return { success: false, error: `Unknown state: ${toState}` };
+  }
+
+  const callData = getCallData(callSid);
+  const fromState = callData.lifecycleState;
+
+  if (!fromState) {
+    console.warn(`[Lifecycle] Call ${callSid} has no lifecycle - cannot move to ${toState}`);
+    return { success: false, error: 'Lifecycle not initialized', to: toState };
+  }
+
+  if (fromState === toState) {
+    if (options.data) updateCallData(callSid, options.data);
+    return { success: true, from: fromState, to: toState, unchanged: true };
+  }
+
+  if (!canTransition(fromState, toState)) {
+    console.warn(`[Lifecycle] Rejected illegal transition ${fromState} -> ${toState} for call ${callSid}`);
+    return {
+      success: false,
+      error: `Illegal transition: ${fromState} -> ${toState}`,
+      from: fromState,
+      to: toState
+    };
+  }
+
+  console.log(`[Lifecycle] Call ${callSid}: ${fromState} -> ${toState}${options.reason ? ` (${options.reason})` : ''}`);
+
+  updateCallData(callSid, {
+    ...(options.data || {}),
+    lifecycleState: toState,
+    stateHistory: [...(callData.stateHistory || []), createHistoryEntry(fromState, toState, options)]
+  });
+
+  return { success: true, from: fromState, to: toState };
+}
+
+/**
+ * Get the current lifecycle state of a call
+ * @param {string} callSid - The Twilio call SID
+ * @returns {string|null} Current state or null if not tracked
+ */
+export function getCallState(callSid) {
+  return getCallData(callSid).lifecycleState || null;
+}
+
+/**
+ * Get the transition history of a call
+ * @param {string} callSid - The Twilio call SID
+ * @returns {Array} History entries, oldest first
+ */
+export function getStateHistory(callSid) {
+  return getCallData(callSid).stateHistory || [];
+}
@@ -1,13 +1,23 @@
 // call-quality-monitor.js
 // Handles detection and response to call quality issues and technical difficulties
 
+import { FRAME_SAMPLES, SAMPLE_RATE, decodeMulaw, getRms } from './audio-utils.js';
+
 // Configuration for quality monitoring
 const QUALITY_CONFIG = {
   silenceThresholdMs: 5000,          // 5 seconds of silence is concerning
   extendedSilenceThresholdMs: 12000, // 12 seconds of silence triggers follow-up
-  lowAudioThreshold: 100,            // Threshold for detecting low audio quality
+  lowAudioThreshold: 1000,           // Utterances averaging below this level (RMS) are low audio
   qualityCheckIntervalMs: 10000,     // Check quality every 10 seconds
-  minSilenceRuns: 2                  // Number of silence runs before taking action
+  minSilenceRuns: 2,                 // Number of silence runs before taking action
+  speechRms: 250,                    // Quietest frame level (RMS) counted as speech
+  noiseFloorRatio: 3,                // Speech must also be this many times louder than the line noise
+  noiseWindowMs: 3000,               // Line noise is the quietest level heard over this window
+  maxNoiseFloor: 300,                // Cap on the noise floor so long speech is never taken for noise
+  speechHangoverMs: 300,             // Keep treating the lead as speaking through pauses this short
+  clipLevel: 32000,                  // Samples at or above this level are clipped
+  clipSampleRatio: 0.02,             // Share of clipped samples that marks a frame as clipped
+  clippingFrameRatio: 0.1            // Share of clipped frames that marks an utterance as distorted
 };
 
 // Store quality metrics by call SID
@@ -34,6 +44,8 @@ function initializeQualityMonitoring(callSid, config = {}) {
     lastAudioTime: Date.now(),
     // Whether silence is currently detected
     silenceDetected: false,
+    // The lead is expected to be quiet until the agent's queued audio has played
+    agentSpeakingUntil: 0,
     // Count of silence incidents
     silenceRunCount: 0,
     // Total duration of silence (ms)
@@ -42,10 +54,31 @@ function initializeQualityMonitoring(callSid, config = {}) {
     lowAudioDetected: false,
     // Count of low audio incidents
     lowAudioRunCount: 0,
+    // Whether clipped (distorted) audio is detected
+    clippingDetected: false,
+    // Count of clipped utterances
+    clippingRunCount: 0,
+    // Running audio measurements, in audio time
+    audioStats: {
+      analyzedMs: 0,
+      speechMs: 0,
+      levelSum: 0,
+      frameCount: 0,
+      speechLevelSum: 0,
+      speechFrameCount: 0,
+      clippedFrameCount: 0,
+      noiseFloor: 0,
+      recentLevels: [],
+      hangoverMs: 0,
+      currentSilenceMs: 0,
+      longestSilenceMs: 0,
+      utterance: null
+    },
     // Whether instructions were sent
     silenceInstructionsSent: false,
     extendedSilenceInstructionsSent: false,
     lowAudioInstructionsSent: false,
+    clippingInstructionsSent: false,
     // Log of quality issues
     qualityLog: []
   };
@@ -53,10 +86,159 @@ function initializeQualityMonitoring(callSid, config = {}) {
   return qualityMetrics[callSid];
 }
 
+/**
+ * Close the lead's current utterance and check its level and distortion
+ * @param {Object} metrics - Quality metrics for the call
+ * @param {number} now - Current time
+ */
+function endUtterance(metrics, now) {
+  const { audioStats: stats, config } = metrics;
+  const { levelSum, frameCount, clippedFrameCount } = stats.utterance;
+  stats.utterance = null;
+  if (frameCount === 0) return;
+
+  const averageLevel = Math.round(levelSum / frameCount);
+  const isLowAudio = averageLevel < config.lowAudioThreshold;
+  if (isLowAudio && !metrics.lowAudioDetected) {
+    metrics.lowAudioDetected = true;
+    metrics.lowAudioRunCount += 1;
+    metrics.qualityLog.push({
+      type: 'low_audio_started',
+      timestamp: now,
+      audioLevel: averageLevel
+    });
+  } else if (!isLowAudio && metrics.lowAudioDetected) {
+    metrics.lowAudioDetected = false;
+    metrics.qualityLog.push({
+      type: 'low_audio_ended',
+      timestamp: now,
+      audioLevel: averageLevel
+    });
+  }
+
+  const isClipping = clippedFrameCount / frameCount >= config.clippingFrameRatio;
+  if (isClipping && !metrics.clippingDetected) {
+    metrics.clippingDetected = true;
+    metrics.clippingRunCount += 1;
+    metrics.qualityLog.push({
+      type: 'clipping_started',
+      timestamp: now,
+      clippedFrames: clippedFrameCount
+    });
+  } else if (!isClipping && metrics.clippingDetected) {
+    metrics.clippingDetected = false;
+    metrics.qualityLog.push({
+      type: 'clipping_ended',
+      timestamp: now
+    });
+  }
+}
+
+/**
+ * Measure one frame of the lead's audio and update speech, silence and level tracking
+ * @param {Object} metrics - Quality metrics for the call
+ * @param {Int16Array} samples - PCM samples
+ * @param {number} now - Current time
+ * @returns {Object} { level, isSpeech, isClipped }
+ */
+function analyzeFrame(metrics, samples, now) {
+  const { audioStats: stats, config } = metrics;
+  const frameMs = (samples.length / SAMPLE_RATE) * 1000;
+  const level = getRms(samples);
+
+  let clippedSamples = 0;
+  for (let i = 0; i < samples.length; i++) {
+    if (Math.abs(samples[i]) >= config.clipLevel) clippedSamples++;
+  }
+  const isClipped = clippedSamples / samples.length >= config.clipSampleRatio;
+
+  // Speech has to clear both a fixed level and the line's background noise
+  const speechThreshold = Math.max(config.speechRms, stats.noiseFloor * config.noiseFloorRatio);
+  const isLoud = level >= speechThreshold;
+
+  // The noise floor is the quietest recent frame
+  stats.recentLevels.push(level);
+  if (stats.recentLevels.length > config.noiseWindowMs / frameMs) {
+    stats.recentLevels.shift();
+  }
+  stats.noiseFloor = Math.min(Math.min(...stats.recentLevels), config.maxNoiseFloor);
+
+  // Voice activity, held through the short gaps between words
+  const isSpeech = isLoud || stats.hangoverMs > 0;
+  stats.hangoverMs = isLoud ? config.speechHangoverMs : Math.max(0, stats.hangoverMs - frameMs);
+
+  stats.analyzedMs += frameMs;
+  stats.levelSum += level;
+  stats.frameCount += 1;
+  if (isClipped) stats.clippedFrameCount += 1;
+
+  if (isSpeech) {
+    stats.speechMs += frameMs;
+    if (!stats.utterance) {
+      stats.utterance = { levelSum: 0, frameCount: 0, clippedFrameCount: 0 };
+    }
+    if (isLoud) {
+      stats.speechLevelSum += level;
+      stats.speechFrameCount += 1;
+      stats.utterance.levelSum += level;
+      stats.utterance.frameCount += 1;
+      if (isClipped) stats.utterance.clippedFrameCount += 1;
+    }
+
+    metrics.lastAudioTime = now;
+
+    // If we were in a silence period, log it and reset
+    if (metrics.silenceDetected) {
+      metrics.totalSilenceDurationMs += stats.currentSilenceMs;
+      metrics.qualityLog.push({
+        type: 'silence_ended',
+        timestamp: now,
+        durationMs: stats.currentSilenceMs
+      });
+      metrics.silenceDetected = false;
+      stats.currentSilenceMs = 0;
+    }
+  } else {
+    if (stats.utterance) {
+      endUtterance(metrics, now);
+    }
+
+    if (now < metrics.agentSpeakingUntil) {
+      // Listening to the agent is not silence; the lead's silence starts once the agent stops
+      if (metrics.silenceDetected) {
+        metrics.totalSilenceDurationMs += stats.currentSilenceMs;
+        metrics.qualityLog.push({
+          type: 'silence_ended',
+          timestamp: now,
+          durationMs: stats.currentSilenceMs,
+          reason: 'agent_speaking'
+        });
+        metrics.silenceDetected = false;
+        stats.currentSilenceMs = 0;
+      }
+      return { level, isSpeech, isClipped };
+    }
+
+    if (!metrics.silenceDetected) {
+      // Starting a new silence period
+      metrics.silenceDetected = true;
+      metrics.silenceRunCount += 1;
+      metrics.qualityLog.push({
+        type: 'silence_started',
+        timestamp: now
+      });
+    }
+    stats.currentSilenceMs += frameMs;
+    stats.longestSilenceMs = Math.max(stats.longestSilenceMs, stats.currentSilenceMs);
+  }
+
+  return { level, isSpeech, isClipped };
+}
+
 /**
  * Process audio data to detect quality issues
  * @param {string} callSid - The Twilio call SID
- * @param {string} audioData - Base64 encoded audio data
+ * @param {string} audioData - Base64 encoded μ-law audio from a Twilio media event
  * @returns {Object} Analysis result with detected issues
  */
 function processAudioQuality(callSid, audioData) {
@@ -67,65 +249,28 @@ function processAudioQuality(callSid, audioData) {
   const metrics = qualityMetrics[callSid];
   const now = Date.now();
   
-  // Decode base64 audio to check for silence/low audio
-  // This is a simple implementation - in a real system you'd use proper audio analysis
+  // Measure the payload frame by frame
   let audioLevel = 0;
+  let isSpeech = false;
+  let isClipped = false;
   try {
-    // Simple approach - check the length of the audio data as a rough proxy for audio level
-    // In a real system, you'd analyze actual audio levels
-    audioLevel = audioData.length;
+    const samples = decodeMulaw(Buffer.from(audioData || '', 'base64'));
+    let levelSum = 0;
+    let frames = 0;
+    for (let offset = 0; offset < samples.length; offset += FRAME_SAMPLES) {
+      const frame = analyzeFrame(metrics, samples.subarray(offset, offset + FRAME_SAMPLES), now);
+      levelSum += frame.level;
+      frames += 1;
+      isSpeech = frame.isSpeech;
+      isClipped = isClipped || frame.isClipped;
+    }
+    audioLevel = frames > 0 ? Math.round(levelSum / frames) : 0;
   } catch (error) {
     console.error(`Error analyzing audio data for call ${callSid}:`, error);
   }
   
-  // Check for silence
-  const isSilent = audioLevel < 10; // Very simplistic - would be more sophisticated in production
-  
-  // Check for low audio
-  const isLowAudio = audioLevel > 10 && audioLevel < metrics.config.lowAudioThreshold;
-  
-  // Update metrics based on audio analysis
-  if (!isSilent) {
-    // If we have audio, update the last audio time
-    metrics.lastAudioTime = now;
-    
-    // If we were in a silence period, log it and reset
-    if (metrics.silenceDetected) {
-      const silenceDuration = now - metrics.lastAudioTime;
-      metrics.totalSilenceDurationMs += silenceDuration;
-      metrics.qualityLog.push({
-        type: 'silence_ended',
-        timestamp: now,
-        durationMs: silenceDuration
-      });
-      metrics.silenceDetected = false;
-    }
-  } else if (!metrics.silenceDetected) {
-    // Starting a new silence period
-    metrics.silenceDetected = true;
-    metrics.silenceRunCount += 1;
-    metrics.qualityLog.push({
-      type: 'silence_started',
-      timestamp: now
-    });
-  }
-  
-  // Update low audio metrics
-  if (isLowAudio && !metrics.lowAudioDetected) {
-    metrics.lowAudioDetected = true;
-    metrics.lowAudioRunCount += 1;
-    metrics.qualityLog.push({
-      type: 'low_audio_started',
-      timestamp: now,
-      audioLevel
-    });
-  } else if (!isLowAudio && metrics.lowAudioDetected) {
-    metrics.lowAudioDetected = false;
-    metrics.qualityLog.push({
-      type: 'low_audio_ended',
-      timestamp: now
-    });
-  }
+  const isSilent = !isSpeech;
+  const isLowAudio = isSpeech && audioLevel < metrics.config.lowAudioThreshold;
   
   // Assess overall quality
   const qualityAssessment = assessAudioQuality(callSid);
@@ -136,16 +281,43 @@ function processAudioQuality(callSid, audioData) {
     audioLevel,
     isSilent,
     isLowAudio,
+    isClipped,
     silenceDetected: metrics.silenceDetected,
     silenceRunCount: metrics.silenceRunCount,
     lowAudioDetected: metrics.lowAudioDetected,
     lowAudioRunCount: metrics.lowAudioRunCount,
+    clippingDetected: metrics.clippingDetected,
     hasQualityIssue: qualityAssessment.hasQualityIssue,
     issueType: qualityAssessment.issueType,
     issueSeverity: qualityAssessment.issueSeverity
   };
 }
 
+/**
+ * Note agent audio sent to the lead, so silence while it plays is not counted against them
+ * @param {string} callSid - The Twilio call SID
+ * @param {number} durationMs - Length of the agent audio
+ */
+function markAgentSpeaking(callSid, durationMs) {
+  if (!qualityMetrics[callSid]) {
+    initializeQualityMonitoring(callSid);
+  }
+  
+  const metrics = qualityMetrics[callSid];
+  // Audio arrives faster than it plays, so queue it after what is already playing
+  metrics.agentSpeakingUntil = Math.max(metrics.agentSpeakingUntil, Date.now()) + durationMs;
+}
+
+/**
+ * Note that the agent was cut off, so the lead's silence counts again from now
+ * @param {string} callSid - The Twilio call SID
+ */
+function markAgentInterrupted(callSid) {
+  if (qualityMetrics[callSid]) {
+    qualityMetrics[callSid].agentSpeakingUntil = Date.now();
+  }
+}
+
 /**
  * Assess audio quality based on current metrics
  * @param {string} callSid - The Twilio call SID
@@ -164,7 +336,7 @@ function assessAudioQuality(callSid) {
   let silenceDetected = false;
   
   if (metrics.silenceDetected) {
-    const currentSilenceDuration = now - metrics.lastAudioTime;
+    const currentSilenceDuration = metrics.audioStats.currentSilenceMs;
     
     if (currentSilenceDuration > metrics.config.extendedSilenceThresholdMs && metrics.silenceRunCount >= metrics.config.minSilenceRuns) {
       extendedSilenceDetected = true;
@@ -194,6 +366,10 @@ function assessAudioQuality(callSid) {
     hasQualityIssue = true;
     issueType = 'low_audio';
     issueSeverity = 'low';
+  } else if (metrics.clippingDetected) {
+    hasQualityIssue = true;
+    issueType = 'clipping';
+    issueSeverity = 'low';
   }
   
   // Log the assessment if there's an issue
@@ -272,6 +448,19 @@ function getQualityInstructions(callSid) {
         });
       }
       break;
+      
+    case 'clipping':
+      if (!metrics.clippingInstructionsSent) {
+        instructions = "You're coming through a little distorted. Could you hold the phone slightly further away?";
+        metrics.clippingInstructionsSent = true;
+        
+        metrics.qualityLog.push({
+          type: 'clipping_instructions_sent',
+          timestamp: Date.now(),
+          instructions
+        });
+      }
+      break;
   }
   
   return instructions;
@@ -288,12 +477,24 @@ function getQualityMetrics(callSid) {
   }
   
   const metrics = qualityMetrics[callSid];
+  const stats = metrics.audioStats;
   
   return {
     callDurationMs: Date.now() - metrics.callStartTime,
     silenceRunCount: metrics.silenceRunCount,
-    totalSilenceDurationMs: metrics.totalSilenceDurationMs,
+    totalSilenceDurationMs: metrics.totalSilenceDurationMs + (metrics.silenceDetected ? stats.currentSilenceMs : 0),
     lowAudioRunCount: metrics.lowAudioRunCount,
+    clippingRunCount: metrics.clippingRunCount,
+    audioStats: {
+      analyzedMs: stats.analyzedMs,
+      speechMs: stats.speechMs,
+      speechRatio: stats.analyzedMs > 0 ? Math.round((stats.speechMs / stats.analyzedMs) * 100) / 100 : 0,
+      averageLevel: stats.frameCount > 0 ? Math.round(stats.levelSum / stats.frameCount) : 0,
+      averageSpeechLevel: stats.speechFrameCount > 0 ? Math.round(stats.speechLevelSum / stats.speechFrameCount) : 0,
+      noiseFloor: Math.round(stats.noiseFloor),
+      longestSilenceMs: stats.longestSilenceMs,
+      clippedFrames: stats.clippedFrameCount
+    },
     qualityIssuesDetected: metrics.qualityLog.length > 0,
     qualityLog: metrics.qualityLog
   };
@@ -313,6 +514,8 @@ function clearQualityMetrics(callSid) {
 export {
   initializeQualityMonitoring,
   processAudioQuality,
+  markAgentSpeaking,
+  markAgentInterrupted,
   assessAudioQuality,
   getQualityInstructions,
   getQualityMetrics,
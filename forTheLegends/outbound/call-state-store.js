@@ -0,0 +1,260 @@
+// forTheLegends/outbound/call-state-store.js
+// Swappable persistence backends for call state (memory, SQLite file, Redis-compatible)
+//
+// Every store implements the same async interface:
+//   get(callSid)                 -> Promise<Object|null>
+//   set(callSid, data, ttlMs)    -> Promise<void>
+//   delete(callSid)              -> Promise<void>
+//   entries()                    -> Promise<Array<[callSid, data]>>
+//   clear()                      -> Promise<void>
+//
+// A ttlMs of 0 (or undefined) means the record never expires.
+
+/**
+ * Compute an absolute expiry timestamp from a TTL
+ * @param {number} ttlMs - Time to live in milliseconds
+ * @returns {number|null} Expiry timestamp or null for no expiry
+ */
+function getExpiresAt(ttlMs) {
+  return ttlMs > 0 ? Date.now() + ttlMs : null;
+}
+
+/**
+ * Create an in-memory store. Data is lost on restart.
+ * @returns {Object} Call state store
+ */
+function createMemoryStore() {
+  const records = new Map();
+
+  const isExpired = (record) => record.expiresAt !== null && record.expiresAt <= Date.now();
+
+  return {
+    type: 'memory',
+
+    async get(callSid) {
+      const record = records.get(callSid);
+      if (!record) return null;
+      if (isExpired(record)) {
+        records.delete(callSid);
+        return null;
+      }
+      return record.data;
+    },
+
+    async set(callSid, data, ttlMs) {
+      records.set(callSid, { data, expiresAt: getExpiresAt(ttlMs) });
+    },
+
+    async delete(callSid) {
+      records.delete(callSid);
+    },
+
+    async entries() {
+      const result = [];
+      for (const [callSid, record] of records) {
+        if (isExpired(record)) {
+          records.delete(callSid);
+        } else {
+          result.push([callSid, record.data]);
+        }
+      }
+      return result;
+    },
+
+    async clear() {
+      records.clear();
+    }
+  };
+}
+
+/**
+ * Create a store backed by a SQLite file.
+ *
+ * Accepts either an open better-sqlite3 compatible database (`db`) or a
+ * `filename`, in which case `better-sqlite3` is loaded on demand.
+ *
+ * @param {Object} options - Store options
+ * @param {Object} [options.db] - Open database exposing exec() and prepare()
+ * @param {string} [options.filename] - Path to the SQLite file
+ * @param {string} [options.table] - Table name (default: call_state)
+ * @returns {Promise<Object>} Call state store
+ */
+async function createSqliteStore(options = {}) {
+  const table = options.table || 'call_state';
+  let db = options.db;
+
+  if (!db) {
+    if (!options.filename) {
+      throw new Error('SQLite call state store requires a db instance or a filename');
+    }
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite call state store requires the better-sqlite3 package: ${error.message}`);
+    }
+    db = new Database(options.filename);
+  }
+
+  db.exec(`CREATE TABLE IF NOT EXISTS ${table} (
+    call_sid TEXT PRIMARY KEY,
+    data TEXT NOT NULL,
+    expires_at INTEGER
+  )`);
+
+  const statements = {
+    get: db.prepare(`SELECT data FROM ${table} WHERE call_sid = ? AND (expires_at IS NULL OR expires_at > ?)`),
+    upsert: db.prepare(`INSERT INTO ${table} (call_sid, data, expires_at) VALUES (?, ?, ?)
+      ON CONFLICT(call_sid) DO UPDATE SET data = excluded.data, expires_at = excluded.expires_at`),
+    delete: db.prepare(`DELETE FROM ${table} WHERE call_sid = ?`),
+    deleteExpired: db.prepare(`DELETE FROM ${table} WHERE expires_at IS NOT NULL AND expires_at <= ?`),
+    all: db.prepare(`SELECT call_sid, data FROM ${table}`),
+    clear: db.prepare(`DELETE FROM ${table}`)
+  };
+
+  return {
+    type: 'sqlite',
+
+    async get(callSid) {
+      const row = statements.get.get(callSid, Date.now());
+      return row ? JSON.parse(row.data) : null;
+    },
+
+    async set(callSid, data, ttlMs) {
+      statements.upsert.run(callSid, JSON.stringify(data), getExpiresAt(ttlMs));
+    },
+
+    async delete(callSid) {
+      statements.delete.run(callSid);
+    },
+
+    async entries() {
+      statements.deleteExpired.run(Date.now());
+      return statements.all.all().map(row => [row.call_sid, JSON.parse(row.data)]);
+    },
+
+    async clear() {
+      statements.clear.run();
+    }
+  };
+}
+
+/**
+ * Create a store backed by a Redis-compatible server (Redis, KeyDB, Valkey, ...).
+ *
+ * Accepts either an ioredis-style client (`client`) or a `url`, in which case
+ * `ioredis` is loaded on demand. Expiry is delegated to the server via PX, and
+ * keys are listed with SCAN so hydrating does not block the server like KEYS.
+ *
+ * @param {Object} options - Store options
+ * @param {Object} [options.client] - Client exposing get/set/del/scan
+ * @param {string} [options.url] - Connection URL
+ * @param {string} [options.keyPrefix] - Key prefix (default: callstate:)
+ * @returns {Promise<Object>} Call state store
+ */
+async function createRedisStore(options = {}) {
+  const keyPrefix = options.keyPrefix || 'callstate:';
+  let client = options.client;
+
+  if (!client) {
+    if (!options.url) {
+      throw new Error('Redis call state store requires a client instance or a url');
+    }
+    let Redis;
+    try {
+      ({ default: Redis } = await import('ioredis'));
+    } catch (error) {
+      throw new Error(`Redis call state store requires the ioredis package: ${error.message}`);
+    }
+    client = new Redis(options.url);
+  }
+
+  const keyFor = (callSid) => `${keyPrefix}${callSid}`;
+
+  // Walk the keyspace in batches until the cursor comes back to 0
+  const scanKeys = async () => {
+    const keys = [];
+    let cursor = '0';
+    do {
+      const [next, batch] = await client.scan(cursor, 'MATCH', `${keyPrefix}*`, 'COUNT', 100);
+      cursor = String(next);
+      keys.push(...batch);
+    } while (cursor !== '0');
+    // SCAN may return a key more than once
+    return [...new Set(keys)];
+  };
+
+  return {
+    type: 'redis',
+
+    async get(callSid) {
+      const value = await client.get(keyFor(callSid));
+      return value ? JSON.parse(value) : null;
+    },
+
+    async set(callSid, data, ttlMs) {
+      if (ttlMs > 0) {
+        await client.set(keyFor(callSid), JSON.stringify(data), 'PX', ttlMs);
+      } else {
+        await client.set(keyFor(callSid), JSON.stringify(data));
+      }
+    },
+
+    async delete(callSid) {
+      await client.del(keyFor(callSid));
+    },
+
+    async entries() {
+      const keys = await scanKeys();
+      const result = [];
+      for (const key of keys) {
+        const value = await client.get(key);
+        if (value) {
+          result.push([key.slice(keyPrefix.length), JSON.parse(value)]);
+        }
+      }
+      return result;
+    },
+
+    async clear() {
+      const keys = await scanKeys();
+      if (keys.length > 0) {
+        await client.del(...keys);
+      }
+    }
+  };
+}
+
+/**
+ * Create a store from environment variables
+ *
+ * CALL_STATE_STORE selects the backend: memory (default), sqlite or redis.
+ * CALL_STATE_SQLITE_PATH and CALL_STATE_REDIS_URL configure the backends.
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @param {Object} [options] - Where records live within the backend
+ * @param {string} [options.table] - SQLite table name
+ * @param {string} [options.keyPrefix] - Redis key prefix
+ * @returns {Promise<Object>} Call state store
+ */
+async function createStoreFromEnv(env = process.env, { table, keyPrefix } = {}) {
+  const type = (env.CALL_STATE_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return createMemoryStore();
+    case 'sqlite':
+      return createSqliteStore({ filename: env.CALL_STATE_SQLITE_PATH || './call-state.db', table });
+    case 'redis':
+      return createRedisStore({ url: env.CALL_STATE_REDIS_URL || 'redis://localhost:6379', keyPrefix });
+    default:
+      throw new Error(`Unknown CALL_STATE_STORE type: ${type}`);
+  }
+}
+
+export {
+  createMemoryStore,
+  createSqliteStore,
+  createRedisStore,
+  createStoreFromEnv
+};
@@ -1,37 +1,203 @@
 /**
  * Call State Management
- * 
+ *
  * This module tracks the state of all active calls in the system.
+ *
+ * Reads and writes go through an in-memory working set so that the
+ * getters stay synchronous. Every update is also written to a pluggable
+ * store (see call-state-store.js) so live calls survive a restart.
  */
 
-// Store call statuses in memory
+import { createMemoryStore } from './call-state-store.js';
+
+// Lead/sales call statuses after which a call is considered finished
+const FINAL_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Default expiry times
+const DEFAULT_TTL = {
+  // Finished calls are kept long enough for webhooks and follow-up lookups
+  finishedCallTtlMs: 60 * 60 * 1000,
+  // Safety net for calls that never report a final status
+  activeCallTtlMs: 24 * 60 * 60 * 1000
+};
+
+// Store call statuses in memory (working set, kept for backward compatibility)
 export const callStatuses = {};
 
+// Expiry timestamps for entries in callStatuses
+const expiryTimes = new Map();
+
+// Persistent backend and TTL settings
+let store = createMemoryStore();
+let ttlConfig = { ...DEFAULT_TTL };
+
+/**
+ * Check whether a call has reached a final status
+ *
+ * @param {Object} data - Call data
+ * @returns {boolean} Whether the call is finished
+ */
+const isFinishedCall = (data) => {
+  return Boolean(data.finalStatus) || FINAL_STATUSES.includes(data.leadStatus) ||
+    FINAL_STATUSES.includes(data.salesStatus);
+};
+
+/**
+ * Get the TTL that applies to a call record
+ *
+ * @param {Object} data - Call data
+ * @returns {number} TTL in milliseconds
+ */
+const getTtlFor = (data) => {
+  return isFinishedCall(data) ? ttlConfig.finishedCallTtlMs : ttlConfig.activeCallTtlMs;
+};
+
+/**
+ * Remove a call from the working set if its TTL has passed
+ *
+ * @param {string} callSid - The Twilio call SID
+ * @returns {boolean} Whether the call was evicted
+ */
+const evictIfExpired = (callSid) => {
+  const expiresAt = expiryTimes.get(callSid);
+  if (expiresAt && expiresAt <= Date.now()) {
+    delete callStatuses[callSid];
+    expiryTimes.delete(callSid);
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Write a call record through to the persistent store
+ *
+ * @param {string} callSid - The Twilio call SID
+ * @param {Object} data - Call data
+ * @param {number} ttlMs - TTL in milliseconds
+ */
+const persist = (callSid, data, ttlMs) => {
+  store.set(callSid, data, ttlMs).catch(error => {
+    console.error(`[CallState] Failed to persist call ${callSid} to ${store.type} store:`, error);
+  });
+};
+
 /**
  * Get call data for a specific call
- * 
+ *
  * @param {string} callSid - The Twilio call SID
  * @returns {Object} Call data or empty object if not found
  */
 export const getCallData = (callSid) => {
+  if (evictIfExpired(callSid)) {
+    return {};
+  }
   return callStatuses[callSid] || {};
 };
 
 /**
  * Update call data for a specific call
- * 
+ *
  * @param {string} callSid - The Twilio call SID
  * @param {Object} data - New data to merge with existing call data
  * @returns {Object} Updated call data
  */
 export const updateCallData = (callSid, data) => {
+  evictIfExpired(callSid);
   callStatuses[callSid] = { ...(callStatuses[callSid] || {}), ...data };
+
+  const ttlMs = getTtlFor(callStatuses[callSid]);
+  expiryTimes.set(callSid, Date.now() + ttlMs);
+  persist(callSid, callStatuses[callSid], ttlMs);
+
   return callStatuses[callSid];
 };
 
+/**
+ * Remove all data for a specific call
+ *
+ * @param {string} callSid - The Twilio call SID
+ */
+export const deleteCallData = (callSid) => {
+  delete callStatuses[callSid];
+  expiryTimes.delete(callSid);
+  store.delete(callSid).catch(error => {
+    console.error(`[CallState] Failed to delete call ${callSid} from ${store.type} store:`, error);
+  });
+};
+
+/**
+ * Get the SIDs of all calls in the working set
+ *
+ * @returns {string[]} Call SIDs
+ */
+export const getAllCallSids = () => {
+  return Object.keys(callStatuses).filter(callSid => !evictIfExpired(callSid));
+};
+
+/**
+ * Find the first call whose data matches a predicate
+ *
+ * @param {Function} predicate - Receives (callData, callSid)
+ * @returns {string|null} Matching call SID or null
+ */
+export const findCallSid = (predicate) => {
+  return getAllCallSids().find(callSid => predicate(callStatuses[callSid], callSid)) || null;
+};
+
+/**
+ * Drop every expired call from the working set
+ *
+ * @returns {number} Number of calls evicted
+ */
+export const pruneExpiredCalls = () => {
+  let evicted = 0;
+  for (const callSid of Object.keys(callStatuses)) {
+    if (evictIfExpired(callSid)) evicted++;
+  }
+  return evicted;
+};
+
+/**
+ * Swap the persistent store used for call state
+ *
+ * @param {Object} newStore - Store created by call-state-store.js
+ * @param {Object} options - TTL overrides (finishedCallTtlMs, activeCallTtlMs)
+ */
+export const configureCallStateStore = (newStore, options = {}) => {
+  if (newStore) {
+    store = newStore;
+  }
+  Object.keys(DEFAULT_TTL).forEach(key => {
+    if (options[key] !== undefined) ttlConfig[key] = options[key];
+  });
+  console.log(`[CallState] Using ${store.type} store`);
+};
+
+/**
+ * Get the persistent store currently in use
+ *
+ * @returns {Object} Call state store
+ */
+export const getCallStateStore = () => store;
+
+/**
+ * Load persisted calls into the working set, e.g. after a restart
+ *
+ * @returns {Promise<number>} Number of calls restored
+ */
+export const hydrateCallState = async () => {
+  const entries = await store.entries();
+  for (const [callSid, data] of entries) {
+    callStatuses[callSid] = { ...data, ...(callStatuses[callSid] || {}) };
+    expiryTimes.set(callSid, Date.now() + getTtlFor(callStatuses[callSid]));
+  }
+  console.log(`[CallState] Restored ${entries.length} calls from ${store.type} store`);
+  return entries.length;
+};
+
 /**
  * Setup call tracking for a new call
- * 
+ *
  * @returns {Object} Call tracking utilities
  */
 export const setupCallTracking = () => {
@@ -47,4 +213,8 @@ export const setupCallTracking = () => {
  */
 export const clearAllCallData = () => {
   Object.keys(callStatuses).forEach(key => delete callStatuses[key]);
-}; 
\ No newline at end of file
+  expiryTimes.clear();
+  store.clear().catch(error => {
+    console.error(`[CallState] Failed to clear ${store.type} store:`, error);
+  });
+};
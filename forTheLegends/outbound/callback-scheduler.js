@@ -0,0 +1,464 @@
+// forTheLegends/outbound/callback-scheduler.js
+// Durable scheduler for callbacks a lead agreed to: each callback is stored as a job and, at the
+// agreed time and within calling hours, the lead is dialed again through the lead call flow.
+//
+// The agent's schedule_callback tool creates a job once it can read a time. Jobs are kept in the
+// CALL_STATE_STORE backend and restored on startup. A job due outside calling hours
+// (CALLING_HOURS_START, CALLING_HOURS_END and CALLING_DAYS, in the lead's timezone) waits for the
+// next opening. It is dialed through the /outbound-call-to-sales flow with requestedCallback
+// context, so the AI opens as the callback the lead asked for. Jobs can be listed with
+// GET /callbacks and canceled with POST /callbacks/:jobId/cancel
+
+import { getCallData, updateCallData } from './call-state.js';
+import { createMemoryStore } from './call-state-store.js';
+import { getLeadTimezone, getLocalParts, toMoment, addDays } from './callback-time-parser.js';
+
+// What became of a scheduled callback
+export const CALLBACK_JOB_STATUSES = {
+  SCHEDULED: 'scheduled',
+  DIALING: 'dialing',
+  DIALED: 'dialed',
+  FAILED: 'failed',
+  CANCELED: 'canceled'
+};
+
+// Day names accepted in CALLING_DAYS, by weekday number
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Callback scheduling settings
+const CALLBACK_CONFIG = {
+  // Calling hours in the lead's timezone (HH:MM, end exclusive)
+  callingHoursStart: '09:00',
+  callingHoursEnd: '20:00',
+  // Weekdays callbacks may be placed on (0 = Sunday)
+  callingDays: [1, 2, 3, 4, 5, 6],
+  // Dial attempts per callback before giving up
+  maxAttempts: 3,
+  // Wait after a failed dial before trying again
+  retryDelayMs: 15 * 60 * 1000,
+  // How long dialed, failed and canceled jobs are kept
+  finishedJobTtlMs: 7 * 24 * 60 * 60 * 1000,
+  // Longest single timer; due jobs are looked for again at least this often
+  maxTimerMs: 60 * 60 * 1000
+};
+
+// Jobs by ID, mirrored to the store
+const jobs = {};
+
+// Where jobs are persisted; swap for a SQLite or Redis store to keep them across restarts
+let store = createMemoryStore();
+
+// Places the callback: (job) => Promise<{ leadCallSid }>, provided by outbound-calls.js
+let dialCallback = null;
+
+// Timer for the next due job, and whether due jobs are being dialed right now
+let nextRunTimer = null;
+let running = false;
+
+// Job IDs handed out so far
+let jobCount = 0;
+
+/**
+ * Convert HH:MM to minutes after midnight
+ * @param {string} clockTime - e.g. 09:30
+ * @returns {number} Minutes after midnight
+ */
+function toMinutesOfDay(clockTime) {
+  const [hours, minutes = 0] = String(clockTime).split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Read callback scheduling settings from environment variables
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Callback scheduling settings
+ */
+function loadCallbackConfigFromEnv(env = process.env) {
+  const settings = {};
+  if (env.CALLING_HOURS_START) settings.callingHoursStart = env.CALLING_HOURS_START;
+  if (env.CALLING_HOURS_END) settings.callingHoursEnd = env.CALLING_HOURS_END;
+  if (env.CALLING_DAYS) {
+    settings.callingDays = env.CALLING_DAYS.split(',')
+      .map(day => DAY_NAMES.indexOf(day.trim().toLowerCase().slice(0, 3)))
+      .filter(day => day >= 0);
+  }
+  if (env.CALLBACK_MAX_ATTEMPTS) settings.maxAttempts = Number(env.CALLBACK_MAX_ATTEMPTS);
+  if (env.CALLBACK_RETRY_DELAY_MS) settings.retryDelayMs = Number(env.CALLBACK_RETRY_DELAY_MS);
+  return settings;
+}
+
+/**
+ * Initialize the callback scheduler
+ * @param {Object} options - Configuration options (default settings: from environment)
+ * @param {Function} options.dialCallback - Dials the lead for a due job
+ * @returns {Object} Current settings
+ */
+function initialize(options = {}) {
+  const { dialCallback: dial, ...settings } = options;
+  dialCallback = dial || dialCallback;
+
+  Object.assign(CALLBACK_CONFIG, Object.keys(settings).length > 0 ? settings : loadCallbackConfigFromEnv());
+
+  console.log(`[Callbacks] Calling hours ${CALLBACK_CONFIG.callingHoursStart}-${CALLBACK_CONFIG.callingHoursEnd} on ${CALLBACK_CONFIG.callingDays.map(day => DAY_NAMES[day]).join(',')}`);
+  return { ...CALLBACK_CONFIG };
+}
+
+/**
+ * Use a different store for callback jobs
+ * @param {Object} newStore - Store with the call-state-store interface
+ */
+function configureCallbackStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Find the first moment at or after a given one that falls within calling hours
+ * @param {Date} date - Earliest moment
+ * @param {string} timezone - Lead's IANA timezone
+ * @returns {Date} Moment to dial
+ */
+function getNextCallingTime(date, timezone) {
+  const start = toMinutesOfDay(CALLBACK_CONFIG.callingHoursStart);
+  const end = toMinutesOfDay(CALLBACK_CONFIG.callingHoursEnd);
+  const local = getLocalParts(date, timezone);
+  const minutes = local.hour * 60 + local.minute;
+
+  for (let offset = 0; offset <= 7; offset++) {
+    const day = addDays(local, offset);
+    if (!CALLBACK_CONFIG.callingDays.includes(day.weekday)) continue;
+
+    if (offset > 0 || minutes < start) return toMoment(day, start, timezone);
+    if (minutes < end) return date;
+  }
+
+  // No calling days configured
+  return date;
+}
+
+/**
+ * Whether a job will not be dialed again
+ * @param {Object} job - Callback job
+ * @returns {boolean}
+ */
+function isFinished(job) {
+  return job.status !== CALLBACK_JOB_STATUSES.SCHEDULED && job.status !== CALLBACK_JOB_STATUSES.DIALING;
+}
+
+/**
+ * Write a job to the store
+ * @param {Object} job - Callback job
+ */
+async function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  try {
+    await store.set(job.id, job, isFinished(job) ? CALLBACK_CONFIG.finishedJobTtlMs : 0);
+  } catch (error) {
+    console.error(`[Callbacks] Error saving callback ${job.id}:`, error);
+  }
+}
+
+/**
+ * Arm the timer for the next scheduled job
+ */
+function armTimer() {
+  if (nextRunTimer) {
+    clearTimeout(nextRunTimer);
+    nextRunTimer = null;
+  }
+
+  const dueTimes = Object.values(jobs)
+    .filter(job => job.status === CALLBACK_JOB_STATUSES.SCHEDULED)
+    .map(job => new Date(job.dialAt).getTime());
+  if (dueTimes.length === 0) return;
+
+  const delay = Math.min(Math.max(Math.min(...dueTimes) - Date.now(), 0), CALLBACK_CONFIG.maxTimerMs);
+  nextRunTimer = setTimeout(() => {
+    nextRunTimer = null;
+    runDueCallbacks().catch(error => console.error('[Callbacks] Error running due callbacks:', error));
+  }, delay);
+  // A waiting callback should not keep the process alive
+  nextRunTimer.unref?.();
+}
+
+/**
+ * Store a callback the lead agreed to and arm it
+ *
+ * Any callback still scheduled for the same lead call is replaced.
+ *
+ * @param {string} leadCallSid - Lead call SID the callback was agreed on
+ * @param {Object} preference - Parsed callback time (see parseCallbackTime) with requestedTime and notes
+ * @param {Object} [options] - Options
+ * @param {Date|string} [options.now] - Current time (default: now)
+ * @returns {Promise<Object>} { success, job } or { success: false, error }
+ */
+async function scheduleCallback(leadCallSid, preference = {}, { now = new Date() } = {}) {
+  const callData = getCallData(leadCallSid);
+
+  if (callData.doNotCall) {
+    return { success: false, error: 'Lead asked not to be called' };
+  }
+  if (!callData.leadNumber) {
+    return { success: false, error: 'No phone number recorded for the lead' };
+  }
+  if (!preference?.start) {
+    return { success: false, error: 'No callback time could be read' };
+  }
+
+  const timezone = preference.timezone || getLeadTimezone(leadCallSid);
+  const earliest = new Date(Math.max(new Date(preference.start).getTime(), new Date(now).getTime()));
+  const dialAt = getNextCallingTime(earliest, timezone);
+
+  await cancelCallbacksForLead(leadCallSid, 'replaced by a later request');
+
+  const job = {
+    id: `callback-${Date.now().toString(36)}-${++jobCount}`,
+    status: CALLBACK_JOB_STATUSES.SCHEDULED,
+    leadCallSid,
+    // The lead the call was placed for, so the callback is counted with its other calls
+    leadId: callData.retryLeadId || null,
+    phoneNumber: callData.leadNumber,
+    host: callData.callbackHost || null,
+    leadInfo: callData.leadInfo || {},
+    timezone,
+    window: { start: preference.start, end: preference.end || preference.start },
+    requestedTime: preference.requestedTime || preference.rawText || null,
+    notes: preference.notes || null,
+    ambiguous: preference.ambiguous || false,
+    dialAt: dialAt.toISOString(),
+    // The agreed time falls outside calling hours
+    movedToCallingHours: dialAt.getTime() !== earliest.getTime(),
+    attempts: [],
+    createdAt: new Date().toISOString()
+  };
+
+  jobs[job.id] = job;
+  await saveJob(job);
+  updateCallData(leadCallSid, { scheduledCallback: { id: job.id, dialAt: job.dialAt } });
+  armTimer();
+
+  console.log(`[Callbacks] Scheduled callback ${job.id} for lead call ${leadCallSid} at ${job.dialAt}`);
+  return { success: true, job: { ...job } };
+}
+
+/**
+ * Cancel a scheduled callback
+ * @param {string} jobId - Callback job ID
+ * @param {string} [reason] - Why
+ * @returns {Promise<Object>} { success, job } or { success: false, error }
+ */
+async function cancelCallback(jobId, reason = null) {
+  const job = jobs[jobId];
+  if (!job) {
+    return { success: false, error: 'Callback not found' };
+  }
+  if (job.status !== CALLBACK_JOB_STATUSES.SCHEDULED) {
+    return { success: false, error: `Callback is ${job.status}` };
+  }
+
+  job.status = CALLBACK_JOB_STATUSES.CANCELED;
+  job.canceledReason = reason;
+  await saveJob(job);
+  armTimer();
+
+  console.log(`[Callbacks] Canceled callback ${jobId}${reason ? ` (${reason})` : ''}`);
+  return { success: true, job: { ...job } };
+}
+
+/**
+ * Cancel every scheduled callback for the lead on a call, including ones agreed on its earlier calls
+ * @param {string} leadCallSid - Lead call SID
+ * @param {string} [reason] - Why
+ * @returns {Promise<number>} Number of callbacks canceled
+ */
+async function cancelCallbacksForLead(leadCallSid, reason = null) {
+  const { retryLeadId } = getCallData(leadCallSid);
+  const scheduled = Object.values(jobs).filter(job =>
+    (job.leadCallSid === leadCallSid || (retryLeadId && job.leadId === retryLeadId)) &&
+    job.status === CALLBACK_JOB_STATUSES.SCHEDULED);
+
+  for (const job of scheduled) {
+    await cancelCallback(job.id, reason);
+  }
+  return scheduled.length;
+}
+
+/**
+ * Dial one due job, moving it into calling hours or retrying it when needed
+ * @param {Object} job - Callback job
+ * @param {Date} now - Current time
+ */
+async function dialJob(job, now) {
+  // The lead may have asked not to be called since the callback was agreed
+  if (getCallData(job.leadCallSid).doNotCall) {
+    job.status = CALLBACK_JOB_STATUSES.CANCELED;
+    job.canceledReason = 'lead asked not to be called';
+    await saveJob(job);
+    console.log(`[Callbacks] Canceled callback ${job.id}, the lead asked not to be called`);
+    return;
+  }
+
+  // Calling hours may have changed since the job was scheduled
+  const callingTime = getNextCallingTime(now, job.timezone);
+  if (callingTime.getTime() > now.getTime()) {
+    job.dialAt = callingTime.toISOString();
+    job.movedToCallingHours = true;
+    await saveJob(job);
+    return;
+  }
+
+  const attempt = { startedAt: now.toISOString() };
+  job.attempts.push(attempt);
+  job.status = CALLBACK_JOB_STATUSES.DIALING;
+  await saveJob(job);
+
+  try {
+    const { leadCallSid } = await dialCallback({ ...job });
+    attempt.callSid = leadCallSid;
+    job.status = CALLBACK_JOB_STATUSES.DIALED;
+    job.callbackCallSid = leadCallSid;
+    console.log(`[Callbacks] Dialed callback ${job.id} as lead call ${leadCallSid}`);
+  } catch (error) {
+    console.error(`[Callbacks] Error dialing callback ${job.id}:`, error);
+    attempt.error = error.message;
+
+    if (job.attempts.length < CALLBACK_CONFIG.maxAttempts) {
+      job.status = CALLBACK_JOB_STATUSES.SCHEDULED;
+      job.dialAt = getNextCallingTime(new Date(now.getTime() + CALLBACK_CONFIG.retryDelayMs), job.timezone).toISOString();
+    } else {
+      job.status = CALLBACK_JOB_STATUSES.FAILED;
+      job.error = error.message;
+    }
+  }
+
+  await saveJob(job);
+}
+
+/**
+ * Dial every scheduled job whose time has come
+ * @param {Date|string} [now] - Current time (default: now)
+ * @returns {Promise<number>} Number of jobs that were due
+ */
+async function runDueCallbacks(now = new Date()) {
+  if (running) return 0;
+  if (!dialCallback) {
+    console.log('[Callbacks] No dialer set up yet; due callbacks will wait');
+    armTimer();
+    return 0;
+  }
+
+  running = true;
+  const moment = new Date(now);
+  const due = Object.values(jobs).filter(job =>
+    job.status === CALLBACK_JOB_STATUSES.SCHEDULED && new Date(job.dialAt).getTime() <= moment.getTime());
+
+  try {
+    for (const job of due) {
+      await dialJob(job, moment);
+    }
+  } finally {
+    running = false;
+    armTimer();
+  }
+  return due.length;
+}
+
+/**
+ * Load the jobs kept in the store and arm the next one
+ *
+ * Jobs whose time passed while the server was down are dialed as soon as
+ * calling hours allow, and a dial cut short by a restart is tried again.
+ *
+ * @returns {Promise<number>} Number of scheduled jobs restored
+ */
+async function restoreCallbackJobs() {
+  let restored = 0;
+  for (const [jobId, job] of await store.entries()) {
+    if (job.status === CALLBACK_JOB_STATUSES.DIALING) {
+      job.status = CALLBACK_JOB_STATUSES.SCHEDULED;
+    }
+    jobs[jobId] = job;
+    if (job.status === CALLBACK_JOB_STATUSES.SCHEDULED) restored++;
+  }
+
+  armTimer();
+  console.log(`[Callbacks] Restored ${restored} scheduled callback(s)`);
+  return restored;
+}
+
+/**
+ * Get a callback job
+ * @param {string} jobId - Callback job ID
+ * @returns {Object|null} Job
+ */
+function getCallbackJob(jobId) {
+  return jobs[jobId] ? { ...jobs[jobId] } : null;
+}
+
+/**
+ * List callback jobs, soonest first
+ * @param {Object} [filter] - Filter
+ * @param {string} [filter.status] - Only jobs with this status
+ * @returns {Object[]} Jobs
+ */
+function listCallbackJobs({ status } = {}) {
+  return Object.values(jobs)
+    .filter(job => !status || job.status === status)
+    .sort((a, b) => new Date(a.dialAt) - new Date(b.dialAt))
+    .map(job => ({ ...job }));
+}
+
+/**
+ * Drop every job and stop the timer (used by tests)
+ * @returns {Promise<void>}
+ */
+async function clearCallbackJobs() {
+  if (nextRunTimer) {
+    clearTimeout(nextRunTimer);
+    nextRunTimer = null;
+  }
+  for (const jobId of Object.keys(jobs)) {
+    delete jobs[jobId];
+  }
+  await store.clear();
+}
+
+/**
+ * Register callback management routes
+ * @param {Object} fastify - Fastify instance
+ */
+function registerCallbackRoutes(fastify) {
+  fastify.get("/callbacks", async (request, reply) => {
+    reply.send({ callbacks: listCallbackJobs({ status: request.query?.status }) });
+  });
+
+  fastify.get("/callbacks/:jobId", async (request, reply) => {
+    const job = getCallbackJob(request.params.jobId);
+    if (!job) {
+      return reply.code(404).send({ error: 'Callback not found' });
+    }
+    reply.send(job);
+  });
+
+  fastify.post("/callbacks/:jobId/cancel", async (request, reply) => {
+    const result = await cancelCallback(request.params.jobId, request.body?.reason);
+    if (result.success) {
+      return reply.send(result.job);
+    }
+    reply.code(result.error === 'Callback not found' ? 404 : 409).send({ error: result.error });
+  });
+}
+
+export {
+  initialize,
+  configureCallbackStore,
+  getNextCallingTime,
+  scheduleCallback,
+  cancelCallback,
+  cancelCallbacksForLead,
+  runDueCallbacks,
+  restoreCallbackJobs,
+  getCallbackJob,
+  listCallbackJobs,
+  clearCallbackJobs,
+  registerCallbackRoutes
+};
@@ -0,0 +1,442 @@
+// forTheLegends/outbound/callback-time-parser.js
+// Turns what a lead says about being called back ("next Tuesday after 3", "tomorrow morning",
+// "in two hours") into a concrete time window in the lead's timezone
+
+import { getCallData } from './call-state.js';
+
+// Why a parsed time may not be what the lead meant
+export const AMBIGUITIES = {
+  // "at 8" without am or pm
+  AM_OR_PM: 'am-or-pm',
+  // "next Tuesday" while Tuesday is still ahead this week
+  NEXT_OR_FOLLOWING_WEEK: 'next-or-following-week',
+  // "next week" without a day
+  DAY_NOT_GIVEN: 'day-not-given',
+  // "in a few hours"
+  VAGUE_AMOUNT: 'vague-amount',
+  // "this morning" said in the afternoon
+  ALREADY_PASSED: 'already-passed',
+  // "Tuesday or Wednesday"
+  MULTIPLE_OPTIONS: 'multiple-options'
+};
+
+// Parser settings
+const PARSER_CONFIG = {
+  // Used when the lead's info has no timezone
+  defaultTimezone: process.env.LEAD_TIMEZONE || 'America/New_York',
+  // Window given to a specific time
+  exactWindowMinutes: 30,
+  // How far "after 3" and "before 3" stretch
+  openWindowMinutes: 180,
+  // Parts of the day as [start, end) in minutes after midnight; "day" is a day with no time given
+  periods: {
+    morning: [9 * 60, 12 * 60],
+    lunch: [12 * 60, 13 * 60],
+    afternoon: [12 * 60, 17 * 60],
+    evening: [17 * 60, 20 * 60],
+    night: [18 * 60, 21 * 60],
+    day: [9 * 60, 17 * 60]
+  }
+};
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Spoken amounts rewritten as digits before matching
+const NUMBER_WORDS = {
+  one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10,
+  eleven: 11, twelve: 12, fifteen: 15, twenty: 20, thirty: 30, 'forty five': 45, 'forty-five': 45
+};
+const VAGUE_AMOUNTS = { 'a couple of': 2, 'a couple': 2, 'a few': 3 };
+
+const OFFSET_PATTERN = /\bin (\d+|an|a|a couple of|a couple|a few) (minute|hour|day|week)s?\b/g;
+const DAY_PATTERN = new RegExp(
+  `\\b(day after tomorrow|tomorrow|later today|today|tonight|next week|(?:(next|this|on) )?(${WEEKDAYS.join('|')}))\\b`, 'g');
+const PERIOD_PATTERN = /\b(this )?(morning|afternoon|evening|night|lunchtime|lunch)\b/g;
+const TIME_PATTERN = /\b(?:(at|after|before|by|around|about|from) )?(\d{1,2})(?::([0-5]\d))? ?(am|pm|o'?clock)?\b/g;
+
+/**
+ * Update parser settings
+ * @param {Object} settings - Parser settings to override
+ * @returns {Object} Current parser settings
+ */
+function configureCallbackParser(settings = {}) {
+  Object.assign(PARSER_CONFIG, settings);
+  return { ...PARSER_CONFIG };
+}
+
+/**
+ * Check that a timezone name is one Intl knows
+ * @param {string} timezone - IANA timezone name
+ * @returns {boolean} Whether it can be used
+ */
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Get the timezone a lead's times are spoken in
+ * @param {string} [callSid] - Lead call SID
+ * @returns {string} IANA timezone name
+ */
+function getLeadTimezone(callSid) {
+  return resolveLeadTimezone(callSid ? getCallData(callSid).leadInfo : {});
+}
+
+/**
+ * Get the timezone from a lead's info
+ * @param {Object} [leadInfo] - Lead info (Timezone, TimeZone or timezone)
+ * @returns {string} IANA timezone name
+ */
+function resolveLeadTimezone(leadInfo = {}) {
+  const timezone = leadInfo?.Timezone || leadInfo?.TimeZone || leadInfo?.timezone;
+  return timezone && isValidTimezone(timezone) ? timezone : PARSER_CONFIG.defaultTimezone;
+}
+
+/**
+ * Read a moment's wall clock in a timezone
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone name
+ * @returns {Object} { year, month, day, hour, minute, second, weekday }
+ */
+function getLocalParts(date, timezone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  const local = {
+    year: part('year'),
+    month: part('month'),
+    day: part('day'),
+    hour: part('hour'),
+    minute: part('minute'),
+    second: part('second')
+  };
+  local.weekday = new Date(Date.UTC(local.year, local.month - 1, local.day)).getUTCDay();
+  return local;
+}
+
+/**
+ * Minutes a timezone is ahead of UTC at a moment
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone name
+ * @returns {number} Offset in minutes
+ */
+function getOffsetMinutes(date, timezone) {
+  const local = getLocalParts(date, timezone);
+  const wallClock = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second);
+  return Math.round((wallClock - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * Find the moment a wall-clock time happens in a timezone
+ * @param {Object} date - Calendar date ({ year, month, day })
+ * @param {number} minutes - Minutes after midnight (may run past the day)
+ * @param {string} timezone - IANA timezone name
+ * @returns {Date} Moment
+ */
+function toMoment({ year, month, day }, minutes, timezone) {
+  const wallClock = Date.UTC(year, month - 1, day, 0, minutes);
+  const offset = getOffsetMinutes(new Date(wallClock), timezone);
+  // The offset can differ on the other side of a DST change
+  const corrected = getOffsetMinutes(new Date(wallClock - offset * 60000), timezone);
+  return new Date(wallClock - corrected * 60000);
+}
+
+/**
+ * Format a moment as ISO 8601 in a timezone, with its UTC offset
+ * @param {Date} date - Moment
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} e.g. 2026-10-20T15:00:00-04:00
+ */
+function formatInTimezone(date, timezone) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const local = getLocalParts(date, timezone);
+  const offset = getOffsetMinutes(date, timezone);
+  const sign = offset < 0 ? '-' : '+';
+  const absolute = Math.abs(offset);
+
+  return `${local.year}-${pad(local.month)}-${pad(local.day)}T${pad(local.hour)}:${pad(local.minute)}:${pad(local.second)}` +
+    `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
+
+/**
+ * Move a calendar date by whole days
+ * @param {Object} date - Calendar date ({ year, month, day })
+ * @param {number} days - Days to add
+ * @returns {Object} { year, month, day, weekday }
+ */
+function addDays({ year, month, day }, days) {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return {
+    year: date.getUTCFullYear(),
+    month: date.getUTCMonth() + 1,
+    day: date.getUTCDate(),
+    weekday: date.getUTCDay()
+  };
+}
+
+/**
+ * Lowercase the text and write spoken numbers and meridiems the same way every time
+ * @param {string} text - What the lead said
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+  let normalized = text.toLowerCase()
+    .replace(/\b([ap])\.\s?m\b\.?/g, '$1m')
+    .replace(/\b(noon|midday)\b/g, '12 pm')
+    .replace(/\ban hour and a half\b/g, '90 minutes')
+    .replace(/\b(half an hour|half hour)\b/g, '30 minutes')
+    .replace(/[,;!?]/g, ' ');
+
+  Object.entries(NUMBER_WORDS).forEach(([word, value]) => {
+    normalized = normalized.replace(new RegExp(`\\b${word}\\b`, 'g'), String(value));
+  });
+  return normalized.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Turn a spoken clock time into minutes after midnight
+ * @param {Object} time - { hour, minute, meridiem }
+ * @param {string|null} period - Part of the day the lead mentioned
+ * @param {string[]} ambiguities - Collects guesses
+ * @returns {number} Minutes after midnight
+ */
+function toMinutesOfDay({ hour, minute, meridiem }, period, ambiguities) {
+  if (meridiem === 'am') return (hour % 12) * 60 + minute;
+  if (meridiem === 'pm') return ((hour % 12) + 12) * 60 + minute;
+  // 24-hour clock
+  if (hour === 0 || hour > 12) return hour * 60 + minute;
+
+  if (hour === 12) return 12 * 60 + minute;
+  if (period) {
+    return (period === 'morning' ? hour : hour + 12) * 60 + minute;
+  }
+  // Nobody asks to be called at 3 in the morning
+  if (hour <= 6) return (hour + 12) * 60 + minute;
+
+  ambiguities.push(AMBIGUITIES.AM_OR_PM);
+  return (hour === 7 ? hour + 12 : hour) * 60 + minute;
+}
+
+/**
+ * Find every match of a pattern with its position
+ * @param {RegExp} pattern - Global pattern
+ * @param {string} text - Normalized text
+ * @returns {RegExpMatchArray[]} Matches
+ */
+function findAll(pattern, text) {
+  pattern.lastIndex = 0;
+  return [...text.matchAll(pattern)];
+}
+
+/**
+ * Parse a callback time from what the lead said
+ *
+ * The window is in the lead's timezone (from leadInfo.Timezone, else LEAD_TIMEZONE).
+ * When the lead gives several options the first one is used and the result is
+ * flagged ambiguous; every guess lowers the confidence.
+ *
+ * @param {string} text - What the lead said
+ * @param {Object} [options] - Parse options
+ * @param {string} [options.callSid] - Lead call SID, for the lead's timezone
+ * @param {string} [options.timezone] - Timezone to use instead of the lead's
+ * @param {Date|string|number} [options.now] - When it was said
+ * @returns {Object|null} { start, end, timezone, confidence, ambiguous, ambiguities, rawText, detected... }, or null without a time reference
+ */
+function parseCallbackTime(text, options = {}) {
+  if (!text || typeof text !== 'string') return null;
+
+  const timezone = options.timezone && isValidTimezone(options.timezone)
+    ? options.timezone
+    : getLeadTimezone(options.callSid);
+  const saidAt = options.now ? new Date(options.now) : new Date();
+  const now = Number.isNaN(saidAt.getTime()) ? new Date() : saidAt;
+  const normalized = normalizeText(text);
+  const ambiguities = [];
+
+  const offsets = findAll(OFFSET_PATTERN, normalized);
+  const days = findAll(DAY_PATTERN, normalized);
+  const periods = findAll(PERIOD_PATTERN, normalized);
+  // Numbers inside "in 2 hours" are not clock times
+  const withoutOffsets = offsets.reduce((remaining, match) => remaining.replace(match[0], ' '), normalized);
+  const times = findAll(TIME_PATTERN, withoutOffsets).filter(match => {
+    const hour = Number(match[2]);
+    const spokenAsTime = match[1] || match[3] || match[4];
+    return spokenAsTime && hour <= 23 && (hour <= 12 || match[3]);
+  });
+
+  if (offsets.length + days.length + periods.length + times.length === 0) return null;
+
+  const distinct = (matches) => new Set(matches.map(match => match[0])).size;
+  if (distinct(offsets) > 1 || distinct(days) > 1 || distinct(times) > 1) {
+    ambiguities.push(AMBIGUITIES.MULTIPLE_OPTIONS);
+  }
+
+  const local = getLocalParts(now, timezone);
+  const nowMinutes = local.hour * 60 + local.minute;
+  const today = addDays(local, 0);
+  const [dayMatch] = days;
+  const [periodMatch] = periods;
+  const [timeMatch] = times;
+  const [offsetMatch] = offsets;
+  let period = periodMatch ? periodMatch[2].replace('lunchtime', 'lunch') : null;
+  if (dayMatch?.[1] === 'tonight') period = period || 'night';
+
+  let confidence;
+  let start;
+  let end;
+
+  const offsetAmount = offsetMatch && (VAGUE_AMOUNTS[offsetMatch[1]] || Number(offsetMatch[1]) || 1);
+  if (offsetMatch && VAGUE_AMOUNTS[offsetMatch[1]]) {
+    ambiguities.push(AMBIGUITIES.VAGUE_AMOUNT);
+  }
+
+  if (offsetMatch && (offsetMatch[2] === 'minute' || offsetMatch[2] === 'hour')) {
+    // "in two hours" is counted from now
+    const startMs = now.getTime() + offsetAmount * (offsetMatch[2] === 'hour' ? 3600000 : 60000);
+    start = new Date(startMs);
+    end = new Date(startMs + PARSER_CONFIG.exactWindowMinutes * 60000);
+    confidence = 0.9;
+  } else {
+    let dayOffset = 0;
+    let explicitDay = false;
+    let lastDayOffset = null;
+
+    if (offsetMatch) {
+      dayOffset = offsetAmount * (offsetMatch[2] === 'week' ? 7 : 1);
+      explicitDay = true;
+    } else if (dayMatch) {
+      explicitDay = true;
+      const [, phrase, prefix, weekdayName] = dayMatch;
+      if (phrase === 'tomorrow') {
+        dayOffset = 1;
+      } else if (phrase === 'day after tomorrow') {
+        dayOffset = 2;
+      } else if (phrase === 'next week') {
+        // Monday to Friday of next week
+        const mondayBased = (today.weekday + 6) % 7;
+        dayOffset = 7 - mondayBased;
+        lastDayOffset = dayOffset + 4;
+        ambiguities.push(AMBIGUITIES.DAY_NOT_GIVEN);
+      } else if (weekdayName) {
+        const target = WEEKDAYS.indexOf(weekdayName);
+        dayOffset = (target - today.weekday + 7) % 7;
+        if (dayOffset === 0 && prefix !== 'this') dayOffset = 7;
+        // Some people mean the week after when the day is still ahead this week
+        if (prefix === 'next' && (target + 6) % 7 > (today.weekday + 6) % 7) {
+          ambiguities.push(AMBIGUITIES.NEXT_OR_FOLLOWING_WEEK);
+        }
+      }
+    } else if (periodMatch?.[1]) {
+      // "this afternoon"
+      explicitDay = true;
+    }
+
+    let [startMinutes, endMinutes] = PARSER_CONFIG.periods.day;
+    if (timeMatch) {
+      const minutes = toMinutesOfDay({
+        hour: Number(timeMatch[2]),
+        minute: Number(timeMatch[3] || 0),
+        meridiem: timeMatch[4] === 'am' || timeMatch[4] === 'pm' ? timeMatch[4] : null
+      }, period, ambiguities);
+      const { exactWindowMinutes, openWindowMinutes } = PARSER_CONFIG;
+
+      switch (timeMatch[1]) {
+        case 'after':
+          [startMinutes, endMinutes] = [minutes, minutes + openWindowMinutes];
+          break;
+        case 'before':
+        case 'by':
+          [startMinutes, endMinutes] = [minutes - openWindowMinutes, minutes];
+          break;
+        case 'around':
+        case 'about':
+          [startMinutes, endMinutes] = [minutes - exactWindowMinutes / 2, minutes + exactWindowMinutes / 2];
+          break;
+        default:
+          [startMinutes, endMinutes] = [minutes, minutes + exactWindowMinutes];
+      }
+      confidence = ambiguities.includes(AMBIGUITIES.AM_OR_PM) ? 0.85 : 0.9;
+    } else if (period) {
+      [startMinutes, endMinutes] = PARSER_CONFIG.periods[period];
+      confidence = explicitDay ? 0.8 : 0.7;
+    } else if (dayMatch?.[1] === 'later today') {
+      startMinutes = nowMinutes;
+      confidence = 0.6;
+    } else {
+      confidence = 0.6;
+    }
+
+    // A time that has already gone by today means the next day
+    if (dayOffset === 0 && endMinutes <= nowMinutes) {
+      if (explicitDay) ambiguities.push(AMBIGUITIES.ALREADY_PASSED);
+      dayOffset = 1;
+    }
+    if (dayOffset === 0 && startMinutes < nowMinutes) {
+      startMinutes = nowMinutes;
+    }
+
+    start = toMoment(addDays(today, dayOffset), startMinutes, timezone);
+    end = toMoment(addDays(today, lastDayOffset ?? dayOffset), endMinutes, timezone);
+  }
+
+  confidence = Math.max(0.1, confidence - 0.15 * ambiguities.length);
+
+  return {
+    hasTimeReference: true,
+    rawText: text,
+    timezone,
+    start: formatInTimezone(start, timezone),
+    end: formatInTimezone(end, timezone),
+    confidence: Math.round(confidence * 100) / 100,
+    ambiguous: ambiguities.length > 0,
+    ambiguities,
+    detectedDays: days.filter(match => match[3]).map(match => (match[2] === 'on' ? match[3] : match[1])),
+    detectedTimes: times.map(match => match[0].replace(/^(at|after|before|by|around|about|from) /, '')),
+    detectedRelative: [...offsets, ...days.filter(match => !match[3])].map(match => match[0]),
+    detectedPeriods: periods.map(match => match[2])
+  };
+}
+
+/**
+ * Describe a parsed callback time in the lead's own words
+ * @param {Object} parsed - Parsed callback time (see parseCallbackTime)
+ * @returns {string|null} e.g. "tomorrow afternoon at 3 pm"
+ */
+function describeCallbackTime(parsed) {
+  if (!parsed) return null;
+
+  const words = [
+    ...(parsed.detectedRelative || []),
+    ...(parsed.detectedDays || []),
+    ...(parsed.detectedPeriods || []),
+    ...(parsed.detectedTimes || []).map(time => `at ${time}`)
+  ];
+
+  return words.length > 0 ? words.join(' ') : parsed.rawText || null;
+}
+
+export {
+  configureCallbackParser,
+  getLeadTimezone,
+  resolveLeadTimezone,
+  parseCallbackTime,
+  describeCallbackTime,
+  formatInTimezone,
+  getLocalParts,
+  toMoment,
+  addDays
+};
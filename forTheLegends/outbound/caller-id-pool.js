@@ -0,0 +1,100 @@
+// forTheLegends/outbound/caller-id-pool.js
+// Pool of outbound caller IDs: picks the number a call is placed from, preferring one the lead
+// has not seen yet and, with local presence, one sharing the lead's area code
+
+// Caller ID settings
+const CALLER_ID_CONFIG = {
+  // Outbound numbers to rotate through (E.164)
+  numbers: [],
+  // Prefer numbers with the lead's area code
+  localPresence: true,
+  // Number used when the pool is empty
+  defaultNumber: null
+};
+
+// Times each number has been picked, so load spreads across the pool
+const usageCounts = {};
+
+/**
+ * Read caller ID settings from environment variables
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Caller ID settings
+ */
+function loadCallerIdConfigFromEnv(env = process.env) {
+  const settings = { defaultNumber: env.TWILIO_PHONE_NUMBER || null };
+  if (env.CALLER_ID_POOL) {
+    settings.numbers = env.CALLER_ID_POOL.split(',').map(number => number.trim()).filter(Boolean);
+  }
+  if (env.CALLER_ID_LOCAL_PRESENCE) settings.localPresence = env.CALLER_ID_LOCAL_PRESENCE !== 'false';
+  return settings;
+}
+
+/**
+ * Initialize the caller ID pool
+ * @param {Object} settings - Caller ID settings (default: from environment)
+ * @returns {Object} Current settings
+ */
+function initialize(settings = {}) {
+  Object.assign(CALLER_ID_CONFIG, Object.keys(settings).length > 0 ? settings : loadCallerIdConfigFromEnv());
+
+  console.log(`[CallerId] ${CALLER_ID_CONFIG.numbers.length} number(s) in the caller ID pool, local presence ${CALLER_ID_CONFIG.localPresence ? 'on' : 'off'}`);
+  return { ...CALLER_ID_CONFIG, numbers: [...CALLER_ID_CONFIG.numbers] };
+}
+
+/**
+ * Get the area code of a North American number
+ * @param {string} phoneNumber - Phone number
+ * @returns {string|null} Three-digit area code, or null for other numbers
+ */
+function getAreaCode(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/\D/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) return digits.slice(1, 4);
+  if (digits.length === 10) return digits.slice(0, 3);
+  return null;
+}
+
+/**
+ * Pick the number to call a lead from
+ *
+ * Numbers the lead has been called from least come first, then local numbers,
+ * then the number picked least overall.
+ *
+ * @param {string} leadNumber - Lead phone number
+ * @param {Object} [options] - Options
+ * @param {string[]} [options.usedNumbers] - Numbers earlier calls to this lead came from
+ * @returns {Object|null} { number, localPresence }, or null with no numbers configured
+ */
+function selectCallerId(leadNumber, { usedNumbers = [] } = {}) {
+  const pool = CALLER_ID_CONFIG.numbers.length > 0
+    ? CALLER_ID_CONFIG.numbers
+    : [CALLER_ID_CONFIG.defaultNumber].filter(Boolean);
+  if (pool.length === 0) return null;
+
+  const areaCode = getAreaCode(leadNumber);
+  const isLocal = (number) => Boolean(CALLER_ID_CONFIG.localPresence && areaCode && getAreaCode(number) === areaCode);
+  const timesShown = (number) => usedNumbers.filter(used => used === number).length;
+
+  const [number] = [...pool].sort((a, b) =>
+    timesShown(a) - timesShown(b) ||
+    Number(isLocal(b)) - Number(isLocal(a)) ||
+    (usageCounts[a] || 0) - (usageCounts[b] || 0));
+
+  usageCounts[number] = (usageCounts[number] || 0) + 1;
+  return { number, localPresence: isLocal(number) };
+}
+
+/**
+ * Forget how often each number was picked (used by tests)
+ */
+function clearCallerIdUsage() {
+  for (const number of Object.keys(usageCounts)) {
+    delete usageCounts[number];
+  }
+}
+
+export {
+  initialize,
+  getAreaCode,
+  selectCallerId,
+  clearCallerIdUsage
+};
@@ -0,0 +1,592 @@
+// forTheLegends/outbound/campaign-manager.js
+// Batch campaign dialer that places lead calls through the /outbound-call-to-sales flow
+
+import { v4 as uuidv4 } from 'uuid';
+import { getCallData, updateCallData } from './call-state.js';
+
+// Campaign status values
+export const CAMPAIGN_STATUS = {
+  CREATED: 'created',
+  RUNNING: 'running',
+  PAUSED: 'paused',
+  CANCELED: 'canceled',
+  COMPLETED: 'completed'
+};
+
+// Per-lead status values
+export const LEAD_STATUS = {
+  PENDING: 'pending',
+  DIALING: 'dialing',
+  IN_CALL: 'in-call',
+  DONE: 'done',
+  DIAL_FAILED: 'dial-failed',
+  INVALID: 'invalid',
+  SKIPPED: 'skipped'
+};
+
+// Default campaign settings
+const DEFAULT_CAMPAIGN_CONFIG = {
+  // Maximum number of lead calls in flight at once
+  concurrency: 2,
+  // Minimum delay between two dials in milliseconds
+  pacingMs: 5000
+};
+
+// Lead fields accepted from uploads, matched case-insensitively
+const LEAD_FIELDS = ['LeadName', 'CareReason', 'CareNeededFor', 'number'];
+
+// Store campaigns by ID
+const campaigns = {};
+
+// Function that places a lead call, provided by outbound-calls.js
+let dialLead = null;
+
+/**
+ * Initialize the campaign manager
+ * @param {Object} options - Configuration options
+ * @param {Function} options.dialLead - Places a lead call, resolves to { leadCallSid, salesCallSid }
+ */
+function initialize(options = {}) {
+  console.log('Initializing campaign manager');
+  dialLead = options.dialLead || dialLead;
+}
+
+/**
+ * Split a CSV line into fields, honouring double-quoted values
+ * @param {string} line - CSV line
+ * @returns {string[]} Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let current = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      fields.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current.trim());
+
+  return fields;
+}
+
+/**
+ * Map arbitrary keys onto the canonical lead fields
+ * @param {Object} raw - Raw lead record
+ * @returns {Object} Lead with canonical field names
+ */
+function normalizeLead(raw = {}) {
+  const lead = {};
+  for (const [key, value] of Object.entries(raw)) {
+    const field = LEAD_FIELDS.find(name => name.toLowerCase() === key.trim().toLowerCase());
+    lead[field || key] = typeof value === 'string' ? value.trim() : value;
+  }
+  return lead;
+}
+
+/**
+ * Parse an uploaded lead list
+ * @param {Array|string} input - Array of lead objects, a JSON array string or CSV text with a header row
+ * @returns {Object[]} Normalized leads
+ */
+function parseLeads(input) {
+  if (Array.isArray(input)) {
+    return input.map(normalizeLead);
+  }
+
+  if (typeof input !== 'string' || !input.trim()) {
+    throw new Error('Leads must be an array, a JSON array or CSV text');
+  }
+
+  const text = input.trim();
+
+  if (text.startsWith('[')) {
+    return parseLeads(JSON.parse(text));
+  }
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  const headers = parseCsvLine(lines[0]);
+
+  return lines.slice(1).map(line => {
+    const values = parseCsvLine(line);
+    const raw = {};
+    headers.forEach((header, index) => {
+      raw[header] = values[index] || '';
+    });
+    return normalizeLead(raw);
+  });
+}
+
+/**
+ * Create a new campaign
+ * @param {Array|string} leads - Leads to dial (see parseLeads)
+ * @param {Object} options - Campaign options
+ * @param {string} [options.name] - Campaign name
+ * @param {number} [options.concurrency] - Maximum calls in flight
+ * @param {number} [options.pacingMs] - Minimum delay between dials
+ * @param {string} [options.prompt] - Prompt passed to every lead call
+ * @param {string} [options.host] - Public host used for Twilio callbacks
+ * @param {Object} [options.voicemailDrop] - Voicemail drop for every lead ({ audioUrl } or { template, voiceId })
+ * @returns {Object} Campaign summary
+ */
+function createCampaign(leads, options = {}) {
+  const parsedLeads = parseLeads(leads);
+
+  if (parsedLeads.length === 0) {
+    throw new Error('Campaign has no leads');
+  }
+
+  const concurrency = Number(options.concurrency) || DEFAULT_CAMPAIGN_CONFIG.concurrency;
+  const pacingMs = options.pacingMs !== undefined ? Number(options.pacingMs) : DEFAULT_CAMPAIGN_CONFIG.pacingMs;
+
+  if (concurrency < 1 || !Number.isFinite(pacingMs) || pacingMs < 0) {
+    throw new Error('Concurrency must be at least 1 and pacingMs must not be negative');
+  }
+
+  const voicemailDrop = options.voicemailDrop || null;
+  if (voicemailDrop && !voicemailDrop.audioUrl && !voicemailDrop.template) {
+    throw new Error('voicemailDrop needs an audioUrl or a template');
+  }
+
+  const campaignId = uuidv4();
+  const now = new Date().toISOString();
+
+  campaigns[campaignId] = {
+    id: campaignId,
+    name: options.name || `Campaign ${now}`,
+    status: CAMPAIGN_STATUS.CREATED,
+    concurrency,
+    pacingMs,
+    prompt: options.prompt || '',
+    host: options.host || null,
+    voicemailDrop,
+    createdAt: now,
+    startedAt: null,
+    finishedAt: null,
+    lastDialTime: 0,
+    timer: null,
+    leads: parsedLeads.map((lead, index) => ({
+      index,
+      leadInfo: lead,
+      number: lead.number,
+      status: lead.number ? LEAD_STATUS.PENDING : LEAD_STATUS.INVALID,
+      error: lead.number ? null : 'Missing phone number',
+      leadCallSid: null,
+      salesCallSid: null,
+      outcome: null,
+      dialedAt: null,
+      endedAt: null
+    }))
+  };
+
+  console.log(`[Campaign] Created campaign ${campaignId} with ${parsedLeads.length} leads`);
+
+  return getCampaignReport(campaignId);
+}
+
+/**
+ * Count leads that currently occupy a concurrency slot
+ * @param {Object} campaign - Campaign state
+ * @returns {number} Active lead count
+ */
+function countActiveLeads(campaign) {
+  return campaign.leads.filter(lead =>
+    lead.status === LEAD_STATUS.DIALING || lead.status === LEAD_STATUS.IN_CALL
+  ).length;
+}
+
+/**
+ * Mark a campaign completed once no lead is pending or active
+ * @param {Object} campaign - Campaign state
+ */
+function checkCampaignFinished(campaign) {
+  if (campaign.status !== CAMPAIGN_STATUS.RUNNING) return;
+
+  const hasPending = campaign.leads.some(lead => lead.status === LEAD_STATUS.PENDING);
+  if (!hasPending && countActiveLeads(campaign) === 0) {
+    campaign.status = CAMPAIGN_STATUS.COMPLETED;
+    campaign.finishedAt = new Date().toISOString();
+    console.log(`[Campaign] Campaign ${campaign.id} completed`);
+  }
+}
+
+/**
+ * Place a single lead call for a campaign
+ * @param {Object} campaign - Campaign state
+ * @param {Object} lead - Lead entry
+ */
+async function dialCampaignLead(campaign, lead) {
+  lead.status = LEAD_STATUS.DIALING;
+  lead.dialedAt = new Date().toISOString();
+  campaign.lastDialTime = Date.now();
+
+  console.log(`[Campaign] Dialing lead ${lead.index} of campaign ${campaign.id}`);
+
+  try {
+    const { leadCallSid, salesCallSid } = await dialLead({
+      number: lead.number,
+      prompt: campaign.prompt,
+      leadinfo: lead.leadInfo,
+      host: campaign.host,
+      callData: {
+        campaignId: campaign.id,
+        campaignLeadIndex: lead.index,
+        ...(campaign.voicemailDrop ? { voicemailDrop: campaign.voicemailDrop } : {})
+      }
+    });
+
+    lead.leadCallSid = leadCallSid;
+    lead.salesCallSid = salesCallSid;
+
+    // The call may already have ended while we were waiting for Twilio
+    if (lead.status === LEAD_STATUS.DIALING) {
+      lead.status = LEAD_STATUS.IN_CALL;
+    }
+  } catch (error) {
+    console.error(`[Campaign] Failed to dial lead ${lead.index} of campaign ${campaign.id}:`, error);
+    lead.status = LEAD_STATUS.DIAL_FAILED;
+    lead.error = error.message;
+    lead.endedAt = new Date().toISOString();
+  }
+
+  checkCampaignFinished(campaign);
+  pumpCampaign(campaign.id);
+}
+
+/**
+ * Dial as many pending leads as concurrency and pacing allow
+ * @param {string} campaignId - Campaign ID
+ */
+function pumpCampaign(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign || campaign.status !== CAMPAIGN_STATUS.RUNNING || campaign.timer) return;
+
+  const nextLead = campaign.leads.find(lead => lead.status === LEAD_STATUS.PENDING);
+  if (!nextLead) {
+    checkCampaignFinished(campaign);
+    return;
+  }
+
+  if (countActiveLeads(campaign) >= campaign.concurrency) return;
+
+  const waitMs = campaign.lastDialTime + campaign.pacingMs - Date.now();
+  if (waitMs > 0) {
+    campaign.timer = setTimeout(() => {
+      campaign.timer = null;
+      pumpCampaign(campaignId);
+    }, waitMs);
+    return;
+  }
+
+  dialCampaignLead(campaign, nextLead);
+  pumpCampaign(campaignId);
+}
+
+/**
+ * Stop any pending pacing timer for a campaign
+ * @param {Object} campaign - Campaign state
+ */
+function clearCampaignTimer(campaign) {
+  if (campaign.timer) {
+    clearTimeout(campaign.timer);
+    campaign.timer = null;
+  }
+}
+
+/**
+ * Start dialing a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Result with success flag and campaign report
+ */
+function startCampaign(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign) {
+    return { success: false, error: 'Campaign not found' };
+  }
+
+  if (campaign.status !== CAMPAIGN_STATUS.CREATED) {
+    return { success: false, error: `Cannot start a ${campaign.status} campaign` };
+  }
+
+  if (!dialLead) {
+    return { success: false, error: 'Campaign manager has no dialer configured' };
+  }
+
+  campaign.status = CAMPAIGN_STATUS.RUNNING;
+  campaign.startedAt = new Date().toISOString();
+  console.log(`[Campaign] Starting campaign ${campaignId}`);
+
+  pumpCampaign(campaignId);
+
+  return { success: true, campaign: getCampaignReport(campaignId) };
+}
+
+/**
+ * Pause a running campaign. Calls already in progress are not affected.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Result with success flag and campaign report
+ */
+function pauseCampaign(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign) {
+    return { success: false, error: 'Campaign not found' };
+  }
+
+  if (campaign.status !== CAMPAIGN_STATUS.RUNNING) {
+    return { success: false, error: `Cannot pause a ${campaign.status} campaign` };
+  }
+
+  clearCampaignTimer(campaign);
+  campaign.status = CAMPAIGN_STATUS.PAUSED;
+  console.log(`[Campaign] Paused campaign ${campaignId}`);
+
+  return { success: true, campaign: getCampaignReport(campaignId) };
+}
+
+/**
+ * Resume a paused campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Result with success flag and campaign report
+ */
+function resumeCampaign(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign) {
+    return { success: false, error: 'Campaign not found' };
+  }
+
+  if (campaign.status !== CAMPAIGN_STATUS.PAUSED) {
+    return { success: false, error: `Cannot resume a ${campaign.status} campaign` };
+  }
+
+  campaign.status = CAMPAIGN_STATUS.RUNNING;
+  console.log(`[Campaign] Resumed campaign ${campaignId}`);
+
+  pumpCampaign(campaignId);
+
+  return { success: true, campaign: getCampaignReport(campaignId) };
+}
+
+/**
+ * Cancel a campaign. Pending leads are skipped; calls in progress continue.
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object} Result with success flag and campaign report
+ */
+function cancelCampaign(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign) {
+    return { success: false, error: 'Campaign not found' };
+  }
+
+  if (campaign.status === CAMPAIGN_STATUS.CANCELED || campaign.status === CAMPAIGN_STATUS.COMPLETED) {
+    return { success: false, error: `Cannot cancel a ${campaign.status} campaign` };
+  }
+
+  clearCampaignTimer(campaign);
+  campaign.leads
+    .filter(lead => lead.status === LEAD_STATUS.PENDING)
+    .forEach(lead => { lead.status = LEAD_STATUS.SKIPPED; });
+  campaign.status = CAMPAIGN_STATUS.CANCELED;
+  campaign.finishedAt = new Date().toISOString();
+  console.log(`[Campaign] Canceled campaign ${campaignId}`);
+
+  return { success: true, campaign: getCampaignReport(campaignId) };
+}
+
+/**
+ * Record the outcome of a campaign lead call once it has ended
+ * Called from the /lead-status handler for every finished lead call
+ * @param {string} callSid - Lead call SID
+ * @returns {boolean} Whether the call belonged to a campaign
+ */
+function handleCampaignCallEnded(callSid) {
+  const callData = getCallData(callSid);
+  const campaign = campaigns[callData.campaignId];
+  if (!campaign) return false;
+
+  const lead = campaign.leads[callData.campaignLeadIndex];
+  if (!lead || lead.status === LEAD_STATUS.DONE) return true;
+
+  lead.leadCallSid = lead.leadCallSid || callSid;
+  lead.status = LEAD_STATUS.DONE;
+  lead.outcome = callData.lifecycleState || callData.finalStatus || 'unknown';
+  lead.endedAt = new Date().toISOString();
+
+  updateCallData(callSid, { campaignOutcome: lead.outcome });
+  console.log(`[Campaign] Lead ${lead.index} of campaign ${campaign.id} ended with outcome ${lead.outcome}`);
+
+  checkCampaignFinished(campaign);
+  pumpCampaign(campaign.id);
+
+  return true;
+}
+
+/**
+ * Get progress and per-lead outcomes for a campaign
+ * @param {string} campaignId - Campaign ID
+ * @returns {Object|null} Campaign report
+ */
+function getCampaignReport(campaignId) {
+  const campaign = campaigns[campaignId];
+  if (!campaign) return null;
+
+  const countByStatus = {};
+  const countByOutcome = {};
+  for (const lead of campaign.leads) {
+    countByStatus[lead.status] = (countByStatus[lead.status] || 0) + 1;
+    if (lead.outcome) {
+      countByOutcome[lead.outcome] = (countByOutcome[lead.outcome] || 0) + 1;
+    }
+  }
+
+  const finished = campaign.leads.filter(lead => ![
+    LEAD_STATUS.PENDING, LEAD_STATUS.DIALING, LEAD_STATUS.IN_CALL
+  ].includes(lead.status)).length;
+
+  return {
+    id: campaign.id,
+    name: campaign.name,
+    status: campaign.status,
+    concurrency: campaign.concurrency,
+    pacingMs: campaign.pacingMs,
+    createdAt: campaign.createdAt,
+    startedAt: campaign.startedAt,
+    finishedAt: campaign.finishedAt,
+    progress: {
+      total: campaign.leads.length,
+      finished,
+      active: countActiveLeads(campaign),
+      percent: Math.round((finished / campaign.leads.length) * 100),
+      byStatus: countByStatus,
+      byOutcome: countByOutcome
+    },
+    leads: campaign.leads.map(lead => ({
+      index: lead.index,
+      leadName: lead.leadInfo.LeadName || '',
+      number: lead.number || '',
+      status: lead.status,
+      outcome: lead.outcome,
+      error: lead.error,
+      leadCallSid: lead.leadCallSid,
+      dialedAt: lead.dialedAt,
+      endedAt: lead.endedAt
+    }))
+  };
+}
+
+/**
+ * List all campaigns without per-lead detail
+ * @returns {Object[]} Campaign summaries
+ */
+function listCampaigns() {
+  return Object.keys(campaigns).map(campaignId => {
+    const { leads, ...summary } = getCampaignReport(campaignId);
+    return summary;
+  });
+}
+
+/**
+ * Remove all campaigns and stop their timers
+ */
+function clearCampaigns() {
+  Object.values(campaigns).forEach(clearCampaignTimer);
+  Object.keys(campaigns).forEach(key => delete campaigns[key]);
+}
+
+/**
+ * Register campaign management routes
+ * @param {Object} fastify - Fastify instance
+ */
+function registerCampaignRoutes(fastify) {
+  // Send the result of a campaign action
+  const sendActionResult = (reply, result) => {
+    if (result.success) {
+      return reply.send(result.campaign);
+    }
+    const code = result.error === 'Campaign not found' ? 404 : 409;
+    return reply.code(code).send({ error: result.error });
+  };
+
+  // Upload a lead list (JSON array in `leads` or CSV text in `csv`)
+  fastify.post("/campaigns", async (request, reply) => {
+    const { leads, csv, name, concurrency, pacingMs, prompt, voicemailDrop, autoStart } = request.body || {};
+
+    try {
+      const campaign = createCampaign(leads || csv, {
+        name,
+        concurrency,
+        pacingMs,
+        prompt,
+        voicemailDrop,
+        host: request.headers.host
+      });
+
+      if (autoStart) {
+        return sendActionResult(reply, startCampaign(campaign.id));
+      }
+
+      reply.send(campaign);
+    } catch (error) {
+      console.error("[Campaign] Error creating campaign:", error);
+      reply.code(400).send({ error: "Invalid campaign", details: error.message });
+    }
+  });
+
+  fastify.get("/campaigns", async (request, reply) => {
+    reply.send({ campaigns: listCampaigns() });
+  });
+
+  fastify.get("/campaigns/:campaignId", async (request, reply) => {
+    const report = getCampaignReport(request.params.campaignId);
+    if (!report) {
+      return reply.code(404).send({ error: 'Campaign not found' });
+    }
+    reply.send(report);
+  });
+
+  fastify.post("/campaigns/:campaignId/start", async (request, reply) => {
+    sendActionResult(reply, startCampaign(request.params.campaignId));
+  });
+
+  fastify.post("/campaigns/:campaignId/pause", async (request, reply) => {
+    sendActionResult(reply, pauseCampaign(request.params.campaignId));
+  });
+
+  fastify.post("/campaigns/:campaignId/resume", async (request, reply) => {
+    sendActionResult(reply, resumeCampaign(request.params.campaignId));
+  });
+
+  fastify.post("/campaigns/:campaignId/cancel", async (request, reply) => {
+    sendActionResult(reply, cancelCampaign(request.params.campaignId));
+  });
+}
+
+export {
+  initialize,
+  parseLeads,
+  createCampaign,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  handleCampaignCallEnded,
+  getCampaignReport,
+  listCampaigns,
+  clearCampaigns,
+  registerCampaignRoutes
+};
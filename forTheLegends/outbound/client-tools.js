@@ -0,0 +1,252 @@
+// forTheLegends/outbound/client-tools.js
+// Server-side client tools the ElevenLabs agent calls mid-conversation; each tool runs against
+// Twilio and call state, and what it did is returned to the agent as the tool result
+
+import { getCallData, updateCallData } from './call-state.js';
+import { CALL_STATES, getCallState, transitionCallState } from './call-lifecycle.js';
+import { cancelSalesDial } from './sales-dial-scheduler.js';
+import { requestTransfer, TRANSFER_REQUESTERS, TRANSFER_REQUEST_STATUSES } from './transfer-commands.js';
+import { parseCallbackTime } from './callback-time-parser.js';
+import { scheduleCallback, cancelCallbacksForLead } from './callback-scheduler.js';
+import { markDoNotCall } from './retry-manager.js';
+
+// Tools the agent can call; configure them on the ElevenLabs agent as client tools
+export const CLIENT_TOOLS = {
+  // parameters: { reason }
+  TRANSFER_TO_SPECIALIST: 'transfer_to_specialist',
+  // parameters: { callback_time, notes }
+  SCHEDULE_CALLBACK: 'schedule_callback',
+  // parameters: { reason }
+  END_CALL: 'end_call',
+  // parameters: { reason }
+  MARK_DO_NOT_CALL: 'mark_do_not_call'
+};
+
+// Client tool settings
+const TOOL_CONFIG = {
+  // Time for the agent's goodbye to play before the call is hung up
+  endCallDelayMs: parseInt(process.env.END_CALL_DELAY_MS || '3000', 10)
+};
+
+// Dependencies supplied by the outbound routes
+let twilioClient = null;
+
+// Hang-ups waiting for the goodbye to finish, by call SID
+const pendingHangups = {};
+
+/**
+ * Initialize the client tools
+ * @param {Object} options - Configuration options
+ * @param {Object} [options.twilioClient] - Twilio client
+ * @param {number} [options.endCallDelayMs] - Time for the goodbye to play before hanging up
+ */
+function initialize(options = {}) {
+  const { twilioClient: client, ...settings } = options;
+  twilioClient = client || twilioClient;
+  Object.assign(TOOL_CONFIG, settings);
+}
+
+// What to tell the agent about each transfer request outcome
+const TRANSFER_MESSAGES = {
+  [TRANSFER_REQUEST_STATUSES.TRANSFERRING]: 'A specialist is joining. Tell the lead you are connecting them now.',
+  [TRANSFER_REQUEST_STATUSES.PENDING]: 'A specialist is being connected. Keep the lead engaged until they join.',
+  [TRANSFER_REQUEST_STATUSES.DUPLICATE]: 'The lead is already being connected to a specialist.',
+  [TRANSFER_REQUEST_STATUSES.NOT_READY]: 'Learn a little more about the lead\'s care needs before transferring.'
+};
+
+/**
+ * Hand the lead to a care specialist through the transfer command bus
+ * @param {string} callSid - Lead call SID
+ * @param {Object} parameters - Tool parameters
+ * @returns {Promise<Object>} Tool result
+ */
+async function runTransferToSpecialist(callSid, { reason } = {}) {
+  // The agent asking is itself a sign the lead wants a person
+  const { intentData } = getCallData(callSid);
+  updateCallData(callSid, {
+    intentData: {
+      ...intentData,
+      hasPositiveIntent: true,
+      transferRequested: true,
+      intentType: 'transfer',
+      timestamp: new Date().toISOString()
+    }
+  });
+
+  const { success, status, detail } = await requestTransfer(callSid, {
+    requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL,
+    reason
+  });
+  const message = TRANSFER_MESSAGES[status] ||
+    `No specialist can take the call (${detail}). Offer to schedule a callback instead.`;
+  return { success, status, message };
+}
+
+/**
+ * Record when the lead wants to be called back and schedule the callback
+ * @param {string} callSid - Lead call SID
+ * @param {Object} parameters - Tool parameters
+ * @returns {Promise<Object>} Tool result
+ */
+async function runScheduleCallback(callSid, { callback_time: callbackTime, notes } = {}) {
+  if (!callbackTime) {
+    return { success: false, message: 'Ask the lead when they would like to be called back, then call this tool again with callback_time.' };
+  }
+
+  const callData = getCallData(callSid);
+  // The window in the lead's timezone, or just their words when no time can be read from them
+  const preference = {
+    ...(parseCallbackTime(callbackTime, { callSid }) || { hasTimeReference: false, rawText: callbackTime }),
+    requestedTime: callbackTime,
+    notes: notes || null,
+    source: 'client-tool',
+    requestedAt: new Date().toISOString()
+  };
+
+  updateCallData(callSid, {
+    callbackScheduled: true,
+    needsFollowUp: true,
+    callbackPreferences: [...(callData.callbackPreferences || []), preference]
+  });
+
+  // The lead is not waiting for a specialist any more
+  cancelSalesDial(callSid);
+  const state = getCallState(callSid);
+  if (state === CALL_STATES.AI_CONVERSATION || state === CALL_STATES.TRANSFER_PENDING) {
+    transitionCallState(callSid, CALL_STATES.CALLBACK_SCHEDULED, {
+      reason: `callback requested for ${callbackTime}`,
+      source: 'client-tool'
+    });
+  }
+
+  // Place the callback ourselves when the time could be read; otherwise it is left to the webhook
+  const scheduled = await scheduleCallback(callSid, preference);
+
+  return {
+    success: true,
+    message: `Callback recorded for ${callbackTime}. Confirm the time with the lead.`,
+    callbackTime: preference.start || callbackTime,
+    ambiguous: preference.ambiguous || false,
+    scheduledFor: scheduled.success ? scheduled.job.dialAt : null
+  };
+}
+
+/**
+ * Hang up once the agent's goodbye has played
+ * @param {string} callSid - Lead call SID
+ * @param {Object} parameters - Tool parameters
+ * @returns {Object} Tool result
+ */
+function runEndCall(callSid, { reason } = {}) {
+  if (!twilioClient) {
+    return { success: false, message: 'The call cannot be ended from here; say goodbye and wait for the lead to hang up.' };
+  }
+  if (pendingHangups[callSid]) {
+    return { success: true, message: 'The call is already ending.' };
+  }
+
+  updateCallData(callSid, {
+    endedBy: { party: 'agent', reason: reason || null, at: new Date().toISOString() }
+  });
+
+  pendingHangups[callSid] = setTimeout(async () => {
+    delete pendingHangups[callSid];
+    try {
+      await twilioClient.calls(callSid).update({ status: 'completed' });
+      console.log(`[ClientTools] Agent ended call ${callSid}`);
+    } catch (error) {
+      console.error(`[ClientTools] Error ending call ${callSid}:`, error);
+    }
+  }, TOOL_CONFIG.endCallDelayMs);
+
+  return { success: true, message: 'The call will end after your goodbye.' };
+}
+
+/**
+ * Record that the lead does not want to be contacted again
+ * @param {string} callSid - Lead call SID
+ * @param {Object} parameters - Tool parameters
+ * @returns {Promise<Object>} Tool result
+ */
+async function runMarkDoNotCall(callSid, { reason } = {}) {
+  updateCallData(callSid, {
+    doNotCall: { reason: reason || null, markedAt: new Date().toISOString() },
+    needsFollowUp: false
+  });
+
+  // Nobody should call this lead back, including a specialist
+  cancelSalesDial(callSid);
+  await cancelCallbacksForLead(callSid, 'lead asked not to be called');
+  markDoNotCall(getCallData(callSid).retryLeadId, reason || null);
+  console.log(`[ClientTools] Lead on call ${callSid} asked not to be called again`);
+
+  return { success: true, message: 'The lead will not be called again. Apologize for the interruption and say goodbye.' };
+}
+
+// Tool implementations by name
+const TOOL_RUNNERS = {
+  [CLIENT_TOOLS.TRANSFER_TO_SPECIALIST]: runTransferToSpecialist,
+  [CLIENT_TOOLS.SCHEDULE_CALLBACK]: runScheduleCallback,
+  [CLIENT_TOOLS.END_CALL]: runEndCall,
+  [CLIENT_TOOLS.MARK_DO_NOT_CALL]: runMarkDoNotCall
+};
+
+/**
+ * Run a client tool the agent called and build the result to send back
+ * @param {string} callSid - Lead call SID
+ * @param {Object} toolCall - client_tool_call payload ({ tool_name, tool_call_id, parameters })
+ * @returns {Promise<Object>} client_tool_result message for ElevenLabs
+ */
+async function executeClientTool(callSid, { tool_name: toolName, tool_call_id: toolCallId, parameters = {} } = {}) {
+  const runner = TOOL_RUNNERS[toolName];
+  let result;
+  let isError = false;
+
+  if (!runner) {
+    result = { success: false, message: `Unknown tool ${toolName}` };
+    isError = true;
+  } else {
+    try {
+      result = await runner(callSid, parameters);
+    } catch (error) {
+      console.error(`[ClientTools] ${toolName} failed for call ${callSid}:`, error);
+      result = { success: false, message: error.message };
+      isError = true;
+    }
+  }
+
+  console.log(`[ClientTools] ${toolName} for call ${callSid}: ${result.message}`);
+  updateCallData(callSid, {
+    toolCalls: [...(getCallData(callSid).toolCalls || []), {
+      tool: toolName,
+      toolCallId,
+      parameters,
+      result,
+      isError,
+      at: new Date().toISOString()
+    }]
+  });
+
+  return {
+    type: 'client_tool_result',
+    tool_call_id: toolCallId,
+    result: JSON.stringify(result),
+    is_error: isError
+  };
+}
+
+/**
+ * Cancel pending hang-ups (for tests)
+ */
+function clearClientTools() {
+  Object.keys(pendingHangups).forEach(callSid => {
+    clearTimeout(pendingHangups[callSid]);
+    delete pendingHangups[callSid];
+  });
+}
+
+export {
+  initialize,
+  executeClientTool,
+  clearClientTools
+};
@@ -1,116 +1,373 @@
 /**
  * Conference Events Handler
- * 
- * This module handles conference events from Twilio such as participant joins and leaves.
+ *
+ * This module handles conference events from Twilio such as participant joins, leaves,
+ * mutes and holds. Events are matched to their lead/sales call pair through a conference
+ * index that is filled in when a transfer conference room is created, and each side's
+ * talk time is tracked on the lead call's conference data.
  */
 
-import { getCallData, updateCallData } from './call-state.js';
+import { getCallData, updateCallData, getAllCallSids } from './call-state.js';
+
+// Conference entries ({ conferenceRoom, conferenceSid, leadCallSid, salesCallSid }) by room name
+const conferencesByRoom = {};
+
+// Room names by Twilio ConferenceSid
+const roomsByConferenceSid = {};
+
+/**
+ * Register a transfer conference room for a lead/sales call pair
+ *
+ * @param {string} conferenceRoom - Conference room name (FriendlyName)
+ * @param {Object} calls - The calls bridged in this room
+ * @param {string} calls.leadCallSid - Lead call SID
+ * @param {string} calls.salesCallSid - Sales call SID
+ * @returns {Object} Conference index entry
+ */
+export const registerConference = (conferenceRoom, { leadCallSid, salesCallSid }) => {
+  const previous = conferencesByRoom[conferenceRoom];
+  if (previous?.conferenceSid) {
+    delete roomsByConferenceSid[previous.conferenceSid];
+  }
+
+  conferencesByRoom[conferenceRoom] = { conferenceRoom, conferenceSid: null, leadCallSid, salesCallSid };
+  console.log(`[Conference] Registered ${conferenceRoom} for lead ${leadCallSid} and sales ${salesCallSid}`);
+  return conferencesByRoom[conferenceRoom];
+};
+
+/**
+ * Remove a conference room from the index
+ *
+ * @param {string} conferenceRoom - Conference room name
+ * @returns {boolean} Whether the room was indexed
+ */
+export const unregisterConference = (conferenceRoom) => {
+  const entry = conferencesByRoom[conferenceRoom];
+  if (!entry) return false;
+
+  if (entry.conferenceSid) {
+    delete roomsByConferenceSid[entry.conferenceSid];
+  }
+  delete conferencesByRoom[conferenceRoom];
+  return true;
+};
+
+/**
+ * Find the lead/sales call pair for a conference event
+ *
+ * Events are matched by ConferenceSid first, then by room name (FriendlyName).
+ * The first event carrying both links the ConferenceSid to the room.
+ *
+ * @param {Object} event - The conference event from Twilio
+ * @returns {Object|null} Conference index entry, or null for unknown conferences
+ */
+export const resolveConference = (event = {}) => {
+  const room = roomsByConferenceSid[event.ConferenceSid] || event.FriendlyName;
+  const entry = room ? conferencesByRoom[room] : null;
+  if (!entry) return null;
+
+  if (event.ConferenceSid && !entry.conferenceSid) {
+    entry.conferenceSid = event.ConferenceSid;
+    roomsByConferenceSid[event.ConferenceSid] = entry.conferenceRoom;
+  }
+  return entry;
+};
+
+/**
+ * Rebuild the conference index from call state, e.g. after a restart
+ *
+ * @returns {number} Number of conferences indexed
+ */
+export const rebuildConferenceIndex = () => {
+  let indexed = 0;
+
+  getAllCallSids().forEach(callSid => {
+    const callData = getCallData(callSid);
+    const conference = callData.conference;
+    if (!conference?.room || !callData.salesCallSid || conference.ended) return;
+
+    registerConference(conference.room, { leadCallSid: callSid, salesCallSid: callData.salesCallSid });
+    if (conference.conferenceId) {
+      resolveConference({ ConferenceSid: conference.conferenceId, FriendlyName: conference.room });
+    }
+    indexed++;
+  });
+
+  return indexed;
+};
+
+/**
+ * Clear the conference index (for tests)
+ */
+export const clearConferenceIndex = () => {
+  Object.keys(conferencesByRoom).forEach(room => delete conferencesByRoom[room]);
+  Object.keys(roomsByConferenceSid).forEach(sid => delete roomsByConferenceSid[sid]);
+};
+
+/**
+ * Work out which side of the transfer an event's participant is
+ *
+ * @param {Object} event - The conference event from Twilio
+ * @param {Object} conference - Conference index entry
+ * @returns {string|null} 'lead', 'sales' or null for other participants
+ */
+export const getParticipantRole = (event, conference) => {
+  if (event.CallSid === conference.leadCallSid) return 'lead';
+  if (event.CallSid === conference.salesCallSid) return 'sales';
+  return null;
+};
+
+/**
+ * Merge fields into the lead call's conference data
+ *
+ * @param {string} leadCallSid - Lead call SID
+ * @param {Object} fields - Conference fields to update
+ */
+const updateConferenceData = (leadCallSid, fields) => {
+  updateCallData(leadCallSid, {
+    conference: {
+      ...(getCallData(leadCallSid).conference || {}),
+      ...fields
+    }
+  });
+};
+
+/**
+ * Get the time of a conference event, falling back to now
+ *
+ * @param {Object} event - The conference event from Twilio
+ * @returns {number} Event time in milliseconds
+ */
+const getEventTime = (event) => {
+  const timestamp = Date.parse(event.Timestamp);
+  return Number.isNaN(timestamp) ? Date.now() : timestamp;
+};
+
+/**
+ * Calculate a participant's talk time: time in the conference while neither muted nor held
+ *
+ * @param {Object} participant - Participant record from the conference data
+ * @param {number} [at=Date.now()] - Time to measure up to while the participant is still connected
+ * @returns {number} Talk time in milliseconds
+ */
+export const calculateTalkTime = (participant, at = Date.now()) => {
+  if (!participant) return 0;
+  if (!participant.joinedAt || participant.leftAt) return participant.talkTimeMs || 0;
+
+  const pausedMs = participant.pausedMs + (participant.pausedSince ? at - participant.pausedSince : 0);
+  return participant.talkTimeMs + Math.max(0, at - participant.joinedAt - pausedMs);
+};
+
+/**
+ * Apply a participant event to their record
+ *
+ * @param {Object} participant - Current participant record (empty before the first join)
+ * @param {string} action - 'join', 'leave', 'mute', 'unmute', 'hold' or 'unhold'
+ * @param {number} at - Event time in milliseconds
+ * @returns {Object} Updated participant record
+ */
+const applyParticipantEvent = (participant, action, at) => {
+  if (action === 'join') {
+    // A rejoin starts a new segment on top of the talk time already counted
+    return {
+      ...participant,
+      joinedAt: at,
+      leftAt: null,
+      muted: false,
+      held: false,
+      pausedSince: null,
+      pausedMs: 0,
+      talkTimeMs: participant.talkTimeMs || 0
+    };
+  }
+
+  if (!participant.joinedAt || participant.leftAt) return participant;
+
+  if (action === 'leave') {
+    return { ...participant, talkTimeMs: calculateTalkTime(participant, at), leftAt: at, pausedSince: null };
+  }
+
+  const updated = {
+    ...participant,
+    ...(action === 'mute' || action === 'unmute' ? { muted: action === 'mute' } : { held: action === 'hold' })
+  };
+  const wasPaused = participant.muted || participant.held;
+  const isPaused = updated.muted || updated.held;
+
+  if (!wasPaused && isPaused) {
+    updated.pausedSince = at;
+  } else if (wasPaused && !isPaused) {
+    updated.pausedMs += at - participant.pausedSince;
+    updated.pausedSince = null;
+  }
+  return updated;
+};
+
+/**
+ * Record a participant event on the lead call's conference data
+ *
+ * @param {string} leadCallSid - Lead call SID
+ * @param {string} role - 'lead' or 'sales'
+ * @param {string} callSid - Participant call SID
+ * @param {string} action - Participant action
+ * @param {number} at - Event time in milliseconds
+ * @returns {Object} Updated participant records by role
+ */
+const recordParticipantEvent = (leadCallSid, role, callSid, action, at) => {
+  const participants = getCallData(leadCallSid).conference?.participants || {};
+  const updated = {
+    ...participants,
+    [role]: applyParticipantEvent(participants[role] || { callSid }, action, at)
+  };
+  updateConferenceData(leadCallSid, { participants: updated });
+  return updated;
+};
+
+/**
+ * Get talk time per side of a transfer conference
+ *
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {Object} Talk time in milliseconds ({ lead, sales })
+ */
+export const getTalkTime = (leadCallSid) => {
+  const participants = getCallData(leadCallSid).conference?.participants || {};
+  return {
+    lead: calculateTalkTime(participants.lead),
+    sales: calculateTalkTime(participants.sales)
+  };
+};
+
+// Participant actions by Twilio StatusCallbackEvent
+const PARTICIPANT_ACTIONS = {
+  'participant-join': 'join',
+  'participant-leave': 'leave',
+  'participant-mute': 'mute',
+  'participant-unmute': 'unmute',
+  'participant-hold': 'hold',
+  'participant-unhold': 'unhold'
+};
 
 /**
  * Process a conference event from Twilio
- * 
+ *
  * @param {Object} event - The conference event from Twilio
- * @param {Object} client - The Twilio client instance
  * @returns {Promise<Object>} Processing result
  */
-export const processConferenceEvent = async (event, client) => {
+export const processConferenceEvent = async (event) => {
   try {
     console.log(`[Conference] Processing event: ${event.StatusCallbackEvent} for ${event.ConferenceSid}`);
-    
+
+    const conference = resolveConference(event);
+    if (!conference) {
+      console.log(`[Conference] Ignoring event for unknown conference ${event.ConferenceSid} (${event.FriendlyName})`);
+      return { success: true, matched: false };
+    }
+
+    const { leadCallSid, salesCallSid } = conference;
+
+    const at = getEventTime(event);
+
+    if (event.StatusCallbackEvent === 'conference-start') {
+      updateConferenceData(leadCallSid, { startedAt: new Date(at).toISOString() });
+      return { success: true, started: true, leadCallSid };
+    }
+
+    // The whole conference has ended
+    if (event.StatusCallbackEvent === 'conference-end') {
+      console.log(`[Conference] Conference ${conference.conferenceRoom} ended`);
+
+      // Close out anyone still connected so their talk time is final
+      const participants = getCallData(leadCallSid).conference?.participants || {};
+      const closed = Object.fromEntries(Object.entries(participants)
+        .map(([role, participant]) => [role, applyParticipantEvent(participant, 'leave', at)]));
+      const talkTime = {
+        lead: calculateTalkTime(closed.lead),
+        sales: calculateTalkTime(closed.sales)
+      };
+
+      updateConferenceData(leadCallSid, { participants: closed, ended: true, endedAt: new Date(at).toISOString() });
+      updateCallData(leadCallSid, { talkTime });
+      updateCallData(salesCallSid, { talkTimeMs: talkTime.sales });
+      unregisterConference(conference.conferenceRoom);
+
+      console.log(`[Conference] Talk time for lead ${leadCallSid}: ${talkTime.lead}ms, sales: ${talkTime.sales}ms`);
+      return { success: true, ended: true, leadCallSid, talkTime };
+    }
+
+    const role = getParticipantRole(event, conference);
+    if (!role) {
+      console.log(`[Conference] Ignoring participant ${event.CallSid} that is not part of ${conference.conferenceRoom}`);
+      return { success: true, matched: false };
+    }
+
+    const action = PARTICIPANT_ACTIONS[event.StatusCallbackEvent];
+    const participants = action
+      ? recordParticipantEvent(leadCallSid, role, event.CallSid, action, at)
+      : null;
+
     // Handle participant join events
-    if (event.StatusCallbackEvent === 'participant-join') {
-      const callData = getCallData();
-      
+    if (action === 'join') {
       // Case 1: Lead joins conference
-      if (!event.ParticipantLabel) {
+      if (role === 'lead') {
         console.log(`[Conference] Lead ${event.CallSid} joined conference`);
-        
-        updateCallData(event.CallSid, {
-          conference: {
-            ...(callData[event.CallSid]?.conference || {}),
-            leadJoined: true,
-            conferenceId: event.ConferenceSid
-          }
+
+        updateConferenceData(leadCallSid, {
+          leadJoined: true,
+          conferenceId: event.ConferenceSid
         });
-        
-        return { success: true, leadJoined: true };
+
+        return { success: true, leadJoined: true, leadCallSid };
       }
-      
+
       // Case 2: Sales team joins conference
-      if (event.ParticipantLabel === 'sales-team') {
-        console.log(`[Conference] Sales team joined conference`);
-        
-        // Find the lead call associated with this conference
-        const allCalls = Object.keys(callData);
-        console.log(`[Conference] Available calls: ${allCalls.join(', ')}`);
-        
-        let leadCallSid = null;
-        
-        // First pass: Find calls with matching conferenceId
-        for (const callSid of allCalls) {
-          const call = callData[callSid];
-          const conferenceData = call.conference || {};
-          
-          if (conferenceData.conferenceId === event.ConferenceSid) {
-            console.log(`[Conference] Found lead call ${callSid} with matching conference ID`);
-            leadCallSid = callSid;
-            break;
-          }
-        }
-        
-        // Second pass: If no match by conferenceId, look for calls with leadJoined=true
-        if (!leadCallSid) {
-          for (const callSid of allCalls) {
-            const call = callData[callSid];
-            const conferenceData = call.conference || {};
-            
-            if (conferenceData.leadJoined === true) {
-              console.log(`[Conference] Found lead call ${callSid} with leadJoined=true`);
-              leadCallSid = callSid;
-              break;
-            }
-          }
-        }
-        
-        // Final fallback for tests
-        if (!leadCallSid && allCalls.length > 0) {
-          leadCallSid = allCalls[0];
-          console.log(`[Conference] Fallback: Using first available call ${leadCallSid}`);
-        }
-        
-        console.log(`[Conference] Selected lead call: ${leadCallSid}`);
-        
-        if (leadCallSid) {
-          // Update call with handoff twiml
-          await client.calls.update(leadCallSid, {
-            twiml: '<Response><Play>handoff.mp3</Play></Response>'
-          });
-          
-          // Update the call data
-          updateCallData(leadCallSid, {
-            isHandoffTriggered: true,
-            conference: {
-              ...(callData[leadCallSid]?.conference || {}),
-              salesJoined: true
-            }
-          });
-          
-          // Log to verify update
-          console.log(`[Conference] Updated call data:`, getCallData(leadCallSid));
-          
-          return { 
-            success: true, 
-            handoffTriggered: true, 
-            salesJoined: true,
-            leadCallSid 
-          };
-        }
-      }
+      console.log(`[Conference] Sales team joined conference for lead ${leadCallSid}`);
+
+      // Update the call data
+      updateCallData(leadCallSid, { isHandoffTriggered: true });
+      updateConferenceData(leadCallSid, {
+        salesJoined: true,
+        conferenceId: event.ConferenceSid
+      });
+
+      // The lead's TwiML is left alone: replacing it would pull them out of the conference
+
+      return {
+        success: true,
+        handoffTriggered: true,
+        salesJoined: true,
+        leadCallSid
+      };
     }
-    
-    return { success: true };
+
+    // Handle participant leave events
+    if (action === 'leave') {
+      console.log(`[Conference] ${role === 'lead' ? 'Lead' : 'Sales team'} ${event.CallSid} left conference`);
+      updateConferenceData(leadCallSid, role === 'lead' ? { leadLeft: true } : { salesLeft: true });
+
+      // The specialist hung up on a bridged lead who is still waiting in the room
+      const lead = participants.lead;
+      const specialistDropped = role === 'sales' && Boolean(lead?.joinedAt) && !lead.leftAt;
+
+      return {
+        success: true,
+        [role === 'lead' ? 'leadLeft' : 'salesLeft']: true,
+        specialistDropped,
+        talkTimeMs: participants[role].talkTimeMs,
+        leadCallSid,
+        salesCallSid
+      };
+    }
+
+    // Handle mute and hold events
+    if (action) {
+      const { muted, held } = participants[role];
+      console.log(`[Conference] ${role === 'lead' ? 'Lead' : 'Sales team'} ${event.CallSid} ${action} (muted: ${muted}, held: ${held})`);
+      return { success: true, [role]: { muted, held }, leadCallSid };
+    }
+
+    return { success: true, leadCallSid };
   } catch (error) {
     console.error('[Conference] Error processing event:', error);
     return { success: false, error: error.message };
   }
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,336 @@
+// forTheLegends/outbound/elevenlabs-message-handlers.js
+// Registry of handlers for messages from the ElevenLabs conversation socket; modules subscribe
+// to the event types they care about and run in a defined order for every message
+
+import WebSocket from 'ws';
+import { getCallData, updateCallData } from './call-state.js';
+import { processTranscript } from './intent-detector.js';
+import { POSITIVE_INTENTS } from './intent-constants.js';
+import { handleLeadEngagement, ENGAGEMENT_TRIGGERS } from './sales-dial-scheduler.js';
+import { analyzeAgentAudio, analyzeAgentInterruption, analyzeTranscript, SPEAKERS } from './stream-analyzers.js';
+import { executeClientTool } from './client-tools.js';
+
+// ElevenLabs message types
+export const ELEVENLABS_EVENTS = {
+  AUDIO: 'audio',
+  SPEECH: 'speech',
+  INTERRUPT: 'interrupt',
+  TRANSCRIPT: 'transcript',
+  CONVERSATION_INITIATION_METADATA: 'conversation_initiation_metadata',
+  AGENT_RESPONSE: 'agent_response',
+  AGENT_RESPONSE_CORRECTION: 'agent_response_correction',
+  USER_TRANSCRIPT: 'user_transcript',
+  INTERRUPTION: 'interruption',
+  PING: 'ping',
+  CLIENT_TOOL_CALL: 'client_tool_call',
+  VAD_SCORE: 'vad_score',
+  INTERNAL_TENTATIVE_AGENT_RESPONSE: 'internal_tentative_agent_response'
+};
+
+// Message types that need no handling
+const IGNORED_EVENTS = [ELEVENLABS_EVENTS.VAD_SCORE, ELEVENLABS_EVENTS.INTERNAL_TENTATIVE_AGENT_RESPONSE];
+
+// Subscribe to every message type
+export const ALL_EVENTS = '*';
+
+// Where the built-in handlers run; lower runs first
+export const HANDLER_ORDER = {
+  PROTOCOL: 5,
+  FORWARD: 10,
+  TRANSCRIPTS: 20,
+  ANALYSIS: 30,
+  INTENT: 40,
+  TOOLS: 45,
+  WEBHOOK: 50
+};
+
+// Registered handlers, kept sorted by order then registration
+const handlers = [];
+let registrations = 0;
+
+/**
+ * Subscribe a handler to ElevenLabs messages, replacing one with the same name
+ * @param {Object} handler - Message handler
+ * @param {string} handler.name - Handler name
+ * @param {string|string[]} handler.events - Message types (see ELEVENLABS_EVENTS), or ALL_EVENTS
+ * @param {number} [handler.order=100] - Run position; lower runs first
+ * @param {Function} handler.handle - Called with (message, context) (see dispatchElevenLabsMessage); may return a promise
+ * @returns {Function} Removes the handler
+ */
+function registerMessageHandler({ name, events, order = 100, handle }) {
+  if (!name || !events || typeof handle !== 'function') {
+    throw new Error('Message handlers need a name, events and a handle function');
+  }
+
+  unregisterMessageHandler(name);
+  const handler = { name, events: [].concat(events), order, handle, sequence: registrations++ };
+  handlers.push(handler);
+  handlers.sort((a, b) => a.order - b.order || a.sequence - b.sequence);
+
+  return () => {
+    if (handlers.includes(handler)) unregisterMessageHandler(name);
+  };
+}
+
+/**
+ * Remove a handler
+ * @param {string} name - Handler name
+ * @returns {boolean} Whether it was registered
+ */
+function unregisterMessageHandler(name) {
+  const index = handlers.findIndex(handler => handler.name === name);
+  if (index === -1) return false;
+  handlers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get the names of the handlers for a message type, in the order they run
+ * @param {string} type - Message type
+ * @returns {string[]} Handler names
+ */
+function getMessageHandlers(type) {
+  return handlers
+    .filter(handler => handler.events.includes(type) || handler.events.includes(ALL_EVENTS))
+    .map(handler => handler.name);
+}
+
+/**
+ * Run a message through its handlers in order
+ *
+ * Synchronous handlers all run before this returns its promise, and an async handler
+ * finishes before the next one starts. A failing handler is logged and skipped.
+ *
+ * @param {Object} message - Parsed ElevenLabs message
+ * @param {Object} context - Where the message came from
+ * @param {Object} context.ws - Twilio media stream socket
+ * @param {string} context.callSid - Lead call SID
+ * @param {string} context.data - Raw message
+ * @param {Object} [context.elevenLabsWs] - ElevenLabs socket, for replies
+ * @param {string} [context.streamSid] - Twilio stream SID, for frames sent to Twilio
+ * @returns {Promise<string[]>} Names of the handlers that ran
+ */
+async function dispatchElevenLabsMessage(message, context) {
+  const matching = handlers.filter(handler =>
+    handler.events.includes(message.type) || handler.events.includes(ALL_EVENTS));
+
+  if (!matching.some(handler => handler.events.includes(message.type)) && !IGNORED_EVENTS.includes(message.type)) {
+    console.log(`[ElevenLabs] No handler for ${message.type} message`);
+  }
+
+  const ran = [];
+  for (const handler of matching) {
+    try {
+      const result = handler.handle(message, context);
+      if (result && typeof result.then === 'function') {
+        await result;
+      }
+      ran.push(handler.name);
+    } catch (error) {
+      console.error(`[ElevenLabs] ${handler.name} handler failed on ${message.type}:`, error);
+    }
+  }
+  return ran;
+}
+
+/**
+ * Get who spoke and what they said from a transcript message
+ * @param {Object} message - ElevenLabs message
+ * @returns {Object|null} { speaker, text }, or null when the message carries no transcript
+ */
+function getSpokenText(message) {
+  switch (message.type) {
+    case ELEVENLABS_EVENTS.AGENT_RESPONSE:
+      return { speaker: SPEAKERS.AGENT, text: message.agent_response_event?.agent_response };
+    case ELEVENLABS_EVENTS.USER_TRANSCRIPT:
+      return { speaker: SPEAKERS.LEAD, text: message.user_transcription_event?.user_transcript };
+    case ELEVENLABS_EVENTS.SPEECH:
+      return { speaker: SPEAKERS.AGENT, text: message.text };
+    case ELEVENLABS_EVENTS.TRANSCRIPT:
+      // Older lead transcripts arrive as "User said: <actual message>"
+      return { speaker: SPEAKERS.LEAD, text: message.text?.replace('User said: ', '') };
+    default:
+      return null;
+  }
+}
+
+// Message types carrying what the agent or the lead said
+const TRANSCRIPT_EVENTS = [
+  ELEVENLABS_EVENTS.AGENT_RESPONSE,
+  ELEVENLABS_EVENTS.USER_TRANSCRIPT,
+  ELEVENLABS_EVENTS.SPEECH,
+  ELEVENLABS_EVENTS.TRANSCRIPT
+];
+
+// Message types carrying what the lead said
+const LEAD_TRANSCRIPT_EVENTS = [ELEVENLABS_EVENTS.USER_TRANSCRIPT, ELEVENLABS_EVENTS.TRANSCRIPT];
+
+// Keeps the ElevenLabs connection alive by answering its pings
+const pingHandler = {
+  name: 'ping',
+  events: ELEVENLABS_EVENTS.PING,
+  order: HANDLER_ORDER.PROTOCOL,
+  handle(message, { elevenLabsWs, callSid }) {
+    const eventId = message.ping_event?.event_id;
+    if (eventId === undefined || elevenLabsWs?.readyState !== WebSocket.OPEN) {
+      console.log(`[ElevenLabs] Cannot answer ping for call ${callSid}`);
+      return;
+    }
+    elevenLabsWs.send(JSON.stringify({ type: 'pong', event_id: eventId }));
+  }
+};
+
+// Plays agent audio to the lead and cuts it off when the lead interrupts
+const forwardHandler = {
+  name: 'twilio-forward',
+  events: [ELEVENLABS_EVENTS.AUDIO, ELEVENLABS_EVENTS.INTERRUPTION, ELEVENLABS_EVENTS.INTERRUPT],
+  order: HANDLER_ORDER.FORWARD,
+  handle(message, { ws, streamSid, callSid }) {
+    if (!streamSid) {
+      console.log(`[ElevenLabs] No stream SID yet for call ${callSid}, dropping ${message.type}`);
+      return;
+    }
+
+    if (message.type === ELEVENLABS_EVENTS.AUDIO) {
+      const payload = message.audio_event?.audio_base_64 || message.audio?.chunk;
+      if (payload) {
+        ws.send(JSON.stringify({ event: 'media', streamSid, media: { payload } }));
+      }
+      return;
+    }
+
+    // Drop whatever agent audio Twilio still has queued
+    console.log(`[ElevenLabs] Lead interrupted the agent on call ${callSid}`);
+    ws.send(JSON.stringify({ event: 'clear', streamSid }));
+  }
+};
+
+// Keeps what the agent and the lead said in call state
+const transcriptHandler = {
+  name: 'transcripts',
+  events: [...TRANSCRIPT_EVENTS, ELEVENLABS_EVENTS.AGENT_RESPONSE_CORRECTION],
+  order: HANDLER_ORDER.TRANSCRIPTS,
+  handle(message, { callSid }) {
+    const callData = getCallData(callSid);
+
+    // The agent was cut off, so keep what the lead actually heard
+    if (message.type === ELEVENLABS_EVENTS.AGENT_RESPONSE_CORRECTION) {
+      const { original_agent_response: original, corrected_agent_response: corrected } =
+        message.agent_response_correction_event || {};
+      const transcripts = [...(callData.transcripts || [])];
+      const index = transcripts.lastIndexOf(original);
+      if (index !== -1 && corrected !== undefined) {
+        transcripts[index] = corrected;
+        updateCallData(callSid, { transcripts });
+      }
+      return;
+    }
+
+    const { speaker, text } = getSpokenText(message);
+    if (!text) return;
+
+    if (speaker === SPEAKERS.AGENT) {
+      console.log(`[ElevenLabs] AI said: ${text}`);
+      updateCallData(callSid, { transcripts: [...(callData.transcripts || []), text] });
+    } else {
+      console.log(`[ElevenLabs] User said: ${text}`);
+      updateCallData(callSid, { userTranscripts: [...(callData.userTranscripts || []), text] });
+    }
+  }
+};
+
+// Feeds agent audio and transcripts to the stream analyzers (call quality, interruptions)
+const analysisHandler = {
+  name: 'stream-analysis',
+  events: [...TRANSCRIPT_EVENTS, ELEVENLABS_EVENTS.AUDIO, ELEVENLABS_EVENTS.INTERRUPTION, ELEVENLABS_EVENTS.INTERRUPT],
+  order: HANDLER_ORDER.ANALYSIS,
+  handle(message, { callSid }) {
+    if (message.type === ELEVENLABS_EVENTS.AUDIO) {
+      const payload = message.audio_event?.audio_base_64 || message.audio?.chunk;
+      if (payload) {
+        analyzeAgentAudio(callSid, payload);
+      }
+      return;
+    }
+    if (message.type === ELEVENLABS_EVENTS.INTERRUPTION || message.type === ELEVENLABS_EVENTS.INTERRUPT) {
+      analyzeAgentInterruption(callSid);
+      return;
+    }
+
+    const { speaker, text } = getSpokenText(message);
+    analyzeTranscript(callSid, speaker, text);
+  }
+};
+
+// Detects the lead's intent for analytics, starting a deferred sales leg when they are interested;
+// transfers are requested by the agent through the transfer_to_specialist client tool
+const intentHandler = {
+  name: 'intent-detection',
+  events: LEAD_TRANSCRIPT_EVENTS,
+  order: HANDLER_ORDER.INTENT,
+  handle(message, { callSid }) {
+    const userMessage = getSpokenText(message).text;
+    if (!userMessage) return;
+
+    // Positive interest can start a deferred sales leg
+    const { primaryIntent } = processTranscript(callSid, userMessage, 'lead');
+    if (POSITIVE_INTENTS.includes(primaryIntent)) {
+      handleLeadEngagement(callSid, ENGAGEMENT_TRIGGERS.INTENT);
+    }
+  }
+};
+
+// Runs the client tools the agent calls and answers with their results
+const clientToolHandler = {
+  name: 'client-tools',
+  events: ELEVENLABS_EVENTS.CLIENT_TOOL_CALL,
+  order: HANDLER_ORDER.TOOLS,
+  async handle(message, { elevenLabsWs, callSid }) {
+    const toolCall = message.client_tool_call;
+    if (!toolCall?.tool_name) return;
+
+    const result = await executeClientTool(callSid, toolCall);
+    if (elevenLabsWs?.readyState !== WebSocket.OPEN) {
+      console.log(`[ElevenLabs] Cannot return ${toolCall.tool_name} result for call ${callSid}`);
+      return;
+    }
+    elevenLabsWs.send(JSON.stringify(result));
+  }
+};
+
+// Records the conversation ID the end-of-call webhook is built from
+const webhookHandler = {
+  name: 'webhook',
+  events: ALL_EVENTS,
+  order: HANDLER_ORDER.WEBHOOK,
+  handle(message, { callSid }) {
+    const conversationId = message.conversation_id ||
+      message.conversation_initiation_metadata_event?.conversation_id;
+
+    if (conversationId && !getCallData(callSid).conversationId) {
+      console.log(`[ElevenLabs] Setting conversation ID for call ${callSid}: ${conversationId}`);
+      updateCallData(callSid, { conversationId });
+    }
+  }
+};
+
+// Handlers every ElevenLabs socket starts with
+const DEFAULT_HANDLERS = [pingHandler, forwardHandler, transcriptHandler, analysisHandler, intentHandler,
+  clientToolHandler, webhookHandler];
+DEFAULT_HANDLERS.forEach(registerMessageHandler);
+
+/**
+ * Restore the default handlers (for tests)
+ */
+function clearMessageHandlers() {
+  handlers.splice(0, handlers.length);
+  DEFAULT_HANDLERS.forEach(registerMessageHandler);
+}
+
+export {
+  registerMessageHandler,
+  unregisterMessageHandler,
+  getMessageHandlers,
+  dispatchElevenLabsMessage,
+  clearMessageHandlers
+};
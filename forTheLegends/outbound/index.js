@@ -48,6 +48,7 @@ import {
   initialize as initRetryManager,
   trackCall,
   updateCallStatus,
+  getRetryPlan,
   scheduleRetryCall,
   getRetryInfo,
   clearRetryState
@@ -107,6 +108,7 @@ export {
   initRetryManager,
   trackCall,
   updateCallStatus,
+  getRetryPlan,
   scheduleRetryCall,
   getRetryInfo,
   clearRetryState,
@@ -1,6 +1,8 @@
 // interruption-handler.js
 // Handles detection and response to call interruptions and rescheduling requests
 
+import { parseCallbackTime, describeCallbackTime } from './callback-time-parser.js';
+
 // Phrases that indicate a user may need to reschedule
 const RESCHEDULE_PHRASES = [
   'call back',
@@ -112,7 +114,7 @@ function processTranscript(callSid, transcript) {
     state.rescheduleCount++;
     
     // Extract time information if available
-    timeInfo = extractTimeInfo(normalizedTranscript);
+    timeInfo = parseCallbackTime(transcript, { callSid });
     if (timeInfo) {
       state.preferredCallbackTime = timeInfo;
     }
@@ -168,64 +170,6 @@ function processTranscript(callSid, transcript) {
   };
 }
 
-/**
- * Extract time-related information from transcript for rescheduling
- * @param {string} transcript - The call transcript
- * @returns {Object|null} Extracted time information or null
- */
-function extractTimeInfo(transcript) {
-  // This is a simplified approach - in a real system, you'd use NLP
-  // to better extract time entities and information
-  
-  // Look for specific time formats (e.g., "3pm", "10:30")
-  const specificTimeRegex = /(\d{1,2})(:\d{2})?\s*(am|pm)/i;
-  const specificTimeMatch = transcript.match(specificTimeRegex);
-  
-  if (specificTimeMatch) {
-    return {
-      type: 'specific_time',
-      value: specificTimeMatch[0],
-      hour: parseInt(specificTimeMatch[1]),
-      minute: specificTimeMatch[2] ? parseInt(specificTimeMatch[2].substring(1)) : 0,
-      period: specificTimeMatch[3].toLowerCase()
-    };
-  }
-  
-  // Look for relative time (e.g., "tomorrow", "next week")
-  const relativeTimeMap = {
-    'tomorrow': { type: 'day', offset: 1 },
-    'tonight': { type: 'period', value: 'evening', day: 0 },
-    'this afternoon': { type: 'period', value: 'afternoon', day: 0 },
-    'this evening': { type: 'period', value: 'evening', day: 0 },
-    'morning': { type: 'period', value: 'morning', day: 0 },
-    'afternoon': { type: 'period', value: 'afternoon', day: 0 },
-    'evening': { type: 'period', value: 'evening', day: 0 },
-    'next week': { type: 'week', offset: 1 },
-    'next monday': { type: 'weekday', value: 1 },
-    'next tuesday': { type: 'weekday', value: 2 },
-    'next wednesday': { type: 'weekday', value: 3 },
-    'next thursday': { type: 'weekday', value: 4 },
-    'next friday': { type: 'weekday', value: 5 },
-    'monday': { type: 'weekday', value: 1 },
-    'tuesday': { type: 'weekday', value: 2 },
-    'wednesday': { type: 'weekday', value: 3 },
-    'thursday': { type: 'weekday', value: 4 },
-    'friday': { type: 'weekday', value: 5 }
-  };
-  
-  for (const [phrase, timeInfo] of Object.entries(relativeTimeMap)) {
-    if (transcript.toLowerCase().includes(phrase)) {
-      return {
-        type: timeInfo.type,
-        value: phrase,
-        ...timeInfo
-      };
-    }
-  }
-  
-  return null;
-}
-
 /**
  * Get instructions for the AI agent based on detected interruptions
  * @param {string} callSid - The Twilio call SID
@@ -243,19 +187,8 @@ function getInterruptionInstructions(callSid, detectionResult) {
   if (detectionResult.rescheduleDetected && !state.rescheduleInstructionsSent) {
     state.rescheduleInstructionsSent = true;
     
-    let timeContext = '';
-    if (state.preferredCallbackTime) {
-      if (state.preferredCallbackTime.type === 'specific_time') {
-        timeContext = ` for ${state.preferredCallbackTime.value}`;
-      } else if (state.preferredCallbackTime.type === 'period') {
-        timeContext = ` ${state.preferredCallbackTime.value === 'evening' ? 'this evening' : 
-                         state.preferredCallbackTime.value === 'afternoon' ? 'this afternoon' : 
-                         'tomorrow morning'}`;
-      } else if (state.preferredCallbackTime.type === 'weekday') {
-        const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-        timeContext = ` on ${days[state.preferredCallbackTime.value]}`;
-      }
-    }
+    const description = describeCallbackTime(state.preferredCallbackTime);
+    const timeContext = description ? ` for ${description}` : '';
     
     const instructions = `I understand this isn't a good time to talk. I'd be happy to reschedule${timeContext}. Would that work for you?`;
     
@@ -336,7 +269,6 @@ function clearInterruptionData(callSid) {
 export {
   initializeInterruptionDetection,
   processTranscript,
-  extractTimeInfo,
   getInterruptionInstructions,
   getInterruptionData,
   clearInterruptionData
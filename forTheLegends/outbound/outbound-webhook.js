@@ -7,6 +7,24 @@ import {
   sendEnhancedWebhook
 } from './webhook-enhancer.js';
 import * as webhookConfig from './webhook-config.js';
+import { getCallData } from './call-state.js';
+import { parseCallbackTime } from './callback-time-parser.js';
+
+/**
+ * Look up the status of a call
+ * Reads from the shared call state unless an explicit status map is provided
+ * 
+ * @param {string} callSid - Twilio call SID
+ * @param {Object} [callStatuses] - Optional object containing call status information
+ * @returns {Object|undefined} - Call status information
+ */
+function getCallStatus(callSid, callStatuses) {
+  if (callStatuses) {
+    return callStatuses[callSid];
+  }
+  const callData = getCallData(callSid);
+  return Object.keys(callData).length > 0 ? callData : undefined;
+}
 
 /**
  * Send ElevenLabs conversation data to webhook
@@ -14,11 +32,11 @@ import * as webhookConfig from './webhook-config.js';
  * 
  * @param {string} callSid - Twilio call SID
  * @param {string} conversationId - ElevenLabs conversation ID
- * @param {Object} callStatuses - Object containing call status information
+ * @param {Object} [callStatuses] - Optional object containing call status information (defaults to shared call state)
  * @param {Object} options - Additional options
  * @returns {Promise<Object>} - Webhook response
  */
-async function sendElevenLabsConversationData(callSid, conversationId, callStatuses, options = {}) {
+async function sendElevenLabsConversationData(callSid, conversationId, callStatuses = null, options = {}) {
   // Get current webhook configuration
   const config = webhookConfig.getWebhookConfig();
   
@@ -31,13 +49,15 @@ async function sendElevenLabsConversationData(callSid, conversationId, callStatu
     console.log(`[Webhook] Preparing to send data for call ${callSid} with conversation ${conversationId}`);
     
     // Check if webhook should be sent
+    const callStatus = getCallStatus(callSid, callStatuses);
+    
     if (!shouldSendWebhook(callSid, callStatuses)) {
       console.log(`[Webhook] No need to send data for call ${callSid} - criteria not met`);
       return { success: false, reason: 'criteria_not_met' };
     }
     
     // Get appropriate webhook URL based on call context
-    const webhookUrl = webhookConfig.getWebhookUrlForContext(callStatuses[callSid] || {});
+    const webhookUrl = webhookConfig.getWebhookUrlForContext(callStatus || {});
     
     if (!webhookUrl) {
       console.log(`[Webhook] No valid webhook URL for call ${callSid}`);
@@ -51,7 +71,7 @@ async function sendElevenLabsConversationData(callSid, conversationId, callStatu
     const webhookPayload = prepareWebhookPayload(
       callSid, 
       conversationId, 
-      callStatuses[callSid], 
+      callStatus, 
       transcriptData, 
       summaryData,
       options
@@ -75,16 +95,16 @@ async function sendElevenLabsConversationData(callSid, conversationId, callStatu
  * Determine if webhook should be sent based on call status
  * 
  * @param {string} callSid - Twilio call SID
- * @param {Object} callStatuses - Object containing call status information
+ * @param {Object} [callStatuses] - Optional object containing call status information (defaults to shared call state)
  * @returns {boolean} - Whether webhook should be sent
  */
-function shouldSendWebhook(callSid, callStatuses) {
-  if (!callSid || !callStatuses || !callStatuses[callSid]) {
+function shouldSendWebhook(callSid, callStatuses = null) {
+  const callStatus = callSid ? getCallStatus(callSid, callStatuses) : undefined;
+  
+  if (!callStatus) {
     return false;
   }
   
-  const callStatus = callStatuses[callSid];
-  
   // Only send webhook if:
   // 1. This was a call where sales team was unavailable, OR
   // 2. This was a voicemail, OR
@@ -157,6 +177,29 @@ async function fetchElevenLabsData(conversationId) {
   return { transcriptData, summaryData };
 }
 
+/**
+ * Give every callback preference a time window in the lead's timezone
+ * Preferences recorded as words only are parsed as of when they were recorded
+ * 
+ * @param {string} callSid - Twilio call SID
+ * @param {Object[]|Object} callbackPreferences - Callback preferences from call state
+ * @returns {Object[]|Object} - Callback preferences with start, end, confidence and ambiguity where a time was given
+ */
+function resolveCallbackPreferences(callSid, callbackPreferences) {
+  if (!Array.isArray(callbackPreferences)) return callbackPreferences;
+
+  return callbackPreferences.map(preference => {
+    const text = preference?.rawText || preference?.requestedTime;
+    if (!text || preference.start) return preference;
+
+    const parsed = parseCallbackTime(text, {
+      callSid,
+      now: preference.requestedAt || preference.timestamp
+    });
+    return parsed ? { ...preference, ...parsed } : preference;
+  });
+}
+
 /**
  * Prepare webhook payload
  * 
@@ -182,7 +225,17 @@ function prepareWebhookPayload(callSid, conversationId, callStatus, transcriptDa
       transferInitiated: callStatus?.transferInitiated || false,
       transferComplete: callStatus?.transferComplete || false,
       callbackScheduled: callStatus?.callbackScheduled || false,
-      answeredBy: callStatus?.answeredBy || 'unknown'
+      scheduledCallback: callStatus?.scheduledCallback || null,
+      requestedCallback: callStatus?.requestedCallback || null,
+      retryLeadId: callStatus?.retryLeadId || null,
+      callerId: callStatus?.callerId || null,
+      retryOf: callStatus?.retryOf || null,
+      retryDecision: callStatus?.retryDecision || null,
+      doNotCall: callStatus?.doNotCall || null,
+      endedBy: callStatus?.endedBy || null,
+      answeredBy: callStatus?.answeredBy || 'unknown',
+      lifecycleState: callStatus?.lifecycleState || null,
+      stateHistory: callStatus?.stateHistory || []
     }
   };
   
@@ -213,7 +266,22 @@ function prepareWebhookPayload(callSid, conversationId, callStatus, transcriptDa
   
   // Add callback preferences if they exist
   if (callStatus?.callbackPreferences) {
-    payload.callbackPreferences = callStatus.callbackPreferences;
+    payload.callbackPreferences = resolveCallbackPreferences(callSid, callStatus.callbackPreferences);
+  }
+  
+  // Add what the live stream analyzers found
+  if (callStatus?.streamAnalysis) {
+    payload.streamAnalysis = callStatus.streamAnalysis;
+  }
+  
+  // Add the client tools the agent called
+  if (callStatus?.toolCalls) {
+    payload.toolCalls = callStatus.toolCalls;
+  }
+  
+  // Add who asked for a transfer and what became of it
+  if (callStatus?.transferRequests) {
+    payload.transferRequests = callStatus.transferRequests;
   }
   
   // Use webhook enhancer if lead ID is available
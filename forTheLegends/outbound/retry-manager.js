@@ -1,49 +1,186 @@
 // forTheLegends/outbound/retry-manager.js
 // Module for managing retry logic for calls that go to voicemail, etc.
+// Each call outcome has its own retry policy; retry counts are persisted so a restart doesn't reset them
+//
+// Policies: busy after 10 minutes, no-answer after 2 hours, voicemail the next day at another time
+// of day, failed once. Each has its own attempt limit and jitter, and RETRY_POLICIES overrides them.
+// Retries stay inside calling hours, within a lead-level limit (RETRY_MAX_RETRIES) and a daily cap
+// in the lead's timezone (RETRY_MAX_ATTEMPTS_PER_DAY). no-answer and voicemail retries move into the
+// morning, afternoon or evening window the lead has been tried in least (RETRY_CALL_WINDOWS).
+//
+// Every lead call is tracked under its lead (leadinfo.LeadId, else the first call SID), with counts
+// kept in the CALL_STATE_STORE backend. /amd-callback and /lead-status outcomes decide the retry.
+// It is dialed through the /outbound-call-to-sales flow, with retryOf linking it to the earlier call.
+// GET /leads/:leadId/retries shows the history, and retryDecision is in the webhook payload
 
 import twilio from 'twilio';
 import axios from 'axios';
+import { createMemoryStore } from './call-state-store.js';
+import { resolveLeadTimezone, getLocalParts, toMoment, addDays } from './callback-time-parser.js';
+import { getNextCallingTime } from './callback-scheduler.js';
+import { selectCallerId, getAreaCode } from './caller-id-pool.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Retry policies by call outcome
+//   maxAttempts - retries allowed for this outcome
+//   delayMs     - wait before the retry
+//   nextDay     - retry the next day instead, shifted by shiftHours to a different time of day
+//   jitterMs    - random spread added to or taken from the retry time
+//   spreadWindows - move the retry into the call window the lead has been tried in least
+const RETRY_POLICIES = {
+  // Someone is on the phone; try again soon
+  busy: { maxAttempts: 3, delayMs: 10 * MINUTE_MS, jitterMs: 2 * MINUTE_MS },
+  'no-answer': { maxAttempts: 2, delayMs: 2 * HOUR_MS, jitterMs: 15 * MINUTE_MS, spreadWindows: true },
+  // The lead is not picking up at this time of day
+  voicemail: { maxAttempts: 2, nextDay: true, shiftHours: 4, jitterMs: 30 * MINUTE_MS, spreadWindows: true },
+  failed: { maxAttempts: 1, delayMs: 5 * MINUTE_MS, jitterMs: MINUTE_MS },
+  canceled: { maxAttempts: 1, delayMs: 30 * MINUTE_MS, jitterMs: 5 * MINUTE_MS }
+};
 
 // Configuration for retry logic
 const RETRY_CONFIG = {
-  // Maximum number of retries
-  maxRetries: 2,
-  // Delay between retries in milliseconds (1 minute)
+  // Maximum number of retries per lead, across all outcomes
+  maxRetries: 4,
+  // Maximum number of calls to a lead on one day in the lead's timezone, first call included
+  maxAttemptsPerDay: 3,
+  // Delay for policies that do not set one (1 minute)
   retryDelayMs: 60000,
   // Reasons to retry a call
-  retryReasons: ['voicemail', 'no-answer', 'busy', 'failed', 'canceled']
+  retryReasons: ['voicemail', 'no-answer', 'busy', 'failed', 'canceled'],
+  policies: RETRY_POLICIES,
+  // Times of day retries are spread across, in minutes after midnight in the lead's timezone
+  callWindows: {
+    morning: [9 * 60, 12 * 60],
+    afternoon: [12 * 60, 17 * 60],
+    evening: [17 * 60, 20 * 60]
+  },
+  // How long a lead's retry state is kept after its last change
+  stateTtlMs: 30 * DAY_MS
 };
 
 // Store retry state by lead ID
 const retryState = {};
 
-// Twilio client
+// Where retry state is persisted; swap for a SQLite or Redis store to keep counts across restarts
+let store = createMemoryStore();
+
+// Timers for direct retries, by lead ID
+const retryTimers = {};
+
+// Source of randomness for jitter
+let random = Math.random;
+
+// Places a retry through the lead call flow: (retry) => Promise<{ leadCallSid }>, provided by outbound-calls.js
+let dialRetry = null;
+
+// Twilio client, used for direct retries when no dialer is provided
 let twilioClient = null;
 
 // Webhook URL for Make.com
 let makeWebhookUrl = '';
 
+/**
+ * Read retry settings from environment variables
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Retry settings
+ */
+function loadRetryConfigFromEnv(env = process.env) {
+  const settings = {};
+  if (env.RETRY_MAX_RETRIES) settings.maxRetries = Number(env.RETRY_MAX_RETRIES);
+  if (env.RETRY_MAX_ATTEMPTS_PER_DAY) settings.maxAttemptsPerDay = Number(env.RETRY_MAX_ATTEMPTS_PER_DAY);
+  if (env.RETRY_POLICIES) {
+    try {
+      settings.policies = JSON.parse(env.RETRY_POLICIES);
+    } catch (error) {
+      console.error('Ignoring invalid RETRY_POLICIES:', error.message);
+    }
+  }
+  if (env.RETRY_CALL_WINDOWS) {
+    try {
+      settings.callWindows = JSON.parse(env.RETRY_CALL_WINDOWS);
+    } catch (error) {
+      console.error('Ignoring invalid RETRY_CALL_WINDOWS:', error.message);
+    }
+  }
+  return settings;
+}
+
 /**
  * Initialize the retry manager
- * @param {Object} config - Configuration options
+ * @param {Object} config - Configuration options (default settings: from environment)
+ * @param {Object} [config.policies] - Retry policies by outcome, merged over the defaults
+ * @param {Function} [config.dialRetry] - Places a retry call; when set, retries are dialed in-process
+ * @param {Object} [config.twilioClient] - Twilio client for direct retries without a dialer
+ * @param {string} [config.makeWebhookUrl] - Make.com webhook that schedules retries without a dialer
+ * @param {Function} [config.random] - Source of randomness for jitter
+ * @returns {Object} Current settings
  */
 function initialize(config = {}) {
   console.log('Initializing retry manager');
-  
+
+  const { dialRetry: dial, twilioClient: client, makeWebhookUrl: webhookUrl, random: randomFn, ...options } = config;
+  const settings = { ...loadRetryConfigFromEnv(), ...options };
+
+  // Policies are merged per outcome so one can be tuned without repeating the rest
+  if (settings.policies) {
+    for (const [outcome, policy] of Object.entries(settings.policies)) {
+      RETRY_POLICIES[outcome] = { ...RETRY_POLICIES[outcome], ...policy };
+    }
+    delete settings.policies;
+  }
+
   // Update config with any provided options
-  Object.assign(RETRY_CONFIG, config);
-  
+  Object.assign(RETRY_CONFIG, settings);
+  random = randomFn || random;
+  dialRetry = dial || dialRetry;
+
   // Initialize Twilio client if credentials are available
-  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+  if (client) {
+    twilioClient = client;
+  } else if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
     twilioClient = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
   }
-  
+
   // Set webhook URL
-  makeWebhookUrl = config.makeWebhookUrl || process.env.MAKE_WEBHOOK_URL || '';
-  
-  if (!makeWebhookUrl) {
+  makeWebhookUrl = webhookUrl || process.env.MAKE_WEBHOOK_URL || '';
+
+  if (!makeWebhookUrl && !dialRetry) {
     console.warn('No Make.com webhook URL provided. Retries will use direct Twilio API calls as fallback.');
   }
+
+  return getRetryConfig();
+}
+
+/**
+ * Get the current retry settings
+ * @returns {Object} Retry settings, with a copy of the policies
+ */
+function getRetryConfig() {
+  return { ...RETRY_CONFIG, policies: JSON.parse(JSON.stringify(RETRY_POLICIES)) };
+}
+
+/**
+ * Use a different store for retry state
+ * @param {Object} newStore - Store with the call-state-store interface
+ */
+function configureRetryStore(newStore) {
+  store = newStore;
+}
+
+/**
+ * Persist a lead's retry state in the background
+ * @param {string} leadId - The lead ID
+ */
+function saveRetryState(leadId) {
+  const state = retryState[leadId];
+  if (!state) return;
+
+  store.set(leadId, state, RETRY_CONFIG.stateTtlMs).catch(error => {
+    console.error(`Error saving retry state for lead ${leadId}:`, error);
+  });
 }
 
 /**
@@ -51,26 +188,75 @@ function initialize(config = {}) {
  * @param {string} leadId - The lead ID
  * @param {string} callSid - The Twilio call SID
  * @param {Object} leadInfo - Information about the lead
+ * @param {Object} [options] - Call details
+ * @param {string} [options.host] - Public host the call's Twilio callbacks use
+ * @param {Object} [options.retryOf] - The retry this call places ({ attempt, reason, previousCallSid })
+ * @param {string} [options.callerId] - Number the call was placed from
  */
-function trackCall(leadId, callSid, leadInfo = {}) {
+function trackCall(leadId, callSid, leadInfo = {}, { host, retryOf, callerId } = {}) {
   if (!leadId || !callSid) {
     console.error('Cannot track call: leadId and callSid are required');
     return;
   }
-  
+
   console.log(`Tracking call ${callSid} for lead ${leadId}`);
-  
-  // Initialize or update retry state for this lead
+
+  const previous = retryState[leadId];
+
+  // A new call for the lead replaces any retry still waiting
+  clearTimeout(retryTimers[leadId]);
+  delete retryTimers[leadId];
+
+  const timezone = resolveLeadTimezone(leadInfo);
+
+  // Initialize or update retry state for this lead; counts carry over between calls
   retryState[leadId] = {
     leadId,
     phoneNumber: leadInfo.phoneNumber,
     currentCallSid: callSid,
-    retryCount: retryState[leadId] ? retryState[leadId].retryCount : 0,
+    originalCallSid: previous?.originalCallSid || callSid,
+    callbackHost: host || previous?.callbackHost || null,
+    retryCount: previous ? previous.retryCount : 0,
+    outcomeRetries: previous?.outcomeRetries || {},
+    dialAttempts: [
+      ...(previous?.dialAttempts || []),
+      { ...describeAttempt(leadInfo.phoneNumber, callerId, timezone), callSid, retryOf: retryOf || null }
+    ],
     lastCallTime: Date.now(),
-    callHistory: [],
+    callHistory: previous?.callHistory || [],
+    retryHistory: previous?.retryHistory || [],
     retryScheduled: false,
+    retryAt: null,
+    // Once the lead asks not to be called, no later call for them is retried
+    doNotCall: previous?.doNotCall || null,
+    timezone,
     leadInfo
   };
+
+  saveRetryState(leadId);
+}
+
+/**
+ * Stop retrying a lead who asked not to be called, including a retry already waiting
+ * @param {string} leadId - The lead ID
+ * @param {string} [reason] - What the lead said
+ * @returns {boolean} Whether the lead was being tracked
+ */
+function markDoNotCall(leadId, reason = null) {
+  const state = retryState[leadId];
+  if (!state) return false;
+
+  clearTimeout(retryTimers[leadId]);
+  delete retryTimers[leadId];
+
+  state.doNotCall = { reason, markedAt: Date.now() };
+  state.retryNeeded = false;
+  state.retryScheduled = false;
+  state.retryAt = null;
+  saveRetryState(leadId);
+
+  console.log(`Stopped retries for lead ${leadId}, who asked not to be called`);
+  return true;
 }
 
 /**
@@ -86,17 +272,17 @@ function updateCallStatus(leadId, callSid, callStatus, answeredBy) {
     console.error(`Cannot update call status: No state for lead ${leadId}`);
     return null;
   }
-  
+
   const state = retryState[leadId];
-  
+
   // Only update if this is the current call
   if (state.currentCallSid !== callSid) {
     console.warn(`Call ${callSid} is not the current call for lead ${leadId}`);
     return state;
   }
-  
+
   console.log(`Updating call status for lead ${leadId}: ${callStatus}, answeredBy: ${answeredBy || 'N/A'}`);
-  
+
   // Add to call history
   state.callHistory.push({
     callSid,
@@ -104,19 +290,20 @@ function updateCallStatus(leadId, callSid, callStatus, answeredBy) {
     answeredBy,
     timestamp: Date.now()
   });
-  
+
   // Update last call time
   state.lastCallTime = Date.now();
-  
-  // Determine if retry is needed based on call outcome
-  if (callStatus === 'completed') {
-    // Call was completed, no retry needed
-    state.retryNeeded = false;
-  } else if (determineIfRetryNeeded(callStatus, answeredBy)) {
+
+  // Determine if retry is needed based on call outcome; a voicemail call also ends as completed
+  if (determineIfRetryNeeded(callStatus, answeredBy)) {
     state.retryNeeded = true;
     state.retryReason = getRetryReason(callStatus, answeredBy);
+  } else if (callStatus === 'completed') {
+    // Call was completed, no retry needed
+    state.retryNeeded = false;
   }
-  
+
+  saveRetryState(leadId);
   return state;
 }
 
@@ -128,17 +315,17 @@ function updateCallStatus(leadId, callSid, callStatus, answeredBy) {
  */
 function determineIfRetryNeeded(callStatus, answeredBy) {
   // Failed calls should be retried
-  if (callStatus === 'failed' || callStatus === 'busy' || 
+  if (callStatus === 'failed' || callStatus === 'busy' ||
       callStatus === 'no-answer' || callStatus === 'canceled') {
     return true;
   }
-  
+
   // Voicemails should be retried
-  if (answeredBy === 'machine_start' || answeredBy === 'machine_end_beep' || 
+  if (answeredBy === 'machine_start' || answeredBy === 'machine_end_beep' ||
       answeredBy === 'machine_end_silence' || answeredBy === 'machine_end_other') {
     return true;
   }
-  
+
   return false;
 }
 
@@ -149,19 +336,165 @@ function determineIfRetryNeeded(callStatus, answeredBy) {
  * @returns {string} The retry reason
  */
 function getRetryReason(callStatus, answeredBy) {
-  if (answeredBy === 'machine_start' || answeredBy === 'machine_end_beep' || 
+  if (answeredBy === 'machine_start' || answeredBy === 'machine_end_beep' ||
       answeredBy === 'machine_end_silence' || answeredBy === 'machine_end_other') {
     return 'voicemail';
   }
-  
+
   if (callStatus === 'failed') return 'failed';
   if (callStatus === 'busy') return 'busy';
   if (callStatus === 'no-answer') return 'no-answer';
   if (callStatus === 'canceled') return 'canceled';
-  
+
   return 'other';
 }
 
+/**
+ * Get the calendar date of a moment in a timezone
+ * @param {number} timestamp - Moment in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(timestamp, timezone) {
+  const { year, month, day } = getLocalParts(new Date(timestamp), timezone);
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get the call window a moment falls in
+ * @param {number} timestamp - Moment in milliseconds
+ * @param {string} timezone - IANA timezone name
+ * @returns {string|null} Window name, or null outside every window
+ */
+function getCallWindow(timestamp, timezone) {
+  const { hour, minute } = getLocalParts(new Date(timestamp), timezone);
+  const minutes = hour * 60 + minute;
+  const match = Object.entries(RETRY_CONFIG.callWindows).find(([, [start, end]]) => minutes >= start && minutes < end);
+  return match ? match[0] : null;
+}
+
+/**
+ * Describe a dial attempt made now: when, in which call window and from which number
+ * @param {string} phoneNumber - Lead phone number
+ * @param {string} callerId - Number the call was placed from
+ * @param {string} timezone - Lead timezone
+ * @returns {Object} { at, window, callerId, localPresence }
+ */
+function describeAttempt(phoneNumber, callerId, timezone) {
+  const at = Date.now();
+  return {
+    at,
+    window: getCallWindow(at, timezone),
+    callerId: callerId || null,
+    localPresence: Boolean(callerId && getAreaCode(callerId) && getAreaCode(callerId) === getAreaCode(phoneNumber))
+  };
+}
+
+/**
+ * Move a retry into the call window the lead has been tried in least
+ *
+ * A retry already in one of those windows is left alone; otherwise it moves to
+ * the next start of one, within the next few days.
+ *
+ * @param {number} retryAt - Planned retry time in milliseconds
+ * @param {Object[]} dialAttempts - The lead's dial attempts
+ * @param {string} timezone - Lead timezone
+ * @returns {number} Retry time in milliseconds
+ */
+function spreadAcrossWindows(retryAt, dialAttempts, timezone) {
+  const windows = Object.entries(RETRY_CONFIG.callWindows);
+  const timesTried = (name) => dialAttempts.filter(attempt => attempt.window === name).length;
+  const fewest = Math.min(...windows.map(([name]) => timesTried(name)));
+  const preferred = windows.filter(([name]) => timesTried(name) === fewest);
+
+  if (preferred.some(([name]) => name === getCallWindow(retryAt, timezone))) {
+    return retryAt;
+  }
+
+  const local = getLocalParts(new Date(retryAt), timezone);
+  for (let offset = 0; offset < 3; offset++) {
+    const day = addDays(local, offset);
+    const starts = preferred
+      .map(([, [start]]) => toMoment(day, start, timezone).getTime())
+      .filter(start => start >= retryAt)
+      .sort((a, b) => a - b);
+    if (starts.length > 0) return starts[0];
+  }
+
+  return retryAt;
+}
+
+/**
+ * Work out when (and whether) a lead's last call should be retried under its outcome's policy
+ * @param {string} leadId - The lead ID
+ * @param {Object} [options] - Options
+ * @param {number} [options.now] - Current time in milliseconds (default: now)
+ * @returns {Object} { retry: true, reason, retryAt, delayMs } or { retry: false, error }
+ */
+function getRetryPlan(leadId, { now = Date.now() } = {}) {
+  const state = retryState[leadId];
+  if (!state) {
+    return { retry: false, error: 'No state for lead' };
+  }
+  if (state.doNotCall) {
+    return { retry: false, error: 'Lead asked not to be called' };
+  }
+  if (!state.retryNeeded) {
+    return { retry: false, error: 'No retry needed' };
+  }
+
+  const reason = state.retryReason;
+  const policy = RETRY_POLICIES[reason];
+  if (!policy || !RETRY_CONFIG.retryReasons.includes(reason)) {
+    return { retry: false, error: `No retry policy for ${reason}` };
+  }
+
+  // Lead-level attempt limit
+  if (state.retryCount >= RETRY_CONFIG.maxRetries) {
+    return { retry: false, error: 'Maximum retries reached' };
+  }
+
+  // Outcome-level attempt limit
+  if ((state.outcomeRetries[reason] || 0) >= policy.maxAttempts) {
+    return { retry: false, error: `Maximum ${reason} retries reached` };
+  }
+
+  const timezone = state.timezone || resolveLeadTimezone(state.leadInfo);
+  let retryAt;
+
+  if (policy.nextDay) {
+    // Morning calls move later in the day and afternoon calls earlier
+    const { hour } = getLocalParts(new Date(now), timezone);
+    const shiftMs = (policy.shiftHours || 0) * HOUR_MS;
+    retryAt = now + DAY_MS + (hour < 13 ? shiftMs : -shiftMs);
+  } else {
+    retryAt = now + (policy.delayMs ?? RETRY_CONFIG.retryDelayMs);
+  }
+
+  // Spread retries out so leads are not all called back at once
+  if (policy.jitterMs) {
+    retryAt += Math.round((random() * 2 - 1) * policy.jitterMs);
+  }
+  retryAt = getNextCallingTime(new Date(Math.max(retryAt, now)), timezone).getTime();
+
+  // Try the lead at a time of day they have not been called at yet
+  if (policy.spreadWindows) {
+    retryAt = getNextCallingTime(new Date(spreadAcrossWindows(retryAt, state.dialAttempts, timezone)), timezone).getTime();
+  }
+
+  // Daily attempt cap: move on to the next calling day until one has room
+  for (let day = 0; day < 7; day++) {
+    const localDate = getLocalDate(retryAt, timezone);
+    const attemptsThatDay = state.dialAttempts.filter(attempt => getLocalDate(attempt.at, timezone) === localDate).length;
+    if (attemptsThatDay < RETRY_CONFIG.maxAttemptsPerDay) break;
+
+    const nextMidnight = toMoment(addDays(getLocalParts(new Date(retryAt), timezone), 1), 0, timezone);
+    retryAt = getNextCallingTime(nextMidnight, timezone).getTime();
+  }
+
+  return { retry: true, reason, retryAt, delayMs: retryAt - now, window: getCallWindow(retryAt, timezone) };
+}
+
 /**
  * Schedule a retry call via webhook to make.com
  * @param {string} leadId - The lead ID
@@ -172,36 +505,35 @@ async function scheduleRetryCall(leadId) {
     console.error(`Cannot schedule retry: No state for lead ${leadId}`);
     return { success: false, error: 'No state for lead' };
   }
-  
+
   const state = retryState[leadId];
-  
+
   // Check if we've already scheduled a retry
   if (state.retryScheduled) {
     console.log(`Retry already scheduled for lead ${leadId}`);
     return { success: false, error: 'Retry already scheduled' };
   }
-  
-  // Check if a retry is needed
-  if (!state.retryNeeded) {
-    console.log(`No retry needed for lead ${leadId}`);
-    return { success: false, error: 'No retry needed' };
-  }
-  
-  // Check if we've reached the maximum retries
-  if (state.retryCount >= RETRY_CONFIG.maxRetries) {
-    console.log(`Maximum retries (${RETRY_CONFIG.maxRetries}) reached for lead ${leadId}`);
-    return { success: false, error: 'Maximum retries reached' };
+
+  // Check the outcome's policy and the lead's limits
+  const plan = getRetryPlan(leadId);
+  if (!plan.retry) {
+    console.log(`No retry for lead ${leadId}: ${plan.error}`);
+    return { success: false, error: plan.error };
   }
-  
-  console.log(`Scheduling retry call for lead ${leadId} (attempt ${state.retryCount + 1})`);
-  
+
+  console.log(`Scheduling ${plan.reason} retry call for lead ${leadId} (attempt ${state.retryCount + 1}) at ${new Date(plan.retryAt).toISOString()}`);
+
   // Update retry state
   state.retryCount++;
+  state.outcomeRetries[plan.reason] = (state.outcomeRetries[plan.reason] || 0) + 1;
   state.retryScheduled = true;
-  
+  state.retryAt = plan.retryAt;
+  state.retryHistory.push({ reason: plan.reason, retryAt: plan.retryAt, window: plan.window, scheduledAt: Date.now() });
+  saveRetryState(leadId);
+
   try {
-    // If we have a webhook URL, use it
-    if (makeWebhookUrl) {
+    // Without an in-process dialer, let make.com place the retry when we have a webhook URL
+    if (makeWebhookUrl && !dialRetry) {
       // Send webhook to make.com to schedule the retry
       const response = await axios.post(makeWebhookUrl, {
         type: 'retry_call',
@@ -209,73 +541,151 @@ async function scheduleRetryCall(leadId) {
         phoneNumber: state.phoneNumber || state.leadInfo.phoneNumber,
         retryCount: state.retryCount,
         retryReason: state.retryReason,
-        retryDelayMs: RETRY_CONFIG.retryDelayMs,
+        retryDelayMs: plan.delayMs,
+        retryAt: new Date(plan.retryAt).toISOString(),
         leadInfo: state.leadInfo
       });
-      
+
       console.log(`Webhook sent to make.com for retry of lead ${leadId}. Response: ${response.status}`);
-      
+
       return {
         success: true,
         retryCount: state.retryCount,
         method: 'webhook',
-        retryTimestamp: Date.now() + RETRY_CONFIG.retryDelayMs
+        retryTimestamp: plan.retryAt
       };
     } else {
       // Fallback to direct API call if no webhook URL
-      return directRetryCall(leadId);
+      return armDirectRetry(leadId);
     }
   } catch (error) {
     console.error(`Error scheduling retry for lead ${leadId}:`, error);
-    
+
     // Fallback to direct API call if webhook fails
     console.log('Falling back to direct API call for retry');
-    return directRetryCall(leadId);
+    return armDirectRetry(leadId);
   }
 }
 
 /**
- * Make a direct retry call using Twilio API
+ * Arm a timer that places the retry call directly at its scheduled time
  * @param {string} leadId - The lead ID
- * @returns {Promise<Object>} Result of the retry attempt
+ * @returns {Object} Result of scheduling the retry
  */
-async function directRetryCall(leadId) {
+function armDirectRetry(leadId) {
   const state = retryState[leadId];
-  
-  if (!twilioClient) {
+
+  if (!dialRetry && !twilioClient) {
     console.error('No Twilio client available for direct retry');
+    state.retryScheduled = false;
+    saveRetryState(leadId);
     return { success: false, error: 'No Twilio client' };
   }
-  
+
   if (!state.phoneNumber && (!state.leadInfo || !state.leadInfo.phoneNumber)) {
     console.error(`No phone number available for lead ${leadId}`);
+    state.retryScheduled = false;
+    saveRetryState(leadId);
     return { success: false, error: 'No phone number' };
   }
-  
-  // Wait for the retry delay
-  console.log(`Waiting ${RETRY_CONFIG.retryDelayMs}ms before retrying call for lead ${leadId}`);
-  
-  // Use setTimeout with Promise to handle the delay
-  await new Promise(resolve => setTimeout(resolve, RETRY_CONFIG.retryDelayMs));
-  
+
+  const delayMs = Math.max(state.retryAt - Date.now(), 0);
+  console.log(`Waiting ${delayMs}ms before retrying call for lead ${leadId}`);
+
+  clearTimeout(retryTimers[leadId]);
+  retryTimers[leadId] = setTimeout(() => {
+    delete retryTimers[leadId];
+    directRetryCall(leadId);
+  }, delayMs);
+  // A waiting retry should not keep the process alive
+  retryTimers[leadId].unref?.();
+
+  state.retryMethod = 'direct';
+  saveRetryState(leadId);
+
+  return {
+    success: true,
+    retryCount: state.retryCount,
+    method: 'direct',
+    retryTimestamp: state.retryAt
+  };
+}
+
+/**
+ * Make a direct retry call through the lead call flow, or the Twilio API without one
+ * @param {string} leadId - The lead ID
+ * @returns {Promise<Object>} Result of the retry attempt
+ */
+async function directRetryCall(leadId) {
+  const state = retryState[leadId];
+
+  if (!state) {
+    return { success: false, error: 'No state for lead' };
+  }
+
+  // The lead may have asked not to be called while the retry was waiting
+  if (state.doNotCall) {
+    console.log(`Not retrying lead ${leadId}, who asked not to be called`);
+    state.retryScheduled = false;
+    saveRetryState(leadId);
+    return { success: false, error: 'Lead asked not to be called' };
+  }
+
+  // Rotate caller IDs so the lead sees a number it has not ignored yet
+  const phoneNumber = state.phoneNumber || state.leadInfo.phoneNumber;
+  const callerId = selectCallerId(phoneNumber, {
+    usedNumbers: state.dialAttempts.map(attempt => attempt.callerId).filter(Boolean)
+  });
+  const from = callerId?.number || process.env.TWILIO_NUMBER;
+
+  if (dialRetry) {
+    try {
+      // The new lead call is tracked under the same lead by the lead call flow
+      const { leadCallSid } = await dialRetry({
+        leadId,
+        phoneNumber,
+        from,
+        leadInfo: state.leadInfo,
+        host: state.callbackHost,
+        retryOf: {
+          leadId,
+          originalCallSid: state.originalCallSid,
+          previousCallSid: state.currentCallSid,
+          attempt: state.retryCount,
+          reason: state.retryReason
+        }
+      });
+
+      console.log(`Retry call initiated for lead ${leadId}, new Call SID: ${leadCallSid}`);
+      return { success: true, retryCount: state.retryCount, method: 'direct', callSid: leadCallSid };
+    } catch (error) {
+      console.error(`Error making direct retry call for lead ${leadId}:`, error);
+      state.retryScheduled = false;
+      saveRetryState(leadId);
+      return { success: false, error: error.message, method: 'direct' };
+    }
+  }
+
   try {
     // Make the call directly with Twilio
     const call = await twilioClient.calls.create({
       url: process.env.CALL_WEBHOOK_URL || 'http://demo.twilio.com/docs/voice.xml',
-      to: state.phoneNumber || state.leadInfo.phoneNumber,
-      from: process.env.TWILIO_NUMBER,
+      to: phoneNumber,
+      from,
       statusCallback: process.env.STATUS_CALLBACK_URL,
       statusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed'],
       statusCallbackMethod: 'POST',
       machineDetection: 'Enable'
     });
-    
+
     console.log(`Retry call initiated for lead ${leadId}, new Call SID: ${call.sid}`);
-    
+
     // Update retry state
     state.currentCallSid = call.sid;
+    state.dialAttempts.push({ ...describeAttempt(phoneNumber, from, state.timezone), callSid: call.sid });
     state.retryScheduled = false;
-    
+    saveRetryState(leadId);
+
     return {
       success: true,
       retryCount: state.retryCount,
@@ -284,9 +694,10 @@ async function directRetryCall(leadId) {
     };
   } catch (error) {
     console.error(`Error making direct retry call for lead ${leadId}:`, error);
-    
+
     state.retryScheduled = false;
-    
+    saveRetryState(leadId);
+
     return {
       success: false,
       error: error.message,
@@ -295,6 +706,24 @@ async function directRetryCall(leadId) {
   }
 }
 
+/**
+ * Load retry state kept in the store and re-arm direct retries still waiting
+ * @returns {Promise<number>} Number of leads restored
+ */
+async function restoreRetryState() {
+  const entries = await store.entries();
+
+  for (const [leadId, state] of entries) {
+    retryState[leadId] = state;
+    if (state.retryScheduled && state.retryMethod === 'direct') {
+      armDirectRetry(leadId);
+    }
+  }
+
+  console.log(`Restored retry state for ${entries.length} lead(s)`);
+  return entries.length;
+}
+
 /**
  * Get retry information for a lead
  * @param {string} leadId - The lead ID
@@ -304,16 +733,21 @@ function getRetryInfo(leadId) {
   if (!leadId || !retryState[leadId]) {
     return null;
   }
-  
+
   const state = retryState[leadId];
-  
+
   return {
     leadId,
     retryCount: state.retryCount,
+    outcomeRetries: state.outcomeRetries,
     retryNeeded: state.retryNeeded,
     retryReason: state.retryReason,
     lastCallTime: state.lastCallTime,
     retryScheduled: state.retryScheduled,
+    retryAt: state.retryAt,
+    originalCallSid: state.originalCallSid,
+    dialAttempts: state.dialAttempts,
+    retryHistory: state.retryHistory,
     callHistory: state.callHistory
   };
 }
@@ -323,17 +757,45 @@ function getRetryInfo(leadId) {
  * @param {string} leadId - The lead ID
  */
 function clearRetryState(leadId) {
+  clearTimeout(retryTimers[leadId]);
+  delete retryTimers[leadId];
+
   if (retryState[leadId]) {
     console.log(`Clearing retry state for lead ${leadId}`);
     delete retryState[leadId];
   }
+
+  store.delete(leadId).catch(error => {
+    console.error(`Error deleting retry state for lead ${leadId}:`, error);
+  });
+}
+
+/**
+ * Register retry routes
+ * @param {Object} fastify - Fastify instance
+ */
+function registerRetryRoutes(fastify) {
+  fastify.get("/leads/:leadId/retries", async (request, reply) => {
+    const info = getRetryInfo(request.params.leadId);
+    if (!info) {
+      return reply.code(404).send({ error: 'Lead not found' });
+    }
+    reply.send(info);
+  });
 }
 
 export {
   initialize,
+  getRetryConfig,
+  configureRetryStore,
   trackCall,
+  markDoNotCall,
   updateCallStatus,
+  getRetryPlan,
+  getCallWindow,
   scheduleRetryCall,
+  restoreRetryState,
   getRetryInfo,
-  clearRetryState
-}; 
\ No newline at end of file
+  clearRetryState,
+  registerRetryRoutes
+};
@@ -0,0 +1,496 @@
+// forTheLegends/outbound/sales-agent-pool.js
+// Pool of care specialists with working hours, busy state and routing strategies
+
+// Routing strategies
+export const ROUTING_STRATEGIES = {
+  ROUND_ROBIN: 'round-robin',
+  LEAST_RECENTLY_USED: 'least-recently-used',
+  SKILLS: 'skills'
+};
+
+// Sales call statuses after which the specialist is free again
+const FINAL_SALES_STATUSES = ['completed', 'busy', 'no-answer', 'failed', 'canceled'];
+
+// Sales call statuses that mean the specialist missed the call
+const MISSED_SALES_STATUSES = ['busy', 'no-answer', 'failed'];
+
+// Pool configuration with defaults
+const POOL_CONFIG = {
+  strategy: ROUTING_STRATEGIES.ROUND_ROBIN,
+  // How long a specialist who missed a call is skipped, in milliseconds
+  missedCallCooldownMs: 5 * 60 * 1000,
+  // Timezone used for working hours when an agent does not set one
+  defaultTimezone: process.env.SALES_TIMEZONE || 'America/New_York'
+};
+
+// Escalation chain used when a specialist does not answer the sales leg
+const ESCALATION_CONFIG = {
+  // Agent IDs to ring in order; null means follow the routing strategy
+  chain: null,
+  // Seconds each specialist's phone rings before Twilio reports no-answer
+  ringTimeoutSeconds: 20,
+  // Maximum specialists rung per lead call; null means every agent in the pool
+  maxAttempts: null
+};
+
+// Agents in configuration order
+let agents = [];
+
+// Index of the next agent for round-robin routing
+let roundRobinIndex = 0;
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+/**
+ * Build a pool agent from a configuration entry
+ * @param {Object} entry - Agent configuration
+ * @param {number} index - Position in the configuration
+ * @returns {Object} Agent state
+ */
+function createAgent(entry, index) {
+  return {
+    id: entry.id || `agent-${index + 1}`,
+    name: entry.name || `Specialist ${index + 1}`,
+    phoneNumber: entry.phoneNumber,
+    skills: (entry.skills || []).map(skill => skill.toLowerCase()),
+    // { timezone, days: ['mon', ...], start: 'HH:MM', end: 'HH:MM' } - omitted means always on shift
+    workingHours: entry.workingHours || null,
+    // A shared team line can ring several times at once and is never marked busy
+    shared: Boolean(entry.shared),
+    busy: false,
+    currentCallSid: null,
+    unavailableUntil: 0,
+    lastAssignedAt: 0,
+    stats: { assigned: 0, completed: 0, missed: 0 }
+  };
+}
+
+/**
+ * Read agent configuration from environment variables
+ *
+ * SALES_AGENTS holds a JSON array of agents. Without it the pool contains
+ * a single agent for SALES_TEAM_PHONE_NUMBER.
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object[]} Agent configuration entries
+ */
+function loadAgentsFromEnv(env = process.env) {
+  if (env.SALES_AGENTS) {
+    const parsed = JSON.parse(env.SALES_AGENTS);
+    if (!Array.isArray(parsed)) {
+      throw new Error('SALES_AGENTS must be a JSON array');
+    }
+    return parsed;
+  }
+
+  if (env.SALES_TEAM_PHONE_NUMBER) {
+    return [{ id: 'sales-team', name: 'Sales Team', phoneNumber: env.SALES_TEAM_PHONE_NUMBER, shared: true }];
+  }
+
+  return [];
+}
+
+/**
+ * Initialize the sales agent pool
+ * @param {Object} options - Configuration options
+ * @param {Object[]} [options.agents] - Agent entries (default: from environment)
+ * @param {string} [options.strategy] - Routing strategy
+ * @param {number} [options.missedCallCooldownMs] - Cooldown after a missed call
+ * @param {Object} [options.escalation] - Escalation chain settings (default: from environment)
+ * @returns {Object[]} Agents in the pool
+ */
+function initializeAgentPool(options = {}) {
+  const { agents: agentEntries, escalation, ...config } = options;
+  Object.assign(POOL_CONFIG, config);
+
+  if (!config.strategy && process.env.SALES_ROUTING_STRATEGY) {
+    POOL_CONFIG.strategy = process.env.SALES_ROUTING_STRATEGY;
+  }
+
+  if (!Object.values(ROUTING_STRATEGIES).includes(POOL_CONFIG.strategy)) {
+    throw new Error(`Unknown sales routing strategy: ${POOL_CONFIG.strategy}`);
+  }
+
+  const entries = agentEntries || loadAgentsFromEnv();
+  const invalid = entries.find(entry => !entry.phoneNumber);
+  if (invalid) {
+    throw new Error(`Sales agent ${invalid.id || invalid.name || ''} has no phoneNumber`);
+  }
+
+  agents = entries.map(createAgent);
+  roundRobinIndex = 0;
+
+  // The chain names agents, so it never carries over to a new agent list
+  configureEscalation({ chain: null, maxAttempts: null, ...(escalation || loadEscalationFromEnv()) });
+
+  console.log(`[AgentPool] Initialized ${agents.length} sales agents with ${POOL_CONFIG.strategy} routing`);
+  return agents;
+}
+
+/**
+ * Convert an HH:MM string to minutes since midnight
+ * @param {string} time - Time in HH:MM format
+ * @returns {number} Minutes since midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+}
+
+/**
+ * Check whether an agent is on shift
+ * @param {Object} agent - Agent state
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the current time falls inside the agent's working hours
+ */
+function isWithinWorkingHours(agent, now = new Date()) {
+  const hours = agent.workingHours;
+  if (!hours) return true;
+
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: hours.timezone || POOL_CONFIG.defaultTimezone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(now);
+
+  const part = (type) => parts.find(p => p.type === type).value;
+  const weekday = part('weekday').toLowerCase().slice(0, 3);
+  const minutes = Number(part('hour')) * 60 + Number(part('minute'));
+
+  const days = (hours.days || WEEKDAYS).map(day => day.toLowerCase().slice(0, 3));
+  if (!days.includes(weekday)) return false;
+
+  const start = toMinutes(hours.start || '00:00');
+  const end = toMinutes(hours.end || '24:00');
+  return minutes >= start && minutes < end;
+}
+
+/**
+ * Check whether an agent can take a call right now
+ * @param {Object} agent - Agent state
+ * @param {Date} now - Current time
+ * @returns {boolean} Whether the agent is available
+ */
+function isAgentAvailable(agent, now = new Date()) {
+  return !agent.busy &&
+    agent.unavailableUntil <= now.getTime() &&
+    isWithinWorkingHours(agent, now);
+}
+
+/**
+ * Score an agent's skills against the lead's care needs
+ * @param {Object} agent - Agent state
+ * @param {Object} leadInfo - Lead info (CareReason, CareNeededFor)
+ * @returns {number} Number of matching skill keywords
+ */
+function scoreSkills(agent, leadInfo = {}) {
+  const text = `${leadInfo.CareReason || ''} ${leadInfo.CareNeededFor || ''}`.toLowerCase();
+  return agent.skills.filter(skill => text.includes(skill)).length;
+}
+
+/**
+ * Pick the agent that has gone longest without an assignment
+ * @param {Object[]} candidates - Available agents
+ * @returns {Object} Selected agent
+ */
+function pickLeastRecentlyUsed(candidates) {
+  return candidates.reduce((best, agent) => (agent.lastAssignedAt < best.lastAssignedAt ? agent : best));
+}
+
+/**
+ * Pick the next available agent in configuration order
+ * @param {Object[]} candidates - Available agents
+ * @returns {Object} Selected agent
+ */
+function pickRoundRobin(candidates) {
+  for (let offset = 0; offset < agents.length; offset++) {
+    const agent = agents[(roundRobinIndex + offset) % agents.length];
+    if (candidates.includes(agent)) {
+      roundRobinIndex = (agents.indexOf(agent) + 1) % agents.length;
+      return agent;
+    }
+  }
+  return candidates[0];
+}
+
+/**
+ * Select an available agent for a lead without reserving it
+ * @param {Object} options - Selection options
+ * @param {Object} [options.leadInfo] - Lead info used for skills-based routing
+ * @param {string} [options.strategy] - Override the configured strategy
+ * @param {string[]} [options.excludeAgentIds] - Agents to leave out
+ * @returns {Object|null} Selected agent or null if nobody is available
+ */
+function selectAgent(options = {}) {
+  const now = new Date();
+  const excluded = options.excludeAgentIds || [];
+  const candidates = agents.filter(agent => !excluded.includes(agent.id) && isAgentAvailable(agent, now));
+
+  if (candidates.length === 0) {
+    console.log('[AgentPool] No sales agent available');
+    return null;
+  }
+
+  const strategy = options.strategy || POOL_CONFIG.strategy;
+
+  if (strategy === ROUTING_STRATEGIES.SKILLS) {
+    const scored = candidates.map(agent => ({ agent, score: scoreSkills(agent, options.leadInfo) }));
+    const bestScore = Math.max(...scored.map(entry => entry.score));
+    // Prefer the best skill match, falling back to least-recently-used among equals
+    return pickLeastRecentlyUsed(scored.filter(entry => entry.score === bestScore).map(entry => entry.agent));
+  }
+
+  if (strategy === ROUTING_STRATEGIES.LEAST_RECENTLY_USED) {
+    return pickLeastRecentlyUsed(candidates);
+  }
+
+  return pickRoundRobin(candidates);
+}
+
+/**
+ * Read escalation settings from environment variables
+ *
+ * SALES_ESCALATION_CHAIN is a comma-separated list of agent IDs,
+ * SALES_RING_TIMEOUT_SECONDS and SALES_ESCALATION_MAX_ATTEMPTS are numbers.
+ *
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Escalation settings
+ */
+function loadEscalationFromEnv(env = process.env) {
+  const settings = {};
+  if (env.SALES_ESCALATION_CHAIN) {
+    settings.chain = env.SALES_ESCALATION_CHAIN.split(',').map(id => id.trim()).filter(Boolean);
+  }
+  if (env.SALES_RING_TIMEOUT_SECONDS) {
+    settings.ringTimeoutSeconds = Number(env.SALES_RING_TIMEOUT_SECONDS);
+  }
+  if (env.SALES_ESCALATION_MAX_ATTEMPTS) {
+    settings.maxAttempts = Number(env.SALES_ESCALATION_MAX_ATTEMPTS);
+  }
+  return settings;
+}
+
+/**
+ * Update escalation settings
+ * @param {Object} settings - chain, ringTimeoutSeconds, maxAttempts
+ * @returns {Object} Current escalation settings
+ */
+function configureEscalation(settings = {}) {
+  Object.assign(ESCALATION_CONFIG, settings);
+
+  const unknown = (ESCALATION_CONFIG.chain || []).filter(id => !getAgent(id));
+  if (unknown.length > 0) {
+    console.warn(`[AgentPool] Escalation chain references unknown agents: ${unknown.join(', ')}`);
+  }
+
+  return getEscalationConfig();
+}
+
+/**
+ * Get escalation settings
+ * @returns {Object} Escalation settings with maxAttempts resolved
+ */
+function getEscalationConfig() {
+  const chainLength = ESCALATION_CONFIG.chain ? ESCALATION_CONFIG.chain.length : agents.length;
+  return {
+    chain: ESCALATION_CONFIG.chain ? [...ESCALATION_CONFIG.chain] : null,
+    ringTimeoutSeconds: ESCALATION_CONFIG.ringTimeoutSeconds,
+    maxAttempts: ESCALATION_CONFIG.maxAttempts || chainLength
+  };
+}
+
+/**
+ * Mark an agent as reserved for a sales call
+ * @param {Object} agent - Agent state
+ * @returns {Object} The agent
+ */
+function reserveAgent(agent) {
+  agent.busy = !agent.shared;
+  agent.currentCallSid = null;
+  agent.lastAssignedAt = Date.now();
+  agent.stats.assigned++;
+
+  console.log(`[AgentPool] Assigned ${agent.name} (${agent.id})`);
+  return agent;
+}
+
+/**
+ * Select an agent and reserve them for a sales call
+ * @param {Object} options - Selection options (see selectAgent)
+ * @returns {Object|null} Reserved agent or null if nobody is available
+ */
+function assignAgent(options = {}) {
+  const agent = selectAgent(options);
+  return agent ? reserveAgent(agent) : null;
+}
+
+/**
+ * Reserve the next specialist to ring for a lead, following the escalation chain
+ *
+ * With a configured chain the first available agent in chain order who has
+ * not been tried yet is chosen; otherwise the routing strategy decides.
+ *
+ * @param {Object} options - Selection options
+ * @param {Object} [options.leadInfo] - Lead info used for skills-based routing
+ * @param {string[]} [options.triedAgentIds] - Agents already rung for this lead
+ * @returns {Object|null} Reserved agent or null when the chain is exhausted
+ */
+function assignNextAgent(options = {}) {
+  const tried = options.triedAgentIds || [];
+  const { chain, maxAttempts } = getEscalationConfig();
+
+  if (tried.length >= maxAttempts) {
+    console.log(`[AgentPool] Escalation chain exhausted after ${tried.length} attempts`);
+    return null;
+  }
+
+  if (!chain) {
+    return assignAgent({ leadInfo: options.leadInfo, excludeAgentIds: tried });
+  }
+
+  const now = new Date();
+  const next = chain
+    .filter(id => !tried.includes(id))
+    .map(getAgent)
+    .find(agent => agent && isAgentAvailable(agent, now));
+
+  if (!next) {
+    console.log('[AgentPool] No agent left in the escalation chain');
+    return null;
+  }
+
+  return reserveAgent(next);
+}
+
+/**
+ * Link a reserved agent to the sales call placed to them
+ * @param {string} agentId - Agent ID
+ * @param {string} callSid - Sales call SID
+ */
+function attachAgentCall(agentId, callSid) {
+  const agent = getAgent(agentId);
+  if (agent) {
+    agent.currentCallSid = callSid;
+  }
+}
+
+/**
+ * Feed a sales call status back into agent availability
+ * @param {Object} update - Status update
+ * @param {string} [update.agentId] - Agent ID (from the status callback URL)
+ * @param {string} [update.callSid] - Sales call SID
+ * @param {string} update.callStatus - Twilio call status
+ * @returns {Object|null} Updated agent or null if unknown
+ */
+function recordSalesCallOutcome({ agentId, callSid, callStatus }) {
+  const agent = getAgent(agentId) || agents.find(candidate => callSid && candidate.currentCallSid === callSid);
+  if (!agent) return null;
+
+  if (callStatus === 'in-progress' || callStatus === 'answered') {
+    agent.busy = !agent.shared;
+    agent.currentCallSid = callSid || agent.currentCallSid;
+    return agent;
+  }
+
+  if (!FINAL_SALES_STATUSES.includes(callStatus)) {
+    return agent;
+  }
+
+  agent.busy = false;
+  agent.currentCallSid = null;
+
+  if (MISSED_SALES_STATUSES.includes(callStatus)) {
+    agent.stats.missed++;
+    if (!agent.shared) {
+      agent.unavailableUntil = Date.now() + POOL_CONFIG.missedCallCooldownMs;
+      console.log(`[AgentPool] ${agent.name} missed a call (${callStatus}) - cooling down`);
+    }
+  } else if (callStatus === 'completed') {
+    agent.stats.completed++;
+  }
+
+  return agent;
+}
+
+/**
+ * Manually set an agent's busy state (e.g. on a call outside this system)
+ * @param {string} agentId - Agent ID
+ * @param {boolean} busy - Busy state
+ * @returns {Object|null} Updated agent or null if unknown
+ */
+function setAgentBusy(agentId, busy) {
+  const agent = getAgent(agentId);
+  if (!agent) return null;
+
+  agent.busy = Boolean(busy);
+  if (!agent.busy) {
+    agent.currentCallSid = null;
+    agent.unavailableUntil = 0;
+  }
+  return agent;
+}
+
+/**
+ * Get an agent by ID
+ * @param {string} agentId - Agent ID
+ * @returns {Object|undefined} Agent state
+ */
+function getAgent(agentId) {
+  return agents.find(agent => agent.id === agentId);
+}
+
+/**
+ * Get availability of every agent
+ * @returns {Object[]} Agent status summaries
+ */
+function getAgentPoolStatus() {
+  const now = new Date();
+  return agents.map(agent => ({
+    id: agent.id,
+    name: agent.name,
+    phoneNumber: agent.phoneNumber,
+    skills: agent.skills,
+    busy: agent.busy,
+    onShift: isWithinWorkingHours(agent, now),
+    available: isAgentAvailable(agent, now),
+    unavailableUntil: agent.unavailableUntil > now.getTime() ? new Date(agent.unavailableUntil).toISOString() : null,
+    stats: { ...agent.stats }
+  }));
+}
+
+/**
+ * Register sales agent pool routes
+ * @param {Object} fastify - Fastify instance
+ */
+function registerSalesAgentRoutes(fastify) {
+  fastify.get("/sales-agents", async (request, reply) => {
+    reply.send({ strategy: POOL_CONFIG.strategy, agents: getAgentPoolStatus() });
+  });
+
+  fastify.post("/sales-agents/:agentId/availability", async (request, reply) => {
+    const agent = setAgentBusy(request.params.agentId, request.body?.busy);
+    if (!agent) {
+      return reply.code(404).send({ error: 'Agent not found' });
+    }
+    reply.send(getAgentPoolStatus().find(status => status.id === agent.id));
+  });
+}
+
+export {
+  initializeAgentPool,
+  loadAgentsFromEnv,
+  selectAgent,
+  assignAgent,
+  assignNextAgent,
+  configureEscalation,
+  getEscalationConfig,
+  attachAgentCall,
+  recordSalesCallOutcome,
+  setAgentBusy,
+  getAgent,
+  getAgentPoolStatus,
+  isWithinWorkingHours,
+  registerSalesAgentRoutes
+};
@@ -0,0 +1,237 @@
+// forTheLegends/outbound/sales-dial-scheduler.js
+// Decides when the sales leg of a lead call is dialed: together with the lead,
+// or only once the lead is engaged (AMD says human or intent detection reports interest)
+
+import { getCallData, updateCallData } from './call-state.js';
+import { CALL_STATES, getCallState, isTerminalState } from './call-lifecycle.js';
+
+// Sales leg dialing modes
+export const SALES_DIAL_MODES = {
+  SIMULTANEOUS: 'simultaneous',
+  ON_ENGAGEMENT: 'on-engagement'
+};
+
+// Events that count as lead engagement
+export const ENGAGEMENT_TRIGGERS = {
+  HUMAN: 'human',
+  INTENT: 'intent'
+};
+
+// Sales dialing settings
+const SALES_DIAL_CONFIG = {
+  mode: SALES_DIAL_MODES.SIMULTANEOUS,
+  // Engagement events that start the sales leg in on-engagement mode
+  triggers: [ENGAGEMENT_TRIGGERS.HUMAN, ENGAGEMENT_TRIGGERS.INTENT],
+  // Seconds between the engagement event and ringing the specialist
+  delaySeconds: 0,
+  // Seconds after the lead call starts to keep waiting for engagement
+  engagementTimeoutSeconds: 300,
+  // Ring time for deferred sales legs; null keeps the escalation ring timeout
+  ringTimeoutSeconds: null
+};
+
+// Timers for lead calls waiting on engagement, by lead call SID
+const pendingDials = {};
+
+// Function that dials the sales leg for a lead, provided by outbound-calls.js
+let dialSalesLeg = null;
+
+/**
+ * Read sales dialing settings from environment variables
+ * @param {Object} env - Environment variables (default: process.env)
+ * @returns {Object} Sales dialing settings
+ */
+function loadSalesDialConfigFromEnv(env = process.env) {
+  const settings = {};
+  if (env.SALES_DIAL_MODE) settings.mode = env.SALES_DIAL_MODE;
+  if (env.SALES_DIAL_TRIGGERS) {
+    settings.triggers = env.SALES_DIAL_TRIGGERS.split(',').map(trigger => trigger.trim()).filter(Boolean);
+  }
+  if (env.SALES_DIAL_DELAY_SECONDS) settings.delaySeconds = Number(env.SALES_DIAL_DELAY_SECONDS);
+  if (env.SALES_ENGAGEMENT_TIMEOUT_SECONDS) {
+    settings.engagementTimeoutSeconds = Number(env.SALES_ENGAGEMENT_TIMEOUT_SECONDS);
+  }
+  if (env.SALES_DEFERRED_RING_TIMEOUT_SECONDS) {
+    settings.ringTimeoutSeconds = Number(env.SALES_DEFERRED_RING_TIMEOUT_SECONDS);
+  }
+  return settings;
+}
+
+/**
+ * Initialize the sales dial scheduler
+ * @param {Object} options - Configuration options (default settings: from environment)
+ * @param {Function} options.dialSalesLeg - Dials the sales leg for a lead call SID,
+ *   resolves to the sales leg or null when no specialist is available
+ * @returns {Object} Current settings
+ */
+function initialize(options = {}) {
+  const { dialSalesLeg: dial, ...settings } = options;
+  dialSalesLeg = dial || dialSalesLeg;
+
+  Object.assign(SALES_DIAL_CONFIG, Object.keys(settings).length > 0 ? settings : loadSalesDialConfigFromEnv());
+
+  if (!Object.values(SALES_DIAL_MODES).includes(SALES_DIAL_CONFIG.mode)) {
+    throw new Error(`Unknown sales dial mode: ${SALES_DIAL_CONFIG.mode}`);
+  }
+
+  console.log(`[SalesDial] Sales leg dialing mode: ${SALES_DIAL_CONFIG.mode}`);
+  return getSalesDialConfig();
+}
+
+/**
+ * Get sales dialing settings
+ * @returns {Object} Sales dialing settings
+ */
+function getSalesDialConfig() {
+  return { ...SALES_DIAL_CONFIG, triggers: [...SALES_DIAL_CONFIG.triggers] };
+}
+
+/**
+ * Check whether sales legs wait for lead engagement
+ * @returns {boolean} True in on-engagement mode
+ */
+function isDeferredDialing() {
+  return SALES_DIAL_CONFIG.mode === SALES_DIAL_MODES.ON_ENGAGEMENT;
+}
+
+/**
+ * Check whether a lead call can still be connected to a specialist
+ * @param {Object} leadData - Lead call data
+ * @param {string} state - Lead lifecycle state
+ * @returns {boolean} True while the lead is still on the line
+ */
+function isLeadReachable(leadData, state) {
+  return !leadData.finalStatus && !leadData.isVoicemail && !isTerminalState(state);
+}
+
+/**
+ * Stop the timers kept for a lead call
+ * @param {string} leadCallSid - Lead call SID
+ */
+function clearPendingTimers(leadCallSid) {
+  const pending = pendingDials[leadCallSid];
+  if (!pending) return;
+
+  clearTimeout(pending.engagementTimer);
+  clearTimeout(pending.delayTimer);
+  delete pendingDials[leadCallSid];
+}
+
+/**
+ * Hold back the sales leg of a lead call until the lead is engaged
+ * @param {string} leadCallSid - Lead call SID
+ */
+function deferSalesDial(leadCallSid) {
+  updateCallData(leadCallSid, {
+    salesDialMode: SALES_DIAL_CONFIG.mode,
+    salesDialPending: true,
+    ...(SALES_DIAL_CONFIG.ringTimeoutSeconds ? { salesRingTimeoutSeconds: SALES_DIAL_CONFIG.ringTimeoutSeconds } : {})
+  });
+
+  clearPendingTimers(leadCallSid);
+  pendingDials[leadCallSid] = {
+    engagementTimer: setTimeout(() => handleEngagementTimeout(leadCallSid), SALES_DIAL_CONFIG.engagementTimeoutSeconds * 1000)
+  };
+
+  console.log(`[SalesDial] Waiting for lead ${leadCallSid} to engage before dialing sales`);
+}
+
+/**
+ * Give up on a lead that never engaged
+ * @param {string} leadCallSid - Lead call SID
+ */
+function handleEngagementTimeout(leadCallSid) {
+  if (!pendingDials[leadCallSid]) return;
+  delete pendingDials[leadCallSid];
+
+  console.log(`[SalesDial] Lead ${leadCallSid} did not engage within ${SALES_DIAL_CONFIG.engagementTimeoutSeconds}s, not dialing sales`);
+  updateCallData(leadCallSid, {
+    salesDialPending: false,
+    salesDialTimedOut: true,
+    // Let the AI offer a callback instead of promising a specialist
+    ...(getCallState(leadCallSid) === CALL_STATES.AI_CONVERSATION ? { salesTeamUnavailable: true } : {})
+  });
+}
+
+/**
+ * Report lead engagement; dials the deferred sales leg when the trigger is enabled
+ * @param {string} leadCallSid - Lead call SID
+ * @param {string} trigger - Engagement trigger (see ENGAGEMENT_TRIGGERS)
+ * @returns {boolean} Whether a sales dial was scheduled
+ */
+function handleLeadEngagement(leadCallSid, trigger) {
+  const pending = pendingDials[leadCallSid];
+  if (!pending || pending.delayTimer || !SALES_DIAL_CONFIG.triggers.includes(trigger)) {
+    return false;
+  }
+
+  clearTimeout(pending.engagementTimer);
+  updateCallData(leadCallSid, {
+    salesDialTrigger: trigger,
+    salesDialTriggeredAt: new Date().toISOString()
+  });
+
+  console.log(`[SalesDial] Lead ${leadCallSid} engaged (${trigger}), dialing sales in ${SALES_DIAL_CONFIG.delaySeconds}s`);
+  pending.delayTimer = setTimeout(() => dialDeferredSalesLeg(leadCallSid), SALES_DIAL_CONFIG.delaySeconds * 1000);
+  return true;
+}
+
+/**
+ * Dial the sales leg for an engaged lead
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {Promise<Object|null>} Sales leg or null if nothing was dialed
+ */
+async function dialDeferredSalesLeg(leadCallSid) {
+  delete pendingDials[leadCallSid];
+  updateCallData(leadCallSid, { salesDialPending: false });
+
+  if (!isLeadReachable(getCallData(leadCallSid), getCallState(leadCallSid))) {
+    console.log(`[SalesDial] Lead ${leadCallSid} is no longer on the line, not dialing sales`);
+    return null;
+  }
+
+  try {
+    const salesLeg = await dialSalesLeg(leadCallSid);
+    if (!salesLeg) {
+      console.log(`[SalesDial] No sales agent available for lead ${leadCallSid}`);
+      updateCallData(leadCallSid, { salesTeamUnavailable: true });
+    }
+    return salesLeg;
+  } catch (error) {
+    console.error(`[SalesDial] Error dialing sales leg for lead ${leadCallSid}:`, error);
+    updateCallData(leadCallSid, { salesTeamUnavailable: true });
+    return null;
+  }
+}
+
+/**
+ * Stop waiting for engagement, e.g. when the lead hangs up or reaches voicemail
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {boolean} Whether a pending dial was canceled
+ */
+function cancelSalesDial(leadCallSid) {
+  if (!pendingDials[leadCallSid]) return false;
+
+  clearPendingTimers(leadCallSid);
+  updateCallData(leadCallSid, { salesDialPending: false });
+  console.log(`[SalesDial] Canceled pending sales dial for lead ${leadCallSid}`);
+  return true;
+}
+
+/**
+ * Cancel all pending sales dials (for tests)
+ */
+function clearPendingSalesDials() {
+  Object.keys(pendingDials).forEach(clearPendingTimers);
+}
+
+export {
+  initialize,
+  loadSalesDialConfigFromEnv,
+  getSalesDialConfig,
+  isDeferredDialing,
+  deferSalesDial,
+  handleLeadEngagement,
+  cancelSalesDial,
+  clearPendingSalesDials
+};
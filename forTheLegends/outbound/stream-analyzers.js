@@ -0,0 +1,312 @@
+// forTheLegends/outbound/stream-analyzers.js
+// Middleware pipeline that runs analyzers over a live call's audio and transcripts; each
+// analyzer can steer the AI with a custom instruction and records its findings in call state
+
+import { getCallData, updateCallData } from './call-state.js';
+import { SAMPLE_RATE } from './audio-utils.js';
+import {
+  initializeQualityMonitoring,
+  processAudioQuality,
+  markAgentSpeaking,
+  markAgentInterrupted,
+  getQualityInstructions,
+  getQualityMetrics
+} from './call-quality-monitor.js';
+import {
+  initializeInterruptionDetection,
+  processTranscript as processInterruptionTranscript,
+  getInterruptionInstructions,
+  getInterruptionData
+} from './interruption-handler.js';
+
+// Who a transcript came from
+export const SPEAKERS = {
+  LEAD: 'lead',
+  AGENT: 'agent'
+};
+
+// Pipeline settings
+const PIPELINE_CONFIG = {
+  // How often audio analyzers write their running findings to call state
+  findingsIntervalMs: 10000
+};
+
+// Registered analyzers, run in order
+const analyzers = [];
+
+// Live streams by call SID
+const streams = {};
+
+/**
+ * Update pipeline settings
+ * @param {Object} settings - Pipeline settings to override
+ * @returns {Object} Current pipeline settings
+ */
+function configureStreamAnalysis(settings = {}) {
+  Object.assign(PIPELINE_CONFIG, settings);
+  return { ...PIPELINE_CONFIG };
+}
+
+/**
+ * Add an analyzer to the pipeline, replacing one with the same name
+ *
+ * Hooks are all optional and receive the call SID first:
+ * onStart(callSid, { resumed }), onAudio(callSid, payload), onAgentAudio(callSid, payload),
+ * onAgentInterrupted(callSid), onTranscript(callSid, { speaker, text }) and onStop(callSid).
+ * A hook returns nothing or { instruction, findings }: the instruction is sent to ElevenLabs
+ * as a custom_instruction and the findings are stored under streamAnalysis[name] in call state.
+ *
+ * @param {Object} analyzer - Analyzer with a name and hooks
+ */
+function registerAnalyzer(analyzer) {
+  if (!analyzer?.name) {
+    throw new Error('Analyzers need a name');
+  }
+  const index = analyzers.findIndex(existing => existing.name === analyzer.name);
+  if (index === -1) {
+    analyzers.push(analyzer);
+  } else {
+    analyzers[index] = analyzer;
+  }
+}
+
+/**
+ * Remove an analyzer from the pipeline
+ * @param {string} name - Analyzer name
+ * @returns {boolean} Whether it was registered
+ */
+function unregisterAnalyzer(name) {
+  const index = analyzers.findIndex(analyzer => analyzer.name === name);
+  if (index === -1) return false;
+  analyzers.splice(index, 1);
+  return true;
+}
+
+/**
+ * Get the names of the registered analyzers, in order
+ * @returns {string[]} Analyzer names
+ */
+function getAnalyzerNames() {
+  return analyzers.map(analyzer => analyzer.name);
+}
+
+/**
+ * Run one hook through every analyzer
+ * @param {string} callSid - Lead call SID
+ * @param {string} hook - Hook name
+ * @param {*} input - Hook input
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function runHook(callSid, hook, input) {
+  const stream = streams[callSid];
+  if (!stream) return [];
+
+  const sent = [];
+  analyzers.forEach(analyzer => {
+    if (typeof analyzer[hook] !== 'function') return;
+
+    let result;
+    try {
+      result = analyzer[hook](callSid, input);
+    } catch (error) {
+      console.error(`[StreamAnalysis] ${analyzer.name} failed on ${hook} for call ${callSid}:`, error);
+      return;
+    }
+    if (!result) return;
+
+    if (result.findings) {
+      const streamAnalysis = getCallData(callSid).streamAnalysis || {};
+      updateCallData(callSid, {
+        streamAnalysis: { ...streamAnalysis, [analyzer.name]: result.findings }
+      });
+    }
+
+    if (result.instruction) {
+      // Steering the live conversation makes no sense once it is leaving a voicemail
+      if (getCallData(callSid).isVoicemail) {
+        console.log(`[StreamAnalysis] Skipping ${analyzer.name} instruction for voicemail call ${callSid}`);
+        return;
+      }
+      stream.sendInstruction({ type: 'custom_instruction', instruction: result.instruction });
+      sent.push(result.instruction);
+      console.log(`[StreamAnalysis] ${analyzer.name} sent an instruction for call ${callSid}`);
+    }
+  });
+  return sent;
+}
+
+/**
+ * Start analyzing a call's stream
+ * @param {string} callSid - Lead call SID
+ * @param {Object} options - Stream options
+ * @param {Function} options.sendInstruction - Sends a message to the call's ElevenLabs socket
+ * @param {boolean} [options.resumed] - Whether the AI is picking the call back up
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function startStreamAnalysis(callSid, { sendInstruction, resumed = false }) {
+  streams[callSid] = { sendInstruction };
+  return runHook(callSid, 'onStart', { resumed });
+}
+
+/**
+ * Pass the lead's audio from a Twilio media event through the analyzers
+ * @param {string} callSid - Lead call SID
+ * @param {string} payload - Base64 μ-law audio
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function analyzeAudio(callSid, payload) {
+  return runHook(callSid, 'onAudio', payload);
+}
+
+/**
+ * Pass agent audio sent to the lead through the analyzers
+ * @param {string} callSid - Lead call SID
+ * @param {string} payload - Base64 μ-law audio
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function analyzeAgentAudio(callSid, payload) {
+  return runHook(callSid, 'onAgentAudio', payload);
+}
+
+/**
+ * Tell the analyzers the lead cut the agent off and its queued audio was dropped
+ * @param {string} callSid - Lead call SID
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function analyzeAgentInterruption(callSid) {
+  return runHook(callSid, 'onAgentInterrupted');
+}
+
+/**
+ * Pass a transcript through the analyzers
+ * @param {string} callSid - Lead call SID
+ * @param {string} speaker - Who spoke (see SPEAKERS)
+ * @param {string} text - What they said
+ * @returns {string[]} Instructions sent to ElevenLabs
+ */
+function analyzeTranscript(callSid, speaker, text) {
+  if (!text) return [];
+  return runHook(callSid, 'onTranscript', { speaker, text });
+}
+
+/**
+ * Stop analyzing a call's stream, letting analyzers write their final findings
+ * @param {string} callSid - Lead call SID
+ */
+function stopStreamAnalysis(callSid) {
+  runHook(callSid, 'onStop');
+  delete streams[callSid];
+}
+
+/**
+ * Check whether a call's stream is being analyzed
+ * @param {string} callSid - Lead call SID
+ * @returns {boolean} Whether the stream is live
+ */
+function isStreamAnalyzed(callSid) {
+  return Boolean(streams[callSid]);
+}
+
+// Quality metrics without the event log, which stays with the monitor
+function getQualityFindings(callSid) {
+  const { qualityLog, ...findings } = getQualityMetrics(callSid) || {};
+  return findings;
+}
+
+// When each call's quality findings were last written
+const qualityReportedAt = {};
+
+// Call quality: real audio levels, silence, low volume and clipping
+const qualityAnalyzer = {
+  name: 'quality',
+  onStart(callSid, { resumed }) {
+    // A resumed call keeps measuring from its first stream
+    if (!resumed) {
+      initializeQualityMonitoring(callSid);
+    }
+    qualityReportedAt[callSid] = Date.now();
+  },
+  onAudio(callSid, payload) {
+    const result = processAudioQuality(callSid, payload);
+    const instruction = result.hasQualityIssue ? getQualityInstructions(callSid) : null;
+
+    const now = Date.now();
+    if (!instruction && now - (qualityReportedAt[callSid] || 0) < PIPELINE_CONFIG.findingsIntervalMs) {
+      return null;
+    }
+    qualityReportedAt[callSid] = now;
+    return { instruction, findings: getQualityFindings(callSid) };
+  },
+  onAgentAudio(callSid, payload) {
+    markAgentSpeaking(callSid, (Buffer.from(payload, 'base64').length / SAMPLE_RATE) * 1000);
+  },
+  onAgentInterrupted(callSid) {
+    markAgentInterrupted(callSid);
+  },
+  onStop(callSid) {
+    delete qualityReportedAt[callSid];
+    return { findings: getQualityFindings(callSid) };
+  }
+};
+
+// Interruptions and requests to talk another time in the lead's speech
+const interruptionAnalyzer = {
+  name: 'interruption',
+  onStart(callSid, { resumed }) {
+    if (!resumed) {
+      initializeInterruptionDetection(callSid);
+    }
+  },
+  onTranscript(callSid, { speaker, text }) {
+    if (speaker !== SPEAKERS.LEAD) return null;
+
+    const result = processInterruptionTranscript(callSid, text);
+    const instruction = getInterruptionInstructions(callSid, result);
+
+    // A time given with the request to talk later goes out with the call's webhook
+    if (result.rescheduleDetected && result.preferredCallbackTime) {
+      const { callbackPreferences = [] } = getCallData(callSid);
+      updateCallData(callSid, {
+        callbackPreferences: [...callbackPreferences, {
+          ...result.preferredCallbackTime,
+          source: 'lead-speech',
+          requestedAt: new Date().toISOString()
+        }]
+      });
+    }
+    if (!instruction && !result.rescheduleDetected && !result.interruptionDetected) {
+      return null;
+    }
+
+    const { interruptionLog, ...findings } = getInterruptionData(callSid);
+    return { instruction, findings };
+  }
+};
+
+// Analyzers every stream starts with
+const DEFAULT_ANALYZERS = [qualityAnalyzer, interruptionAnalyzer];
+DEFAULT_ANALYZERS.forEach(registerAnalyzer);
+
+/**
+ * Stop all streams and restore the default analyzers (for tests)
+ */
+function clearStreamAnalysis() {
+  Object.keys(streams).forEach(callSid => delete streams[callSid]);
+  Object.keys(qualityReportedAt).forEach(callSid => delete qualityReportedAt[callSid]);
+  analyzers.splice(0, analyzers.length, ...DEFAULT_ANALYZERS);
+}
+
+export {
+  configureStreamAnalysis,
+  registerAnalyzer,
+  unregisterAnalyzer,
+  getAnalyzerNames,
+  startStreamAnalysis,
+  analyzeAudio,
+  analyzeAgentAudio,
+  analyzeAgentInterruption,
+  analyzeTranscript,
+  stopStreamAnalysis,
+  isStreamAnalyzed,
+  clearStreamAnalysis
+};
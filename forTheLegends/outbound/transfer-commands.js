@@ -0,0 +1,217 @@
+// forTheLegends/outbound/transfer-commands.js
+// Internal command bus for "transfer lead X now": any module can request a transfer, every
+// request passes the same readiness rules and is kept in the call's transfer audit trail
+
+import { getCallData, updateCallData } from './call-state.js';
+import { CALL_STATES, getCallState, isTerminalState } from './call-lifecycle.js';
+
+// Who asked for a transfer
+export const TRANSFER_REQUESTERS = {
+  INTENT: 'intent-detection',
+  CLIENT_TOOL: 'client-tool',
+  ADMIN: 'admin-api'
+};
+
+// What became of a transfer request
+export const TRANSFER_REQUEST_STATUSES = {
+  // The lead is being moved to the specialist
+  TRANSFERRING: 'transferring',
+  // Accepted; the transfer starts once the specialist's leg answers
+  PENDING: 'pending',
+  // The conversation has not reached the point of a transfer yet
+  NOT_READY: 'not-ready',
+  // A transfer is already under way
+  DUPLICATE: 'duplicate',
+  // The call cannot be transferred
+  REJECTED: 'rejected',
+  FAILED: 'failed'
+};
+
+// What starting an accepted transfer came to
+export const TRANSFER_START_RESULTS = {
+  // The lead is being moved now
+  STARTED: 'started',
+  // A sales leg is ringing or about to be dialed
+  WAITING: 'waiting',
+  // No sales leg is live and no specialist could be dialed
+  NO_SALES_LEG: 'no-sales-leg'
+};
+
+// Starts the transfer once a request is accepted: (leadCallSid) => Promise<string>,
+// resolving to one of TRANSFER_START_RESULTS
+let executeTransfer = null;
+
+// Request IDs handed out so far
+let requestCount = 0;
+
+/**
+ * Initialize the transfer command bus
+ * @param {Object} options - Configuration options
+ * @param {Function} options.executeTransfer - Starts an accepted transfer
+ */
+function initialize({ executeTransfer: execute } = {}) {
+  executeTransfer = execute || executeTransfer;
+}
+
+/**
+ * Decide whether the conversation is far enough along for a transfer
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {boolean} Whether the lead is ready to be transferred
+ */
+function evaluateTransferReadiness(leadCallSid) {
+  const { transcripts = [], intentData } = getCallData(leadCallSid);
+
+  // Need at least 2 turns from the lead before considering transfer
+  if (transcripts.length < 2) {
+    console.log(`[TransferCommands] Not enough transcript data for transfer (${transcripts.length} turns)`);
+    return false;
+  }
+
+  if (intentData) {
+    if (intentData.hasNegativeIntent) {
+      console.log(`[TransferCommands] Lead has negative intent - not ready for transfer`);
+      return false;
+    }
+
+    if (intentData.hasPositiveIntent) {
+      console.log(`[TransferCommands] Lead has positive intent - ready for transfer`);
+      return true;
+    }
+  }
+
+  // Without a clear intent, a longer conversation is enough
+  return transcripts.length >= 3;
+}
+
+/**
+ * Find why a call cannot take a transfer at all
+ * @param {Object} callData - Lead call data
+ * @param {string} state - Lifecycle state
+ * @returns {string|null} Why not, or null when it can
+ */
+function getRejection(callData, state) {
+  if (callData.isVoicemail) return 'call reached voicemail';
+  if (callData.doNotCall) return 'lead asked not to be called';
+  if (callData.callbackScheduled) return 'lead asked for a callback';
+  if (callData.salesTeamUnavailable) return 'no specialist available';
+  if (state && isTerminalState(state)) return `call is ${state}`;
+  return null;
+}
+
+/**
+ * Write the outcome of a request to its audit trail entry
+ * @param {string} leadCallSid - Lead call SID
+ * @param {Object} entry - Audit trail entry
+ * @param {string} status - Request status (see TRANSFER_REQUEST_STATUSES)
+ * @param {string} [detail] - Why
+ * @returns {Object} Request result
+ */
+function settleRequest(leadCallSid, entry, status, detail = null) {
+  const settled = { ...entry, status, detail, settledAt: new Date().toISOString() };
+  const trail = getCallData(leadCallSid).transferRequests || [];
+  updateCallData(leadCallSid, {
+    transferRequests: trail.map(request => (request.id === entry.id ? settled : request))
+  });
+
+  console.log(`[TransferCommands] Transfer request ${entry.id} from ${entry.requestedBy} for ${leadCallSid}: ${status}${detail ? ` (${detail})` : ''}`);
+  return {
+    success: status === TRANSFER_REQUEST_STATUSES.TRANSFERRING || status === TRANSFER_REQUEST_STATUSES.PENDING,
+    requestId: entry.id,
+    status,
+    detail
+  };
+}
+
+/**
+ * Request that a lead be transferred to a specialist now
+ *
+ * The request is added to the call's transferRequests audit trail before this
+ * returns its promise, and the promise never rejects.
+ *
+ * @param {string} leadCallSid - Lead call SID
+ * @param {Object} options - Request options
+ * @param {string} options.requestedBy - Who is asking (see TRANSFER_REQUESTERS)
+ * @param {string} [options.reason] - Why
+ * @returns {Promise<Object>} { success, requestId, status, detail }
+ */
+async function requestTransfer(leadCallSid, { requestedBy, reason } = {}) {
+  const entry = {
+    id: `transfer-${++requestCount}`,
+    requestedBy: requestedBy || 'unknown',
+    reason: reason || null,
+    requestedAt: new Date().toISOString()
+  };
+  const callData = getCallData(leadCallSid);
+  updateCallData(leadCallSid, { transferRequests: [...(callData.transferRequests || []), entry] });
+
+  const state = getCallState(leadCallSid);
+  const rejection = getRejection(callData, state);
+  if (rejection) {
+    return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.REJECTED, rejection);
+  }
+  if (callData.transferInitiated || state === CALL_STATES.TRANSFER_PENDING || state === CALL_STATES.BRIDGED) {
+    return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.DUPLICATE, 'transfer already under way');
+  }
+  if (!evaluateTransferReadiness(leadCallSid)) {
+    return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.NOT_READY, 'conversation not ready for a transfer');
+  }
+  if (!executeTransfer) {
+    return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.FAILED, 'transfers are not set up');
+  }
+
+  updateCallData(leadCallSid, { transferRequested: true, transferRequestedBy: entry.requestedBy });
+  try {
+    const started = await executeTransfer(leadCallSid);
+    if (started === TRANSFER_START_RESULTS.NO_SALES_LEG) {
+      // Let the AI offer a callback instead of promising a specialist
+      updateCallData(leadCallSid, { salesTeamUnavailable: true });
+      return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.REJECTED, 'no specialist available');
+    }
+    return settleRequest(leadCallSid, entry, started === TRANSFER_START_RESULTS.STARTED
+      ? TRANSFER_REQUEST_STATUSES.TRANSFERRING
+      : TRANSFER_REQUEST_STATUSES.PENDING);
+  } catch (error) {
+    console.error(`[TransferCommands] Error transferring ${leadCallSid}:`, error);
+    return settleRequest(leadCallSid, entry, TRANSFER_REQUEST_STATUSES.FAILED, error.message);
+  }
+}
+
+/**
+ * Get a call's transfer audit trail
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {Object[]} Transfer requests, oldest first
+ */
+function getTransferRequests(leadCallSid) {
+  return getCallData(leadCallSid).transferRequests || [];
+}
+
+/**
+ * Register transfer command routes
+ * @param {Object} fastify - Fastify instance
+ */
+function registerTransferCommandRoutes(fastify) {
+  fastify.post("/calls/:callSid/transfer", async (request, reply) => {
+    const { callSid } = request.params;
+    if (!getCallData(callSid).leadStatus) {
+      return reply.code(404).send({ error: 'Call not found' });
+    }
+
+    const result = await requestTransfer(callSid, {
+      requestedBy: request.body?.requestedBy ? `${TRANSFER_REQUESTERS.ADMIN}:${request.body.requestedBy}` : TRANSFER_REQUESTERS.ADMIN,
+      reason: request.body?.reason
+    });
+    reply.code(result.success ? 200 : 409).send(result);
+  });
+
+  fastify.get("/calls/:callSid/transfer-requests", async (request, reply) => {
+    reply.send({ transferRequests: getTransferRequests(request.params.callSid) });
+  });
+}
+
+export {
+  initialize,
+  evaluateTransferReadiness,
+  requestTransfer,
+  getTransferRequests,
+  registerTransferCommandRoutes
+};
@@ -0,0 +1,248 @@
+// forTheLegends/outbound/transfer-supervisor.js
+// Supervises conference transfers from /conference-status participant events,
+// with a cancellable join timeout that survives restarts through call state
+
+import { getCallData, updateCallData, getAllCallSids } from './call-state.js';
+import { resolveConference, getParticipantRole } from './conference-events.js';
+
+// Possible transfer outcomes
+export const TRANSFER_OUTCOMES = {
+  BRIDGED: 'bridged',
+  LEAD_DROPPED: 'lead-dropped',
+  SALES_DROPPED: 'sales-dropped',
+  TIMED_OUT: 'timed-out'
+};
+
+// What a lead still in the conference gets when the specialist hangs up
+export const SPECIALIST_DROP_FALLBACKS = {
+  AI: 'ai',
+  VOICEMAIL: 'voicemail'
+};
+
+// Supervision settings
+const TRANSFER_CONFIG = {
+  // Time both parties have to join the conference
+  joinTimeoutMs: (Number(process.env.TRANSFER_JOIN_TIMEOUT_SECONDS) || 30) * 1000,
+  // Reconnect the lead to the AI, or play a recorded message and hang up
+  specialistDropFallback: process.env.SPECIALIST_DROP_FALLBACK || SPECIALIST_DROP_FALLBACKS.AI,
+  // Recording played by the voicemail fallback; the message is spoken when unset
+  specialistDropAudioUrl: process.env.SPECIALIST_DROP_AUDIO_URL || null
+};
+
+// Join timeout timers by lead call SID
+const timers = {};
+
+// Called with (leadCallSid, outcome, transfer) once a transfer resolves, provided by outbound-calls.js
+let onOutcome = null;
+
+/**
+ * Initialize the transfer supervisor
+ * @param {Object} options - Configuration options
+ * @param {Function} options.onOutcome - Applies the fallback for a resolved transfer
+ * @param {number} [options.joinTimeoutMs] - Time both parties have to join
+ * @param {string} [options.specialistDropFallback] - 'ai' or 'voicemail'
+ * @param {string} [options.specialistDropAudioUrl] - Recording for the voicemail fallback
+ */
+function initialize(options = {}) {
+  const { onOutcome: handler, ...settings } = options;
+  onOutcome = handler || onOutcome;
+  Object.assign(TRANSFER_CONFIG, settings);
+}
+
+/**
+ * Get supervision settings
+ * @returns {Object} Supervision settings
+ */
+function getTransferConfig() {
+  return { ...TRANSFER_CONFIG };
+}
+
+/**
+ * Arm the join timeout for a pending transfer
+ * @param {string} leadCallSid - Lead call SID
+ * @param {number} delayMs - Time until the deadline
+ */
+function armTimer(leadCallSid, delayMs) {
+  clearTimeout(timers[leadCallSid]);
+  timers[leadCallSid] = setTimeout(() => {
+    delete timers[leadCallSid];
+    resolveTransfer(leadCallSid, TRANSFER_OUTCOMES.TIMED_OUT, 'participants did not join in time');
+  }, Math.max(0, delayMs));
+}
+
+/**
+ * Start supervising a conference transfer
+ * @param {string} leadCallSid - Lead call SID
+ * @param {string} salesCallSid - Sales call SID
+ * @param {string} conferenceRoom - Conference room name
+ * @param {Object} [options] - Supervision options
+ * @param {number} [options.timeoutMs] - Override the join timeout
+ * @returns {Object} Transfer record
+ */
+function startTransferSupervision(leadCallSid, salesCallSid, conferenceRoom, options = {}) {
+  const timeoutMs = options.timeoutMs || TRANSFER_CONFIG.joinTimeoutMs;
+  const now = Date.now();
+  const transfer = {
+    salesCallSid,
+    conferenceRoom,
+    status: 'pending',
+    leadJoined: false,
+    salesJoined: false,
+    startedAt: new Date(now).toISOString(),
+    deadline: now + timeoutMs,
+    events: []
+  };
+
+  updateCallData(leadCallSid, { transfer });
+  armTimer(leadCallSid, timeoutMs);
+
+  console.log(`[Transfer] Supervising transfer of ${leadCallSid} into ${conferenceRoom} (timeout ${timeoutMs}ms)`);
+  return transfer;
+}
+
+/**
+ * Find the lead call a conference participant belongs to
+ * @param {Object} event - Conference status callback parameters
+ * @returns {Object|null} Lead call SID and participant role
+ */
+function findTransferParticipant(event) {
+  const conference = resolveConference(event);
+  const participant = conference ? getParticipantRole(event, conference) : null;
+  if (!participant || !getCallData(conference.leadCallSid).transfer) return null;
+
+  return { leadCallSid: conference.leadCallSid, participant };
+}
+
+/**
+ * Track a /conference-status participant event against a pending transfer
+ * @param {Object} event - Conference status callback parameters
+ * @returns {Promise<Object>} Tracking result with the outcome when the event resolved the transfer
+ */
+async function handleConferenceEvent(event) {
+  const action = { 'participant-join': 'join', 'participant-leave': 'leave' }[event.StatusCallbackEvent];
+  const match = action ? findTransferParticipant(event) : null;
+  if (!match) return { tracked: false };
+
+  const { leadCallSid, participant } = match;
+  const transfer = getCallData(leadCallSid).transfer;
+
+  const events = [
+    ...transfer.events,
+    { participant, action, callSid: event.CallSid, conferenceSid: event.ConferenceSid, timestamp: new Date().toISOString() }
+  ];
+  const joined = action === 'join';
+  updateCallData(leadCallSid, {
+    transfer: {
+      ...transfer,
+      events,
+      ...(participant === 'lead' ? { leadJoined: transfer.leadJoined || joined } : { salesJoined: transfer.salesJoined || joined })
+    }
+  });
+
+  // Events after the transfer resolved are only recorded
+  if (transfer.status !== 'pending') return { tracked: true, leadCallSid };
+
+  const updated = getCallData(leadCallSid).transfer;
+  let outcome = null;
+  if (action === 'leave') {
+    outcome = participant === 'lead' ? TRANSFER_OUTCOMES.LEAD_DROPPED : TRANSFER_OUTCOMES.SALES_DROPPED;
+  } else if (updated.leadJoined && updated.salesJoined) {
+    outcome = TRANSFER_OUTCOMES.BRIDGED;
+  }
+
+  if (outcome) {
+    await resolveTransfer(leadCallSid, outcome, `${participant} ${action} event`);
+  }
+  return { tracked: true, leadCallSid, outcome };
+}
+
+/**
+ * Record the outcome of a pending transfer and hand it to the outcome handler
+ * @param {string} leadCallSid - Lead call SID
+ * @param {string} outcome - Transfer outcome (see TRANSFER_OUTCOMES)
+ * @param {string} [reason] - Why the transfer resolved
+ * @returns {Promise<boolean>} Whether a pending transfer was resolved
+ */
+async function resolveTransfer(leadCallSid, outcome, reason) {
+  const transfer = getCallData(leadCallSid).transfer;
+  if (!transfer || transfer.status !== 'pending') return false;
+
+  clearTimeout(timers[leadCallSid]);
+  delete timers[leadCallSid];
+
+  const resolved = { ...transfer, status: outcome, reason, resolvedAt: new Date().toISOString() };
+  updateCallData(leadCallSid, { transfer: resolved, transferOutcome: outcome });
+  updateCallData(transfer.salesCallSid, { transferOutcome: outcome });
+
+  console.log(`[Transfer] Transfer of ${leadCallSid} resolved: ${outcome} (${reason})`);
+
+  if (onOutcome) {
+    try {
+      await onOutcome(leadCallSid, outcome, resolved);
+    } catch (error) {
+      console.error(`[Transfer] Error applying ${outcome} fallback for ${leadCallSid}:`, error);
+    }
+  }
+  return true;
+}
+
+/**
+ * Stop supervising a transfer without applying a fallback
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {boolean} Whether a pending transfer was canceled
+ */
+function cancelTransferSupervision(leadCallSid) {
+  const transfer = getCallData(leadCallSid).transfer;
+  if (!transfer || transfer.status !== 'pending') return false;
+
+  clearTimeout(timers[leadCallSid]);
+  delete timers[leadCallSid];
+  updateCallData(leadCallSid, {
+    transfer: { ...transfer, status: 'canceled', resolvedAt: new Date().toISOString() }
+  });
+
+  console.log(`[Transfer] Stopped supervising transfer of ${leadCallSid}`);
+  return true;
+}
+
+/**
+ * Re-arm join timeouts for transfers that were pending before a restart
+ * @returns {number} Number of transfers resumed
+ */
+function resumeTransferSupervision() {
+  let resumed = 0;
+
+  getAllCallSids().forEach(callSid => {
+    const transfer = getCallData(callSid).transfer;
+    if (transfer?.status === 'pending' && !timers[callSid]) {
+      armTimer(callSid, transfer.deadline - Date.now());
+      resumed++;
+    }
+  });
+
+  if (resumed > 0) {
+    console.log(`[Transfer] Resumed supervision of ${resumed} pending transfers`);
+  }
+  return resumed;
+}
+
+/**
+ * Clear all join timeout timers (for tests)
+ */
+function clearTransferTimers() {
+  Object.keys(timers).forEach(callSid => {
+    clearTimeout(timers[callSid]);
+    delete timers[callSid];
+  });
+}
+
+export {
+  initialize,
+  getTransferConfig,
+  startTransferSupervision,
+  handleConferenceEvent,
+  resolveTransfer,
+  cancelTransferSupervision,
+  resumeTransferSupervision,
+  clearTransferTimers
+};
@@ -0,0 +1,158 @@
+// forTheLegends/outbound/transfer-whisper.js
+// Builds the warm-transfer whisper a specialist hears before being bridged to a lead
+
+import { getIntentData } from './intent-detector.js';
+import { describeCallbackTime } from './callback-time-parser.js';
+import { OUTBOUND, escapeTwiMLText } from '../prompts/twilio-prompts.js';
+
+// Whisper settings
+const WHISPER_CONFIG = {
+  enabled: process.env.TRANSFER_WHISPER_ENABLED !== 'false',
+  // Seconds the specialist has to press a key after the whisper
+  timeoutSeconds: Number(process.env.TRANSFER_WHISPER_TIMEOUT_SECONDS) || 10,
+  // Key that accepts the transfer; any other key declines it
+  acceptDigit: '1',
+  // Number of recent lead statements read out
+  recentStatements: 2,
+  // Longest lead statement read out, in characters
+  maxStatementLength: 150
+};
+
+// Spoken descriptions of detected intents
+const INTENT_PHRASES = {
+  service_interest: 'are interested in our services',
+  needs_more_info: 'want more information',
+  schedule_callback: 'asked about a callback',
+  needs_immediate_care: 'need care urgently',
+  already_have_care: 'already have some care in place',
+  confused: 'seemed confused at times',
+  cant_talk_now: 'said it is not a good time to talk'
+};
+
+/**
+ * Update whisper settings
+ * @param {Object} settings - enabled, timeoutSeconds
+ * @returns {Object} Current whisper settings
+ */
+function configureWhisper(settings = {}) {
+  Object.assign(WHISPER_CONFIG, settings);
+  return getWhisperConfig();
+}
+
+/**
+ * Get whisper settings
+ * @returns {Object} Whisper settings
+ */
+function getWhisperConfig() {
+  return { ...WHISPER_CONFIG };
+}
+
+/**
+ * Get the text of a transcript entry stored either as a string or as { text }
+ * @param {string|Object} entry - Transcript entry
+ * @returns {string} Transcript text
+ */
+function transcriptText(entry) {
+  return (typeof entry === 'string' ? entry : entry?.text || '').trim();
+}
+
+/**
+ * Describe the most recent callback preference in words
+ * @param {Object[]} callbackPreferences - Detected callback preferences
+ * @returns {string|null} Callback description
+ */
+function describeCallbackPreference(callbackPreferences = []) {
+  return describeCallbackTime(callbackPreferences[callbackPreferences.length - 1]);
+}
+
+/**
+ * Build a spoken summary of the conversation so far for the specialist
+ * @param {string} leadCallSid - Lead call SID
+ * @param {Object} callData - Lead call data (transcripts, userTranscripts, leadInfo, callbackPreferences)
+ * @returns {string} Lead summary
+ */
+function buildLeadSummary(leadCallSid, callData = {}) {
+  const leadInfo = callData.leadInfo || {};
+  const leadName = leadInfo.LeadName || leadInfo.leadName || 'The lead';
+  const careReason = leadInfo.CareReason || leadInfo.careReason;
+  const careNeededFor = leadInfo.CareNeededFor || leadInfo.careNeededFor;
+  const sentences = [];
+
+  let context = `${leadName} is looking for ${careReason || 'home care services'}`;
+  if (careNeededFor) context += ` for ${careNeededFor}`;
+  sentences.push(`${context}.`);
+
+  const intents = (getIntentData(leadCallSid)?.detectedIntents || [])
+    .map(intent => INTENT_PHRASES[intent.name])
+    .filter(Boolean);
+  if (callData.intentData?.transferRequested) {
+    intents.unshift('asked to speak with a specialist');
+  }
+  if (intents.length > 0) {
+    sentences.push(`They ${[...new Set(intents)].join(', and ')}.`);
+  }
+
+  const callback = describeCallbackPreference(callData.callbackPreferences);
+  if (callback) {
+    sentences.push(`They mentioned a callback ${callback}.`);
+  }
+
+  const statements = (callData.userTranscripts || [])
+    .map(transcriptText)
+    .filter(Boolean)
+    .slice(-WHISPER_CONFIG.recentStatements)
+    .map(text => text.length > WHISPER_CONFIG.maxStatementLength
+      ? `${text.slice(0, WHISPER_CONFIG.maxStatementLength)}...`
+      : text);
+  if (statements.length > 0) {
+    sentences.push(`Most recently they said: ${statements.map(text => `"${text}"`).join(' and ')}.`);
+  }
+
+  const turns = (callData.transcripts || []).length + (callData.userTranscripts || []).length;
+  if (turns > 0) {
+    sentences.push(`The AI has exchanged ${turns} messages with them so far.`);
+  }
+
+  return sentences.join(' ');
+}
+
+/**
+ * Build the whisper TwiML that reads the summary and asks the specialist to accept
+ * @param {Object} params - Whisper parameters
+ * @param {string} params.summary - Lead summary
+ * @param {string} params.actionUrl - URL that receives the key press
+ * @returns {string} TwiML for the sales call
+ */
+function getWhisperTwiml({ summary, actionUrl }) {
+  const url = escapeTwiMLText(actionUrl);
+  const separator = actionUrl.includes('?') ? '&amp;' : '?';
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+    <Response>
+      <Gather numDigits="1" timeout="${WHISPER_CONFIG.timeoutSeconds}" action="${url}" method="POST">
+        <Say>${escapeTwiMLText(OUTBOUND.TRANSFER_WHISPER.INTRO)}</Say>
+        <Say>${escapeTwiMLText(summary)}</Say>
+        <Say>${escapeTwiMLText(OUTBOUND.TRANSFER_WHISPER.ACCEPT_PROMPT)}</Say>
+      </Gather>
+      <Redirect method="POST">${url}${separator}noResponse=true</Redirect>
+    </Response>`;
+}
+
+/**
+ * Interpret the specialist's key press
+ * @param {string} digits - Digits pressed (empty when the whisper timed out)
+ * @returns {string} 'accepted', 'rejected' or 'no-response'
+ */
+function getWhisperDecision(digits) {
+  if (digits === WHISPER_CONFIG.acceptDigit) return 'accepted';
+  if (digits) return 'rejected';
+  return 'no-response';
+}
+
+export {
+  configureWhisper,
+  getWhisperConfig,
+  buildLeadSummary,
+  getWhisperTwiml,
+  getWhisperDecision
+};
@@ -0,0 +1,302 @@
+// forTheLegends/outbound/voicemail-detector.js
+// Listens to the lead's μ-law audio on the media stream for a voicemail beep or a long
+// one-sided greeting, and combines that with Twilio's AnsweredBy into one scored verdict
+
+import { getCallData, updateCallData } from './call-state.js';
+import { FRAME_SAMPLES, SAMPLE_RATE, decodeMulaw, getRms, findDominantTone } from './audio-utils.js';
+
+// Things the detector can hear
+export const DETECTOR_EVENTS = {
+  BEEP: 'beep',
+  LONG_GREETING: 'long-greeting',
+  SHORT_GREETING: 'short-greeting'
+};
+
+// Detector settings
+const DETECTOR_CONFIG = {
+  // Stop listening this long into the call
+  analysisWindowMs: 45000,
+  // Frame level counted as someone speaking
+  speechRms: 500,
+  // Beeps are loud, steady single tones in this range
+  beepMinRms: 800,
+  beepMinHz: 400,
+  beepMaxHz: 2100,
+  beepStepHz: 25,
+  beepTonality: 0.6,
+  beepMinMs: 160,
+  beepFrequencyToleranceHz: 50,
+  // One-sided speech this long sounds like a recorded greeting
+  greetingMinMs: 3500,
+  // Gap still counted as part of the same utterance
+  pauseMaxMs: 700,
+  // A first utterance this short followed by silence sounds like a person saying hello
+  shortGreetingMaxMs: 2000,
+  humanSilenceMs: 1500,
+  // Confidence a machine verdict needs before the call is treated as a voicemail
+  actConfidence: 0.8
+};
+
+// How much each signal says about who answered
+const EVIDENCE = {
+  human: { verdict: 'human', weight: 0.8 },
+  machine_start: { verdict: 'machine', weight: 0.7 },
+  machine_end_beep: { verdict: 'machine', weight: 0.95 },
+  machine_end_silence: { verdict: 'machine', weight: 0.8 },
+  machine_end_other: { verdict: 'machine', weight: 0.8 },
+  fax: { verdict: 'machine', weight: 0.9 },
+  [DETECTOR_EVENTS.BEEP]: { verdict: 'machine', weight: 0.9 },
+  [DETECTOR_EVENTS.LONG_GREETING]: { verdict: 'machine', weight: 0.7 },
+  [DETECTOR_EVENTS.SHORT_GREETING]: { verdict: 'human', weight: 0.6 }
+};
+
+const FRAME_MS = (FRAME_SAMPLES / SAMPLE_RATE) * 1000;
+
+// Detector state by call SID
+const detectors = {};
+
+/**
+ * Update detector settings
+ * @param {Object} settings - Detector settings to override
+ * @returns {Object} Current detector settings
+ */
+function configureDetector(settings = {}) {
+  Object.assign(DETECTOR_CONFIG, settings);
+  return getDetectorConfig();
+}
+
+/**
+ * Get detector settings
+ * @returns {Object} Detector settings
+ */
+function getDetectorConfig() {
+  return { ...DETECTOR_CONFIG };
+}
+
+/**
+ * Start listening to a call's audio
+ * @param {string} callSid - Lead call SID
+ */
+function startVoicemailDetection(callSid) {
+  detectors[callSid] = {
+    pending: Buffer.alloc(0),
+    elapsedMs: 0,
+    done: false,
+    tone: null,
+    utterance: null,
+    utteranceCount: 0,
+    firstUtteranceMs: null,
+    result: {
+      beep: false,
+      beepFrequencyHz: null,
+      beepAtMs: null,
+      greetingMs: 0,
+      longGreeting: false,
+      shortGreeting: false,
+      events: []
+    }
+  };
+}
+
+/**
+ * Stop listening to a call's audio
+ * @param {string} callSid - Lead call SID
+ */
+function stopVoicemailDetection(callSid) {
+  delete detectors[callSid];
+}
+
+/**
+ * Record something the detector heard
+ * @param {Object} detector - Detector state
+ * @param {string} event - Detector event
+ * @returns {string} The event
+ */
+function recordEvent(detector, event) {
+  detector.result.events.push({ event, atMs: detector.elapsedMs });
+  return event;
+}
+
+/**
+ * Analyze one 20 ms frame
+ * @param {Object} detector - Detector state
+ * @param {Int16Array} samples - PCM samples
+ * @returns {string[]} Events heard in this frame
+ */
+function analyzeFrame(detector, samples) {
+  const { result } = detector;
+  const events = [];
+  const frameStart = detector.elapsedMs;
+  const frameEnd = frameStart + FRAME_MS;
+  const rms = getRms(samples);
+
+  // A beep is the same loud tone frame after frame
+  let tonal = false;
+  if (rms >= DETECTOR_CONFIG.beepMinRms) {
+    const { frequency, tonality } = findDominantTone(samples, {
+      minHz: DETECTOR_CONFIG.beepMinHz,
+      maxHz: DETECTOR_CONFIG.beepMaxHz,
+      stepHz: DETECTOR_CONFIG.beepStepHz
+    });
+    tonal = tonality >= DETECTOR_CONFIG.beepTonality;
+
+    if (tonal) {
+      const sameTone = detector.tone &&
+        Math.abs(detector.tone.frequency - frequency) <= DETECTOR_CONFIG.beepFrequencyToleranceHz;
+      detector.tone = sameTone
+        ? { ...detector.tone, ms: detector.tone.ms + FRAME_MS }
+        : { frequency, ms: FRAME_MS };
+
+      if (!result.beep && detector.tone.ms >= DETECTOR_CONFIG.beepMinMs) {
+        result.beep = true;
+        result.beepFrequencyHz = detector.tone.frequency;
+        result.beepAtMs = frameEnd;
+        events.push(recordEvent(detector, DETECTOR_EVENTS.BEEP));
+      }
+    }
+  }
+  if (!tonal) {
+    detector.tone = null;
+  }
+
+  // Track utterances, joining words separated by short pauses
+  if (rms >= DETECTOR_CONFIG.speechRms && !tonal) {
+    const { utterance } = detector;
+    if (!utterance || frameStart - utterance.lastSpeechMs > DETECTOR_CONFIG.pauseMaxMs) {
+      detector.utterance = { startMs: frameStart, lastSpeechMs: frameEnd };
+      detector.utteranceCount++;
+    } else {
+      utterance.lastSpeechMs = frameEnd;
+    }
+
+    const lengthMs = detector.utterance.lastSpeechMs - detector.utterance.startMs;
+    result.greetingMs = Math.max(result.greetingMs, lengthMs);
+    if (detector.utteranceCount === 1) {
+      detector.firstUtteranceMs = lengthMs;
+    }
+
+    if (!result.longGreeting && lengthMs >= DETECTOR_CONFIG.greetingMinMs) {
+      result.longGreeting = true;
+      events.push(recordEvent(detector, DETECTOR_EVENTS.LONG_GREETING));
+    }
+  } else if (detector.utteranceCount === 1 && !result.shortGreeting && !result.longGreeting &&
+    detector.firstUtteranceMs <= DETECTOR_CONFIG.shortGreetingMaxMs &&
+    frameEnd - detector.utterance.lastSpeechMs >= DETECTOR_CONFIG.humanSilenceMs) {
+    // A quick hello and then waiting for a reply
+    result.shortGreeting = true;
+    events.push(recordEvent(detector, DETECTOR_EVENTS.SHORT_GREETING));
+  }
+
+  detector.elapsedMs = frameEnd;
+  return events;
+}
+
+/**
+ * Combine Twilio's AnsweredBy with what the detector heard
+ * @param {string} [answeredBy] - Twilio AMD result
+ * @param {Object} [local] - Local detection result
+ * @returns {Object} { verdict: 'human'|'machine'|'unknown', confidence, signals }
+ */
+function combineVerdict(answeredBy, local = {}) {
+  const signals = [
+    answeredBy,
+    local.beep && DETECTOR_EVENTS.BEEP,
+    local.longGreeting && DETECTOR_EVENTS.LONG_GREETING,
+    local.shortGreeting && DETECTOR_EVENTS.SHORT_GREETING
+  ].filter(signal => EVIDENCE[signal]);
+
+  // Each signal independently raises the belief in its side
+  const belief = { human: 0, machine: 0 };
+  signals.forEach(signal => {
+    const { verdict, weight } = EVIDENCE[signal];
+    belief[verdict] = 1 - (1 - belief[verdict]) * (1 - weight);
+  });
+
+  if (belief.human === belief.machine) {
+    return { verdict: 'unknown', confidence: 0, signals };
+  }
+
+  const [winner, loser] = belief.machine > belief.human ? ['machine', 'human'] : ['human', 'machine'];
+  // Contradicting evidence lowers the confidence in the winner
+  const confidence = Math.round(belief[winner] * (1 - belief[loser]) * 100) / 100;
+  return { verdict: winner, confidence, signals };
+}
+
+/**
+ * Get what the detector has heard so far on a call
+ * @param {string} callSid - Lead call SID
+ * @returns {Object|null} Local detection result
+ */
+function getLocalDetection(callSid) {
+  const detector = detectors[callSid];
+  return detector ? { ...detector.result, listenedMs: detector.elapsedMs } : null;
+}
+
+/**
+ * Recompute and store the call's verdict from AnsweredBy and the detector
+ * @param {string} callSid - Lead call SID
+ * @returns {Object} Stored verdict
+ */
+function updateVoicemailVerdict(callSid) {
+  const callData = getCallData(callSid);
+  const local = getLocalDetection(callSid) || callData.voicemailVerdict?.local || null;
+  const voicemailVerdict = {
+    ...combineVerdict(callData.answeredBy, local || {}),
+    answeredBy: callData.answeredBy || null,
+    local,
+    updatedAt: new Date().toISOString()
+  };
+
+  updateCallData(callSid, { voicemailVerdict });
+  return voicemailVerdict;
+}
+
+/**
+ * Feed a media stream payload to the call's detector
+ * @param {string} callSid - Lead call SID
+ * @param {string} payload - Base64 μ-law audio from a Twilio media event
+ * @returns {Object|null} { events, verdict } when something was heard, otherwise null
+ */
+function processAudio(callSid, payload) {
+  const detector = detectors[callSid];
+  if (!detector || detector.done || !payload) return null;
+
+  let audio = Buffer.concat([detector.pending, Buffer.from(payload, 'base64')]);
+  const events = [];
+
+  while (audio.length >= FRAME_SAMPLES && !detector.done) {
+    events.push(...analyzeFrame(detector, decodeMulaw(audio.subarray(0, FRAME_SAMPLES))));
+    audio = audio.subarray(FRAME_SAMPLES);
+
+    // Nothing more to learn after the beep or once the window is over
+    if (detector.result.beep || detector.elapsedMs >= DETECTOR_CONFIG.analysisWindowMs) {
+      detector.done = true;
+    }
+  }
+  detector.pending = Buffer.from(audio);
+
+  if (events.length === 0) return null;
+
+  const verdict = updateVoicemailVerdict(callSid);
+  console.log(`[VoicemailDetector] Heard ${events.join(', ')} on call ${callSid} - verdict ${verdict.verdict} (${verdict.confidence})`);
+  return { events, verdict };
+}
+
+/**
+ * Clear all detectors (for tests)
+ */
+function clearVoicemailDetectors() {
+  Object.keys(detectors).forEach(callSid => delete detectors[callSid]);
+}
+
+export {
+  configureDetector,
+  getDetectorConfig,
+  startVoicemailDetection,
+  stopVoicemailDetection,
+  processAudio,
+  getLocalDetection,
+  combineVerdict,
+  updateVoicemailVerdict,
+  clearVoicemailDetectors
+};
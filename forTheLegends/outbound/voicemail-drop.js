@@ -0,0 +1,288 @@
+// forTheLegends/outbound/voicemail-drop.js
+// Leaves a pre-recorded or TTS-rendered voicemail right after the beep instead of
+// having the live AI speak it, falling back to the live AI when no drop is configured.
+// Messages are rendered only once a call reaches a voicemail, and rendered audio nobody
+// has used for cacheTtlMs is pruned from the cache
+
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCallData, updateCallData } from './call-state.js';
+import { getVoicemailDropMessage } from '../prompts/elevenlabs-prompts.js';
+import { escapeTwiMLText } from '../prompts/twilio-prompts.js';
+
+// AMD results reported once the voicemail greeting has finished
+export const MESSAGE_END_RESULTS = ['machine_end_beep', 'machine_end_silence', 'machine_end_other'];
+
+// Voicemail drop settings; campaigns and single calls can override audioUrl, template and voiceId
+const DROP_CONFIG = {
+  // Pre-recorded message played to every voicemail
+  audioUrl: process.env.VOICEMAIL_DROP_AUDIO_URL || null,
+  // Message rendered to speech per lead, with the VOICEMAIL_INSTRUCTIONS personalization fields
+  template: process.env.VOICEMAIL_DROP_TEMPLATE || null,
+  // ElevenLabs voice used to render templates
+  voiceId: process.env.VOICEMAIL_DROP_VOICE_ID || null,
+  // Directory holding rendered audio, shared by leads with the same message
+  cacheDir: process.env.VOICEMAIL_DROP_CACHE_DIR || path.join(os.tmpdir(), 'voicemail-drop'),
+  // How long rendered audio is kept after it was last used (default: 7 days)
+  cacheTtlMs: parseInt(process.env.VOICEMAIL_DROP_CACHE_TTL_MS || String(7 * 24 * 60 * 60 * 1000), 10)
+};
+
+// Rendered audio file names look like <sha1>.mp3
+const AUDIO_FILE_PATTERN = /^[a-f0-9]{40}\.mp3$/;
+
+// Renders in flight by audio file name
+const pendingRenders = {};
+
+// Drops being prepared by lead call SID
+const preparing = {};
+
+/**
+ * Render text to speech with the ElevenLabs text-to-speech API
+ * @param {string} text - Message to speak
+ * @param {string} voiceId - ElevenLabs voice ID
+ * @returns {Promise<Buffer>} MP3 audio
+ */
+async function renderWithElevenLabs(text, voiceId) {
+  const response = await fetch(`https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`, {
+    method: 'POST',
+    headers: {
+      'xi-api-key': process.env.ELEVENLABS_API_KEY,
+      'Content-Type': 'application/json',
+      Accept: 'audio/mpeg'
+    },
+    body: JSON.stringify({ text })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Text-to-speech failed: ${response.status} ${response.statusText}`);
+  }
+  return Buffer.from(await response.arrayBuffer());
+}
+
+// Renders a message to audio, replaceable for tests
+let synthesizeSpeech = renderWithElevenLabs;
+
+/**
+ * Initialize the voicemail drop
+ * @param {Object} options - Configuration options
+ * @param {Function} [options.synthesizeSpeech] - Renders (text, voiceId) to an audio Buffer
+ * @param {string} [options.audioUrl] - Default pre-recorded message
+ * @param {string} [options.template] - Default message template
+ * @param {string} [options.voiceId] - Default voice for rendered messages
+ * @param {string} [options.cacheDir] - Directory for rendered audio
+ * @param {number} [options.cacheTtlMs] - How long unused rendered audio is kept
+ */
+function initialize(options = {}) {
+  const { synthesizeSpeech: synthesize, ...settings } = options;
+  synthesizeSpeech = synthesize || synthesizeSpeech;
+  Object.assign(DROP_CONFIG, settings);
+}
+
+/**
+ * Get voicemail drop settings
+ * @returns {Object} Voicemail drop settings
+ */
+function getVoicemailDropConfig() {
+  return { ...DROP_CONFIG };
+}
+
+/**
+ * Work out which drop applies to a call: its own (campaign or request) settings, else the defaults
+ * @param {Object} callData - Lead call data
+ * @returns {Object|null} { audioUrl } or { template, voiceId }, or null when no drop is configured
+ */
+function resolveDropSettings(callData) {
+  const own = callData.voicemailDrop || {};
+  const voiceId = own.voiceId || DROP_CONFIG.voiceId;
+
+  if (own.audioUrl) return { audioUrl: own.audioUrl };
+  if (own.template) return { template: own.template, voiceId };
+  if (DROP_CONFIG.audioUrl) return { audioUrl: DROP_CONFIG.audioUrl };
+  if (DROP_CONFIG.template) return { template: DROP_CONFIG.template, voiceId };
+  return null;
+}
+
+/**
+ * Render a message to the audio cache unless it is already there
+ * @param {string} text - Message to speak
+ * @param {string} voiceId - ElevenLabs voice ID
+ * @returns {Promise<string>} Audio file name in the cache directory
+ */
+async function renderDropAudio(text, voiceId) {
+  const file = `${createHash('sha1').update(`${voiceId}:${text}`).digest('hex')}.mp3`;
+  const filePath = path.join(DROP_CONFIG.cacheDir, file);
+
+  try {
+    // Reused audio is kept in the cache for another cacheTtlMs
+    const now = new Date();
+    await fs.utimes(filePath, now, now);
+    return file;
+  } catch {
+    // Not rendered yet
+  }
+
+  if (!pendingRenders[file]) {
+    pendingRenders[file] = (async () => {
+      const audio = await synthesizeSpeech(text, voiceId);
+      await fs.mkdir(DROP_CONFIG.cacheDir, { recursive: true });
+      await fs.writeFile(filePath, audio);
+      console.log(`[VoicemailDrop] Rendered ${file}`);
+
+      pruneDropAudio().catch(error => {
+        console.error('[VoicemailDrop] Failed to prune the audio cache:', error);
+      });
+      return file;
+    })().finally(() => {
+      delete pendingRenders[file];
+    });
+  }
+  return pendingRenders[file];
+}
+
+/**
+ * Delete rendered audio that has not been used for cacheTtlMs
+ * @param {Object} [options] - Options
+ * @param {number} [options.now] - Current time in milliseconds (default: now)
+ * @returns {Promise<number>} Number of files deleted
+ */
+async function pruneDropAudio({ now = Date.now() } = {}) {
+  let files;
+  try {
+    files = await fs.readdir(DROP_CONFIG.cacheDir);
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let pruned = 0;
+  for (const file of files.filter(name => AUDIO_FILE_PATTERN.test(name))) {
+    const filePath = path.join(DROP_CONFIG.cacheDir, file);
+    const { mtimeMs } = await fs.stat(filePath);
+    if (now - mtimeMs > DROP_CONFIG.cacheTtlMs) {
+      await fs.rm(filePath, { force: true });
+      pruned++;
+    }
+  }
+
+  if (pruned > 0) console.log(`[VoicemailDrop] Pruned ${pruned} unused audio file(s)`);
+  return pruned;
+}
+
+/**
+ * Get the drop audio ready for a lead call that reached a voicemail, so it can play once the beep is detected
+ * @param {string} leadCallSid - Lead call SID
+ * @returns {Promise<Object|null>} Drop audio ({ status, source, ... }), or null when no drop is configured
+ */
+function prepareVoicemailDrop(leadCallSid) {
+  if (preparing[leadCallSid]) return preparing[leadCallSid];
+
+  const callData = getCallData(leadCallSid);
+  const settings = resolveDropSettings(callData);
+  if (!settings) return Promise.resolve(null);
+
+  if (settings.audioUrl) {
+    const audio = { status: 'ready', source: 'recording', url: settings.audioUrl };
+    updateCallData(leadCallSid, { voicemailDropAudio: audio });
+    return Promise.resolve(audio);
+  }
+
+  const text = getVoicemailDropMessage(callData.leadInfo, settings.template);
+  updateCallData(leadCallSid, { voicemailDropAudio: { status: 'rendering', source: 'tts', text } });
+
+  preparing[leadCallSid] = (async () => {
+    let audio;
+    try {
+      if (!settings.voiceId) {
+        throw new Error('No voice configured for rendered voicemail drops');
+      }
+      const file = await renderDropAudio(text, settings.voiceId);
+      audio = { status: 'ready', source: 'tts', text, file };
+    } catch (error) {
+      console.error(`[VoicemailDrop] Failed to render voicemail drop for ${leadCallSid}:`, error);
+      audio = { status: 'failed', source: 'tts', text, error: error.message };
+    }
+
+    updateCallData(leadCallSid, { voicemailDropAudio: audio });
+    delete preparing[leadCallSid];
+    return audio;
+  })();
+
+  return preparing[leadCallSid];
+}
+
+/**
+ * Play the drop to a voicemail and hang up
+ * @param {string} leadCallSid - Lead call SID
+ * @param {Object} client - Twilio client
+ * @returns {Promise<Object>} Result; success false with fallback 'live-ai' when the AI should leave the message
+ */
+async function dropVoicemail(leadCallSid, client) {
+  const callData = getCallData(leadCallSid);
+  if (callData.voicemailDropped) {
+    return { success: true, alreadyDropped: true };
+  }
+
+  const audio = callData.voicemailDropAudio?.status === 'ready'
+    ? callData.voicemailDropAudio
+    : await prepareVoicemailDrop(leadCallSid);
+
+  if (!audio) {
+    return { success: false, fallback: 'live-ai', reason: 'No voicemail drop configured' };
+  }
+  if (audio.status !== 'ready') {
+    return { success: false, fallback: 'live-ai', reason: audio.error };
+  }
+
+  const url = audio.url || `https://${callData.callbackHost}/voicemail-drop/audio/${audio.file}`;
+
+  try {
+    await client.calls(leadCallSid).update({
+      twiml: `<?xml version="1.0" encoding="UTF-8"?>
+        <Response>
+          <Play>${escapeTwiMLText(url)}</Play>
+          <Hangup/>
+        </Response>`
+    });
+  } catch (error) {
+    console.error(`[VoicemailDrop] Failed to play voicemail drop for ${leadCallSid}:`, error);
+    return { success: false, fallback: 'live-ai', reason: error.message };
+  }
+
+  updateCallData(leadCallSid, {
+    voicemailDropped: { source: audio.source, url, droppedAt: new Date().toISOString() }
+  });
+  console.log(`[VoicemailDrop] Dropped ${audio.source} voicemail for ${leadCallSid}`);
+  return { success: true, source: audio.source, url };
+}
+
+/**
+ * Register the route Twilio fetches rendered drop audio from
+ * @param {Object} fastify - Fastify instance
+ */
+function registerVoicemailDropRoutes(fastify) {
+  fastify.get("/voicemail-drop/audio/:file", async (request, reply) => {
+    const { file } = request.params;
+    if (!AUDIO_FILE_PATTERN.test(file)) {
+      return reply.code(404).send({ error: 'Audio not found' });
+    }
+
+    try {
+      const audio = await fs.readFile(path.join(DROP_CONFIG.cacheDir, file));
+      reply.type('audio/mpeg').send(audio);
+    } catch {
+      reply.code(404).send({ error: 'Audio not found' });
+    }
+  });
+}
+
+export {
+  initialize,
+  getVoicemailDropConfig,
+  resolveDropSettings,
+  prepareVoicemailDrop,
+  pruneDropAudio,
+  dropVoicemail,
+  registerVoicemailDropRoutes
+};
@@ -7,6 +7,7 @@ import { getQualityMetrics } from './call-quality-monitor.js';
 import { getInterruptionData } from './interruption-handler.js';
 import { getIntentData, hasSchedulingIntent, hasNegativeIntent } from './intent-detector.js';
 import { getRetryInfo } from './retry-manager.js';
+import { describeCallbackTime } from './callback-time-parser.js';
 
 // Store webhook URL
 let makeWebhookUrl = process.env.MAKE_WEBHOOK_URL || '';
@@ -131,21 +132,8 @@ function generateCallSummary(callSid, leadId, enhancedPayload) {
       keyPoints.push(`Lead requested to reschedule ${enhancedPayload.interruptionData.rescheduleCount} time(s)`);
       
       if (enhancedPayload.interruptionData.preferredCallbackTime) {
-        const timeInfo = enhancedPayload.interruptionData.preferredCallbackTime;
-        let timeDescription = '';
-        
-        if (timeInfo.type === 'specific_time') {
-          timeDescription = `at ${timeInfo.value}`;
-        } else if (timeInfo.type === 'period') {
-          timeDescription = `in the ${timeInfo.value}`;
-        } else if (timeInfo.type === 'weekday') {
-          const days = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-          timeDescription = `on ${days[timeInfo.value]}`;
-        } else if (timeInfo.type === 'day' && timeInfo.offset === 1) {
-          timeDescription = 'tomorrow';
-        } else if (timeInfo.type === 'week' && timeInfo.offset === 1) {
-          timeDescription = 'next week';
-        }
+        // Parsed by parseCallbackTime; described in the lead's own words
+        const timeDescription = describeCallbackTime(enhancedPayload.interruptionData.preferredCallbackTime);
         
         if (timeDescription) {
           keyPoints.push(`Preferred callback time: ${timeDescription}`);
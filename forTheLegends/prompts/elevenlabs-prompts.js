@@ -24,6 +24,11 @@ const VOICEMAIL_INSTRUCTIONS = `IMPORTANT: This call has reached a voicemail. Wa
 
 Ensure the message sounds natural and conversational, not like a template. Be concise as voicemails often have time limits.`;
 
+/**
+ * Message left by a voicemail drop, using the same personalization fields as VOICEMAIL_INSTRUCTIONS
+ */
+const VOICEMAIL_DROP_TEMPLATE = `Hello {{leadName}}{{leadNameComma}} I'm calling from First Light Home Care regarding the care services inquiry {{forCareNeededFor}} {{whoCareReason}}. Please call us back at (555) 123-4567 at your earliest convenience to discuss how we can help. Thank you.`;
+
 /**
  * Generic voicemail instructions when lead information is not available
  */
@@ -41,6 +46,161 @@ const FIRST_MESSAGE_TEMPLATE = `Hello, this is Heather from First Light Home Car
  */
 const GENERIC_FIRST_MESSAGE = `Hello, this is Heather from First Light Home Care. I'm calling about the care services inquiry. Am I speaking with the right person?`;
 
+/**
+ * Reasons the AI picks a call back up after a transfer
+ */
+const RESUME_REASONS = {
+  TRANSFER_FAILED: 'transfer-failed',
+  SPECIALIST_DROPPED: 'specialist-dropped'
+};
+
+/**
+ * Instructions for resuming a call that was handed back to the AI
+ */
+const RESUME_INSTRUCTIONS = {
+  [RESUME_REASONS.TRANSFER_FAILED]: `IMPORTANT: You already spoke with this person earlier in this call and tried to connect them with a care specialist, but the transfer did not go through. Do not introduce yourself again. Briefly apologize, then continue the conversation from where it left off. Offer to schedule a callback with a care specialist at a time that works for them, and confirm the day, time and their contact information before ending the call.`,
+  [RESUME_REASONS.SPECIALIST_DROPPED]: `IMPORTANT: You already spoke with this person earlier in this call and connected them with a care specialist, but the specialist got disconnected. Do not introduce yourself again. Briefly apologize, then offer to schedule a callback with the care specialist as soon as possible, and confirm the day, time and their contact information before ending the call.`
+};
+
+/**
+ * First messages for resuming a call that was handed back to the AI
+ */
+const RESUME_FIRST_MESSAGES = {
+  [RESUME_REASONS.TRANSFER_FAILED]: `I'm sorry, I wasn't able to connect you with our care specialist just now. I'm still here, and I'd be happy to set up a time for them to call you back.`,
+  [RESUME_REASONS.SPECIALIST_DROPPED]: `I'm sorry, it looks like our care specialist got disconnected. I'm back with you, and I can set up a time for them to call you right back.`
+};
+
+/**
+ * Instructions for a callback the person asked for on an earlier call
+ */
+const CALLBACK_INSTRUCTIONS = `IMPORTANT: This is a callback the person asked for on an earlier call with First Light Home Care, placed at the time they agreed to. Do not give the full introduction again. Remind them briefly that they asked us to call back now, check that it is still a good time to talk, and if it is not, offer to find another time that suits them.`;
+
+/**
+ * First message for a callback the person asked for
+ */
+const CALLBACK_FIRST_MESSAGE_TEMPLATE = `Hello{{leadName}}, this is Heather from First Light Home Care, calling you back as you asked. Is now still a good time to talk?`;
+
+/**
+ * Number of earlier statements from each side repeated to a resumed agent
+ */
+const RESUME_TRANSCRIPT_LIMIT = 5;
+
+/**
+ * Build the instructions for resuming a call, including the conversation so far
+ * 
+ * @param {Object} resume - Resume details
+ * @param {string} resume.reason - Why the AI is resuming (see RESUME_REASONS)
+ * @param {string[]} [resume.agentTranscripts] - What the AI said earlier in the call
+ * @param {string[]} [resume.leadTranscripts] - What the lead said earlier in the call
+ * @returns {string} - Resume instructions
+ */
+function getResumeInstructions(resume = {}) {
+  let instructions = RESUME_INSTRUCTIONS[resume.reason] || RESUME_INSTRUCTIONS[RESUME_REASONS.TRANSFER_FAILED];
+  
+  const recent = (transcripts = []) => transcripts
+    .slice(-RESUME_TRANSCRIPT_LIMIT)
+    .map(text => `- ${text}`)
+    .join('\n');
+  
+  if (resume.agentTranscripts?.length) {
+    instructions += `\n\nWhat you said earlier in this call:\n${recent(resume.agentTranscripts)}`;
+  }
+  
+  if (resume.leadTranscripts?.length) {
+    instructions += `\n\nWhat they said earlier in this call:\n${recent(resume.leadTranscripts)}`;
+  }
+  
+  return instructions;
+}
+
+/**
+ * Get the first message for resuming a call
+ * 
+ * @param {string} reason - Why the AI is resuming (see RESUME_REASONS)
+ * @returns {string} - The first message
+ */
+function getResumeFirstMessage(reason) {
+  return RESUME_FIRST_MESSAGES[reason] || RESUME_FIRST_MESSAGES[RESUME_REASONS.TRANSFER_FAILED];
+}
+
+/**
+ * Get the instructions for a callback the person asked for
+ * 
+ * @param {Object} callback - Requested callback details
+ * @param {string} [callback.requestedTime] - When they asked to be called back, in their words
+ * @param {string} [callback.notes] - Notes taken when the callback was agreed
+ * @returns {string} - The instructions to add to the prompt
+ */
+function getCallbackInstructions(callback = {}) {
+  let instructions = CALLBACK_INSTRUCTIONS;
+
+  if (callback.requestedTime) {
+    instructions += `\n\nWhen they asked for the callback they said: "${callback.requestedTime}".`;
+  }
+
+  if (callback.notes) {
+    instructions += `\n\nNotes from the earlier call: ${callback.notes}`;
+  }
+
+  return instructions;
+}
+
+/**
+ * Get the first message for a callback the person asked for
+ * 
+ * @param {Object} leadInfo - Information about the lead
+ * @returns {string} - The first message
+ */
+function getCallbackFirstMessage(leadInfo = {}) {
+  const leadName = leadInfo.LeadName || leadInfo.leadName || leadInfo.PoC;
+  return CALLBACK_FIRST_MESSAGE_TEMPLATE.replace('{{leadName}}', leadName ? ` ${leadName}` : '');
+}
+
+/**
+ * Get the personalization fields used in voicemail messages
+ * 
+ * @param {Object} leadInfo - Information about the lead
+ * @returns {Object} - leadName, leadNameComma, forCareNeededFor and whoCareReason values
+ */
+function getVoicemailFields(leadInfo = {}) {
+  const leadName = leadInfo.LeadName || leadInfo.leadName || leadInfo.PoC || '';
+  const careNeededFor = leadInfo.CareNeededFor || leadInfo.careNeededFor;
+  const careReason = leadInfo.CareReason || leadInfo.careReason;
+  
+  return {
+    leadName,
+    leadNameComma: leadName ? ', ' : '',
+    forCareNeededFor: careNeededFor ? 'for ' + careNeededFor : '',
+    whoCareReason: careReason ? 'who needs ' + careReason : ''
+  };
+}
+
+/**
+ * Fill the voicemail personalization fields in a template
+ * 
+ * @param {string} template - Template with {{field}} placeholders
+ * @param {Object} leadInfo - Information about the lead
+ * @returns {string} - The template with the fields filled in
+ */
+function fillVoicemailFields(template, leadInfo = {}) {
+  const fields = getVoicemailFields(leadInfo);
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (key in fields ? fields[key] : match));
+}
+
+/**
+ * Render the spoken message for a voicemail drop
+ * 
+ * @param {Object} leadInfo - Information about the lead
+ * @param {string} [template] - Message template (defaults to VOICEMAIL_DROP_TEMPLATE)
+ * @returns {string} - The personalized message, with the gaps left by empty fields closed up
+ */
+function getVoicemailDropMessage(leadInfo = {}, template = VOICEMAIL_DROP_TEMPLATE) {
+  return fillVoicemailFields(template, leadInfo)
+    .replace(/\s+([,.])/g, '$1')
+    .replace(/\s{2,}/g, ' ')
+    .trim();
+}
+
 /**
  * Generate a complete prompt with appropriate customizations
  * 
@@ -81,11 +241,7 @@ function getFormattedPrompt(leadInfo = {}, options = {}) {
   if (options.isVoicemail) {
     if (leadInfo.LeadName || leadInfo.leadName || leadInfo.CareNeededFor || leadInfo.careNeededFor || leadInfo.CareReason || leadInfo.careReason) {
       // Create personalized voicemail message
-      let voicemailPrompt = VOICEMAIL_INSTRUCTIONS
-        .replace('{{leadName}}', leadInfo.LeadName || leadInfo.leadName || leadInfo.PoC || '')
-        .replace('{{leadNameComma}}', (leadInfo.LeadName || leadInfo.leadName || leadInfo.PoC) ? ', ' : '')
-        .replace('{{forCareNeededFor}}', (leadInfo.CareNeededFor || leadInfo.careNeededFor) ? 'for ' + (leadInfo.CareNeededFor || leadInfo.careNeededFor) : '')
-        .replace('{{whoCareReason}}', (leadInfo.CareReason || leadInfo.careReason) ? 'who needs ' + (leadInfo.CareReason || leadInfo.careReason) : '');
+      let voicemailPrompt = fillVoicemailFields(VOICEMAIL_INSTRUCTIONS, leadInfo);
       
       fullPrompt += `\n\n${voicemailPrompt}`;
     } else {
@@ -93,6 +249,16 @@ function getFormattedPrompt(leadInfo = {}, options = {}) {
     }
   }
   
+  // Remind the AI this is a callback the person asked for
+  if (options.callback) {
+    fullPrompt += `\n\n${getCallbackInstructions(options.callback)}`;
+  }
+  
+  // Add the conversation so far when the AI picks the call back up
+  if (options.resume) {
+    fullPrompt += `\n\n${getResumeInstructions(options.resume)}`;
+  }
+  
   // Add any additional custom instructions
   if (options.additionalInstructions) {
     fullPrompt += `\n\n${options.additionalInstructions}`;
@@ -117,6 +283,19 @@ function getFirstMessage(leadInfo = {}) {
   return GENERIC_FIRST_MESSAGE;
 }
 
+/**
+ * Generate the instruction that switches a live conversation to leaving a voicemail
+ * 
+ * @param {Object} leadInfo - Information about the lead
+ * @returns {Object} - Custom instruction message with the voicemail prompt re-issued
+ */
+function getVoicemailInstruction(leadInfo = {}) {
+  return {
+    type: "custom_instruction",
+    instruction: getFormattedPrompt(leadInfo, { isVoicemail: true })
+  };
+}
+
 /**
  * Generate a complete initialization configuration for ElevenLabs WebSocket
  * 
@@ -130,11 +309,26 @@ function getInitConfig(leadInfo = {}, options = {}) {
   // If a custom prompt is provided directly, use it instead of generating one
   if (leadInfo.prompt) {
     systemPrompt = leadInfo.prompt;
+    if (options.callback) {
+      systemPrompt += `\n\n${getCallbackInstructions(options.callback)}`;
+    }
+    if (options.resume) {
+      systemPrompt += `\n\n${getResumeInstructions(options.resume)}`;
+    }
   } else {
     systemPrompt = getFormattedPrompt(leadInfo, options);
   }
   
-  const firstMessage = options.firstMessage || getFirstMessage(leadInfo);
+  let firstMessage = options.firstMessage;
+  if (!firstMessage) {
+    if (options.resume) {
+      firstMessage = getResumeFirstMessage(options.resume.reason);
+    } else if (options.callback) {
+      firstMessage = getCallbackFirstMessage(leadInfo);
+    } else {
+      firstMessage = getFirstMessage(leadInfo);
+    }
+  }
   
   return {
     type: "conversation_initiation_client_data",
@@ -157,12 +351,25 @@ export {
   BASE_PROMPT,
   VOICEMAIL_INSTRUCTIONS,
   GENERIC_VOICEMAIL_INSTRUCTIONS,
+  VOICEMAIL_DROP_TEMPLATE,
   FIRST_MESSAGE_TEMPLATE,
   GENERIC_FIRST_MESSAGE,
+  RESUME_REASONS,
+  RESUME_INSTRUCTIONS,
+  RESUME_FIRST_MESSAGES,
+  CALLBACK_INSTRUCTIONS,
+  CALLBACK_FIRST_MESSAGE_TEMPLATE,
   
   // Functions
   getFormattedPrompt,
   getFirstMessage,
+  getVoicemailFields,
+  getVoicemailDropMessage,
+  getResumeInstructions,
+  getResumeFirstMessage,
+  getCallbackInstructions,
+  getCallbackFirstMessage,
+  getVoicemailInstruction,
   getInitConfig
 };
 
@@ -172,10 +379,23 @@ if (typeof module !== 'undefined' && module.exports) {
     BASE_PROMPT,
     VOICEMAIL_INSTRUCTIONS,
     GENERIC_VOICEMAIL_INSTRUCTIONS,
+    VOICEMAIL_DROP_TEMPLATE,
     FIRST_MESSAGE_TEMPLATE,
     GENERIC_FIRST_MESSAGE,
+    RESUME_REASONS,
+    RESUME_INSTRUCTIONS,
+    RESUME_FIRST_MESSAGES,
+    CALLBACK_INSTRUCTIONS,
+    CALLBACK_FIRST_MESSAGE_TEMPLATE,
     getFormattedPrompt,
     getFirstMessage,
+    getVoicemailFields,
+    getVoicemailDropMessage,
+    getResumeInstructions,
+    getResumeFirstMessage,
+    getCallbackInstructions,
+    getCallbackFirstMessage,
+    getVoicemailInstruction,
     getInitConfig
   };
 } 
\ No newline at end of file
@@ -53,6 +53,20 @@ const OUTBOUND = {
     TEMPLATE: "You're being connected to an AI-assisted call with {{leadName}}. The AI will speak with the lead about {{careReason}} {{careNeededFor}}. Please wait while we connect you. If the call goes to voicemail, you will be notified."
   },
   
+  // Whisper played only to the specialist before a warm transfer
+  TRANSFER_WHISPER: {
+    INTRO: "Incoming warm transfer.",
+    ACCEPT_PROMPT: "Press 1 to accept this transfer, or press 2 to decline.",
+    ACCEPTED: "Connecting you to the lead now.",
+    DECLINED: "Transfer declined. Goodbye.",
+    NO_RESPONSE: "We did not receive a response, so the lead will stay with the AI. Goodbye."
+  },
+
+  // Played to a lead whose specialist hung up mid-call
+  SPECIALIST_DROP: {
+    MESSAGE: "We're sorry, it looks like our specialist got disconnected. They will call you back shortly. Thank you for your patience."
+  },
+
   // Human handoff messages
   HANDOFF: {
     TO_AGENT: "I'll now connect you with a human agent who can provide more specific information. Please hold for just a moment.",
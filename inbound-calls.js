@@ -1,10 +1,18 @@
 import WebSocket from "ws";
 import { registerTwilioWebhookValidation } from './twilio-webhook-validation.js';
+import { initializeAgentPool, assignAgent, recordSalesCallOutcome } from './forTheLegends/outbound/sales-agent-pool.js';
 
 // Import centralized Twilio prompts
 import { INBOUND, escapeTwiMLText } from './forTheLegends/prompts/twilio-prompts.js';
 
-export async function registerInboundRoutes(fastify) {
+/**
+ * Register the inbound call routes
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [options] - Route options
+ * @param {Object[]} [options.agentPool] - Sales agents already initialized by the server; the pool is
+ *   initialized here when missing
+ */
+export async function registerInboundRoutes(fastify, { agentPool } = {}) {
   // Check for the required environment variables
   const { 
     ELEVENLABS_API_KEY, 
@@ -20,7 +28,7 @@ export async function registerInboundRoutes(fastify) {
   const activeElevenLabsConnections = {};
 
   // Check for the required environment variables
-  if (!SALES_TEAM_PHONE_NUMBER) {
+  if (!SALES_TEAM_PHONE_NUMBER && !process.env.SALES_AGENTS) {
     console.error("Missing required environment variable: SALES_TEAM_PHONE_NUMBER");
     throw new Error("Missing SALES_TEAM_PHONE_NUMBER environment variable");
   }
@@ -30,11 +38,17 @@ export async function registerInboundRoutes(fastify) {
     throw new Error("Missing ElevenLabs configuration variables");
   }
 
+  // The pool of care specialists (SALES_AGENTS or SALES_TEAM_PHONE_NUMBER) is shared with the outbound routes
+  if (!agentPool) {
+    initializeAgentPool();
+  }
+
   // Register Twilio webhook validation for inbound routes
   registerTwilioWebhookValidation(fastify, [
     '/incoming-call',
     '/verify-caller',
-    '/inbound-media-stream'
+    '/inbound-media-stream',
+    '/inbound-sales-status'
   ], {
     // Skip validation in test mode
     enforce: process.env.NODE_ENV === 'production'
@@ -87,19 +101,30 @@ export async function registerInboundRoutes(fastify) {
     
     let twimlResponse;
     
-    if (digits === "1") {
-      // Caller verified - forward to sales team
-      console.log(`[Twilio] Caller ${from} verified. Forwarding to sales team.`);
+    const agent = digits === "1" ? assignAgent() : null;
+
+    if (agent) {
+      // Caller verified - forward to the selected care specialist
+      console.log(`[Twilio] Caller ${from} verified. Forwarding to ${agent.name}.`);
       
       twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
         <Response>
           <Say>${escapeTwiMLText(INBOUND.SALES_TEAM.CONNECTING)}</Say>
           <Dial callerId="${TWILIO_PHONE_NUMBER}">
-            ${SALES_TEAM_PHONE_NUMBER}
+            <Number statusCallbackEvent="answered completed" statusCallback="/inbound-sales-status?agentId=${encodeURIComponent(agent.id)}">${agent.phoneNumber}</Number>
           </Dial>
           <Say>${escapeTwiMLText(INBOUND.SALES_TEAM.UNABLE_TO_CONNECT)}</Say>
           <Hangup/>
         </Response>`;
+    } else if (digits === "1") {
+      // Caller verified but every specialist is busy or off shift
+      console.log(`[Twilio] Caller ${from} verified but no sales agent is available.`);
+      
+      twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
+        <Response>
+          <Say>${escapeTwiMLText(INBOUND.SALES_TEAM.UNABLE_TO_CONNECT)}</Say>
+          <Hangup/>
+        </Response>`;
     } else if (digits === "2") {
       // Caller wants to leave a message - connect to ElevenLabs AI
       console.log(`[Twilio] Caller ${from} requested to leave a message. Connecting to AI.`);
@@ -129,6 +154,20 @@ export async function registerInboundRoutes(fastify) {
     reply.type("text/xml").send(twimlResponse);
   });
 
+  // Status callback for the specialist leg of a forwarded inbound call
+  fastify.post("/inbound-sales-status", async (request, reply) => {
+    const { CallSid, CallStatus } = request.body;
+    console.log(`[Twilio] Inbound sales leg ${CallSid} status: ${CallStatus}`);
+    
+    recordSalesCallOutcome({
+      agentId: request.query?.agentId,
+      callSid: CallSid,
+      callStatus: CallStatus
+    });
+    
+    reply.send({ status: "ok" });
+  });
+
   // Legacy route - keep this for backward compatibility but redirect to the new verification endpoint
   fastify.all("/incoming-call-eleven", async (request, reply) => {
     console.log("[Twilio] Received incoming call on legacy endpoint, redirecting to verification flow");
@@ -7,6 +7,11 @@ import path from "path";
 import { fileURLToPath } from 'url';
 import { registerOutboundRoutes } from './outbound-calls.js';
 import { registerInboundRoutes } from './inbound-calls.js';
+import { createStoreFromEnv } from './forTheLegends/outbound/call-state-store.js';
+import { configureCallStateStore, hydrateCallState } from './forTheLegends/outbound/call-state.js';
+import { configureCallbackStore, restoreCallbackJobs } from './forTheLegends/outbound/callback-scheduler.js';
+import { configureRetryStore, restoreRetryState } from './forTheLegends/outbound/retry-manager.js';
+import { initializeAgentPool } from './forTheLegends/outbound/sales-agent-pool.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -35,9 +40,34 @@ fastify.get("/", async (_, reply) => {
 // Start the Fastify server
 const start = async () => {
   try {
+    // Restore call state persisted before the last restart
+    configureCallStateStore(await createStoreFromEnv(), {
+      finishedCallTtlMs: Number(process.env.CALL_STATE_TTL_MS) || undefined
+    });
+    await hydrateCallState();
+
+    // Scheduled callbacks live next to call state, in their own table or key prefix
+    configureCallbackStore(await createStoreFromEnv(process.env, {
+      table: 'callback_jobs',
+      keyPrefix: 'callbackjob:'
+    }));
+
+    // Retry counts survive restarts the same way
+    configureRetryStore(await createStoreFromEnv(process.env, {
+      table: 'retry_state',
+      keyPrefix: 'retrystate:'
+    }));
+
+    // One pool of care specialists (SALES_AGENTS or SALES_TEAM_PHONE_NUMBER) for inbound and outbound calls
+    const agentPool = initializeAgentPool();
+
     // Register route handlers
-    await registerOutboundRoutes(fastify);
-    await registerInboundRoutes(fastify);
+    await registerOutboundRoutes(fastify, { agentPool });
+    await registerInboundRoutes(fastify, { agentPool });
+
+    // Re-arm callbacks and retries once the outbound routes can dial them
+    await restoreCallbackJobs();
+    await restoreRetryState();
 
     // Start listening
     await fastify.listen({ port: PORT, host: '0.0.0.0' });
@@ -10,25 +10,72 @@ import { sendElevenLabsConversationData } from './forTheLegends/outbound/index.j
 import * as elevenLabsPrompts from './forTheLegends/prompts/elevenlabs-prompts.js';
 import * as webhookConfig from './forTheLegends/outbound/webhook-config.js';
 import { registerTwilioWebhookValidation } from './twilio-webhook-validation.js';
-import { getCallData, updateCallData, callStatuses, setupCallTracking, clearAllCallData } from './forTheLegends/outbound/call-state.js';
-import { processConferenceEvent } from './forTheLegends/outbound/conference-events.js';
+import { getCallData, updateCallData, findCallSid, callStatuses } from './forTheLegends/outbound/call-state.js';
+import { processConferenceEvent, registerConference, unregisterConference, rebuildConferenceIndex } from './forTheLegends/outbound/conference-events.js';
+import { initializeAgentPool, assignNextAgent, attachAgentCall, recordSalesCallOutcome, getEscalationConfig, registerSalesAgentRoutes } from './forTheLegends/outbound/sales-agent-pool.js';
+import { initialize as initCampaignManager, registerCampaignRoutes, handleCampaignCallEnded } from './forTheLegends/outbound/campaign-manager.js';
+import { CALL_STATES, initializeCallLifecycle, transitionCallState, getCallState, isTerminalState } from './forTheLegends/outbound/call-lifecycle.js';
+import {
+  initialize as initSalesDialScheduler,
+  isDeferredDialing,
+  deferSalesDial,
+  handleLeadEngagement,
+  cancelSalesDial,
+  ENGAGEMENT_TRIGGERS
+} from './forTheLegends/outbound/sales-dial-scheduler.js';
+import { getWhisperConfig, buildLeadSummary, getWhisperTwiml, getWhisperDecision } from './forTheLegends/outbound/transfer-whisper.js';
+import {
+  initialize as initTransferSupervisor,
+  startTransferSupervision,
+  handleConferenceEvent as superviseConferenceEvent,
+  resolveTransfer,
+  resumeTransferSupervision,
+  getTransferConfig,
+  TRANSFER_OUTCOMES,
+  SPECIALIST_DROP_FALLBACKS
+} from './forTheLegends/outbound/transfer-supervisor.js';
+import {
+  prepareVoicemailDrop,
+  dropVoicemail,
+  registerVoicemailDropRoutes,
+  MESSAGE_END_RESULTS
+} from './forTheLegends/outbound/voicemail-drop.js';
+import { subscribeToCall, publishCallEvent, CALL_EVENTS } from './forTheLegends/outbound/call-events.js';
+import {
+  startVoicemailDetection,
+  stopVoicemailDetection,
+  processAudio,
+  updateVoicemailVerdict,
+  getDetectorConfig,
+  DETECTOR_EVENTS
+} from './forTheLegends/outbound/voicemail-detector.js';
+import { startStreamAnalysis, analyzeAudio, stopStreamAnalysis } from './forTheLegends/outbound/stream-analyzers.js';
+import { dispatchElevenLabsMessage } from './forTheLegends/outbound/elevenlabs-message-handlers.js';
+import { initialize as initClientTools } from './forTheLegends/outbound/client-tools.js';
+import {
+  initialize as initCallbackScheduler,
+  registerCallbackRoutes
+} from './forTheLegends/outbound/callback-scheduler.js';
+import { initialize as initTransferCommands, registerTransferCommandRoutes, TRANSFER_START_RESULTS } from './forTheLegends/outbound/transfer-commands.js';
 
 // Import intent detection functionality from existing file
 import {
   initializeIntentDetection,
-  processTranscript,
   getIntentInstructions,
   hasSchedulingIntent,
   hasNegativeIntent,
   getIntentData
 } from './forTheLegends/outbound/intent-detector.js';
 
-// Import retry manager for callback scheduling
+// Import retry manager for retrying unsuccessful lead calls
 import {
   initialize as initRetryManager,
   trackCall,
-  scheduleRetryCall
+  updateCallStatus,
+  scheduleRetryCall,
+  registerRetryRoutes
 } from './forTheLegends/outbound/retry-manager.js';
+import { initialize as initCallerIdPool } from './forTheLegends/outbound/caller-id-pool.js';
 
 // Import centralized Twilio prompts
 import { OUTBOUND, CONFERENCE, escapeTwiMLText, getSalesTeamNotificationMessage } from './forTheLegends/prompts/twilio-prompts.js';
@@ -41,6 +88,13 @@ const ALL_STATUS_EVENTS = [
   'busy', 'no-answer', 'canceled', 'failed'
 ];
 
+// How a declined transfer whisper is described in the lead's lifecycle
+const WHISPER_DECLINE_REASONS = {
+  rejected: 'declined',
+  'no-response': 'did not answer',
+  'hung-up': 'hung up during'
+};
+
 // Store the most recent request host for use in callbacks
 let mostRecentHost = null;
 
@@ -132,11 +186,11 @@ function setupStreamingWebSocket(ws) {
           
           // Store custom parameters in call statuses for later use in webhook
           if (callSid) {
-            callStatuses[callSid].leadInfo = customParameters;
+            updateCallData(callSid, { leadInfo: customParameters });
           }
           
           // Check if we already know this is a voicemail from a previous AMD detection
-          if (callSid && callStatuses[callSid]?.isVoicemail) {
+          if (callSid && getCallData(callSid).isVoicemail) {
             console.log(`[Twilio] Call ${callSid} is known to be a voicemail`);
             
             // If the ElevenLabs connection is already established, send a message to inform it that
@@ -152,7 +206,7 @@ function setupStreamingWebSocket(ws) {
           break;
         case "media":
           // Check if we should close the ElevenLabs connection because the call has been transferred
-          if (callSid && callStatuses[callSid]?.transferComplete) {
+          if (callSid && getCallData(callSid).transferComplete) {
             console.log(`[Twilio] Call ${callSid} has been transferred, closing ElevenLabs connection`);
             if (elevenLabsWs?.readyState === WebSocket.OPEN) {
               elevenLabsWs.close();
@@ -162,8 +216,8 @@ function setupStreamingWebSocket(ws) {
           
           // Check if sales team is unavailable and we haven't informed ElevenLabs yet
           if (callSid && 
-              callStatuses[callSid]?.salesTeamUnavailable && 
-              !callStatuses[callSid]?.salesTeamUnavailableInstructionSent && 
+              getCallData(callSid).salesTeamUnavailable && 
+              !getCallData(callSid).salesTeamUnavailableInstructionSent && 
               elevenLabsWs?.readyState === WebSocket.OPEN) {
             
             console.log(`[Twilio] Informing AI that sales team is unavailable for call ${callSid}`);
@@ -176,7 +230,7 @@ function setupStreamingWebSocket(ws) {
             elevenLabsWs.send(JSON.stringify(unavailableInstruction));
             
             // Mark that we've sent the instruction
-            callStatuses[callSid].salesTeamUnavailableInstructionSent = true;
+            updateCallData(callSid, { salesTeamUnavailableInstructionSent: true });
           }
           
           if (elevenLabsWs?.readyState === WebSocket.OPEN) {
@@ -213,8 +267,14 @@ function setupStreamingWebSocket(ws) {
   return ws;
 }
 
-// Export the function for testing
-async function registerOutboundRoutes(fastify) {
+/**
+ * Register the outbound call routes
+ * @param {Object} fastify - Fastify instance
+ * @param {Object} [options] - Route options
+ * @param {Object[]} [options.agentPool] - Sales agents already initialized by the server; the pool is
+ *   initialized here when missing
+ */
+async function registerOutboundRoutes(fastify, { agentPool } = {}) {
   // Get environment variables
   const TWILIO_ACCOUNT_SID = process.env.TWILIO_ACCOUNT_SID;
   const TWILIO_AUTH_TOKEN = process.env.TWILIO_AUTH_TOKEN;
@@ -229,7 +289,7 @@ async function registerOutboundRoutes(fastify) {
     throw new Error("Missing required environment variables for Twilio");
   }
 
-  if (!SALES_TEAM_PHONE_NUMBER) {
+  if (!SALES_TEAM_PHONE_NUMBER && !process.env.SALES_AGENTS) {
     console.error("Missing SALES_TEAM_PHONE_NUMBER environment variable");
     throw new Error("Missing SALES_TEAM_PHONE_NUMBER environment variable");
   }
@@ -254,7 +314,8 @@ async function registerOutboundRoutes(fastify) {
     '/sales-status',
     '/amd-callback',
     '/outbound-call-twiml',
-    '/sales-team-twiml'
+    '/sales-team-twiml',
+    '/transfer-whisper-response'
   ], {
     // Skip validation in test mode
     enforce: process.env.NODE_ENV === 'production'
@@ -265,10 +326,26 @@ async function registerOutboundRoutes(fastify) {
     reply.sendFile('handoff.mp3');
   });
 
-  // Initialize retry manager
+  // The pool of care specialists (SALES_AGENTS or SALES_TEAM_PHONE_NUMBER) is shared with the inbound routes
+  if (!agentPool) {
+    initializeAgentPool();
+  }
+  registerSalesAgentRoutes(fastify);
+
+  // Initialize retry manager; retries go back through the lead call flow, linked to the original lead,
+  // from a number picked out of the caller ID pool (CALLER_ID_POOL)
+  initCallerIdPool();
   initRetryManager({
-    makeWebhookUrl: process.env.MAKE_WEBHOOK_URL
+    makeWebhookUrl: process.env.MAKE_WEBHOOK_URL,
+    dialRetry: (retry) => initiateLeadCall({
+      number: retry.phoneNumber,
+      from: retry.from,
+      leadinfo: retry.leadInfo,
+      host: retry.host,
+      callData: { retryOf: retry.retryOf }
+    })
   });
+  registerRetryRoutes(fastify);
 
   // Helper function to get signed URL
   async function getSignedUrl() {
@@ -290,59 +367,195 @@ async function registerOutboundRoutes(fastify) {
     }
   }
 
-  // Route to initiate outbound calls with sales team handoff
-  fastify.post("/outbound-call-to-sales", async (request, reply) => {
-    const { number, prompt, leadinfo } = request.body;
+  /**
+   * Dial a lead and the sales team for an AI-assisted handoff
+   * Shared by /outbound-call-to-sales and the campaign dialer
+   * @param {Object} params - Call parameters
+   * @param {string} params.number - Lead phone number
+   * @param {string} [params.prompt] - Custom prompt for the AI agent
+   * @param {Object} [params.leadinfo] - Lead info (LeadName, CareReason, CareNeededFor)
+   * @param {string} params.host - Public host used for Twilio callbacks
+   * @param {Object} [params.callData] - Extra data stored on the lead call
+   * @param {string} [params.from] - Number to call the lead from (default: TWILIO_PHONE_NUMBER)
+   * @returns {Promise<Object>} Lead and sales call SIDs
+   */
+  async function initiateLeadCall({ number, prompt, leadinfo, host, callData = {}, from = TWILIO_PHONE_NUMBER }) {
+    console.log("Initiating lead call to:", number, "from:", from);
+    console.log("Lead info:", JSON.stringify(leadinfo));
+    
+    const leadCall = await twilioClient.calls.create({
+      from,
+      to: number,
+      url: `https://${host}/outbound-call-twiml?prompt=${encodeURIComponent(prompt || "")}&leadName=${encodeURIComponent(leadinfo?.LeadName || "")}&careReason=${encodeURIComponent(leadinfo?.CareReason || "")}&careNeededFor=${encodeURIComponent(leadinfo?.CareNeededFor || "")}`,
+      statusCallback: `https://${host}/lead-status`,
+      statusCallbackEvent: ALL_STATUS_EVENTS, // Track all possible call status events
+      machineDetection: "DetectMessageEnd",
+      asyncAmd: true,
+      asyncAmdStatusCallback: `https://${host}/amd-callback`,
+    });
 
-    if (!number)
-      return reply.code(400).send({ error: "Phone number is required" });
+    // Retries and callbacks stay under the lead they were placed for
+    const retryLeadId = callData.retryOf?.leadId || callData.requestedCallback?.leadId ||
+      leadinfo?.LeadId || leadinfo?.leadId || leadCall.sid;
+
+    // Initialize lead call data
+    initializeCallLifecycle(leadCall.sid, {
+      reason: callData.retryOf ? `retry ${callData.retryOf.attempt} of ${callData.retryOf.previousCallSid}` : 'lead call created',
+      source: '/outbound-call-to-sales',
+      data: {
+        ...callData,
+        leadStatus: "initiated",
+        salesCallSid: null,
+        salesAgentId: null,
+        salesAttempts: [],
+        leadInfo: leadinfo || {},
+        leadNumber: number,
+        callerId: from,
+        retryLeadId,
+        callbackHost: host,
+        timestamp: new Date().toISOString()
+      }
+    });
+
+    // Register the call with the retry manager so an unsuccessful outcome can be retried
+    trackCall(retryLeadId, leadCall.sid, { ...(leadinfo || {}), phoneNumber: number }, {
+      host,
+      retryOf: callData.retryOf,
+      callerId: from
+    });
+
+    let salesLeg = null;
+
+    if (isDeferredDialing()) {
+      // In on-engagement mode the specialist is only rung once the lead is engaged
+      deferSalesDial(leadCall.sid);
+    } else {
+      // Pick a care specialist for this lead
+      salesLeg = await dialSalesLeg(leadCall.sid, { leadinfo, host });
 
+      if (!salesLeg) {
+        // With no specialist available the AI goes straight to callback scheduling
+        updateCallData(leadCall.sid, { salesTeamUnavailable: true });
+        console.log(`No sales agent available for lead call ${leadCall.sid}`);
+      }
+    }
+
+    console.log("Lead call SID:", leadCall.sid);
+    console.log("Sales call SID:", salesLeg?.salesCallSid);
+
+    return {
+      leadCallSid: leadCall.sid,
+      salesCallSid: salesLeg?.salesCallSid || null,
+      salesAgentId: salesLeg?.agent.id || null
+    };
+  }
+
+  /**
+   * Ring the next care specialist in the escalation chain for a lead call
+   * Specialists already rung for this lead are skipped
+   * @param {string} leadCallSid - Lead call SID
+   * @param {Object} params - Dial parameters
+   * @param {Object} [params.leadinfo] - Lead info (LeadName, CareReason, CareNeededFor)
+   * @param {string} params.host - Public host used for Twilio callbacks
+   * @returns {Promise<Object|null>} Sales call SID and agent, or null when the chain is exhausted
+   */
+  async function dialSalesLeg(leadCallSid, { leadinfo, host }) {
+    const attempts = getCallData(leadCallSid).salesAttempts || [];
+    const agent = assignNextAgent({
+      leadInfo: leadinfo,
+      triedAgentIds: attempts.map(attempt => attempt.agentId)
+    });
+
+    if (!agent) return null;
+
+    let salesCall;
     try {
-      console.log("Initiating lead call to:", number);
-      console.log("Lead info:", JSON.stringify(leadinfo));
-      
-      const leadCall = await twilioClient.calls.create({
+      salesCall = await twilioClient.calls.create({
         from: TWILIO_PHONE_NUMBER,
-        to: number,
-        url: `https://${request.headers.host}/outbound-call-twiml?prompt=${encodeURIComponent(prompt || "")}&leadName=${encodeURIComponent(leadinfo?.LeadName || "")}&careReason=${encodeURIComponent(leadinfo?.CareReason || "")}&careNeededFor=${encodeURIComponent(leadinfo?.CareNeededFor || "")}`,
-        statusCallback: `https://${request.headers.host}/lead-status`,
+        to: agent.phoneNumber,
+        url: `https://${host}/sales-team-twiml?leadName=${encodeURIComponent(leadinfo?.LeadName || "")}&careReason=${encodeURIComponent(leadinfo?.CareReason || "")}&careNeededFor=${encodeURIComponent(leadinfo?.CareNeededFor || "")}`,
+        statusCallback: `https://${host}/sales-status?agentId=${encodeURIComponent(agent.id)}`,
         statusCallbackEvent: ALL_STATUS_EVENTS, // Track all possible call status events
-        machineDetection: "DetectMessageEnd",
-        asyncAmd: true,
-        asyncAmdStatusCallback: `https://${request.headers.host}/amd-callback`,
+        // Ring time before escalating to the next specialist
+        timeout: getCallData(leadCallSid).salesRingTimeoutSeconds || getEscalationConfig().ringTimeoutSeconds,
       });
+    } catch (error) {
+      // Free the specialist again since no call reached them
+      recordSalesCallOutcome({ agentId: agent.id, callStatus: 'canceled' });
+      throw error;
+    }
+    attachAgentCall(agent.id, salesCall.sid);
+
+    updateCallData(leadCallSid, {
+      salesCallSid: salesCall.sid,
+      salesAgentId: agent.id,
+      salesAttempts: [
+        ...attempts,
+        { agentId: agent.id, callSid: salesCall.sid, startedAt: new Date().toISOString() }
+      ]
+    });
 
-      const salesCall = await twilioClient.calls.create({
-        from: TWILIO_PHONE_NUMBER,
-        to: SALES_TEAM_PHONE_NUMBER,
-        url: `https://${request.headers.host}/sales-team-twiml?leadName=${encodeURIComponent(leadinfo?.LeadName || "")}&careReason=${encodeURIComponent(leadinfo?.CareReason || "")}&careNeededFor=${encodeURIComponent(leadinfo?.CareNeededFor || "")}`,
-        statusCallback: `https://${request.headers.host}/sales-status`,
-        statusCallbackEvent: ALL_STATUS_EVENTS, // Track all possible call status events
-      });
+    // Initialize sales call data
+    updateCallData(salesCall.sid, {
+      salesStatus: "initiated",
+      leadCallSid,
+      salesAgentId: agent.id,
+      leadInfo: leadinfo || {},
+      timestamp: new Date().toISOString()
+    });
+    console.log(`Initiating sales call to ${agent.name}:`, agent.phoneNumber);
 
-      // Initialize lead call data
-      updateCallData(leadCall.sid, {
-        leadStatus: "initiated",
-        salesCallSid: salesCall.sid,
-        leadInfo: leadinfo || {},
-        timestamp: new Date().toISOString()
-      });
-      
-      // Initialize sales call data
-      updateCallData(salesCall.sid, {
-        salesStatus: "initiated",
-        leadCallSid: leadCall.sid,
-        leadInfo: leadinfo || {},
-        timestamp: new Date().toISOString()
-      });
+    return { salesCallSid: salesCall.sid, agent };
+  }
+
+  /**
+   * Ring the next specialist after the current sales leg went unanswered
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} salesCallSid - Sales call SID that just ended
+   * @param {string} host - Public host used for Twilio callbacks
+   * @returns {Promise<boolean>} Whether another specialist is being rung
+   */
+  async function escalateSalesLeg(leadCallSid, salesCallSid, host) {
+    const leadData = getCallData(leadCallSid);
 
-      console.log("Initiating sales call to:", SALES_TEAM_PHONE_NUMBER);
-      console.log("Lead call SID:", leadCall.sid);
-      console.log("Sales call SID:", salesCall.sid);
+    // Only escalate for the lead's current sales leg while the lead is still on the line
+    if (!leadCallSid || leadData.salesCallSid !== salesCallSid ||
+        leadData.finalStatus || isTerminalState(leadData.lifecycleState)) {
+      return false;
+    }
+
+    try {
+      const salesLeg = await dialSalesLeg(leadCallSid, { leadinfo: leadData.leadInfo, host });
+      if (!salesLeg) return false;
+
+      console.log(`[Twilio] Escalated lead ${leadCallSid} to ${salesLeg.agent.name} (attempt ${getCallData(leadCallSid).salesAttempts.length})`);
+      return true;
+    } catch (error) {
+      console.error(`[Twilio] Error escalating sales leg for lead ${leadCallSid}:`, error);
+      return false;
+    }
+  }
+
+  // Route to initiate outbound calls with sales team handoff
+  fastify.post("/outbound-call-to-sales", async (request, reply) => {
+    const { number, prompt, leadinfo, voicemailDrop } = request.body;
+
+    if (!number)
+      return reply.code(400).send({ error: "Phone number is required" });
+
+    try {
+      const { leadCallSid, salesCallSid, salesAgentId } = await initiateLeadCall({
+        number,
+        prompt,
+        leadinfo,
+        host: request.headers.host,
+        callData: voicemailDrop ? { voicemailDrop } : {}
+      });
 
       reply.send({
-        leadCallSid: leadCall.sid,
-        salesCallSid: salesCall.sid,
+        leadCallSid,
+        salesCallSid,
+        salesAgentId,
         status: "initiated",
       });
     } catch (error) {
@@ -351,6 +564,54 @@ async function registerOutboundRoutes(fastify) {
     }
   });
 
+  // Batch campaign dialing on top of the same lead call flow
+  initCampaignManager({ dialLead: initiateLeadCall });
+  registerCampaignRoutes(fastify);
+
+  // Serve rendered voicemail drop audio to Twilio
+  registerVoicemailDropRoutes(fastify);
+
+  // Conference transfers are resolved from participant events
+  rebuildConferenceIndex();
+  initTransferSupervisor({ onOutcome: applyTransferOutcome });
+  resumeTransferSupervision();
+
+  // Deferred sales legs are dialed once the lead engages
+  initSalesDialScheduler({
+    dialSalesLeg: leadCallSid => {
+      const leadData = getCallData(leadCallSid);
+      return dialSalesLeg(leadCallSid, { leadinfo: leadData.leadInfo, host: leadData.callbackHost });
+    }
+  });
+
+  // Any module can ask for a transfer through the command bus
+  initTransferCommands({ executeTransfer: startRequestedTransfer });
+  registerTransferCommandRoutes(fastify);
+
+  // Tools the ElevenLabs agent calls during the conversation
+  initClientTools({ twilioClient });
+
+  // Callbacks agreed with a lead are placed at their time through the same lead call flow
+  initCallbackScheduler({
+    dialCallback: (job) => initiateLeadCall({
+      number: job.phoneNumber,
+      leadinfo: job.leadInfo,
+      host: job.host,
+      callData: {
+        // Tells the AI this is the callback the lead asked for
+        requestedCallback: {
+          jobId: job.id,
+          leadId: job.leadId,
+          originalCallSid: job.leadCallSid,
+          requestedTime: job.requestedTime,
+          window: job.window,
+          notes: job.notes
+        }
+      }
+    })
+  });
+  registerCallbackRoutes(fastify);
+
   // TwiML for lead's call (AI agent)
   fastify.all("/outbound-call-twiml", async (request, reply) => {
     const prompt = request.query.prompt || "";
@@ -395,6 +656,40 @@ async function registerOutboundRoutes(fastify) {
   });
 
   // Route to handle lead call status updates
+  /**
+   * Report a lead call's outcome to the retry manager and schedule a retry when its policy allows
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} callStatus - Final call status
+   * @returns {Promise<Object|null>} Retry result, or null when the call is not tracked
+   */
+  async function handleLeadCallRetry(leadCallSid, callStatus) {
+    const leadData = getCallData(leadCallSid);
+    if (!leadData.retryLeadId) return null;
+
+    // The voicemail detector can catch a machine that AMD did not report
+    const answeredBy = leadData.answeredBy || (leadData.isVoicemail ? 'machine_end_other' : undefined);
+    const retryState = updateCallStatus(leadData.retryLeadId, leadCallSid, callStatus, answeredBy);
+    if (!retryState?.retryNeeded) return null;
+
+    // Leads that reached a specialist, asked for a callback or asked not to be called are not retried
+    if (leadData.transferComplete || leadData.callbackScheduled || leadData.doNotCall) {
+      console.log(`[Twilio] Not retrying lead call ${leadCallSid}, the lead was handled`);
+      return null;
+    }
+
+    const result = await scheduleRetryCall(leadData.retryLeadId);
+    updateCallData(leadCallSid, {
+      retryDecision: {
+        scheduled: result.success,
+        reason: retryState.retryReason,
+        retryAt: result.retryTimestamp ? new Date(result.retryTimestamp).toISOString() : null,
+        method: result.method || null,
+        error: result.error || null
+      }
+    });
+    return result;
+  }
+
   fastify.post("/lead-status", async (request, reply) => {
     try {
       const {
@@ -438,6 +733,9 @@ async function registerOutboundRoutes(fastify) {
         console.log(JSON.stringify(getCallData(CallSid), null, 2));
       }
 
+      // Advance the lead call lifecycle
+      updateLeadLifecycle(CallSid, getCallData(CallSid).leadStatus);
+
       // Handle completed/failed call
       if (CallStatus === 'completed' || CallStatus === 'busy' || 
           CallStatus === 'no-answer' || CallStatus === 'failed' || 
@@ -448,19 +746,15 @@ async function registerOutboundRoutes(fastify) {
           endTime: new Date().toISOString()
         });
 
-        // Get the linked sales call SID
-        const salesCallSid = getCallData(CallSid).salesCallSid;
-        
-        // If we have a sales call and we didn't complete a transfer, 
-        // mark call for potential retry or follow-up
-        if (salesCallSid && !getCallData(CallSid).transferComplete) {
-          console.log(`[Twilio] Lead call ${CallSid} ended before transfer completed.`);
-          
-          // Track the call for potential retry
-          if (typeof trackCall === 'function') {
-            trackCall(CallSid, CallStatus, getCallData(CallSid).answeredBy);
-          }
-        }
+        // Free the campaign slot if this call was placed by a campaign
+        handleCampaignCallEnded(CallSid);
+
+        // A lead that hung up no longer needs a specialist
+        cancelSalesDial(CallSid);
+        await resolveTransfer(CallSid, TRANSFER_OUTCOMES.LEAD_DROPPED, `lead call ${CallSid} ended`);
+
+        // Retry the lead when the outcome's retry policy allows it
+        await handleLeadCallRetry(CallSid, getCallData(CallSid).leadStatus);
       }
 
       reply.send({ status: "ok" });
@@ -481,6 +775,13 @@ async function registerOutboundRoutes(fastify) {
 
       console.log(`[Twilio] Sales call ${CallSid} status: ${CallStatus}`);
 
+      // Feed the outcome back into specialist availability
+      recordSalesCallOutcome({
+        agentId: request.query?.agentId || getCallData(CallSid).salesAgentId,
+        callSid: CallSid,
+        callStatus: CallStatus
+      });
+
       // If this is the first time we've seen this call, initialize its status
       if (!getCallData(CallSid).salesStatus) {
         updateCallData(CallSid, {
@@ -519,14 +820,40 @@ async function registerOutboundRoutes(fastify) {
           endTime: new Date().toISOString()
         });
 
-        // If we didn't complete a transfer, mark the lead as needing follow-up
-        if (!getCallData(CallSid).transferComplete) {
-          const leadCallSid = getCallData(CallSid).leadCallSid;
-          
+        const leadCallSid = getCallData(CallSid).leadCallSid;
+
+        // Record how this specialist attempt ended on the lead
+        const attempts = getCallData(leadCallSid).salesAttempts;
+        if (leadCallSid && attempts) {
+          updateCallData(leadCallSid, {
+            salesAttempts: attempts.map(attempt =>
+              attempt.callSid === CallSid && !attempt.outcome ? { ...attempt, outcome: CallStatus } : attempt
+            )
+          });
+        }
+
+        const missed = CallStatus === 'busy' || CallStatus === 'no-answer' || CallStatus === 'failed';
+        const whisper = getCallData(leadCallSid).whisper;
+
+        // A specialist who hangs up during the whisper declined the transfer
+        if (whisper?.status === 'pending' && whisper.salesCallSid === CallSid) {
+          console.log(`[Twilio] Sales call ${CallSid} ended during the transfer whisper for lead ${leadCallSid}`);
+          updateCallData(leadCallSid, {
+            whisper: { ...whisper, status: 'hung-up', respondedAt: new Date().toISOString() }
+          });
+          await declineTransfer(leadCallSid, CallSid, 'hung-up', request.headers.host);
+        } else if (missed && !getCallData(CallSid).transferComplete &&
+            await escalateSalesLeg(leadCallSid, CallSid, request.headers.host)) {
+          console.log(`[Twilio] Sales call ${CallSid} was not answered (${CallStatus}), trying the next specialist`);
+        } else if (!getCallData(CallSid).transferComplete) {
+          // If we didn't complete a transfer, mark the lead as needing follow-up
           console.log(`[Twilio] Sales call ${CallSid} ended before transfer completed. Marking lead ${leadCallSid} for follow-up.`);
           
           // If lead call is still in progress, note that sales team is unavailable
-          if (leadCallSid && getCallData(leadCallSid)?.leadStatus === "in-progress") {
+          // (unless the lead has already moved on to another specialist)
+          const currentSalesCallSid = getCallData(leadCallSid).salesCallSid;
+          if (leadCallSid && getCallData(leadCallSid)?.leadStatus === "in-progress" &&
+              (!currentSalesCallSid || currentSalesCallSid === CallSid)) {
             updateCallData(leadCallSid, {
               salesTeamUnavailable: true
             });
@@ -555,6 +882,12 @@ async function registerOutboundRoutes(fastify) {
         updateCallData(CallSid, {
           answeredBy: AnsweredBy
         });
+        updateVoicemailVerdict(CallSid);
+
+        // A machine answer marks the call for a voicemail retry once it ends
+        if (callData.retryLeadId) {
+          updateCallStatus(callData.retryLeadId, CallSid, 'in-progress', AnsweredBy);
+        }
         
         const salesCallSid = callData.salesCallSid;
 
@@ -566,6 +899,16 @@ async function registerOutboundRoutes(fastify) {
           updateCallData(CallSid, {
             isVoicemail: true
           });
+          transitionCallState(CallSid, CALL_STATES.VOICEMAIL, {
+            reason: `AMD result: ${AnsweredBy}`,
+            source: '/amd-callback'
+          });
+
+          // No specialist is needed for a voicemail
+          cancelSalesDial(CallSid);
+
+          // Render the voicemail drop while the greeting plays
+          prepareVoicemailDrop(CallSid);
           
           // Create Twilio client
           const client = new Twilio(
@@ -592,11 +935,16 @@ async function registerOutboundRoutes(fastify) {
               console.error(`[Twilio] Failed to update sales call ${salesCallSid} with voicemail notification:`, error);
             }
           } else {
-            // Sales team hasn't joined, AI should leave voicemail
-            console.log(`[Twilio] Sales team not joined, AI will leave voicemail for ${CallSid}`);
-            
-            // Notify ElevenLabs that we're in voicemail mode through custom instruction
-            // This will be handled by the WebSocket connection
+            // Once the greeting has ended, play the voicemail drop if one is configured
+            const drop = MESSAGE_END_RESULTS.includes(AnsweredBy)
+              ? await dropVoicemail(CallSid, client)
+              : { success: false, reason: 'greeting still playing' };
+
+            if (!drop.success) {
+              // Sales team hasn't joined, AI should leave voicemail; the live
+              // stream picks up the voicemail prompt from the AMD event below
+              console.log(`[Twilio] Sales team not joined, AI will leave voicemail for ${CallSid}${drop.reason ? ` (${drop.reason})` : ''}`);
+            }
           }
         }
         
@@ -606,7 +954,24 @@ async function registerOutboundRoutes(fastify) {
           updateCallData(CallSid, {
             isVoicemail: false
           });
+          if (getCallState(CallSid) === CALL_STATES.DIALING || getCallState(CallSid) === CALL_STATES.RINGING) {
+            transitionCallState(CallSid, CALL_STATES.AI_CONVERSATION, {
+              reason: 'AMD result: human',
+              source: '/amd-callback'
+            });
+          }
+
+          // A human answering can start a deferred sales leg
+          handleLeadEngagement(CallSid, ENGAGEMENT_TRIGGERS.HUMAN);
         }
+
+        // Push the result to the live media stream of this call
+        const amdData = getCallData(CallSid);
+        publishCallEvent(CallSid, CALL_EVENTS.AMD_RESULT, {
+          answeredBy: AnsweredBy,
+          isVoicemail: Boolean(amdData.isVoicemail),
+          voicemailDropped: Boolean(amdData.voicemailDropped)
+        });
       }
       
       reply.send({ status: "ok" });
@@ -616,6 +981,38 @@ async function registerOutboundRoutes(fastify) {
     }
   });
 
+  /**
+   * Map a Twilio lead call status onto the lead call lifecycle
+   * @param {string} callSid - The lead call SID
+   * @param {string} callStatus - Twilio call status (after SIP code mapping)
+   */
+  function updateLeadLifecycle(callSid, callStatus) {
+    const currentState = getCallState(callSid);
+    if (!currentState || isTerminalState(currentState)) return;
+
+    const options = { reason: `call status: ${callStatus}`, source: '/lead-status' };
+
+    if (callStatus === 'ringing') {
+      transitionCallState(callSid, CALL_STATES.RINGING, options);
+    } else if (callStatus === 'in-progress' || callStatus === 'answered') {
+      if (currentState === CALL_STATES.DIALING || currentState === CALL_STATES.RINGING) {
+        transitionCallState(callSid, CALL_STATES.AI_CONVERSATION, options);
+      }
+    } else if (['busy', 'no-answer', 'failed', 'canceled'].includes(callStatus)) {
+      transitionCallState(callSid, CALL_STATES.FAILED, options);
+    } else if (callStatus === 'completed') {
+      // A bridged call keeps its outcome when it ends
+      if (currentState === CALL_STATES.BRIDGED) return;
+
+      // Only a call that ends during the AI conversation completed normally;
+      // ending before an answer or mid-transfer counts as a failure
+      const finalState = currentState === CALL_STATES.AI_CONVERSATION
+        ? CALL_STATES.COMPLETED
+        : CALL_STATES.FAILED;
+      transitionCallState(callSid, finalState, options);
+    }
+  }
+
   // Check and transfer when both are ready
   async function checkAndTransfer(leadCallSid) {
     console.log(`[Twilio] Checking if we can transfer call ${leadCallSid} to sales team...`);
@@ -633,6 +1030,12 @@ async function registerOutboundRoutes(fastify) {
       console.log(`[Twilio] Lead call ${leadCallSid} is a voicemail - not transferring`);
       return false;
     }
+
+    // The lead asked for a callback or not to be called
+    if (leadData?.callbackScheduled || leadData?.doNotCall) {
+      console.log(`[Twilio] Lead ${leadCallSid} asked for a callback or not to be called - not transferring`);
+      return false;
+    }
     
     // Only transfer if both calls are in progress
     if (leadStatus === "in-progress" && salesStatus === "in-progress") {
@@ -649,114 +1052,266 @@ async function registerOutboundRoutes(fastify) {
         }
       }
       
+      // The specialist is still listening to the whisper
+      if (leadData.whisper?.status === 'pending') {
+        console.log(`[Twilio] Waiting for the specialist to accept the transfer of ${leadCallSid}`);
+        return false;
+      }
+
       // Create a conference for the transfer
       const conferenceRoom = `ConferenceRoom_${salesCallSid}`;
       
-      // Initialize conference data if it doesn't exist
-      if (!leadData.conference) {
-        updateCallData(leadCallSid, {
-          conference: {
-            room: conferenceRoom,
-            leadJoined: false,
-            salesJoined: false,
-            transferStartTime: Date.now()
-          }
-        });
+      // Each transfer starts from a fresh conference; a room left from an earlier attempt is dropped from the index
+      const previousRoom = leadData.conference?.room;
+      if (previousRoom && previousRoom !== conferenceRoom) {
+        unregisterConference(previousRoom);
       }
+      updateCallData(leadCallSid, {
+        conference: {
+          room: conferenceRoom,
+          leadJoined: false,
+          salesJoined: false,
+          transferStartTime: Date.now()
+        }
+      });
+
+      // Conference events are matched to this call pair through the room
+      registerConference(conferenceRoom, { leadCallSid, salesCallSid });
       
-      // Create a Twilio client
-      const client = new Twilio(
-        process.env.TWILIO_ACCOUNT_SID,
-        process.env.TWILIO_AUTH_TOKEN
-      );
-      
-      const statusCallbackUrl = `${process.env.BASE_URL || `http://${process.env.REPL_SLUG}.repl.co`}/conference-status`;
-      
-      try {
-        console.log(`[Twilio] Initiating conference transfer for lead ${leadCallSid} and sales ${salesCallSid}`);
-        
-        // Mark calls as transfer initiated
-        updateCallData(leadCallSid, { transferInitiated: true });
-        updateCallData(salesCallSid, { transferInitiated: true });
-        
-        // Update lead call to join conference
-        await client.calls(leadCallSid).update({
-          twiml: `
-            <Response>
+      // Mark calls as transfer initiated
+      transitionCallState(leadCallSid, CALL_STATES.TRANSFER_PENDING, {
+        reason: `conference ${conferenceRoom} created`,
+        source: 'checkAndTransfer',
+        data: { transferInitiated: true }
+      });
+      updateCallData(salesCallSid, { transferInitiated: true });
+
+      // Let the specialist hear a summary and accept before the lead is moved
+      const started = getWhisperConfig().enabled
+        ? await startTransferWhisper(leadCallSid, salesCallSid)
+        : await bridgeTransfer(leadCallSid, salesCallSid, conferenceRoom);
+
+      // Twilio refused the whisper or the bridge: keep the lead with the AI so it can be transferred later
+      if (!started) {
+        updateCallData(salesCallSid, { transferInitiated: false });
+        unregisterConference(conferenceRoom);
+        transitionCallState(leadCallSid, CALL_STATES.AI_CONVERSATION, {
+          reason: `could not start transfer to ${salesCallSid}`,
+          source: 'checkAndTransfer',
+          data: { transferInitiated: false, conference: null }
+        });
+      }
+
+      return started;
+    }
+    
+    console.log(`[Twilio] Conditions not met for transfer - not transferring`);
+    return false;
+  }
+
+  /**
+   * Start a transfer the transfer command bus accepted
+   * @param {string} leadCallSid - Lead call SID
+   * @returns {Promise<string>} How the transfer started (see TRANSFER_START_RESULTS)
+   */
+  async function startRequestedTransfer(leadCallSid) {
+    // A deferred sales leg is dialed now; an active one is bridged right away
+    handleLeadEngagement(leadCallSid, ENGAGEMENT_TRIGGERS.INTENT);
+    if (await checkAndTransfer(leadCallSid)) return TRANSFER_START_RESULTS.STARTED;
+
+    // The transfer starts once a ringing or deferred sales leg answers
+    const leadData = getCallData(leadCallSid);
+    if (leadData.salesDialPending || (leadData.salesCallSid && !getCallData(leadData.salesCallSid).finalStatus)) {
+      return TRANSFER_START_RESULTS.WAITING;
+    }
+
+    // Every sales leg so far has ended: ring the next specialist
+    const salesLeg = await dialSalesLeg(leadCallSid, { leadinfo: leadData.leadInfo, host: leadData.callbackHost });
+    return salesLeg ? TRANSFER_START_RESULTS.WAITING : TRANSFER_START_RESULTS.NO_SALES_LEG;
+  }
+
+  /**
+   * Build the <Conference> element for one side of a transfer
+   * @param {string} conferenceRoom - Conference room name
+   * @param {boolean} isSalesTeam - Whether this is the specialist's side
+   * @returns {string} Conference TwiML element
+   */
+  function getConferenceTwiml(conferenceRoom, isSalesTeam) {
+    const statusCallbackUrl = `${process.env.BASE_URL || `http://${process.env.REPL_SLUG}.repl.co`}/conference-status`;
+
+    // The conference ends with the lead, so a lead whose specialist drops
+    // stays in the room until they are handed back to the AI
+    if (isSalesTeam) {
+      return `
+              <Conference statusCallback="${statusCallbackUrl}"
+                        statusCallbackEvent="start end join leave mute hold"
+                        participantLabel="sales-team"
+                        startConferenceOnEnter="true"
+                        endConferenceOnExit="false">
+                ${conferenceRoom}
+              </Conference>`;
+    }
+
+    return `
               <Conference statusCallback="${statusCallbackUrl}" 
-                        statusCallbackEvent="join,leave"
+                        statusCallbackEvent="start end join leave mute hold"
                         startConferenceOnEnter="false"
-                        endConferenceOnExit="false">
+                        endConferenceOnExit="true">
                 ${conferenceRoom}
-              </Conference>
+              </Conference>`;
+  }
+
+  /**
+   * Move the lead and the specialist into the transfer conference
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} salesCallSid - Sales call SID
+   * @param {string} conferenceRoom - Conference room name
+   * @param {Object} [options] - Bridge options
+   * @param {boolean} [options.updateSalesCall=true] - Redirect the sales call too; false when
+   *   the caller answers the sales call's own webhook with the conference TwiML
+   * @returns {Promise<boolean>} Whether the transfer was initiated
+   */
+  async function bridgeTransfer(leadCallSid, salesCallSid, conferenceRoom, { updateSalesCall = true } = {}) {
+    // Create a Twilio client
+    const client = new Twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+
+    try {
+      console.log(`[Twilio] Initiating conference transfer for lead ${leadCallSid} and sales ${salesCallSid}`);
+
+      // Update lead call to join conference
+      await client.calls(leadCallSid).update({
+        twiml: `
+            <Response>${getConferenceTwiml(conferenceRoom, false)}
             </Response>
           `
-        });
-        
-        // Update sales call to join conference
+      });
+
+      // Update sales call to join conference
+      if (updateSalesCall) {
         await client.calls(salesCallSid).update({
           twiml: `
-            <Response>
-              <Conference statusCallback="${statusCallbackUrl}"
-                        statusCallbackEvent="join,leave"
-                        participantLabel="sales-team"
-                        startConferenceOnEnter="true"
-                        endConferenceOnExit="true">
-                ${conferenceRoom}
-              </Conference>
+            <Response>${getConferenceTwiml(conferenceRoom, true)}
             </Response>
           `
         });
-        
-        console.log(`[Twilio] Conference transfer initiated for calls ${leadCallSid} and ${salesCallSid}`);
-        
-        // Start monitoring the conference connection
-        setTimeout(() => checkConferenceConnection(leadCallSid, salesCallSid, conferenceRoom), 5000);
-        
-        return true;
-      } catch (error) {
-        console.error(`[Twilio] Error initiating conference transfer:`, error);
-        return false;
       }
+
+      console.log(`[Twilio] Conference transfer initiated for calls ${leadCallSid} and ${salesCallSid}`);
+
+      // Supervise the conference until both parties join or one drops
+      startTransferSupervision(leadCallSid, salesCallSid, conferenceRoom);
+
+      return true;
+    } catch (error) {
+      console.error(`[Twilio] Error initiating conference transfer:`, error);
+      return false;
     }
-    
-    console.log(`[Twilio] Conditions not met for transfer - not transferring`);
-    return false;
   }
 
-  function evaluateTransferReadiness(leadCallSid) {
-    if (!getCallData(leadCallSid)) {
-      console.log(`[Twilio] No call data found for ${leadCallSid} - can't evaluate transfer readiness`);
+  /**
+   * Play the lead summary to the specialist only and wait for a key press
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} salesCallSid - Sales call SID
+   * @returns {Promise<boolean>} Whether the whisper started
+   */
+  async function startTransferWhisper(leadCallSid, salesCallSid) {
+    const summary = buildLeadSummary(leadCallSid, getCallData(leadCallSid));
+    const host = getCallData(leadCallSid).callbackHost || mostRecentHost;
+    const actionUrl = `https://${host}/transfer-whisper-response?leadCallSid=${encodeURIComponent(leadCallSid)}`;
+
+    try {
+      await twilioClient.calls(salesCallSid).update({
+        twiml: getWhisperTwiml({ summary, actionUrl })
+      });
+    } catch (error) {
+      console.error(`[Twilio] Error playing transfer whisper to ${salesCallSid}:`, error);
       return false;
     }
-    
-    // Check transcripts and intent data
-    const transcripts = getCallData(leadCallSid).transcripts || [];
-    const intentData = getCallData(leadCallSid).intentData;
-    
-    // Need at least 2 turns from the lead before considering transfer
-    if (transcripts.length < 2) {
-      console.log(`[Twilio] Not enough transcript data for transfer (${transcripts.length} turns)`);
-      return false;
+
+    updateCallData(leadCallSid, {
+      whisper: { status: 'pending', salesCallSid, summary, startedAt: new Date().toISOString() }
+    });
+    console.log(`[Twilio] Playing transfer whisper for lead ${leadCallSid} to sales call ${salesCallSid}`);
+    return true;
+  }
+
+  /**
+   * Keep the lead with the AI after the specialist declined or did not answer the whisper,
+   * then ring the next specialist in the escalation chain
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} salesCallSid - Sales call SID that declined
+   * @param {string} decision - Whisper decision, or 'hung-up' when the sales call ended during the whisper
+   * @param {string} host - Public host used for Twilio callbacks
+   */
+  async function declineTransfer(leadCallSid, salesCallSid, decision, host) {
+    updateCallData(salesCallSid, { transferInitiated: false, transferDeclined: true });
+    unregisterConference(getCallData(leadCallSid).conference?.room);
+    updateCallData(leadCallSid, {
+      conference: null,
+      salesAttempts: (getCallData(leadCallSid).salesAttempts || []).map(attempt =>
+        attempt.callSid === salesCallSid ? { ...attempt, outcome: `whisper-${decision}` } : attempt
+      )
+    });
+
+    if (isTerminalState(getCallState(leadCallSid))) return;
+
+    transitionCallState(leadCallSid, CALL_STATES.AI_CONVERSATION, {
+      reason: `specialist ${WHISPER_DECLINE_REASONS[decision] || 'did not answer'} the whisper`,
+      source: decision === 'hung-up' ? '/sales-status' : '/transfer-whisper-response',
+      data: { transferInitiated: false }
+    });
+
+    if (!(await escalateSalesLeg(leadCallSid, salesCallSid, host))) {
+      updateCallData(leadCallSid, { salesTeamUnavailable: true });
     }
-    
-    // Check if we have detected intents
-    if (intentData) {
-      if (intentData.hasNegativeIntent) {
-        console.log(`[Twilio] Lead has negative intent - not ready for transfer`);
-        return false;
-      }
-      
-      if (intentData.hasPositiveIntent) {
-        console.log(`[Twilio] Lead has positive intent - ready for transfer`);
-        return true;
+  }
+
+  // Specialist's key press after the transfer whisper
+  fastify.post("/transfer-whisper-response", async (request, reply) => {
+    try {
+      const leadCallSid = request.query.leadCallSid;
+      const { CallSid: salesCallSid, Digits } = request.body;
+      const decision = getWhisperDecision(Digits);
+      const leadData = getCallData(leadCallSid);
+
+      console.log(`[Twilio] Transfer whisper for lead ${leadCallSid}: ${decision}`);
+
+      updateCallData(leadCallSid, {
+        whisper: { ...leadData.whisper, status: decision, respondedAt: new Date().toISOString() }
+      });
+
+      // The lead may have hung up while the specialist listened
+      const leadWaiting = getCallState(leadCallSid) === CALL_STATES.TRANSFER_PENDING && !leadData.finalStatus;
+
+      if (decision === 'accepted' && leadWaiting) {
+        const conferenceRoom = leadData.conference?.room || `ConferenceRoom_${salesCallSid}`;
+
+        if (await bridgeTransfer(leadCallSid, salesCallSid, conferenceRoom, { updateSalesCall: false })) {
+          return reply.type("text/xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+            <Response>
+              <Say>${escapeTwiMLText(OUTBOUND.TRANSFER_WHISPER.ACCEPTED)}</Say>${getConferenceTwiml(conferenceRoom, true)}
+            </Response>`);
+        }
       }
+
+      await declineTransfer(leadCallSid, salesCallSid, decision, request.headers.host);
+
+      const goodbye = decision === 'no-response'
+        ? OUTBOUND.TRANSFER_WHISPER.NO_RESPONSE
+        : OUTBOUND.TRANSFER_WHISPER.DECLINED;
+      reply.type("text/xml").send(`<?xml version="1.0" encoding="UTF-8"?>
+        <Response>
+          <Say>${escapeTwiMLText(goodbye)}</Say>
+          <Hangup/>
+        </Response>`);
+    } catch (error) {
+      console.error("[Twilio] Error handling transfer whisper response:", error);
+      reply.status(500).send({ error: error.message });
     }
-    
-    // Default: if we have enough transcript data but no clear intent, consider ready
-    console.log(`[Twilio] No clear intent detected, but have ${transcripts.length} turns - considering ready for transfer`);
-    return transcripts.length >= 3;
-  }
+  });
 
   // TwiML for handoff
   fastify.all("/transfer-twiml", async (request, reply) => {
@@ -764,16 +1319,21 @@ async function registerOutboundRoutes(fastify) {
     console.log(`Handling transfer request for sales call: ${salesCallSid}`);
     
     // Find the lead call that's linked to this sales call
-    const allCallData = callStatuses; // Using the imported callStatuses which is read-only
-    const leadCallSid = Object.keys(allCallData).find(
-      sid => getCallData(sid).salesCallSid === salesCallSid
-    );
+    const leadCallSid = findCallSid(call => call.salesCallSid === salesCallSid);
     
     console.log(`Found matching lead call: ${leadCallSid}`);
 
+    // Use the conference room name
+    const conferenceRoom = `ConferenceRoom_${salesCallSid}`;
+
     // Mark the transfer as complete to signal that ElevenLabs connection can be closed
     if (leadCallSid) {
-      updateCallData(leadCallSid, { transferComplete: true });
+      registerConference(conferenceRoom, { leadCallSid, salesCallSid });
+      transitionCallState(leadCallSid, CALL_STATES.BRIDGED, {
+        reason: 'transfer TwiML served',
+        source: '/transfer-twiml',
+        data: { transferComplete: true }
+      });
       updateCallData(salesCallSid, { transferComplete: true });
     } else {
       console.error(`Could not find lead call for sales call ${salesCallSid}`);
@@ -782,9 +1342,6 @@ async function registerOutboundRoutes(fastify) {
     // Get the server host to construct the audio URL
     const serverHost = mostRecentHost || request.headers.host;
     
-    // Use the conference room name
-    const conferenceRoom = `ConferenceRoom_${salesCallSid}`;
-    
     // Use the local handoff.mp3 file instead of text-to-speech
     const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
       <Response>
@@ -830,7 +1387,8 @@ async function registerOutboundRoutes(fastify) {
         let callSid = null;
         let elevenLabsWs = null;
         let customParameters = null;
-        let conversationId = null;
+        let initialConfigSent = false;
+        let unsubscribeAmd = null;
 
         ws.on("error", console.error);
 
@@ -842,30 +1400,13 @@ async function registerOutboundRoutes(fastify) {
 
             elevenLabsWs.on("open", () => {
               console.log("[ElevenLabs] Connected to Conversational AI");
-              
-              // Get lead info from call statuses or custom parameters
-              const leadInfo = callStatuses[callSid]?.leadInfo || customParameters || {};
-              
-              // Configure prompt options
-              const promptOptions = {
-                isVoicemail: callStatuses[callSid]?.isVoicemail || false,
-                waitForUserSpeech: true,
-                silenceTimeoutMs: 3000
-              };
-              
-              // Get the initialization config with the proper prompt and first message
-              const initialConfig = elevenLabsPrompts.getInitConfig(leadInfo, promptOptions);
-              
-              // Send the configuration to ElevenLabs
-              elevenLabsWs.send(JSON.stringify(initialConfig));
-              
-              console.log(`[ElevenLabs] Sent initialization config for call ${callSid}`);
+              sendInitialConfig();
             });
 
             elevenLabsWs.on("message", async (data) => {
               try {
                 // Process messages from ElevenLabs using our centralized handler
-                await handleElevenLabsMessage(ws, data, callSid);
+                await handleElevenLabsMessage(ws, data, callSid, { elevenLabsWs, streamSid });
               } catch (error) {
                 console.error(`[ElevenLabs] Error processing message:`, error);
               }
@@ -878,8 +1419,9 @@ async function registerOutboundRoutes(fastify) {
               console.log("[ElevenLabs] Disconnected");
               
               // When WebSocket closes, send data to webhook using our new common module
-              if (callSid && conversationId) {
-                sendElevenLabsConversationData(callSid, conversationId, callStatuses, { 
+              const conversationId = callSid && getCallData(callSid).conversationId;
+              if (conversationId) {
+                sendElevenLabsConversationData(callSid, conversationId, null, { 
                   sourceModule: 'outbound-calls' 
                 });
               }
@@ -889,6 +1431,63 @@ async function registerOutboundRoutes(fastify) {
           }
         };
 
+        // Configure the conversation once ElevenLabs is connected and the
+        // stream has started, since a resumed call is only known from the start event
+        const sendInitialConfig = () => {
+          if (initialConfigSent || !callSid || elevenLabsWs?.readyState !== WebSocket.OPEN) return;
+          initialConfigSent = true;
+
+          const callData = getCallData(callSid);
+          const resumeReason = customParameters?.resume;
+
+          // Get lead info from call statuses or custom parameters
+          const leadInfo = callData.leadInfo || customParameters || {};
+          
+          // Configure prompt options
+          const promptOptions = {
+            isVoicemail: callData.isVoicemail || false,
+            // A resumed call is already mid-conversation, so the AI speaks first
+            waitForUserSpeech: !resumeReason,
+            silenceTimeoutMs: 3000
+          };
+
+          // A callback the lead asked for on an earlier call
+          if (callData.requestedCallback) {
+            promptOptions.callback = callData.requestedCallback;
+          }
+
+          // Pick up the conversation so far when the lead is handed back to the AI
+          if (resumeReason) {
+            promptOptions.resume = {
+              reason: resumeReason,
+              agentTranscripts: callData.transcripts || [],
+              leadTranscripts: callData.userTranscripts || []
+            };
+          }
+          
+          // Get the initialization config with the proper prompt and first message
+          const initialConfig = elevenLabsPrompts.getInitConfig(leadInfo, promptOptions);
+          
+          // Send the configuration to ElevenLabs
+          elevenLabsWs.send(JSON.stringify(initialConfig));
+          
+          console.log(`[ElevenLabs] Sent ${resumeReason ? `resume (${resumeReason}) ` : ''}initialization config for call ${callSid}`);
+        };
+
+        // Switch the live conversation to leaving a voicemail when AMD reports a machine
+        const handleAmdResult = ({ answeredBy, isVoicemail, voicemailDropped }) => {
+          console.log(`[Twilio] AMD result ${answeredBy} pushed to stream for call ${callSid}`);
+
+          // The drop has replaced the stream, and a config not yet sent already includes the voicemail prompt
+          if (!isVoicemail || voicemailDropped || !initialConfigSent) return;
+
+          if (elevenLabsWs?.readyState === WebSocket.OPEN) {
+            const leadInfo = getCallData(callSid).leadInfo || customParameters || {};
+            elevenLabsWs.send(JSON.stringify(elevenLabsPrompts.getVoicemailInstruction(leadInfo)));
+            console.log(`[ElevenLabs] Sent voicemail prompt for call ${callSid}`);
+          }
+        };
+
         setupElevenLabs();
 
         ws.on("message", (message) => {
@@ -905,29 +1504,46 @@ async function registerOutboundRoutes(fastify) {
                 );
                 console.log("[Twilio] Custom parameters:", customParameters);
                 
-                // Store custom parameters in call statuses for later use in webhook
-                if (callSid) {
-                  callStatuses[callSid].leadInfo = customParameters;
+                // Store custom parameters in call statuses for later use in webhook;
+                // a resumed call keeps the lead info from its first stream
+                if (callSid && customParameters?.resume) {
+                  const resumeData = getCallData(callSid);
+                  console.log(`[Twilio] Resuming AI for call ${callSid} (${customParameters.resume})`);
+                  updateCallData(callSid, {
+                    aiResumed: { reason: customParameters.resume, resumedAt: new Date().toISOString() },
+                    aiResumeCount: (resumeData.aiResumeCount || 0) + 1
+                  });
+                } else if (callSid) {
+                  updateCallData(callSid, { leadInfo: customParameters });
                 }
+
+                sendInitialConfig();
                 
-                // Check if we already know this is a voicemail from a previous AMD detection
-                if (callSid && callStatuses[callSid]?.isVoicemail) {
-                  console.log(`[Twilio] Call ${callSid} is known to be a voicemail`);
-                  
-                  // If the ElevenLabs connection is already established, send a message to inform it that
-                  // this is a voicemail and to use the appropriate prompt/behavior
-                  if (elevenLabsWs?.readyState === WebSocket.OPEN) {
-                    const voicemailInstruction = {
-                      type: "custom_instruction",
-                      instruction: "This call has reached a voicemail. Wait for the beep, then leave a brief message explaining who you are and why you're calling. Be concise as voicemails often have time limits."
-                    };
-                    elevenLabsWs.send(JSON.stringify(voicemailInstruction));
-                  }
+                // Run the quality and interruption analyzers over this stream
+                if (callSid) {
+                  startStreamAnalysis(callSid, {
+                    resumed: Boolean(customParameters?.resume),
+                    sendInstruction: (instruction) => {
+                      if (elevenLabsWs?.readyState === WebSocket.OPEN) {
+                        elevenLabsWs.send(JSON.stringify(instruction));
+                      }
+                    }
+                  });
+                }
+
+                // Listen for a beep or recorded greeting alongside Twilio's AMD
+                if (callSid && !customParameters?.resume) {
+                  startVoicemailDetection(callSid);
+                }
+
+                // AMD usually reports after the stream has started, so listen for it
+                if (callSid && !unsubscribeAmd) {
+                  unsubscribeAmd = subscribeToCall(callSid, CALL_EVENTS.AMD_RESULT, handleAmdResult);
                 }
                 break;
               case "media":
                 // Check if we should close the ElevenLabs connection because the call has been transferred
-                if (callSid && callStatuses[callSid]?.transferComplete) {
+                if (callSid && getCallData(callSid).transferComplete) {
                   console.log(`[Twilio] Call ${callSid} has been transferred, closing ElevenLabs connection`);
                   if (elevenLabsWs?.readyState === WebSocket.OPEN) {
                     elevenLabsWs.close();
@@ -937,8 +1553,8 @@ async function registerOutboundRoutes(fastify) {
                 
                 // Check if sales team is unavailable and we haven't informed ElevenLabs yet
                 if (callSid && 
-                    callStatuses[callSid]?.salesTeamUnavailable && 
-                    !callStatuses[callSid]?.salesTeamUnavailableInstructionSent && 
+                    getCallData(callSid).salesTeamUnavailable && 
+                    !getCallData(callSid).salesTeamUnavailableInstructionSent && 
                     elevenLabsWs?.readyState === WebSocket.OPEN) {
                   
                   console.log(`[Twilio] Informing AI that sales team is unavailable for call ${callSid}`);
@@ -951,9 +1567,18 @@ async function registerOutboundRoutes(fastify) {
                   elevenLabsWs.send(JSON.stringify(unavailableInstruction));
                   
                   // Mark that we've sent the instruction
-                  callStatuses[callSid].salesTeamUnavailableInstructionSent = true;
+                  updateCallData(callSid, { salesTeamUnavailableInstructionSent: true });
+                }
+                
+                // Check the lead's audio for a voicemail beep or greeting
+                const detection = processAudio(callSid, msg.media.payload);
+                if (detection) {
+                  handleLocalVoicemailDetection(callSid, detection).catch(error =>
+                    console.error(`[Twilio] Error acting on local voicemail detection for ${callSid}:`, error));
                 }
                 
+                if (callSid) analyzeAudio(callSid, msg.media.payload);
+                
                 if (elevenLabsWs?.readyState === WebSocket.OPEN) {
                   // Log when we receive user audio to help debug conversation flow
                   if (msg.media.payload && Buffer.from(msg.media.payload, "base64").length > 0) {
@@ -982,75 +1607,17 @@ async function registerOutboundRoutes(fastify) {
 
         ws.on("close", () => {
           console.log("[Twilio] Client disconnected");
+          if (unsubscribeAmd) unsubscribeAmd();
+          if (callSid) {
+            stopVoicemailDetection(callSid);
+            stopStreamAnalysis(callSid);
+          }
           if (elevenLabsWs?.readyState === WebSocket.OPEN) elevenLabsWs.close();
         });
       },
     );
   });
   
-  // Date/time pattern matchers for callback scheduling
-  const dateTimePatterns = {
-    // Days of the week
-    daysOfWeek: /\b(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\b/gi,
-    // Times
-    times: /\b(([1-9]|1[0-2])(?::([0-5][0-9]))?\s*([ap]\.?m\.?)?)\b/gi,
-    // Relative terms
-    relativeDays: /\b(tomorrow|later today|this afternoon|this evening|next week)\b/gi,
-    // Generic time periods
-    timePeriods: /\b(morning|afternoon|evening|night)\b/gi
-  };
-
-  /**
-   * Detect potential callback time from transcript
-   * @param {string} transcript - The transcript text
-   * @returns {Object|null} Detected callback time information
-   */
-  function detectCallbackTime(transcript) {
-    if (!transcript) return null;
-    
-    const lowercaseText = transcript.toLowerCase();
-    const result = {
-      hasTimeReference: false,
-      rawText: transcript,
-      detectedDays: [],
-      detectedTimes: [],
-      detectedRelative: [],
-      detectedPeriods: []
-    };
-    
-    // Extract days of the week
-    const dayMatches = [...lowercaseText.matchAll(dateTimePatterns.daysOfWeek)];
-    if (dayMatches.length > 0) {
-      result.hasTimeReference = true;
-      result.detectedDays = dayMatches.map(match => match[0]);
-    }
-    
-    // Extract times
-    const timeMatches = [...lowercaseText.matchAll(dateTimePatterns.times)];
-    if (timeMatches.length > 0) {
-      result.hasTimeReference = true;
-      result.detectedTimes = timeMatches.map(match => match[0]);
-    }
-    
-    // Extract relative day references
-    const relativeMatches = [...lowercaseText.matchAll(dateTimePatterns.relativeDays)];
-    if (relativeMatches.length > 0) {
-      result.hasTimeReference = true;
-      result.detectedRelative = relativeMatches.map(match => match[0]);
-    }
-    
-    // Extract time periods
-    const periodMatches = [...lowercaseText.matchAll(dateTimePatterns.timePeriods)];
-    if (periodMatches.length > 0) {
-      result.hasTimeReference = true;
-      result.detectedPeriods = periodMatches.map(match => match[0]);
-    }
-    
-    if (!result.hasTimeReference) return null;
-    
-    return result;
-  }
-
   // Helper function to check transfer after intent detection
   async function checkTransferAfterIntent(callSid) {
     try {
@@ -1070,9 +1637,15 @@ async function registerOutboundRoutes(fastify) {
       
       console.log(`[Conference ${conferenceSid}] Status update: ${conferenceStatus} for call ${callSid}`);
       
+      // Feed participant joins and leaves to the transfer supervisor
+      await superviseConferenceEvent(params);
+
       // Use the processConferenceEvent function from conference-events.js
-      const twilioClient = new Twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
-      const result = await processConferenceEvent(params, twilioClient);
+      const result = await processConferenceEvent(params);
+
+      if (result.specialistDropped) {
+        await handleSpecialistDrop(result.leadCallSid, result.salesCallSid, result.talkTimeMs);
+      }
       
       // Send a response based on the result
       if (result.success) {
@@ -1087,197 +1660,212 @@ async function registerOutboundRoutes(fastify) {
     }
   });
   
-  // Function to check if both parties successfully connected to the conference
-  async function checkConferenceConnection(leadCallSid, salesCallSid, conferenceRoom) {
-    console.log(`[Conference] Checking connection status for conference ${conferenceRoom}`);
-    
-    // Get conference data from call state
-    const leadCall = getCallData(leadCallSid);
-    
-    // If no conference data exists, log and return
-    if (!leadCall || !leadCall.conference) {
-      console.log(`[Conference] No conference data found for lead ${leadCallSid}`);
-      return;
-    }
-    
-    // Get current conference data
-    const conferenceData = leadCall.conference;
-    const transferStartTime = conferenceData.transferStartTime;
-    const currentTime = Date.now();
-    const transferDuration = (currentTime - transferStartTime) / 1000; // in seconds
-    
-    console.log(`[Conference] Checking conference connection after ${transferDuration.toFixed(1)} seconds`);
-    console.log(`[Conference] Status: Lead joined: ${conferenceData.leadJoined}, Sales joined: ${conferenceData.salesJoined}`);
-    
-    // If both parties joined, transfer is successful
-    if (conferenceData.leadJoined && conferenceData.salesJoined) {
+  /**
+   * Apply the fallback for a resolved conference transfer
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} outcome - Transfer outcome (see TRANSFER_OUTCOMES)
+   * @param {Object} transfer - Resolved transfer record
+   */
+  async function applyTransferOutcome(leadCallSid, outcome, transfer) {
+    const { salesCallSid, leadJoined, salesJoined } = transfer;
+
+    if (outcome === TRANSFER_OUTCOMES.BRIDGED) {
       console.log(`[Conference] Transfer successful! Both parties connected.`);
-      updateCallData(leadCallSid, { transferComplete: true });
+      transitionCallState(leadCallSid, CALL_STATES.BRIDGED, {
+        reason: 'both parties joined conference',
+        source: 'transfer-supervisor',
+        data: { transferComplete: true }
+      });
       updateCallData(salesCallSid, { transferComplete: true });
       return;
     }
-    
-    // If transfer has been pending for over 30 seconds and both parties haven't joined,
-    // consider it a failed transfer and implement fallback
-    if (transferDuration > 30 && (!conferenceData.leadJoined || !conferenceData.salesJoined)) {
-      console.log(`[Conference] Transfer failed! Implementing fallback. Lead joined: ${conferenceData.leadJoined}, Sales joined: ${conferenceData.salesJoined}`);
-      
-      try {
-        // Determine which party failed to join
-        if (!conferenceData.leadJoined) {
-          console.log(`[Conference] Lead failed to join conference. Reconnecting with AI.`);
-          
-          // End the sales call with an explanation
-          if (conferenceData.salesJoined) {
-            const client = new Twilio(
-              process.env.TWILIO_ACCOUNT_SID,
-              process.env.TWILIO_AUTH_TOKEN
-            );
-            
-            await client.calls(salesCallSid).update({
-              twiml: `<?xml version="1.0" encoding="UTF-8"?>
-                <Response>
-                  <Say>We apologize, but the customer appears to have disconnected. The AI will follow up with them later.</Say>
-                  <Hangup/>
-                </Response>`
-            });
-          }
-          
-          // Mark for follow-up
-          updateCallData(leadCallSid, { needsFollowUp: true });
-          
-        } else if (!conferenceData.salesJoined) {
-          console.log(`[Conference] Sales team failed to join conference. Reconnecting lead with AI.`);
-          
-          const client = new Twilio(
-            process.env.TWILIO_ACCOUNT_SID,
-            process.env.TWILIO_AUTH_TOKEN
-          );
-          
-          // Reconnect the lead with the AI
-          await client.calls(leadCallSid).update({
+
+    console.log(`[Conference] Transfer failed (${outcome})! Implementing fallback. Lead joined: ${leadJoined}, Sales joined: ${salesJoined}`);
+
+    // Mark transfer as failed
+    updateCallData(leadCallSid, { transferFailed: true });
+    updateCallData(salesCallSid, { transferFailed: true });
+
+    // The lead is lost when they left, or never joined before the timeout
+    const leadLost = outcome === TRANSFER_OUTCOMES.LEAD_DROPPED ||
+      (outcome === TRANSFER_OUTCOMES.TIMED_OUT && !leadJoined);
+
+    if (leadLost) {
+      console.log(`[Conference] Lead failed to join conference. Reconnecting with AI.`);
+
+      // End the sales call with an explanation; the outcome is recorded even if Twilio refuses
+      if (salesJoined) {
+        try {
+          await twilioClient.calls(salesCallSid).update({
             twiml: `<?xml version="1.0" encoding="UTF-8"?>
-              <Response>
-                <Say>We apologize, but we're having trouble connecting you with our team. Let me help you instead.</Say>
-                <Connect>
-                  <Stream url="wss://${process.env.REPL_SLUG}.repl.co/elevenlabs-stream">
-                    <Parameter name="callSid" value="${leadCallSid}"/>
-                    <Parameter name="transferFailed" value="true"/>
-                  </Stream>
-                </Connect>
-              </Response>`
+            <Response>
+              <Say>We apologize, but the customer appears to have disconnected. The AI will follow up with them later.</Say>
+              <Hangup/>
+            </Response>`
           });
+        } catch (error) {
+          console.error(`[Conference] Error ending sales call ${salesCallSid} after the lead left:`, error);
         }
-        
-        // Mark transfer as failed
-        updateCallData(leadCallSid, { transferFailed: true });
-        updateCallData(salesCallSid, { transferFailed: true });
-        
-      } catch (error) {
-        console.error(`[Conference] Error implementing fallback for failed transfer:`, error);
       }
-    } else if (transferDuration <= 30) {
-      // Check again in 10 seconds if we're still within the 30-second window
-      setTimeout(() => checkConferenceConnection(leadCallSid, salesCallSid, conferenceRoom), 10000);
+
+      // Mark for follow-up
+      transitionCallState(leadCallSid, CALL_STATES.FAILED, {
+        reason: `transfer ${outcome}: lead not in conference`,
+        source: 'transfer-supervisor',
+        data: { needsFollowUp: true }
+      });
+      return;
     }
+
+    console.log(`[Conference] Sales team failed to join conference. Reconnecting lead with AI.`);
+
+    // Reconnect the lead with the AI
+    try {
+      await twilioClient.calls(leadCallSid).update({
+        twiml: getAiReconnectTwiml(leadCallSid, elevenLabsPrompts.RESUME_REASONS.TRANSFER_FAILED)
+      });
+    } catch (error) {
+      console.error(`[Conference] Error reconnecting lead ${leadCallSid} with the AI:`, error);
+    }
+
+    // The lead can be transferred again once the AI has them back
+    updateCallData(salesCallSid, { transferInitiated: false });
+    transitionCallState(leadCallSid, CALL_STATES.AI_CONVERSATION, {
+      reason: `transfer ${outcome}: sales team not in conference`,
+      source: 'transfer-supervisor',
+      data: { transferInitiated: false }
+    });
   }
-}
 
-// Function to handle messages from ElevenLabs
-async function handleElevenLabsMessage(ws, data, callSid) {
-  try {
-    // Try to parse the message data
-    const message = JSON.parse(data);
-    
-    // Get existing call data
+  /**
+   * Treat the lead call as a voicemail when the local detector is confident before Twilio's AMD
+   * @param {string} callSid - Lead call SID
+   * @param {Object} detection - Detector events and the combined verdict
+   */
+  async function handleLocalVoicemailDetection(callSid, { events, verdict }) {
     const callData = getCallData(callSid);
-    
-    if (!callData) {
-      console.error(`[ElevenLabs] No call data found for ${callSid}`);
+    if (callData.isVoicemail || verdict.verdict !== 'machine' ||
+        verdict.confidence < getDetectorConfig().actConfidence) {
       return;
     }
-    
-    // Handle different message types
-    if (message.type === "audio") {
-      // Forward audio from ElevenLabs to Twilio
-      console.log(`[ElevenLabs] Received audio chunk`);
-      ws.send(data); // Send the original message as is for audio
-    } 
-    else if (message.type === "speech") {
-      // Process AI speech transcript
-      console.log(`[ElevenLabs] AI said: ${message.text}`);
-      
-      // Add to transcripts in call data
-      const transcripts = callData.transcripts || [];
-      // Store as string to match test expectations, but in real implementation
-      // this could be an object with more metadata
-      transcripts.push(message.text);
-      
-      // Update call data with new transcript
-      updateCallData(callSid, { transcripts });
-    } 
-    else if (message.type === "interrupt") {
-      // Handle interrupt message
-      console.log(`[ElevenLabs] Interrupt triggered`);
-      ws.send(data); // Send the original message as is for interrupt signals
-    } 
-    else if (message.type === "transcript") {
-      // Process user transcript
-      console.log(`[ElevenLabs] User said: ${message.text}`);
-      
-      // Extract user's message from text field (format: "User said: <actual message>")
-      const userMessage = message.text.replace('User said: ', '');
-      
-      // Add to user transcripts in call data (creating the array if needed)
-      const userTranscripts = callData.userTranscripts || [];
-      // Store as string to match test expectations
-      userTranscripts.push(userMessage);
-      
-      // Update call data with user transcript
-      updateCallData(callSid, { userTranscripts });
-      
-      // Check for transfer intent in the user message
-      // For test purposes, we'll check for keywords
-      const transferKeywords = ['transfer', 'sales', 'representative', 'person'];
-      const containsTransferIntent = transferKeywords.some(keyword => 
-        userMessage.toLowerCase().includes(keyword));
-      
-      if (containsTransferIntent || (message.intent && message.intent.type === "transfer")) {
-        console.log(`[ElevenLabs] Transfer intent detected`);
-        
-        // Update intent data
-        updateCallData(callSid, {
-          transferRequested: true,
-          intentData: {
-            hasPositiveIntent: true,
-            transferRequested: true,
-            intentType: 'transfer',
-            timestamp: new Date().toISOString()
-          }
+
+    console.log(`[Twilio] Local detector heard a voicemail on call ${callSid} (${events.join(', ')}, confidence ${verdict.confidence})`);
+    updateCallData(callSid, { isVoicemail: true });
+    transitionCallState(callSid, CALL_STATES.VOICEMAIL, {
+      reason: `local detector: ${events.join(', ')}`,
+      source: 'voicemail-detector'
+    });
+    cancelSalesDial(callSid);
+    prepareVoicemailDrop(callSid);
+
+    // Right after the beep is when a drop should play
+    const drop = events.includes(DETECTOR_EVENTS.BEEP)
+      ? await dropVoicemail(callSid, twilioClient)
+      : { success: false };
+
+    publishCallEvent(callSid, CALL_EVENTS.AMD_RESULT, {
+      answeredBy: 'local-detector',
+      isVoicemail: true,
+      voicemailDropped: drop.success
+    });
+  }
+
+  /**
+   * Build TwiML that hands a lead back to the AI on the outbound media stream
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} reason - Why the AI resumes (see RESUME_REASONS in elevenlabs-prompts.js)
+   * @returns {string} TwiML for the lead call
+   */
+  function getAiReconnectTwiml(leadCallSid, reason) {
+    const host = getCallData(leadCallSid).callbackHost || mostRecentHost;
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+        <Response>
+          <Connect>
+            <Stream url="wss://${host}/outbound-media-stream">
+              <Parameter name="resume" value="${reason}"/>
+            </Stream>
+          </Connect>
+        </Response>`;
+  }
+
+  /**
+   * Hand a bridged lead back to the AI and ring the next specialist, or leave a recorded message,
+   * after the specialist hung up
+   * @param {string} leadCallSid - Lead call SID
+   * @param {string} salesCallSid - Sales call SID of the specialist who dropped
+   * @param {number} talkTimeMs - The specialist's talk time before dropping
+   */
+  async function handleSpecialistDrop(leadCallSid, salesCallSid, talkTimeMs) {
+    const leadData = getCallData(leadCallSid);
+    if (leadData.finalStatus) return;
+
+    const { specialistDropFallback, specialistDropAudioUrl } = getTransferConfig();
+    const specialistDropped = {
+      salesCallSid,
+      salesAgentId: leadData.salesAgentId || null,
+      talkTimeMs,
+      fallback: specialistDropFallback,
+      droppedAt: new Date().toISOString()
+    };
+
+    console.log(`[Conference] Specialist ${salesCallSid} dropped after ${talkTimeMs}ms with lead ${leadCallSid} still connected - applying ${specialistDropFallback} fallback`);
+
+    try {
+      if (specialistDropFallback === SPECIALIST_DROP_FALLBACKS.VOICEMAIL) {
+        const message = specialistDropAudioUrl
+          ? `<Play>${escapeTwiMLText(specialistDropAudioUrl)}</Play>`
+          : `<Say>${escapeTwiMLText(OUTBOUND.SPECIALIST_DROP.MESSAGE)}</Say>`;
+
+        await twilioClient.calls(leadCallSid).update({
+          twiml: `<?xml version="1.0" encoding="UTF-8"?>
+        <Response>
+          ${message}
+          <Hangup/>
+        </Response>`
         });
-        
-        // Initiate transfer immediately to satisfy the test
-        // In real implementation, might want more confirmation
-        if (global.fetch) {
-          console.log(`[ElevenLabs] Initiating transfer for call ${callSid}`);
-          global.fetch(`https://example.com/api/transfer`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ callSid })
-          }).catch(error => {
-            console.error(`[ElevenLabs] Error initiating transfer:`, error);
-          });
-        }
+        updateCallData(leadCallSid, { specialistDropped, needsFollowUp: true });
+        return;
       }
-    }
-    
-    // Store conversation ID if present
-    if (message.conversation_id && !callData.conversationId) {
-      console.log(`[ElevenLabs] Setting conversation ID for call ${callSid}: ${message.conversation_id}`);
-      updateCallData(callSid, {
-        conversationId: message.conversation_id
+
+      // Clear the completed transfer first so the new stream is not closed as transferred,
+      // and so the lead can be transferred again
+      updateCallData(salesCallSid, { transferInitiated: false });
+      transitionCallState(leadCallSid, CALL_STATES.AI_CONVERSATION, {
+        reason: `specialist ${salesCallSid} dropped`,
+        source: '/conference-status',
+        data: { specialistDropped, transferComplete: false, transferInitiated: false, needsFollowUp: true }
+      });
+
+      await twilioClient.calls(leadCallSid).update({
+        twiml: getAiReconnectTwiml(leadCallSid, elevenLabsPrompts.RESUME_REASONS.SPECIALIST_DROPPED)
       });
+
+      // Ring the next specialist so the lead can be transferred again
+      if (!(await escalateSalesLeg(leadCallSid, salesCallSid, leadData.callbackHost))) {
+        updateCallData(leadCallSid, { salesTeamUnavailable: true });
+      }
+    } catch (error) {
+      console.error(`[Conference] Error reconnecting lead ${leadCallSid} after the specialist dropped:`, error);
+      updateCallData(leadCallSid, { specialistDropped: { ...specialistDropped, error: error.message }, needsFollowUp: true });
     }
+  }
+}
+
+/**
+ * Handle a message from ElevenLabs
+ * @param {Object} ws - Twilio media stream socket
+ * @param {string} data - Raw ElevenLabs message
+ * @param {string} callSid - Lead call SID
+ * @param {Object} [stream] - The stream's ElevenLabs socket (elevenLabsWs) and Twilio stream SID (streamSid)
+ */
+async function handleElevenLabsMessage(ws, data, callSid, stream = {}) {
+  try {
+    // Try to parse the message data
+    const message = JSON.parse(data);
+    
+    // Run the message through the handlers subscribed to its type
+    await dispatchElevenLabsMessage(message, { ...stream, ws, callSid, data });
   } catch (error) {
     console.error(`[ElevenLabs] Error handling message:`, error);
   }
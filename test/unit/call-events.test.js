@@ -0,0 +1,57 @@
+/**
+ * Test suite for the per-call event bus
+ *
+ * Covers delivering events only to the call they belong to and
+ * cleaning up listeners when a media stream goes away.
+ */
+import { jest } from '@jest/globals';
+import {
+  subscribeToCall,
+  publishCallEvent,
+  clearCallEvents,
+  CALL_EVENTS
+} from '../../forTheLegends/outbound/call-events.js';
+
+describe('Call Events', () => {
+  afterEach(() => {
+    clearCallEvents();
+  });
+
+  test('should deliver events only to listeners of the same call', () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    subscribeToCall('CA_1', CALL_EVENTS.AMD_RESULT, first);
+    subscribeToCall('CA_2', CALL_EVENTS.AMD_RESULT, second);
+
+    const delivered = publishCallEvent('CA_1', CALL_EVENTS.AMD_RESULT, { answeredBy: 'machine_end_beep', isVoicemail: true });
+
+    expect(delivered).toBe(true);
+    expect(first).toHaveBeenCalledWith({ answeredBy: 'machine_end_beep', isVoicemail: true });
+    expect(second).not.toHaveBeenCalled();
+  });
+
+  test('should report when nobody is listening', () => {
+    expect(publishCallEvent('CA_1', CALL_EVENTS.AMD_RESULT, {})).toBe(false);
+  });
+
+  test('should stop delivering after unsubscribing', () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToCall('CA_1', CALL_EVENTS.AMD_RESULT, listener);
+
+    unsubscribe();
+
+    expect(publishCallEvent('CA_1', CALL_EVENTS.AMD_RESULT, {})).toBe(false);
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('should keep delivering to other listeners when one throws', () => {
+    const failing = jest.fn(() => { throw new Error('stream closed'); });
+    const listener = jest.fn();
+    subscribeToCall('CA_1', CALL_EVENTS.AMD_RESULT, failing);
+    subscribeToCall('CA_1', CALL_EVENTS.AMD_RESULT, listener);
+
+    publishCallEvent('CA_1', CALL_EVENTS.AMD_RESULT, { isVoicemail: true });
+
+    expect(listener).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Test suite for the lead call lifecycle state machine
+ *
+ * Verifies legal and illegal transitions and the timestamped
+ * transition history kept on each call record.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import {
+  CALL_STATES,
+  initializeCallLifecycle,
+  transitionCallState,
+  getCallState,
+  getStateHistory,
+  canTransition,
+  isTerminalState
+} from '../../forTheLegends/outbound/call-lifecycle.js';
+
+describe('Call Lifecycle', () => {
+  let callSid;
+
+  beforeEach(() => {
+    clearAllCallData();
+    callSid = 'CA' + Math.random().toString(36).substring(2, 15);
+  });
+
+  test('should start a lead call in the dialing state', () => {
+    initializeCallLifecycle(callSid, {
+      source: '/outbound-call-to-sales',
+      data: { leadStatus: 'initiated' }
+    });
+
+    expect(getCallState(callSid)).toBe(CALL_STATES.DIALING);
+    expect(getCallData(callSid).leadStatus).toBe('initiated');
+    expect(getStateHistory(callSid)).toEqual([
+      expect.objectContaining({ from: null, to: CALL_STATES.DIALING, source: '/outbound-call-to-sales' })
+    ]);
+  });
+
+  test('should record every transition of a bridged call', () => {
+    initializeCallLifecycle(callSid);
+
+    transitionCallState(callSid, CALL_STATES.RINGING, { source: '/lead-status' });
+    transitionCallState(callSid, CALL_STATES.AI_CONVERSATION, { source: '/lead-status' });
+    transitionCallState(callSid, CALL_STATES.TRANSFER_PENDING, { source: 'checkAndTransfer' });
+    const result = transitionCallState(callSid, CALL_STATES.BRIDGED, {
+      reason: 'both parties joined conference',
+      data: { transferComplete: true }
+    });
+
+    expect(result).toEqual({ success: true, from: CALL_STATES.TRANSFER_PENDING, to: CALL_STATES.BRIDGED });
+    expect(getCallData(callSid).transferComplete).toBe(true);
+
+    const history = getStateHistory(callSid);
+    expect(history.map(entry => entry.to)).toEqual([
+      CALL_STATES.DIALING,
+      CALL_STATES.RINGING,
+      CALL_STATES.AI_CONVERSATION,
+      CALL_STATES.TRANSFER_PENDING,
+      CALL_STATES.BRIDGED
+    ]);
+    expect(history[4].reason).toBe('both parties joined conference');
+    history.forEach(entry => expect(Date.parse(entry.timestamp)).not.toBeNaN());
+  });
+
+  test('should reject illegal transitions without changing state', () => {
+    initializeCallLifecycle(callSid);
+
+    const result = transitionCallState(callSid, CALL_STATES.BRIDGED, {
+      data: { transferComplete: true }
+    });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('dialing -> bridged');
+    expect(getCallState(callSid)).toBe(CALL_STATES.DIALING);
+    expect(getCallData(callSid).transferComplete).toBeUndefined();
+    expect(getStateHistory(callSid)).toHaveLength(1);
+  });
+
+  test('should not leave a terminal state', () => {
+    initializeCallLifecycle(callSid);
+    transitionCallState(callSid, CALL_STATES.VOICEMAIL);
+
+    expect(isTerminalState(CALL_STATES.VOICEMAIL)).toBe(true);
+    expect(transitionCallState(callSid, CALL_STATES.AI_CONVERSATION).success).toBe(false);
+    expect(getCallState(callSid)).toBe(CALL_STATES.VOICEMAIL);
+  });
+
+  test('should allow a failed transfer to return to the AI conversation', () => {
+    expect(canTransition(CALL_STATES.TRANSFER_PENDING, CALL_STATES.AI_CONVERSATION)).toBe(true);
+    expect(canTransition(CALL_STATES.AI_CONVERSATION, CALL_STATES.CALLBACK_SCHEDULED)).toBe(true);
+    expect(canTransition(CALL_STATES.DIALING, CALL_STATES.TRANSFER_PENDING)).toBe(false);
+  });
+
+  test('should let a bridged lead return to the AI when the specialist drops', () => {
+    expect(canTransition(CALL_STATES.BRIDGED, CALL_STATES.AI_CONVERSATION)).toBe(true);
+    expect(canTransition(CALL_STATES.BRIDGED, CALL_STATES.FAILED)).toBe(false);
+  });
+
+  test('should treat repeated transitions to the same state as a no-op', () => {
+    initializeCallLifecycle(callSid);
+    transitionCallState(callSid, CALL_STATES.RINGING);
+
+    const result = transitionCallState(callSid, CALL_STATES.RINGING);
+
+    expect(result.success).toBe(true);
+    expect(result.unchanged).toBe(true);
+    expect(getStateHistory(callSid)).toHaveLength(2);
+  });
+
+  test('should refuse transitions for calls without a lifecycle', () => {
+    updateCallData(callSid, { salesStatus: 'initiated' });
+
+    const result = transitionCallState(callSid, CALL_STATES.RINGING);
+
+    expect(result.success).toBe(false);
+    expect(getCallData(callSid).stateHistory).toBeUndefined();
+  });
+
+  test('should reject unknown states', () => {
+    initializeCallLifecycle(callSid);
+
+    expect(transitionCallState(callSid, 'on-hold').success).toBe(false);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Test suite for the call quality monitor
+ *
+ * Feeds synthetic μ-law audio through processAudioQuality and checks the
+ * speech, silence, low volume and clipping tracking built on it.
+ */
+import { encodeMulaw, SAMPLE_RATE } from '../../forTheLegends/outbound/audio-utils.js';
+import {
+  initializeQualityMonitoring,
+  processAudioQuality,
+  getQualityInstructions,
+  getQualityMetrics,
+  clearQualityMetrics
+} from '../../forTheLegends/outbound/call-quality-monitor.js';
+
+const CALL_SID = 'CA_quality_1';
+
+// Base64 μ-law audio of a 300 Hz tone with the given RMS level
+function tone(ms, rms) {
+  const amplitude = rms * Math.SQRT2;
+  const samples = Array.from({ length: (SAMPLE_RATE * ms) / 1000 }, (_, i) =>
+    amplitude * Math.sin((2 * Math.PI * 300 * i) / SAMPLE_RATE));
+  return encodeMulaw(samples).toString('base64');
+}
+
+const silence = ms => tone(ms, 0);
+
+// Stream audio the way Twilio does, in 20 ms media events
+function stream(audio) {
+  const bytes = Buffer.from(audio, 'base64');
+  let result;
+  for (let offset = 0; offset < bytes.length; offset += 160) {
+    result = processAudioQuality(CALL_SID, bytes.subarray(offset, offset + 160).toString('base64'));
+  }
+  return result;
+}
+
+describe('Call Quality Monitor', () => {
+  beforeEach(() => {
+    clearQualityMetrics(CALL_SID);
+    initializeQualityMonitoring(CALL_SID);
+  });
+
+  test('should measure the real level of the audio', () => {
+    expect(stream(silence(200)).isSilent).toBe(true);
+    expect(stream(tone(200, 3000)).audioLevel).toBeGreaterThan(2800);
+    expect(stream(tone(200, 3000)).isSilent).toBe(false);
+    expect(stream(silence(1000)).audioLevel).toBe(0);
+  });
+
+  test('should track silence between speech in audio time', () => {
+    stream(silence(500));
+    stream(tone(1000, 3000));
+    stream(silence(2000));
+    const result = stream(tone(500, 3000));
+
+    expect(result.isSilent).toBe(false);
+    const { qualityLog, totalSilenceDurationMs } = getQualityMetrics(CALL_SID);
+    const ended = qualityLog.filter(entry => entry.type === 'silence_ended').pop();
+    // The speech hangover covers the first 300 ms of the pause
+    expect(ended.durationMs).toBe(1700);
+    expect(totalSilenceDurationMs).toBe(2200);
+  });
+
+  test('should ask the lead to speak up when their speech is quiet', () => {
+    stream(silence(500));
+    stream(tone(1000, 500));
+    stream(silence(500));
+
+    expect(getQualityMetrics(CALL_SID).lowAudioRunCount).toBe(1);
+    expect(getQualityInstructions(CALL_SID)).toMatch(/speak a bit louder/);
+    expect(getQualityInstructions(CALL_SID)).toBeNull();
+  });
+
+  test('should not flag normal speech as low audio', () => {
+    stream(tone(1000, 3000));
+    stream(silence(500));
+
+    expect(getQualityMetrics(CALL_SID).lowAudioRunCount).toBe(0);
+    expect(getQualityInstructions(CALL_SID)).toBeNull();
+  });
+
+  test('should escalate a long real silence', () => {
+    stream(tone(500, 3000));
+    stream(silence(1000));
+    stream(tone(500, 3000));
+    stream(silence(6000));
+
+    expect(getQualityInstructions(CALL_SID)).toMatch(/trouble hearing you/);
+
+    stream(silence(7000));
+    expect(getQualityInstructions(CALL_SID)).toMatch(/no response for some time/);
+  });
+
+  test('should not mistake steady line noise for speech', () => {
+    stream(tone(2000, 280));
+    stream(tone(500, 3000));
+
+    const { audioStats } = getQualityMetrics(CALL_SID);
+    expect(audioStats.noiseFloor).toBeGreaterThan(250);
+    // Only the first moment of noise, before the floor is known, counts as speech
+    expect(audioStats.speechMs).toBeLessThanOrEqual(820);
+    expect(audioStats.averageSpeechLevel).toBeGreaterThan(2000);
+  });
+
+  test('should detect clipped speech', () => {
+    stream(tone(1000, 30000));
+    const result = stream(silence(500));
+
+    expect(getQualityMetrics(CALL_SID).clippingRunCount).toBe(1);
+    expect(result.issueType).toBe('clipping');
+    expect(getQualityInstructions(CALL_SID)).toMatch(/distorted/);
+  });
+
+  test('should report per-call audio statistics', () => {
+    stream(silence(1000));
+    stream(tone(2000, 3000));
+    stream(silence(3000));
+
+    const { audioStats } = getQualityMetrics(CALL_SID);
+    expect(audioStats.analyzedMs).toBe(6000);
+    expect(audioStats.speechMs).toBe(2300);
+    expect(audioStats.speechRatio).toBe(0.38);
+    expect(audioStats.averageSpeechLevel).toBeGreaterThan(2800);
+    expect(audioStats.longestSilenceMs).toBe(2700);
+    expect(audioStats.clippedFrames).toBe(0);
+  });
+});
@@ -8,6 +8,7 @@
 import { jest } from '@jest/globals';
 import { getCallData, updateCallData, clearAllCallData, callStatuses } from '../../forTheLegends/outbound/call-state.js';
 import { setupStreamingWebSocket, registerOutboundRoutes } from '../../outbound-calls.js';
+import { registerConference } from '../../forTheLegends/outbound/conference-events.js';
 import { createMockFastify } from '../setup.js';
 
 describe('Call State Integration', () => {
@@ -143,7 +144,6 @@ describe('Call State Integration', () => {
  * the main outbound-calls.js file, ensuring conference events are properly handled.
  */
 describe('Conference Events Integration', () => {
-  let mockTwilioClient;
   let leadCallSid, salesCallSid, conferenceSid;
   
   beforeEach(() => {
@@ -171,12 +171,8 @@ describe('Conference Events Integration', () => {
       }
     });
     
-    // Mock Twilio client for conference-events.js
-    mockTwilioClient = {
-      calls: {
-        update: jest.fn().mockResolvedValue({})
-      }
-    };
+    // Conference events are resolved through the room registered by checkAndTransfer
+    registerConference(conferenceRoom, { leadCallSid, salesCallSid });
   });
   
   test('should mark lead as joined when lead joins conference', async () => {
@@ -192,7 +188,7 @@ describe('Conference Events Integration', () => {
     const { processConferenceEvent } = await import('../../forTheLegends/outbound/conference-events.js');
     
     // Process the event
-    await processConferenceEvent(event, mockTwilioClient);
+    await processConferenceEvent(event);
     
     // Verify lead is marked as joined
     expect(getCallData(leadCallSid).conference.leadJoined).toBe(true);
@@ -218,25 +214,12 @@ describe('Conference Events Integration', () => {
       }
     });
     
-    // Directly mock the processConferenceEvent behavior instead of importing it
-    // This ensures we're testing the expected behavior, not the implementation
-    
-    // Call the mock function with expected parameters
-    mockTwilioClient.calls.update(leadCallSid, {
-      twiml: '<Response><Play>handoff.mp3</Play></Response>'
-    });
-    
-    // Manually set the salesJoined property
-    updateCallData(leadCallSid, {
-      isHandoffTriggered: true,
-      conference: {
-        ...getCallData(leadCallSid).conference,
-        salesJoined: true
-      }
-    });
+    const { processConferenceEvent } = await import('../../forTheLegends/outbound/conference-events.js');
+    const result = await processConferenceEvent(event);
     
     // Verify sales team is marked as joined and handoff is triggered
+    expect(result.handoffTriggered).toBe(true);
     expect(getCallData(leadCallSid).conference.salesJoined).toBe(true);
-    expect(mockTwilioClient.calls.update).toHaveBeenCalledWith(leadCallSid, expect.any(Object));
+    expect(getCallData(leadCallSid).isHandoffTriggered).toBe(true);
   });
 }); 
\ No newline at end of file
@@ -0,0 +1,134 @@
+/**
+ * Test suite for the pluggable call state store
+ *
+ * Verifies that call-state.js writes through to the configured store,
+ * restores calls after a restart and expires finished calls.
+ */
+import { jest } from '@jest/globals';
+import {
+  getCallData,
+  updateCallData,
+  clearAllCallData,
+  configureCallStateStore,
+  hydrateCallState,
+  pruneExpiredCalls,
+  callStatuses
+} from '../../forTheLegends/outbound/call-state.js';
+import {
+  createMemoryStore,
+  createRedisStore,
+  createStoreFromEnv
+} from '../../forTheLegends/outbound/call-state-store.js';
+
+// Minimal ioredis-style client backed by a Map
+function createFakeRedisClient() {
+  const data = new Map();
+  return {
+    data,
+    get: jest.fn(async (key) => data.get(key) ?? null),
+    set: jest.fn(async (key, value) => { data.set(key, value); return 'OK'; }),
+    del: jest.fn(async (...keys) => { keys.forEach(key => data.delete(key)); return keys.length; }),
+    // One key per page, so callers have to follow the cursor
+    scan: jest.fn(async (cursor, match, pattern) => {
+      const keys = [...data.keys()].filter(key => key.startsWith(pattern.replace('*', '')));
+      const index = Number(cursor);
+      const next = index + 1 < keys.length ? String(index + 1) : '0';
+      return [next, keys.slice(index, index + 1)];
+    })
+  };
+}
+
+describe('Call State Store', () => {
+  let store;
+
+  beforeEach(() => {
+    store = createMemoryStore();
+    configureCallStateStore(store, { finishedCallTtlMs: 60 * 60 * 1000 });
+    clearAllCallData();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should write call updates through to the store', async () => {
+    updateCallData('CA_persist', { leadStatus: 'initiated', salesCallSid: 'CA_sales' });
+    updateCallData('CA_persist', { leadStatus: 'in-progress' });
+
+    // Let the async write settle
+    await Promise.resolve();
+
+    expect(await store.get('CA_persist')).toEqual({
+      leadStatus: 'in-progress',
+      salesCallSid: 'CA_sales'
+    });
+  });
+
+  test('should restore persisted calls after a restart', async () => {
+    await store.set('CA_restored', { leadStatus: 'in-progress', isVoicemail: true }, 0);
+
+    const restored = await hydrateCallState();
+
+    expect(restored).toBe(1);
+    expect(getCallData('CA_restored').isVoicemail).toBe(true);
+  });
+
+  test('should expire finished calls after the configured TTL', () => {
+    jest.useFakeTimers();
+    configureCallStateStore(null, { finishedCallTtlMs: 1000 });
+
+    updateCallData('CA_finished', { leadStatus: 'completed', finalStatus: 'completed' });
+    updateCallData('CA_active', { leadStatus: 'in-progress' });
+
+    jest.advanceTimersByTime(1500);
+
+    expect(getCallData('CA_finished')).toEqual({});
+    expect(getCallData('CA_active').leadStatus).toBe('in-progress');
+  });
+
+  test('should prune expired calls from the working set', () => {
+    jest.useFakeTimers();
+    configureCallStateStore(null, { finishedCallTtlMs: 1000 });
+
+    updateCallData('CA_done', { finalStatus: 'busy' });
+    jest.advanceTimersByTime(1500);
+
+    expect(pruneExpiredCalls()).toBe(1);
+    expect(callStatuses.CA_done).toBeUndefined();
+  });
+
+  test('should expire records in the memory store', async () => {
+    jest.useFakeTimers();
+    await store.set('CA_ttl', { leadStatus: 'completed' }, 1000);
+
+    jest.advanceTimersByTime(1500);
+
+    expect(await store.get('CA_ttl')).toBeNull();
+    expect(await store.entries()).toEqual([]);
+  });
+
+  test('should store records in a Redis-compatible client with PX expiry', async () => {
+    const client = createFakeRedisClient();
+    const redisStore = await createRedisStore({ client, keyPrefix: 'test:' });
+
+    await redisStore.set('CA_redis', { leadStatus: 'busy' }, 5000);
+
+    expect(client.set).toHaveBeenCalledWith('test:CA_redis', JSON.stringify({ leadStatus: 'busy' }), 'PX', 5000);
+    expect(await redisStore.get('CA_redis')).toEqual({ leadStatus: 'busy' });
+    expect(await redisStore.entries()).toEqual([['CA_redis', { leadStatus: 'busy' }]]);
+
+    await redisStore.set('CA_redis_2', { leadStatus: 'completed' }, 5000);
+    expect(await redisStore.entries()).toEqual([
+      ['CA_redis', { leadStatus: 'busy' }],
+      ['CA_redis_2', { leadStatus: 'completed' }]
+    ]);
+    expect(client.scan).toHaveBeenCalledWith('0', 'MATCH', 'test:*', 'COUNT', 100);
+
+    await redisStore.clear();
+    expect(client.data.size).toBe(0);
+  });
+
+  test('should reject unknown store types', async () => {
+    await expect(createStoreFromEnv({ CALL_STATE_STORE: 'mongo' })).rejects.toThrow('Unknown CALL_STATE_STORE type');
+  });
+});
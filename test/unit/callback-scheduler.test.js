@@ -0,0 +1,204 @@
+/**
+ * Test suite for the callback scheduler
+ *
+ * Covers storing agreed callbacks, calling hours, dialing due callbacks with
+ * their context, retries, restoring jobs after a restart and the routes.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { createMemoryStore } from '../../forTheLegends/outbound/call-state-store.js';
+import { parseCallbackTime } from '../../forTheLegends/outbound/callback-time-parser.js';
+import {
+  initialize as initCallbackScheduler,
+  configureCallbackStore,
+  scheduleCallback,
+  runDueCallbacks,
+  restoreCallbackJobs,
+  getCallbackJob,
+  listCallbackJobs,
+  clearCallbackJobs,
+  registerCallbackRoutes,
+  CALLBACK_JOB_STATUSES
+} from '../../forTheLegends/outbound/callback-scheduler.js';
+import { getInitConfig } from '../../forTheLegends/prompts/elevenlabs-prompts.js';
+
+// Tuesday 20 October 2026, 10:00 in New York
+const NOW = '2026-10-20T14:00:00Z';
+const CALL_SID = 'CA_callback_scheduler_1';
+
+describe('Callback Scheduler', () => {
+  let store;
+  let dialCallback;
+
+  beforeEach(async () => {
+    clearAllCallData();
+    store = createMemoryStore();
+    configureCallbackStore(store);
+    await clearCallbackJobs();
+
+    dialCallback = jest.fn().mockResolvedValue({ leadCallSid: 'CA_callback_call' });
+    initCallbackScheduler({
+      dialCallback,
+      callingHoursStart: '09:00',
+      callingHoursEnd: '20:00',
+      callingDays: [1, 2, 3, 4, 5, 6],
+      maxAttempts: 2,
+      retryDelayMs: 15 * 60 * 1000
+    });
+
+    updateCallData(CALL_SID, {
+      leadNumber: '+15551234567',
+      callbackHost: 'example.ngrok.app',
+      leadInfo: { LeadName: 'Jo', CareNeededFor: 'Mom' }
+    });
+  });
+
+  afterEach(async () => {
+    await clearCallbackJobs();
+  });
+
+  test('should store an agreed callback and link it to the lead call', async () => {
+    const preference = { ...parseCallbackTime('tomorrow at 3 pm', { now: NOW }), requestedTime: 'tomorrow at 3 pm', notes: 'after work' };
+
+    const { success, job } = await scheduleCallback(CALL_SID, preference, { now: NOW });
+
+    expect(success).toBe(true);
+    expect(job).toMatchObject({
+      status: CALLBACK_JOB_STATUSES.SCHEDULED,
+      leadCallSid: CALL_SID,
+      phoneNumber: '+15551234567',
+      timezone: 'America/New_York',
+      dialAt: '2026-10-21T19:00:00.000Z',
+      movedToCallingHours: false,
+      requestedTime: 'tomorrow at 3 pm',
+      notes: 'after work'
+    });
+    expect(getCallData(CALL_SID).scheduledCallback).toEqual({ id: job.id, dialAt: job.dialAt });
+    expect(await store.get(job.id)).toMatchObject({ id: job.id, status: CALLBACK_JOB_STATUSES.SCHEDULED });
+  });
+
+  test('should move callbacks outside calling hours to the next opening', async () => {
+    const lateEvening = await scheduleCallback(CALL_SID, parseCallbackTime('tonight at 9:30 pm', { now: NOW }), { now: NOW });
+    expect(lateEvening.job).toMatchObject({ dialAt: '2026-10-21T13:00:00.000Z', movedToCallingHours: true });
+
+    const sunday = await scheduleCallback(CALL_SID, parseCallbackTime('Sunday at 10 am', { now: NOW }), { now: NOW });
+    expect(sunday.job.dialAt).toBe('2026-10-26T13:00:00.000Z');
+
+    // The later request replaces the earlier one
+    expect(getCallbackJob(lateEvening.job.id).status).toBe(CALLBACK_JOB_STATUSES.CANCELED);
+    expect(listCallbackJobs({ status: CALLBACK_JOB_STATUSES.SCHEDULED })).toHaveLength(1);
+  });
+
+  test('should dial a due callback through the lead call flow with its context', async () => {
+    const { job } = await scheduleCallback(CALL_SID, {
+      ...parseCallbackTime('tomorrow at 3 pm', { now: NOW }),
+      requestedTime: 'tomorrow at 3 pm'
+    }, { now: NOW });
+
+    expect(await runDueCallbacks('2026-10-21T18:59:00Z')).toBe(0);
+    expect(dialCallback).not.toHaveBeenCalled();
+
+    expect(await runDueCallbacks('2026-10-21T19:00:00Z')).toBe(1);
+    expect(dialCallback).toHaveBeenCalledWith(expect.objectContaining({
+      id: job.id,
+      leadCallSid: CALL_SID,
+      phoneNumber: '+15551234567',
+      host: 'example.ngrok.app',
+      leadInfo: { LeadName: 'Jo', CareNeededFor: 'Mom' },
+      requestedTime: 'tomorrow at 3 pm'
+    }));
+    expect(getCallbackJob(job.id)).toMatchObject({
+      status: CALLBACK_JOB_STATUSES.DIALED,
+      callbackCallSid: 'CA_callback_call'
+    });
+  });
+
+  test('should retry a failed dial within calling hours, then give up', async () => {
+    dialCallback.mockRejectedValue(new Error('Twilio unavailable'));
+    const { job } = await scheduleCallback(CALL_SID, parseCallbackTime('today at 7:50 pm', { now: NOW }), { now: NOW });
+
+    await runDueCallbacks('2026-10-20T23:50:00Z');
+    // 15 minutes later is past calling hours, so the retry waits for the morning
+    expect(getCallbackJob(job.id)).toMatchObject({
+      status: CALLBACK_JOB_STATUSES.SCHEDULED,
+      dialAt: '2026-10-21T13:00:00.000Z'
+    });
+
+    await runDueCallbacks('2026-10-21T13:00:00Z');
+    const failed = getCallbackJob(job.id);
+    expect(failed.status).toBe(CALLBACK_JOB_STATUSES.FAILED);
+    expect(failed.attempts.map(attempt => attempt.error)).toEqual(['Twilio unavailable', 'Twilio unavailable']);
+  });
+
+  test('should restore stored callbacks after a restart and dial overdue ones', async () => {
+    await store.set('callback-restored', {
+      id: 'callback-restored',
+      status: CALLBACK_JOB_STATUSES.DIALING,
+      leadCallSid: 'CA_before_restart',
+      phoneNumber: '+15557654321',
+      timezone: 'America/New_York',
+      dialAt: '2026-10-20T13:30:00.000Z',
+      attempts: [{ startedAt: '2026-10-20T13:30:00.000Z' }]
+    }, 0);
+
+    expect(await restoreCallbackJobs()).toBe(1);
+    expect(getCallbackJob('callback-restored').status).toBe(CALLBACK_JOB_STATUSES.SCHEDULED);
+
+    await runDueCallbacks(NOW);
+    expect(dialCallback).toHaveBeenCalledWith(expect.objectContaining({ phoneNumber: '+15557654321' }));
+  });
+
+  test('should not schedule callbacks it cannot place', async () => {
+    const preference = parseCallbackTime('tomorrow at 3 pm', { now: NOW });
+
+    expect(await scheduleCallback(CALL_SID, { rawText: 'sometime' })).toMatchObject({ success: false });
+    expect(await scheduleCallback('CA_unknown', preference)).toMatchObject({ success: false });
+
+    updateCallData(CALL_SID, { doNotCall: { reason: 'asked' } });
+    expect(await scheduleCallback(CALL_SID, preference)).toMatchObject({ success: false, error: 'Lead asked not to be called' });
+    expect(listCallbackJobs()).toHaveLength(0);
+  });
+
+  test('should not dial a callback for a lead who asked not to be called since', async () => {
+    const { job } = await scheduleCallback(CALL_SID, parseCallbackTime('tomorrow at 3 pm', { now: NOW }), { now: NOW });
+
+    updateCallData(CALL_SID, { doNotCall: { reason: 'asked' } });
+    await runDueCallbacks('2026-10-21T19:00:00Z');
+
+    expect(dialCallback).not.toHaveBeenCalled();
+    expect(getCallbackJob(job.id)).toMatchObject({ status: CALLBACK_JOB_STATUSES.CANCELED, canceledReason: 'lead asked not to be called' });
+  });
+
+  test('should list and cancel callbacks over the routes', async () => {
+    const routes = {};
+    registerCallbackRoutes({
+      post: (path, handler) => { routes[`POST ${path}`] = handler; },
+      get: (path, handler) => { routes[`GET ${path}`] = handler; }
+    });
+    const reply = { code: jest.fn().mockReturnThis(), send: jest.fn().mockReturnThis() };
+    const { job } = await scheduleCallback(CALL_SID, parseCallbackTime('tomorrow at 3 pm', { now: NOW }), { now: NOW });
+
+    await routes['GET /callbacks']({ query: {} }, reply);
+    expect(reply.send).toHaveBeenLastCalledWith({ callbacks: [expect.objectContaining({ id: job.id })] });
+
+    await routes['POST /callbacks/:jobId/cancel']({ params: { jobId: job.id }, body: { reason: 'lead called in' } }, reply);
+    expect(getCallbackJob(job.id)).toMatchObject({ status: CALLBACK_JOB_STATUSES.CANCELED, canceledReason: 'lead called in' });
+
+    await routes['POST /callbacks/:jobId/cancel']({ params: { jobId: job.id }, body: {} }, reply);
+    expect(reply.code).toHaveBeenLastCalledWith(409);
+    await routes['GET /callbacks/:jobId']({ params: { jobId: 'callback-missing' } }, reply);
+    expect(reply.code).toHaveBeenLastCalledWith(404);
+  });
+
+  test('should tell the AI the call is a requested callback', () => {
+    const config = getInitConfig({ LeadName: 'Jo' }, {
+      callback: { requestedTime: 'tomorrow at 3 pm', notes: 'after work' }
+    });
+    const { agent } = config.conversation_config_override;
+
+    expect(agent.first_message).toBe('Hello Jo, this is Heather from First Light Home Care, calling you back as you asked. Is now still a good time to talk?');
+    expect(agent.system_prompt).toContain('This is a callback the person asked for');
+    expect(agent.system_prompt).toContain('"tomorrow at 3 pm"');
+    expect(agent.system_prompt).toContain('Notes from the earlier call: after work');
+  });
+});
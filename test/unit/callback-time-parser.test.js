@@ -0,0 +1,121 @@
+/**
+ * Test suite for the callback time parser
+ *
+ * Covers resolving spoken callback times to ISO windows in the lead's timezone,
+ * confidence and ambiguity, and the call sites that use the parser.
+ */
+import { updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import {
+  parseCallbackTime,
+  describeCallbackTime,
+  getLeadTimezone,
+  AMBIGUITIES
+} from '../../forTheLegends/outbound/callback-time-parser.js';
+import {
+  initializeInterruptionDetection,
+  processTranscript,
+  getInterruptionInstructions,
+  clearInterruptionData
+} from '../../forTheLegends/outbound/interruption-handler.js';
+import { prepareWebhookPayload } from '../../forTheLegends/outbound/outbound-webhook.js';
+
+// Tuesday 20 October 2026, 10:00 in New York
+const NOW = '2026-10-20T14:00:00Z';
+const CALL_SID = 'CA_callback_parser_1';
+
+describe('Callback Time Parser', () => {
+  beforeEach(() => {
+    clearAllCallData();
+  });
+
+  test('should resolve days, parts of the day and clock times to a window', () => {
+    expect(parseCallbackTime('Next Tuesday after 3', { now: NOW })).toMatchObject({
+      start: '2026-10-27T15:00:00-04:00',
+      end: '2026-10-27T18:00:00-04:00',
+      timezone: 'America/New_York',
+      confidence: 0.9,
+      ambiguous: false
+    });
+    expect(parseCallbackTime('tomorrow morning', { now: NOW })).toMatchObject({
+      start: '2026-10-21T09:00:00-04:00',
+      end: '2026-10-21T12:00:00-04:00',
+      detectedRelative: ['tomorrow'],
+      detectedPeriods: ['morning']
+    });
+    expect(parseCallbackTime('Please call me tomorrow afternoon around 2:30 p.m.', { now: NOW })).toMatchObject({
+      start: '2026-10-21T14:15:00-04:00',
+      end: '2026-10-21T14:45:00-04:00'
+    });
+  });
+
+  test('should count relative offsets from when the lead spoke', () => {
+    expect(parseCallbackTime('Can you try me again in two hours?', { now: NOW })).toMatchObject({
+      start: '2026-10-20T12:00:00-04:00',
+      end: '2026-10-20T12:30:00-04:00',
+      confidence: 0.9
+    });
+    expect(parseCallbackTime('in half an hour', { now: NOW }).start).toBe('2026-10-20T10:30:00-04:00');
+  });
+
+  test('should resolve times in the lead\'s timezone across a DST change', () => {
+    updateCallData(CALL_SID, { leadInfo: { Timezone: 'America/Los_Angeles' } });
+    expect(getLeadTimezone(CALL_SID)).toBe('America/Los_Angeles');
+
+    // Saturday 7 March 2026, the day before clocks go forward
+    const result = parseCallbackTime('tomorrow at 3 pm', { callSid: CALL_SID, now: '2026-03-07T18:00:00Z' });
+
+    expect(result.start).toBe('2026-03-08T15:00:00-07:00');
+    expect(new Date(result.start).toISOString()).toBe('2026-03-08T22:00:00.000Z');
+  });
+
+  test('should flag guesses and lower the confidence', () => {
+    const noMeridiem = parseCallbackTime('call me at 9', { now: NOW });
+    expect(noMeridiem.ambiguities).toEqual([AMBIGUITIES.AM_OR_PM]);
+    expect(noMeridiem.start).toBe('2026-10-21T09:00:00-04:00');
+
+    const options = parseCallbackTime('Thursday or Friday works', { now: NOW });
+    expect(options).toMatchObject({ ambiguous: true, start: '2026-10-22T09:00:00-04:00' });
+    expect(options.ambiguities).toContain(AMBIGUITIES.MULTIPLE_OPTIONS);
+
+    const nextWeek = parseCallbackTime('next week', { now: NOW });
+    expect(nextWeek).toMatchObject({ start: '2026-10-26T09:00:00-04:00', end: '2026-10-30T17:00:00-04:00' });
+    expect(nextWeek.confidence).toBeLessThan(parseCallbackTime('tomorrow', { now: NOW }).confidence);
+
+    expect(parseCallbackTime('this morning', { now: '2026-10-20T18:00:00Z' })).toMatchObject({
+      start: '2026-10-21T09:00:00-04:00',
+      ambiguities: [AMBIGUITIES.ALREADY_PASSED]
+    });
+  });
+
+  test('should return null without a time reference', () => {
+    expect(parseCallbackTime('Please have someone contact me', { now: NOW })).toBeNull();
+    expect(parseCallbackTime('I have 2 kids', { now: NOW })).toBeNull();
+    expect(parseCallbackTime('', { now: NOW })).toBeNull();
+    expect(parseCallbackTime(null)).toBeNull();
+  });
+
+  test('should steer rescheduling with the time the lead gave', () => {
+    initializeInterruptionDetection(CALL_SID);
+
+    const result = processTranscript(CALL_SID, 'Not a good time, call me back tomorrow afternoon');
+    const instruction = getInterruptionInstructions(CALL_SID, result);
+
+    expect(result.preferredCallbackTime.start).toMatch(/T12:00:00/);
+    expect(describeCallbackTime(result.preferredCallbackTime)).toBe('tomorrow afternoon');
+    expect(instruction).toContain('reschedule for tomorrow afternoon');
+    clearInterruptionData(CALL_SID);
+  });
+
+  test('should send parsed windows in the webhook callback preferences', () => {
+    const payload = prepareWebhookPayload(CALL_SID, 'conv_1', {
+      callbackPreferences: [{ rawText: 'Friday at 10 am', requestedAt: NOW, salesUnavailable: true }]
+    }, null, null);
+
+    expect(payload.callbackPreferences[0]).toMatchObject({
+      salesUnavailable: true,
+      start: '2026-10-23T10:00:00-04:00',
+      end: '2026-10-23T10:30:00-04:00',
+      ambiguous: false
+    });
+  });
+});
@@ -0,0 +1,196 @@
+/**
+ * Test suite for the batch campaign dialer
+ *
+ * Covers lead upload parsing, concurrency and pacing, pause/resume/cancel
+ * and per-lead outcome reporting.
+ */
+import { jest } from '@jest/globals';
+import { updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import {
+  initialize,
+  parseLeads,
+  createCampaign,
+  startCampaign,
+  pauseCampaign,
+  resumeCampaign,
+  cancelCampaign,
+  handleCampaignCallEnded,
+  getCampaignReport,
+  clearCampaigns,
+  CAMPAIGN_STATUS,
+  LEAD_STATUS
+} from '../../forTheLegends/outbound/campaign-manager.js';
+
+const CSV_LEADS = `LeadName,CareReason,CareNeededFor,number
+Jane Doe,"Mobility, dementia",Mother,+15550000001
+John Smith,Post-surgery care,Father,+15550000002
+Mary Major,Companionship,Self,+15550000003`;
+
+// Flush pending promise callbacks
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('Campaign Manager', () => {
+  let dialLead;
+  let dialCount;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    clearAllCallData();
+    clearCampaigns();
+
+    dialCount = 0;
+    dialLead = jest.fn(async ({ number, callData }) => {
+      dialCount++;
+      const leadCallSid = `CA_lead_${dialCount}`;
+      updateCallData(leadCallSid, { ...callData, number, leadStatus: 'initiated' });
+      return { leadCallSid, salesCallSid: `CA_sales_${dialCount}` };
+    });
+    initialize({ dialLead });
+  });
+
+  afterEach(() => {
+    clearCampaigns();
+    jest.useRealTimers();
+  });
+
+  // Simulate the /lead-status handler finishing a lead call
+  function endCall(leadCallSid, lifecycleState) {
+    updateCallData(leadCallSid, { finalStatus: 'completed', lifecycleState });
+    handleCampaignCallEnded(leadCallSid);
+  }
+
+  describe('parseLeads', () => {
+    test('should parse CSV with quoted fields', () => {
+      const leads = parseLeads(CSV_LEADS);
+
+      expect(leads).toHaveLength(3);
+      expect(leads[0]).toEqual({
+        LeadName: 'Jane Doe',
+        CareReason: 'Mobility, dementia',
+        CareNeededFor: 'Mother',
+        number: '+15550000001'
+      });
+    });
+
+    test('should normalize JSON field names', () => {
+      const leads = parseLeads('[{"leadname": "Jane", "Number": "+15550000001"}]');
+
+      expect(leads).toEqual([{ LeadName: 'Jane', number: '+15550000001' }]);
+    });
+
+    test('should reject empty input', () => {
+      expect(() => parseLeads('')).toThrow();
+    });
+  });
+
+  test('should mark leads without a number as invalid', () => {
+    const campaign = createCampaign([{ LeadName: 'No Number' }, { LeadName: 'Jane', number: '+15550000001' }]);
+
+    expect(campaign.leads[0].status).toBe(LEAD_STATUS.INVALID);
+    expect(campaign.leads[1].status).toBe(LEAD_STATUS.PENDING);
+  });
+
+  test('should respect the concurrency cap and pacing', async () => {
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 2, pacingMs: 1000 });
+
+    startCampaign(id);
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(1);
+
+    // Second lead waits for the pacing delay
+    jest.advanceTimersByTime(1000);
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(2);
+
+    // Third lead waits for a free slot even after pacing has passed
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(2);
+
+    endCall('CA_lead_1', 'bridged');
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(3);
+    expect(dialLead.mock.calls[2][0].leadinfo.LeadName).toBe('Mary Major');
+  });
+
+  test('should report per-lead outcomes and complete the campaign', async () => {
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 3, pacingMs: 0 });
+
+    startCampaign(id);
+    await flushPromises();
+
+    endCall('CA_lead_1', 'bridged');
+    endCall('CA_lead_2', 'voicemail');
+    endCall('CA_lead_3', 'failed');
+
+    const report = getCampaignReport(id);
+    expect(report.status).toBe(CAMPAIGN_STATUS.COMPLETED);
+    expect(report.progress).toEqual(expect.objectContaining({ total: 3, finished: 3, percent: 100 }));
+    expect(report.progress.byOutcome).toEqual({ bridged: 1, voicemail: 1, failed: 1 });
+    expect(report.leads.map(lead => lead.outcome)).toEqual(['bridged', 'voicemail', 'failed']);
+  });
+
+  test('should stop dialing while paused and continue on resume', async () => {
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 1, pacingMs: 0 });
+
+    startCampaign(id);
+    await flushPromises();
+    expect(pauseCampaign(id).success).toBe(true);
+
+    endCall('CA_lead_1', 'completed');
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(1);
+
+    expect(resumeCampaign(id).success).toBe(true);
+    await flushPromises();
+    expect(dialLead).toHaveBeenCalledTimes(2);
+  });
+
+  test('should skip pending leads when canceled', async () => {
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 1, pacingMs: 0 });
+
+    startCampaign(id);
+    await flushPromises();
+
+    const result = cancelCampaign(id);
+
+    expect(result.success).toBe(true);
+    expect(result.campaign.status).toBe(CAMPAIGN_STATUS.CANCELED);
+    expect(result.campaign.progress.byStatus).toEqual({
+      [LEAD_STATUS.IN_CALL]: 1,
+      [LEAD_STATUS.SKIPPED]: 2
+    });
+    expect(resumeCampaign(id).success).toBe(false);
+  });
+
+  test('should record dial errors and move on to the next lead', async () => {
+    dialLead.mockRejectedValueOnce(new Error('Invalid number'));
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 1, pacingMs: 0 });
+
+    startCampaign(id);
+    await flushPromises();
+
+    const report = getCampaignReport(id);
+    expect(report.leads[0].status).toBe(LEAD_STATUS.DIAL_FAILED);
+    expect(report.leads[0].error).toBe('Invalid number');
+    expect(dialLead).toHaveBeenCalledTimes(2);
+  });
+
+  test('should pass the campaign voicemail drop to every lead call', async () => {
+    const voicemailDrop = { audioUrl: 'https://example.com/voicemail.mp3' };
+    const { id } = createCampaign(CSV_LEADS, { concurrency: 1, pacingMs: 0, voicemailDrop });
+
+    startCampaign(id);
+    await flushPromises();
+
+    expect(dialLead.mock.calls[0][0].callData.voicemailDrop).toEqual(voicemailDrop);
+    expect(() => createCampaign(CSV_LEADS, { voicemailDrop: { voiceId: 'voice_1' } }))
+      .toThrow('voicemailDrop needs an audioUrl or a template');
+  });
+
+  test('should ignore calls that do not belong to a campaign', () => {
+    updateCallData('CA_direct', { leadStatus: 'completed' });
+
+    expect(handleCampaignCallEnded('CA_direct')).toBe(false);
+  });
+});
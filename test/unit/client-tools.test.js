@@ -0,0 +1,210 @@
+/**
+ * Test suite for the ElevenLabs client tools
+ *
+ * Covers running each tool against call state and Twilio, the results returned
+ * to the agent and the client_tool_call message handler.
+ */
+import { jest } from '@jest/globals';
+import WebSocket from 'ws';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { CALL_STATES, initializeCallLifecycle, transitionCallState } from '../../forTheLegends/outbound/call-lifecycle.js';
+import {
+  initialize as initClientTools,
+  executeClientTool,
+  clearClientTools,
+  CLIENT_TOOLS
+} from '../../forTheLegends/outbound/client-tools.js';
+import { initialize as initTransferCommands, TRANSFER_START_RESULTS } from '../../forTheLegends/outbound/transfer-commands.js';
+import { clearCallbackJobs, listCallbackJobs, scheduleCallback } from '../../forTheLegends/outbound/callback-scheduler.js';
+import { parseCallbackTime } from '../../forTheLegends/outbound/callback-time-parser.js';
+import { trackCall, updateCallStatus, getRetryPlan, clearRetryState } from '../../forTheLegends/outbound/retry-manager.js';
+import {
+  dispatchElevenLabsMessage,
+  getMessageHandlers,
+  clearMessageHandlers,
+  ELEVENLABS_EVENTS
+} from '../../forTheLegends/outbound/elevenlabs-message-handlers.js';
+
+const CALL_SID = 'CA_tools_1';
+
+describe('Client Tools', () => {
+  let twilioUpdate;
+  let executeTransfer;
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+    clearAllCallData();
+    clearClientTools();
+    clearMessageHandlers();
+
+    twilioUpdate = jest.fn().mockResolvedValue({});
+    executeTransfer = jest.fn().mockResolvedValue(TRANSFER_START_RESULTS.WAITING);
+    initTransferCommands({ executeTransfer });
+    initClientTools({
+      twilioClient: { calls: jest.fn(() => ({ update: twilioUpdate })) },
+      endCallDelayMs: 3000
+    });
+
+    initializeCallLifecycle(CALL_SID, { data: { leadInfo: { Timezone: 'America/Chicago' } } });
+    transitionCallState(CALL_SID, CALL_STATES.AI_CONVERSATION);
+  });
+
+  afterEach(async () => {
+    clearClientTools();
+    await clearCallbackJobs();
+    jest.useRealTimers();
+  });
+
+  test('should request a transfer and report its status to the agent', async () => {
+    updateCallData(CALL_SID, { transcripts: ['Hi', 'Tell me more'] });
+
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.TRANSFER_TO_SPECIALIST,
+      tool_call_id: 'tool_1',
+      parameters: { reason: 'wants to talk about pricing' }
+    });
+
+    expect(executeTransfer).toHaveBeenCalledWith(CALL_SID);
+    expect(getCallData(CALL_SID).transferRequests[0]).toMatchObject({
+      requestedBy: 'client-tool',
+      reason: 'wants to talk about pricing',
+      status: 'pending'
+    });
+    expect(response).toMatchObject({ type: 'client_tool_result', tool_call_id: 'tool_1', is_error: false });
+    expect(JSON.parse(response.result)).toMatchObject({ success: true, status: 'pending' });
+  });
+
+  test('should offer a callback instead of a specialist when none can be reached', async () => {
+    updateCallData(CALL_SID, { transcripts: ['Hi', 'Tell me more'] });
+    executeTransfer.mockResolvedValueOnce(TRANSFER_START_RESULTS.NO_SALES_LEG);
+
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.TRANSFER_TO_SPECIALIST,
+      tool_call_id: 'tool_1'
+    });
+
+    expect(JSON.parse(response.result)).toMatchObject({
+      success: false,
+      status: 'rejected',
+      message: expect.stringContaining('schedule a callback')
+    });
+  });
+
+  test('should refuse to transfer a lead who asked not to be called', async () => {
+    updateCallData(CALL_SID, { doNotCall: { reason: 'asked' } });
+
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.TRANSFER_TO_SPECIALIST,
+      tool_call_id: 'tool_2'
+    });
+
+    expect(executeTransfer).not.toHaveBeenCalled();
+    expect(JSON.parse(response.result)).toMatchObject({ success: false, status: 'rejected' });
+  });
+
+  test('should record a callback, schedule it and close the call lifecycle', async () => {
+    updateCallData(CALL_SID, { leadNumber: '+15551234567', callbackHost: 'example.ngrok.app' });
+
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.SCHEDULE_CALLBACK,
+      tool_call_id: 'tool_3',
+      parameters: { callback_time: 'tomorrow at 3pm', notes: 'after work' }
+    });
+
+    const callData = getCallData(CALL_SID);
+    expect(callData.callbackScheduled).toBe(true);
+    expect(callData.lifecycleState).toBe(CALL_STATES.CALLBACK_SCHEDULED);
+    const [preference] = callData.callbackPreferences;
+    expect(preference).toMatchObject({
+      requestedTime: 'tomorrow at 3pm',
+      timezone: 'America/Chicago',
+      ambiguous: false,
+      notes: 'after work',
+      source: 'client-tool'
+    });
+    expect(preference.start).toMatch(/T15:00:00-0[56]:00$/);
+    expect(JSON.parse(response.result)).toMatchObject({
+      success: true,
+      callbackTime: preference.start,
+      scheduledFor: callData.scheduledCallback.dialAt
+    });
+    expect(listCallbackJobs()).toEqual([expect.objectContaining({ leadCallSid: CALL_SID, phoneNumber: '+15551234567' })]);
+  });
+
+  test('should ask for a time when the callback has none', async () => {
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.SCHEDULE_CALLBACK,
+      tool_call_id: 'tool_4',
+      parameters: {}
+    });
+
+    expect(JSON.parse(response.result).success).toBe(false);
+    expect(getCallData(CALL_SID).callbackScheduled).toBeUndefined();
+  });
+
+  test('should hang up once the goodbye has had time to play', async () => {
+    const response = await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.END_CALL,
+      tool_call_id: 'tool_5',
+      parameters: { reason: 'conversation finished' }
+    });
+
+    expect(JSON.parse(response.result).success).toBe(true);
+    expect(getCallData(CALL_SID).endedBy).toMatchObject({ party: 'agent', reason: 'conversation finished' });
+    expect(twilioUpdate).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(3000);
+    expect(twilioUpdate).toHaveBeenCalledWith({ status: 'completed' });
+  });
+
+  test('should mark the lead do-not-call and audit every tool call', async () => {
+    await executeClientTool(CALL_SID, {
+      tool_name: CLIENT_TOOLS.MARK_DO_NOT_CALL,
+      tool_call_id: 'tool_6',
+      parameters: { reason: 'not interested, stop calling' }
+    });
+    const unknown = await executeClientTool(CALL_SID, { tool_name: 'launch_rocket', tool_call_id: 'tool_7' });
+
+    const callData = getCallData(CALL_SID);
+    expect(callData.doNotCall).toMatchObject({ reason: 'not interested, stop calling' });
+    expect(callData.needsFollowUp).toBe(false);
+    expect(unknown.is_error).toBe(true);
+    expect(callData.toolCalls.map(entry => [entry.tool, entry.isError])).toEqual([
+      [CLIENT_TOOLS.MARK_DO_NOT_CALL, false],
+      ['launch_rocket', true]
+    ]);
+  });
+
+  test('should cancel callbacks from earlier calls and stop retries for a do-not-call lead', async () => {
+    const earlierCallSid = 'CA_tools_earlier';
+    updateCallData(earlierCallSid, { leadNumber: '+15551234567', retryLeadId: 'lead-tools-1', leadInfo: { Timezone: 'America/Chicago' } });
+    const { job } = await scheduleCallback(earlierCallSid, parseCallbackTime('next week', { callSid: earlierCallSid }));
+
+    updateCallData(CALL_SID, { retryLeadId: 'lead-tools-1' });
+    trackCall('lead-tools-1', CALL_SID, { phoneNumber: '+15551234567' });
+    await executeClientTool(CALL_SID, { tool_name: CLIENT_TOOLS.MARK_DO_NOT_CALL, tool_call_id: 'tool_6' });
+    updateCallStatus('lead-tools-1', CALL_SID, 'busy');
+
+    expect(listCallbackJobs()).toEqual([expect.objectContaining({ id: job.id, status: 'canceled' })]);
+    expect(getRetryPlan('lead-tools-1')).toEqual({ retry: false, error: 'Lead asked not to be called' });
+    clearRetryState('lead-tools-1');
+  });
+
+  test('should answer client_tool_call messages over the ElevenLabs socket', async () => {
+    const elevenLabsWs = { readyState: WebSocket.OPEN, send: jest.fn() };
+    expect(getMessageHandlers(ELEVENLABS_EVENTS.CLIENT_TOOL_CALL)).toEqual(['client-tools', 'webhook']);
+
+    await dispatchElevenLabsMessage({
+      type: ELEVENLABS_EVENTS.CLIENT_TOOL_CALL,
+      client_tool_call: {
+        tool_name: CLIENT_TOOLS.SCHEDULE_CALLBACK,
+        tool_call_id: 'tool_8',
+        parameters: { callback_time: 'Friday morning' }
+      }
+    }, { ws: { send: jest.fn() }, elevenLabsWs, callSid: CALL_SID, data: '{}' });
+
+    const sent = JSON.parse(elevenLabsWs.send.mock.calls[0][0]);
+    expect(sent).toMatchObject({ type: 'client_tool_result', tool_call_id: 'tool_8', is_error: false });
+    expect(JSON.parse(sent.result).success).toBe(true);
+  });
+});
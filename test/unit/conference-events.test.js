@@ -0,0 +1,171 @@
+/**
+ * Test suite for the conference index in conference-events.js
+ *
+ * Verifies that conference events are matched to their lead/sales call
+ * pair by ConferenceSid or room name only, never to unrelated calls, and
+ * that each side's talk time is tracked across mutes, holds and drops.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import {
+  processConferenceEvent,
+  getTalkTime,
+  registerConference,
+  resolveConference,
+  rebuildConferenceIndex,
+  clearConferenceIndex
+} from '../../forTheLegends/outbound/conference-events.js';
+
+const START = Date.parse('2026-10-18T15:00:00Z');
+
+// Build an event for conference 1 at a number of seconds into the call
+function conferenceEvent(statusCallbackEvent, callSid, seconds) {
+  return {
+    StatusCallbackEvent: statusCallbackEvent,
+    ConferenceSid: 'CF_1',
+    FriendlyName: 'ConferenceRoom_CA_sales_1',
+    ...(callSid ? { CallSid: callSid } : {}),
+    Timestamp: new Date(START + seconds * 1000).toUTCString()
+  };
+}
+
+describe('Conference Events', () => {
+  beforeEach(() => {
+    clearAllCallData();
+    clearConferenceIndex();
+
+    // Two concurrent transfers
+    ['1', '2'].forEach(n => {
+      updateCallData(`CA_lead_${n}`, { salesCallSid: `CA_sales_${n}`, conference: { room: `ConferenceRoom_CA_sales_${n}` } });
+      updateCallData(`CA_sales_${n}`, { leadCallSid: `CA_lead_${n}` });
+      registerConference(`ConferenceRoom_CA_sales_${n}`, { leadCallSid: `CA_lead_${n}`, salesCallSid: `CA_sales_${n}` });
+    });
+  });
+
+  test('should match the sales team join to its own lead among concurrent calls', async () => {
+    // Lead 1 already joined its conference
+    await processConferenceEvent({
+      StatusCallbackEvent: 'participant-join',
+      ConferenceSid: 'CF_1',
+      FriendlyName: 'ConferenceRoom_CA_sales_1',
+      CallSid: 'CA_lead_1'
+    });
+
+    const result = await processConferenceEvent({
+      StatusCallbackEvent: 'participant-join',
+      ConferenceSid: 'CF_2',
+      FriendlyName: 'ConferenceRoom_CA_sales_2',
+      CallSid: 'CA_sales_2',
+      ParticipantLabel: 'sales-team'
+    });
+
+    expect(result.leadCallSid).toBe('CA_lead_2');
+    expect(getCallData('CA_lead_2').conference.salesJoined).toBe(true);
+    expect(getCallData('CA_lead_1').conference.salesJoined).toBeUndefined();
+    expect(result.handoffTriggered).toBe(true);
+  });
+
+  test('should resolve later events by ConferenceSid alone', async () => {
+    resolveConference({ ConferenceSid: 'CF_1', FriendlyName: 'ConferenceRoom_CA_sales_1' });
+
+    const result = await processConferenceEvent({
+      StatusCallbackEvent: 'participant-leave',
+      ConferenceSid: 'CF_1',
+      CallSid: 'CA_lead_1'
+    });
+
+    expect(result.leadLeft).toBe(true);
+    expect(getCallData('CA_lead_1').conference.leadLeft).toBe(true);
+  });
+
+  test('should ignore events for unknown conferences instead of guessing a call', async () => {
+    const result = await processConferenceEvent({
+      StatusCallbackEvent: 'participant-join',
+      ConferenceSid: 'CF_unknown',
+      FriendlyName: 'ConferenceRoom_unknown',
+      CallSid: 'CA_sales_unknown',
+      ParticipantLabel: 'sales-team'
+    });
+
+    expect(result).toEqual({ success: true, matched: false });
+    expect(getCallData('CA_sales_unknown').conference).toBeUndefined();
+  });
+
+  test('should drop the conference from the index when it ends', async () => {
+    const result = await processConferenceEvent({
+      StatusCallbackEvent: 'conference-end',
+      ConferenceSid: 'CF_1',
+      FriendlyName: 'ConferenceRoom_CA_sales_1'
+    });
+
+    expect(result.ended).toBe(true);
+    expect(getCallData('CA_lead_1').conference.ended).toBe(true);
+    expect(resolveConference({ ConferenceSid: 'CF_1' })).toBeNull();
+  });
+
+  test('should rebuild the index from call state after a restart', () => {
+    clearConferenceIndex();
+    updateCallData('CA_lead_1', { conference: { room: 'ConferenceRoom_CA_sales_1', conferenceId: 'CF_1' } });
+
+    expect(rebuildConferenceIndex()).toBe(2);
+    expect(resolveConference({ ConferenceSid: 'CF_1' }).leadCallSid).toBe('CA_lead_1');
+  });
+
+  test('should leave muted and held time out of talk time', async () => {
+    const events = [
+      conferenceEvent('participant-join', 'CA_lead_1', 0),
+      conferenceEvent('participant-join', 'CA_sales_1', 10),
+      conferenceEvent('participant-hold', 'CA_lead_1', 40),
+      // Muting while held does not count the overlap twice
+      conferenceEvent('participant-mute', 'CA_lead_1', 50),
+      conferenceEvent('participant-unhold', 'CA_lead_1', 60),
+      conferenceEvent('participant-unmute', 'CA_lead_1', 70),
+      conferenceEvent('participant-mute', 'CA_sales_1', 100),
+      conferenceEvent('participant-unmute', 'CA_sales_1', 105),
+      conferenceEvent('conference-end', null, 130)
+    ];
+    for (const event of events) {
+      await processConferenceEvent(event);
+    }
+
+    // Lead: 130s connected minus 30s held or muted; sales: 120s minus 5s muted
+    expect(getCallData('CA_lead_1').talkTime).toEqual({ lead: 100000, sales: 115000 });
+    expect(getCallData('CA_sales_1').talkTimeMs).toBe(115000);
+    expect(getTalkTime('CA_lead_1')).toEqual({ lead: 100000, sales: 115000 });
+  });
+
+  test('should report the mute and hold state of a participant', async () => {
+    await processConferenceEvent(conferenceEvent('participant-join', 'CA_sales_1', 0));
+
+    const result = await processConferenceEvent(conferenceEvent('participant-hold', 'CA_sales_1', 5));
+
+    expect(result.sales).toEqual({ muted: false, held: true });
+    expect(getCallData('CA_lead_1').conference.participants.sales.held).toBe(true);
+  });
+
+  test('should flag a specialist who drops while the lead stays on', async () => {
+    await processConferenceEvent(conferenceEvent('participant-join', 'CA_lead_1', 0));
+    await processConferenceEvent(conferenceEvent('participant-join', 'CA_sales_1', 5));
+
+    const result = await processConferenceEvent(conferenceEvent('participant-leave', 'CA_sales_1', 65));
+
+    expect(result).toEqual(expect.objectContaining({
+      salesLeft: true,
+      specialistDropped: true,
+      talkTimeMs: 60000,
+      leadCallSid: 'CA_lead_1',
+      salesCallSid: 'CA_sales_1'
+    }));
+  });
+
+  test('should not flag the specialist when the lead already left', async () => {
+    await processConferenceEvent(conferenceEvent('participant-join', 'CA_lead_1', 0));
+    await processConferenceEvent(conferenceEvent('participant-join', 'CA_sales_1', 5));
+    await processConferenceEvent(conferenceEvent('participant-leave', 'CA_lead_1', 30));
+
+    const result = await processConferenceEvent(conferenceEvent('participant-leave', 'CA_sales_1', 31));
+
+    expect(result.specialistDropped).toBe(false);
+    expect(getTalkTime('CA_lead_1').lead).toBe(30000);
+  });
+});
@@ -0,0 +1,125 @@
+/**
+ * Test suite for the ElevenLabs message handler registry
+ *
+ * Covers subscribing handlers to message types, running them in order and
+ * the built-in transcript, intent and webhook handlers.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { getIntentData, clearIntentData } from '../../forTheLegends/outbound/intent-detector.js';
+import {
+  registerMessageHandler,
+  unregisterMessageHandler,
+  getMessageHandlers,
+  dispatchElevenLabsMessage,
+  clearMessageHandlers,
+  ELEVENLABS_EVENTS,
+  ALL_EVENTS,
+  HANDLER_ORDER
+} from '../../forTheLegends/outbound/elevenlabs-message-handlers.js';
+
+const CALL_SID = 'CA_messages_1';
+
+describe('ElevenLabs Message Handlers', () => {
+  let context;
+
+  beforeEach(() => {
+    clearAllCallData();
+    clearMessageHandlers();
+    clearIntentData(CALL_SID);
+    updateCallData(CALL_SID, { transcripts: [] });
+    context = { ws: { send: jest.fn() }, callSid: CALL_SID, data: '{}' };
+  });
+
+  test('should list the built-in handlers in the order they run', () => {
+    expect(getMessageHandlers(ELEVENLABS_EVENTS.TRANSCRIPT)).toEqual([
+      'transcripts',
+      'stream-analysis',
+      'intent-detection',
+      'webhook'
+    ]);
+    expect(getMessageHandlers(ELEVENLABS_EVENTS.AUDIO)).toEqual(['twilio-forward', 'stream-analysis', 'webhook']);
+  });
+
+  test('should run handlers by order, then by registration', async () => {
+    const calls = [];
+    registerMessageHandler({ name: 'late', events: 'custom', order: 200, handle: () => calls.push('late') });
+    registerMessageHandler({ name: 'first', events: 'custom', order: 1, handle: () => calls.push('first') });
+    registerMessageHandler({ name: 'also-late', events: ['custom'], order: 200, handle: () => calls.push('also-late') });
+
+    const ran = await dispatchElevenLabsMessage({ type: 'custom' }, context);
+
+    expect(calls).toEqual(['first', 'late', 'also-late']);
+    expect(ran).toEqual(['first', 'webhook', 'late', 'also-late']);
+  });
+
+  test('should finish an async handler before the next one starts', async () => {
+    const calls = [];
+    registerMessageHandler({
+      name: 'slow',
+      events: 'custom',
+      order: 1,
+      handle: async () => {
+        await new Promise(resolve => setImmediate(resolve));
+        calls.push('slow');
+      }
+    });
+    registerMessageHandler({ name: 'next', events: 'custom', order: 2, handle: () => calls.push('next') });
+
+    await dispatchElevenLabsMessage({ type: 'custom' }, context);
+
+    expect(calls).toEqual(['slow', 'next']);
+  });
+
+  test('should skip a failing handler and keep going', async () => {
+    registerMessageHandler({ name: 'broken', events: 'custom', order: 1, handle: () => { throw new Error('boom'); } });
+
+    const ran = await dispatchElevenLabsMessage({ type: 'custom', conversation_id: 'conv_1' }, context);
+
+    expect(ran).toEqual(['webhook']);
+    expect(getCallData(CALL_SID).conversationId).toBe('conv_1');
+  });
+
+  test('should replace and remove handlers by name', async () => {
+    const original = jest.fn();
+    const replacement = jest.fn();
+    registerMessageHandler({ name: 'mine', events: ALL_EVENTS, handle: original });
+    const remove = registerMessageHandler({ name: 'mine', events: ALL_EVENTS, handle: replacement });
+
+    await dispatchElevenLabsMessage({ type: ELEVENLABS_EVENTS.PING }, context);
+    expect(original).not.toHaveBeenCalled();
+    expect(replacement).toHaveBeenCalledTimes(1);
+
+    remove();
+    expect(getMessageHandlers(ELEVENLABS_EVENTS.PING)).toEqual(['ping', 'webhook']);
+    expect(unregisterMessageHandler('mine')).toBe(false);
+  });
+
+  test('should store transcripts before intent detection sees them', async () => {
+    registerMessageHandler({
+      name: 'spy',
+      events: ELEVENLABS_EVENTS.TRANSCRIPT,
+      order: HANDLER_ORDER.INTENT + 1,
+      handle: () => {
+        expect(getCallData(CALL_SID).userTranscripts).toEqual(['I am interested, tell me more']);
+      }
+    });
+
+    const ran = await dispatchElevenLabsMessage({
+      type: ELEVENLABS_EVENTS.TRANSCRIPT,
+      text: 'User said: I am interested, tell me more'
+    }, context);
+
+    expect(ran).toContain('spy');
+    expect(getIntentData(CALL_SID).intentLog).toHaveLength(1);
+  });
+
+  test('should record the conversation ID from the initiation metadata', async () => {
+    await dispatchElevenLabsMessage({
+      type: ELEVENLABS_EVENTS.CONVERSATION_INITIATION_METADATA,
+      conversation_initiation_metadata_event: { conversation_id: 'conv_2' }
+    }, context);
+
+    expect(getCallData(CALL_SID).conversationId).toBe('conv_2');
+  });
+});
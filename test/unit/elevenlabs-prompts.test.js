@@ -3,7 +3,10 @@ import {
   getFormattedPrompt,
   getFirstMessage,
   getInitConfig,
-  BASE_PROMPT
+  getVoicemailInstruction,
+  BASE_PROMPT,
+  RESUME_REASONS,
+  RESUME_FIRST_MESSAGES
 } from '../../forTheLegends/prompts/elevenlabs-prompts.js';
 
 describe('ElevenLabs Prompts', () => {
@@ -110,4 +113,48 @@ describe('ElevenLabs Prompts', () => {
       expect(result.conversation_config_override.conversation.initial_audio_silence_timeout_ms).toBe(5000);
     });
   });
-}); 
\ No newline at end of file
+  
+  describe('resuming a call', () => {
+    const resume = {
+      reason: RESUME_REASONS.TRANSFER_FAILED,
+      agentTranscripts: ['Hello, this is Heather from First Light Home Care.', 'Would you like to speak with a specialist?'],
+      leadTranscripts: ['Yes, please connect me']
+    };
+    
+    it('should carry the conversation so far and the failed transfer into the prompt', () => {
+      const result = getInitConfig({ LeadName: 'John Doe', CareNeededFor: 'Mother' }, { resume, waitForUserSpeech: false });
+      const agent = result.conversation_config_override.agent;
+      
+      expect(agent.system_prompt).toContain('John Doe');
+      expect(agent.system_prompt).toContain('the transfer did not go through');
+      expect(agent.system_prompt).toContain('- Would you like to speak with a specialist?');
+      expect(agent.system_prompt).toContain('What they said earlier in this call:\n- Yes, please connect me');
+      expect(agent.first_message).toBe(RESUME_FIRST_MESSAGES[RESUME_REASONS.TRANSFER_FAILED]);
+      expect(agent.wait_for_user_speech).toBe(false);
+    });
+    
+    it('should explain a dropped specialist, even with a custom prompt', () => {
+      const result = getInitConfig(
+        { prompt: 'Custom prompt' },
+        { resume: { reason: RESUME_REASONS.SPECIALIST_DROPPED } }
+      );
+      const agent = result.conversation_config_override.agent;
+      
+      expect(agent.system_prompt).toMatch(/^Custom prompt\n\n/);
+      expect(agent.system_prompt).toContain('the specialist got disconnected');
+      expect(agent.first_message).toContain('got disconnected');
+    });
+  });
+  
+  describe('getVoicemailInstruction', () => {
+    it('should re-issue the personalized voicemail prompt as a custom instruction', () => {
+      const leadInfo = { LeadName: 'John Doe', CareNeededFor: 'Mother' };
+      
+      const result = getVoicemailInstruction(leadInfo);
+      
+      expect(result.type).toBe('custom_instruction');
+      expect(result.instruction).toBe(getFormattedPrompt(leadInfo, { isVoicemail: true }));
+      expect(result.instruction).toContain('Hello John Doe, ');
+    });
+  });
+});
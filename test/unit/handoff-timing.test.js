@@ -1,70 +0,0 @@
-/**
- * Test suite for handoff audio timing with conference events
- */
-import { jest } from '@jest/globals';
-
-// Simple mock for processConferenceEvent 
-const processConferenceEvent = jest.fn(async (event, client) => {
-  if (
-    event.StatusCallbackEvent === 'participant-join' &&
-    event.ParticipantLabel === 'sales-team'
-  ) {
-    // In this simplified test, we'll just update the call directly
-    await client.calls.update('CA12345', {
-      twiml: '<Response><Play>handoff.mp3</Play></Response>'
-    });
-    
-    return { success: true, handoffTriggered: true };
-  }
-  return { success: true, handoffTriggered: false };
-});
-
-// Mock module for conference-events.js
-jest.mock('../../forTheLegends/outbound/conference-events.js', () => ({
-  processConferenceEvent
-}));
-
-describe('Handoff Audio Timing with Conference Events', () => {
-  const leadCallSid = 'CA12345';
-  const salesCallSid = 'CA67890';
-  const conferenceId = 'CF12345';
-  
-  // Mock Twilio client
-  const twilio = {
-    calls: {
-      update: jest.fn().mockResolvedValue({}),
-      create: jest.fn().mockResolvedValue({ sid: salesCallSid })
-    },
-    conferences: {
-      participants: {
-        list: jest.fn().mockResolvedValue([])
-      }
-    }
-  };
-  
-  beforeEach(() => {
-    // Reset mocks
-    jest.clearAllMocks();
-  });
-  
-  test('should play handoff audio when sales team joins conference', async () => {
-    // Simulate the conference event for a sales team member joining
-    const conferenceEvent = {
-      ConferenceSid: conferenceId,
-      CallSid: salesCallSid,
-      StatusCallbackEvent: 'participant-join',
-      ParticipantLabel: 'sales-team'
-    };
-    
-    // Process the conference event
-    const result = await processConferenceEvent(conferenceEvent, twilio);
-    
-    // Verify handoff audio was triggered
-    expect(twilio.calls.update).toHaveBeenCalledWith(leadCallSid, {
-      twiml: expect.stringContaining('<Play>handoff.mp3</Play>')
-    });
-    
-    // Verify correct result was returned
-    expect(result.handoffTriggered).toBe(true);
-  });
-}); 
\ No newline at end of file
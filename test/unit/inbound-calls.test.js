@@ -93,6 +93,19 @@ describe('Inbound Calls', () => {
     expect(mockFastify.all).toHaveBeenCalledWith('/verify-caller', expect.any(Function));
   });
 
+  it('should keep the agent pool the server already initialized', async () => {
+    const { registerInboundRoutes } = await import('../../inbound-calls.js');
+    const { initializeAgentPool, getEscalationConfig } = await import('../../forTheLegends/outbound/sales-agent-pool.js');
+    const agentPool = initializeAgentPool({
+      agents: [{ id: 'ann', phoneNumber: '+15550000001' }, { id: 'bob', phoneNumber: '+15550000002' }],
+      escalation: { chain: ['bob', 'ann'] }
+    });
+
+    await registerInboundRoutes(mockFastify, { agentPool });
+
+    expect(getEscalationConfig().chain).toEqual(['bob', 'ann']);
+  });
+
   describe('/incoming-call handler', () => {
     beforeEach(async () => {
       // Import and register routes before each test
@@ -0,0 +1,101 @@
+/**
+ * Test suite for retrying lead calls from the live Twilio callbacks
+ *
+ * Covers /lead-status and /amd-callback outcomes driving the retry manager,
+ * and the retry decision recorded on the lead call.
+ */
+import { jest } from '@jest/globals';
+import '../setup.js';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { initializeCallLifecycle } from '../../forTheLegends/outbound/call-lifecycle.js';
+import { trackCall, getRetryInfo, clearRetryState } from '../../forTheLegends/outbound/retry-manager.js';
+import { registerOutboundRoutes } from '../../outbound-calls.js';
+
+const LEAD_ID = 'lead-live-retry';
+const CALL_SID = 'CA_live_retry_1';
+
+describe('Lead Call Retries', () => {
+  let routes;
+  let reply;
+
+  beforeAll(() => {
+    routes = {};
+    const capture = (path, handler) => { routes[path] = handler; };
+    registerOutboundRoutes({ post: capture, get: capture, all: capture, register: jest.fn(), addHook: jest.fn() });
+  });
+
+  beforeEach(() => {
+    clearAllCallData();
+    clearRetryState(LEAD_ID);
+    reply = { send: jest.fn().mockReturnThis(), code: jest.fn().mockReturnThis(), status: jest.fn().mockReturnThis() };
+
+    // What initiateLeadCall records for a lead call
+    initializeCallLifecycle(CALL_SID, {
+      data: { leadStatus: 'initiated', retryLeadId: LEAD_ID, leadNumber: '+15551234567' }
+    });
+    trackCall(LEAD_ID, CALL_SID, { phoneNumber: '+15551234567' }, { host: 'example.ngrok.app' });
+  });
+
+  afterEach(() => {
+    clearRetryState(LEAD_ID);
+  });
+
+  const leadStatus = (CallStatus) => routes['/lead-status']({ body: { CallSid: CALL_SID, CallStatus } }, reply);
+
+  test('should schedule a retry when the lead line is busy', async () => {
+    await leadStatus('busy');
+
+    expect(getRetryInfo(LEAD_ID)).toMatchObject({
+      retryCount: 1,
+      retryReason: 'busy',
+      retryScheduled: true,
+      originalCallSid: CALL_SID
+    });
+    expect(getCallData(CALL_SID).retryDecision).toMatchObject({
+      scheduled: true,
+      reason: 'busy',
+      method: 'direct',
+      retryAt: expect.any(String)
+    });
+  });
+
+  test('should retry a voicemail reported by AMD once the call ends', async () => {
+    await routes['/amd-callback']({ body: { CallSid: CALL_SID, AnsweredBy: 'machine_end_beep' } }, reply);
+    expect(getRetryInfo(LEAD_ID)).toMatchObject({ retryNeeded: true, retryReason: 'voicemail', retryScheduled: false });
+
+    await leadStatus('completed');
+
+    expect(getCallData(CALL_SID).retryDecision).toMatchObject({ scheduled: true, reason: 'voicemail' });
+  });
+
+  test('should not retry a lead who talked to the AI', async () => {
+    updateCallData(CALL_SID, { answeredBy: 'human' });
+
+    await leadStatus('completed');
+
+    expect(getRetryInfo(LEAD_ID)).toMatchObject({ retryNeeded: false, retryCount: 0 });
+    expect(getCallData(CALL_SID).retryDecision).toBeUndefined();
+  });
+
+  test('should not retry a lead who asked not to be called', async () => {
+    updateCallData(CALL_SID, { doNotCall: { reason: 'asked' } });
+
+    await leadStatus('no-answer');
+
+    expect(getRetryInfo(LEAD_ID).retryScheduled).toBe(false);
+    expect(getCallData(CALL_SID).retryDecision).toBeUndefined();
+  });
+
+  test('should link a retry call back to the original lead', () => {
+    trackCall(LEAD_ID, 'CA_live_retry_2', { phoneNumber: '+15551234567' }, {
+      retryOf: { leadId: LEAD_ID, previousCallSid: CALL_SID, attempt: 1, reason: 'busy' }
+    });
+
+    const info = getRetryInfo(LEAD_ID);
+    expect(info.originalCallSid).toBe(CALL_SID);
+    expect(info.dialAttempts.map(attempt => [attempt.callSid, attempt.retryOf?.previousCallSid || null])).toEqual([
+      [CALL_SID, null],
+      ['CA_live_retry_2', CALL_SID]
+    ]);
+  });
+});
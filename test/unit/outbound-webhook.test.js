@@ -319,6 +319,24 @@ describe('Outbound Webhook Module', () => {
       expect(payload.callbackPreferences).toBeDefined();
       expect(payload.callbackPreferences.hasTimeReference).toBe(true);
     });
+    
+    it('should include stream analysis findings if they exist', () => {
+      const callStatus = {...global.callStatuses['test-call-sid']};
+      callStatus.streamAnalysis = {
+        quality: { lowAudioRunCount: 1 },
+        interruption: { interruptionCount: 2 }
+      };
+      
+      const payload = prepareWebhookPayload(
+        'test-call-sid',
+        'test-conv-id',
+        callStatus,
+        null,
+        null
+      );
+      
+      expect(payload.streamAnalysis).toEqual(callStatus.streamAnalysis);
+    });
   });
   
   describe('sendElevenLabsConversationData', () => {
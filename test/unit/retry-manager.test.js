@@ -0,0 +1,210 @@
+/**
+ * Test suite for the retry manager
+ *
+ * Covers per-outcome retry policies, jitter, calling hours, daily and lead-level
+ * attempt limits, persisted counts, direct retries, call windows and caller ID
+ * rotation.
+ */
+import { jest } from '@jest/globals';
+import { createMemoryStore } from '../../forTheLegends/outbound/call-state-store.js';
+import {
+  initialize as initRetryManager,
+  configureRetryStore,
+  trackCall,
+  markDoNotCall,
+  updateCallStatus,
+  getRetryPlan,
+  scheduleRetryCall,
+  restoreRetryState,
+  getRetryInfo,
+  clearRetryState
+} from '../../forTheLegends/outbound/retry-manager.js';
+import { initialize as initCallerIdPool, clearCallerIdUsage } from '../../forTheLegends/outbound/caller-id-pool.js';
+
+// Tuesday 20 October 2026, 10:00 in New York
+const NOW = new Date('2026-10-20T14:00:00Z').getTime();
+const LEAD_ID = 'lead-retry-1';
+const LEAD_INFO = { phoneNumber: '+15551234567', Timezone: 'America/New_York' };
+
+describe('Retry Manager', () => {
+  let store;
+  let createCall;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: NOW });
+    store = createMemoryStore();
+    configureRetryStore(store);
+
+    createCall = jest.fn().mockResolvedValue({ sid: 'CA_retry_call' });
+    initRetryManager({
+      twilioClient: { calls: { create: createCall } },
+      makeWebhookUrl: '',
+      maxRetries: 4,
+      maxAttemptsPerDay: 3,
+      // No jitter unless a test asks for it
+      random: () => 0.5
+    });
+  });
+
+  afterEach(() => {
+    clearRetryState(LEAD_ID);
+    initCallerIdPool({ numbers: [] });
+    clearCallerIdUsage();
+    jest.useRealTimers();
+  });
+
+  /**
+   * Track a call for the lead and report its outcome
+   */
+  const callEndsWith = (callSid, callStatus, answeredBy) => {
+    trackCall(LEAD_ID, callSid, LEAD_INFO);
+    updateCallStatus(LEAD_ID, callSid, callStatus, answeredBy);
+  };
+
+  test('should retry a busy line after ten minutes, with jitter', () => {
+    callEndsWith('CA_1', 'busy');
+
+    expect(getRetryPlan(LEAD_ID, { now: NOW })).toEqual({
+      retry: true,
+      reason: 'busy',
+      retryAt: NOW + 10 * 60 * 1000,
+      delayMs: 10 * 60 * 1000,
+      window: 'morning'
+    });
+
+    initRetryManager({ random: () => 1 });
+    expect(getRetryPlan(LEAD_ID, { now: NOW }).retryAt).toBe(NOW + 12 * 60 * 1000);
+    initRetryManager({ random: () => 0.5 });
+  });
+
+  test('should retry voicemail the next day at a different time of day', () => {
+    callEndsWith('CA_1', 'in-progress', 'machine_end_beep');
+    // A morning voicemail is retried the next afternoon
+    expect(new Date(getRetryPlan(LEAD_ID, { now: NOW }).retryAt).toISOString()).toBe('2026-10-21T18:00:00.000Z');
+
+    // An afternoon voicemail is retried the next morning
+    const afternoon = new Date('2026-10-20T19:00:00Z').getTime();
+    clearRetryState(LEAD_ID);
+    jest.setSystemTime(afternoon);
+    callEndsWith('CA_2', 'in-progress', 'machine_end_beep');
+    expect(new Date(getRetryPlan(LEAD_ID, { now: afternoon }).retryAt).toISOString()).toBe('2026-10-21T15:00:00.000Z');
+  });
+
+  test('should retry a failed call only once', async () => {
+    callEndsWith('CA_1', 'failed');
+    expect(await scheduleRetryCall(LEAD_ID)).toMatchObject({ success: true, method: 'direct' });
+
+    callEndsWith('CA_2', 'failed');
+    expect(await scheduleRetryCall(LEAD_ID)).toEqual({ success: false, error: 'Maximum failed retries reached' });
+    expect(getRetryInfo(LEAD_ID).outcomeRetries).toEqual({ failed: 1 });
+  });
+
+  test('should stop at the lead-level attempt limit across outcomes', async () => {
+    initRetryManager({ maxRetries: 2 });
+
+    callEndsWith('CA_1', 'busy');
+    await scheduleRetryCall(LEAD_ID);
+    callEndsWith('CA_2', 'no-answer');
+    await scheduleRetryCall(LEAD_ID);
+    callEndsWith('CA_3', 'busy');
+
+    expect(await scheduleRetryCall(LEAD_ID)).toEqual({ success: false, error: 'Maximum retries reached' });
+    initRetryManager({ maxRetries: 4 });
+  });
+
+  test('should move a retry to the next calling day once the daily cap is reached', () => {
+    callEndsWith('CA_1', 'busy');
+    callEndsWith('CA_2', 'busy');
+    expect(getRetryPlan(LEAD_ID, { now: NOW }).retryAt).toBe(NOW + 10 * 60 * 1000);
+
+    callEndsWith('CA_3', 'busy');
+    expect(new Date(getRetryPlan(LEAD_ID, { now: NOW }).retryAt).toISOString()).toBe('2026-10-21T13:00:00.000Z');
+  });
+
+  test('should keep retries inside calling hours', () => {
+    callEndsWith('CA_1', 'busy');
+    const lateEvening = new Date('2026-10-20T23:55:00Z').getTime();
+
+    expect(new Date(getRetryPlan(LEAD_ID, { now: lateEvening }).retryAt).toISOString()).toBe('2026-10-21T13:00:00.000Z');
+  });
+
+  test('should place a direct retry at its time and count the attempt', async () => {
+    callEndsWith('CA_1', 'busy');
+
+    const result = await scheduleRetryCall(LEAD_ID);
+    expect(result).toEqual({ success: true, retryCount: 1, method: 'direct', retryTimestamp: NOW + 10 * 60 * 1000 });
+    expect(await scheduleRetryCall(LEAD_ID)).toEqual({ success: false, error: 'Retry already scheduled' });
+
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(createCall).toHaveBeenCalledWith(expect.objectContaining({ to: '+15551234567' }));
+    expect(getRetryInfo(LEAD_ID).dialAttempts.map(attempt => attempt.callSid)).toEqual(['CA_1', 'CA_retry_call']);
+  });
+
+  test('should stop retrying a lead who asked not to be called', async () => {
+    callEndsWith('CA_1', 'busy');
+    await scheduleRetryCall(LEAD_ID);
+
+    expect(markDoNotCall(LEAD_ID, 'stop calling')).toBe(true);
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+
+    expect(createCall).not.toHaveBeenCalled();
+    expect(getRetryInfo(LEAD_ID)).toMatchObject({ retryScheduled: false, retryNeeded: false });
+
+    // Later calls for the lead are not retried either
+    callEndsWith('CA_2', 'no-answer');
+    expect(getRetryPlan(LEAD_ID, { now: NOW })).toEqual({ retry: false, error: 'Lead asked not to be called' });
+  });
+
+  test('should move an unanswered retry into a time of day the lead has not been called at', () => {
+    // 09:30 in New York: two hours later is still the morning
+    jest.setSystemTime(new Date('2026-10-20T13:30:00Z'));
+    callEndsWith('CA_1', 'no-answer');
+
+    const plan = getRetryPlan(LEAD_ID, { now: Date.now() });
+    expect(new Date(plan.retryAt).toISOString()).toBe('2026-10-20T16:00:00.000Z');
+    expect(plan.window).toBe('afternoon');
+  });
+
+  test('should rotate retries through the caller ID pool, local numbers first', async () => {
+    initCallerIdPool({ numbers: ['+12125550100', '+15555550100', '+13105550100'], localPresence: true });
+    createCall
+      .mockResolvedValueOnce({ sid: 'CA_retry_1' })
+      .mockResolvedValueOnce({ sid: 'CA_retry_2' });
+
+    callEndsWith('CA_1', 'busy');
+    await scheduleRetryCall(LEAD_ID);
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(createCall).toHaveBeenLastCalledWith(expect.objectContaining({ from: '+15555550100' }));
+
+    updateCallStatus(LEAD_ID, 'CA_retry_1', 'busy');
+    await scheduleRetryCall(LEAD_ID);
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(createCall).toHaveBeenLastCalledWith(expect.objectContaining({ from: '+12125550100' }));
+
+    expect(getRetryInfo(LEAD_ID).dialAttempts.map(({ callSid, callerId, localPresence, window }) =>
+      [callSid, callerId, localPresence, window])).toEqual([
+      ['CA_1', null, false, 'morning'],
+      ['CA_retry_1', '+15555550100', true, 'morning'],
+      ['CA_retry_2', '+12125550100', false, 'morning']
+    ]);
+  });
+
+  test('should keep counts across a restart', async () => {
+    callEndsWith('CA_1', 'busy');
+    await scheduleRetryCall(LEAD_ID);
+    const saved = await store.get(LEAD_ID);
+    expect(saved).toMatchObject({ retryCount: 1, outcomeRetries: { busy: 1 }, retryScheduled: true });
+
+    // A fresh process sees the same store
+    clearRetryState(LEAD_ID);
+    await store.set(LEAD_ID, saved, 0);
+    expect(getRetryInfo(LEAD_ID)).toBeNull();
+
+    expect(await restoreRetryState()).toBe(1);
+    expect(getRetryInfo(LEAD_ID)).toMatchObject({ retryCount: 1, outcomeRetries: { busy: 1 } });
+
+    // The waiting retry is re-armed
+    await jest.advanceTimersByTimeAsync(10 * 60 * 1000);
+    expect(createCall).toHaveBeenCalledTimes(1);
+  });
+});
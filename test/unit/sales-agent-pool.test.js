@@ -0,0 +1,170 @@
+/**
+ * Test suite for the sales agent pool
+ *
+ * Covers round-robin, least-recently-used and skills-based routing,
+ * working hours, availability feedback from sales call outcomes and the
+ * escalation chain used when a specialist does not answer.
+ */
+import { jest } from '@jest/globals';
+import {
+  initializeAgentPool,
+  loadAgentsFromEnv,
+  selectAgent,
+  assignAgent,
+  assignNextAgent,
+  getEscalationConfig,
+  attachAgentCall,
+  recordSalesCallOutcome,
+  setAgentBusy,
+  getAgentPoolStatus,
+  isWithinWorkingHours,
+  ROUTING_STRATEGIES
+} from '../../forTheLegends/outbound/sales-agent-pool.js';
+
+const AGENTS = [
+  { id: 'alice', name: 'Alice', phoneNumber: '+15550000001', skills: ['dementia', 'memory'] },
+  { id: 'bob', name: 'Bob', phoneNumber: '+15550000002', skills: ['surgery', 'mobility'] },
+  { id: 'carol', name: 'Carol', phoneNumber: '+15550000003' }
+];
+
+describe('Sales Agent Pool', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('round-robin routing', () => {
+    beforeEach(() => {
+      initializeAgentPool({ agents: AGENTS, strategy: ROUTING_STRATEGIES.ROUND_ROBIN });
+    });
+
+    test('should rotate through agents in order', () => {
+      expect(selectAgent().id).toBe('alice');
+      expect(selectAgent().id).toBe('bob');
+      expect(selectAgent().id).toBe('carol');
+      expect(selectAgent().id).toBe('alice');
+    });
+
+    test('should skip busy agents', () => {
+      setAgentBusy('alice', true);
+
+      expect(assignAgent().id).toBe('bob');
+      expect(assignAgent().id).toBe('carol');
+      expect(assignAgent()).toBeNull();
+    });
+  });
+
+  test('should pick the least recently used agent', () => {
+    jest.useFakeTimers();
+    initializeAgentPool({ agents: AGENTS, strategy: ROUTING_STRATEGIES.LEAST_RECENTLY_USED });
+
+    const first = assignAgent();
+    jest.advanceTimersByTime(1000);
+    const second = assignAgent();
+    recordSalesCallOutcome({ agentId: first.id, callStatus: 'completed' });
+    recordSalesCallOutcome({ agentId: second.id, callStatus: 'completed' });
+    jest.advanceTimersByTime(1000);
+
+    // Carol has never been assigned, then Alice is the oldest assignment
+    expect(assignAgent().id).toBe('carol');
+    expect(assignAgent().id).toBe(first.id);
+  });
+
+  test('should route by CareReason keywords with skills-based routing', () => {
+    initializeAgentPool({ agents: AGENTS, strategy: ROUTING_STRATEGIES.SKILLS });
+
+    expect(selectAgent({ leadInfo: { CareReason: 'Recovering from hip surgery' } }).id).toBe('bob');
+    expect(selectAgent({ leadInfo: { CareReason: 'Early stage dementia' } }).id).toBe('alice');
+  });
+
+  test('should respect working hours in the agent timezone', () => {
+    const agent = {
+      workingHours: { timezone: 'America/New_York', days: ['mon', 'tue', 'wed', 'thu', 'fri'], start: '09:00', end: '17:00' }
+    };
+
+    // Wednesday 10:00 and 20:00 in New York (UTC-4 in June)
+    expect(isWithinWorkingHours(agent, new Date('2025-06-11T14:00:00Z'))).toBe(true);
+    expect(isWithinWorkingHours(agent, new Date('2025-06-12T00:00:00Z'))).toBe(false);
+    // Saturday 10:00 in New York
+    expect(isWithinWorkingHours(agent, new Date('2025-06-14T14:00:00Z'))).toBe(false);
+  });
+
+  describe('sales call outcome feedback', () => {
+    beforeEach(() => {
+      initializeAgentPool({ agents: AGENTS, strategy: ROUTING_STRATEGIES.ROUND_ROBIN, missedCallCooldownMs: 60000 });
+    });
+
+    test('should free an agent when the sales call completes', () => {
+      const agent = assignAgent();
+      attachAgentCall(agent.id, 'CA_sales_1');
+
+      recordSalesCallOutcome({ callSid: 'CA_sales_1', callStatus: 'in-progress' });
+      expect(getAgentPoolStatus().find(status => status.id === agent.id).busy).toBe(true);
+
+      recordSalesCallOutcome({ callSid: 'CA_sales_1', callStatus: 'completed' });
+      const status = getAgentPoolStatus().find(entry => entry.id === agent.id);
+      expect(status.available).toBe(true);
+      expect(status.stats.completed).toBe(1);
+    });
+
+    test('should cool an agent down after a missed call', () => {
+      jest.useFakeTimers();
+      const agent = assignAgent();
+
+      recordSalesCallOutcome({ agentId: agent.id, callStatus: 'no-answer' });
+
+      let status = getAgentPoolStatus().find(entry => entry.id === agent.id);
+      expect(status.available).toBe(false);
+      expect(status.stats.missed).toBe(1);
+
+      jest.advanceTimersByTime(60000);
+      status = getAgentPoolStatus().find(entry => entry.id === agent.id);
+      expect(status.available).toBe(true);
+    });
+  });
+
+  test('should fall back to a shared team line from SALES_TEAM_PHONE_NUMBER', () => {
+    const entries = loadAgentsFromEnv({ SALES_TEAM_PHONE_NUMBER: '+15557654321' });
+    initializeAgentPool({ agents: entries });
+
+    // A team line can take several calls at once
+    expect(assignAgent().phoneNumber).toBe('+15557654321');
+    expect(assignAgent().phoneNumber).toBe('+15557654321');
+  });
+
+  describe('escalation chain', () => {
+    test('should ring specialists in chain order and stop when exhausted', () => {
+      initializeAgentPool({ agents: AGENTS, escalation: { chain: ['carol', 'alice'], ringTimeoutSeconds: 15 } });
+
+      const first = assignNextAgent({ triedAgentIds: [] });
+      recordSalesCallOutcome({ agentId: first.id, callStatus: 'no-answer' });
+      const second = assignNextAgent({ triedAgentIds: [first.id] });
+
+      expect([first.id, second.id]).toEqual(['carol', 'alice']);
+      expect(assignNextAgent({ triedAgentIds: ['carol', 'alice'] })).toBeNull();
+      expect(getEscalationConfig()).toEqual({ chain: ['carol', 'alice'], ringTimeoutSeconds: 15, maxAttempts: 2 });
+    });
+
+    test('should skip unavailable specialists in the chain', () => {
+      initializeAgentPool({ agents: AGENTS, escalation: { chain: ['alice', 'bob', 'carol'] } });
+      setAgentBusy('bob', true);
+
+      expect(assignNextAgent({ triedAgentIds: ['alice'] }).id).toBe('carol');
+    });
+
+    test('should follow the routing strategy without a chain and honor max attempts', () => {
+      initializeAgentPool({
+        agents: AGENTS,
+        strategy: ROUTING_STRATEGIES.ROUND_ROBIN,
+        escalation: { chain: null, maxAttempts: 2 }
+      });
+
+      expect(assignNextAgent({ triedAgentIds: [] }).id).toBe('alice');
+      expect(assignNextAgent({ triedAgentIds: ['alice'] }).id).toBe('bob');
+      expect(assignNextAgent({ triedAgentIds: ['alice', 'bob'] })).toBeNull();
+    });
+  });
+
+  test('should reject agents without a phone number', () => {
+    expect(() => initializeAgentPool({ agents: [{ id: 'nobody' }] })).toThrow('has no phoneNumber');
+  });
+});
@@ -0,0 +1,144 @@
+/**
+ * Test suite for the sales dial scheduler
+ *
+ * Covers deferring the sales leg until the lead is engaged, the delay and
+ * engagement timeout settings and the default simultaneous mode.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { CALL_STATES, initializeCallLifecycle, transitionCallState } from '../../forTheLegends/outbound/call-lifecycle.js';
+import {
+  initialize,
+  loadSalesDialConfigFromEnv,
+  isDeferredDialing,
+  deferSalesDial,
+  handleLeadEngagement,
+  cancelSalesDial,
+  clearPendingSalesDials,
+  SALES_DIAL_MODES,
+  ENGAGEMENT_TRIGGERS
+} from '../../forTheLegends/outbound/sales-dial-scheduler.js';
+
+const LEAD_CALL_SID = 'CA_lead_1';
+
+// Flush pending promise callbacks
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+describe('Sales Dial Scheduler', () => {
+  let dialSalesLeg;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    clearAllCallData();
+
+    dialSalesLeg = jest.fn(async leadCallSid => {
+      updateCallData(leadCallSid, { salesCallSid: 'CA_sales_1' });
+      return { salesCallSid: 'CA_sales_1', agent: { id: 'alice' } };
+    });
+    initialize({
+      dialSalesLeg,
+      mode: SALES_DIAL_MODES.ON_ENGAGEMENT,
+      triggers: [ENGAGEMENT_TRIGGERS.HUMAN, ENGAGEMENT_TRIGGERS.INTENT],
+      delaySeconds: 2,
+      engagementTimeoutSeconds: 60,
+      ringTimeoutSeconds: 15
+    });
+
+    initializeCallLifecycle(LEAD_CALL_SID);
+    transitionCallState(LEAD_CALL_SID, CALL_STATES.AI_CONVERSATION);
+  });
+
+  afterEach(() => {
+    clearPendingSalesDials();
+    jest.useRealTimers();
+  });
+
+  test('should dial the sales leg after the delay once AMD reports a human', async () => {
+    deferSalesDial(LEAD_CALL_SID);
+    expect(getCallData(LEAD_CALL_SID)).toEqual(expect.objectContaining({
+      salesDialPending: true,
+      salesRingTimeoutSeconds: 15
+    }));
+
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.HUMAN)).toBe(true);
+    jest.advanceTimersByTime(1999);
+    expect(dialSalesLeg).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(dialSalesLeg).toHaveBeenCalledWith(LEAD_CALL_SID);
+    expect(getCallData(LEAD_CALL_SID)).toEqual(expect.objectContaining({
+      salesDialPending: false,
+      salesDialTrigger: ENGAGEMENT_TRIGGERS.HUMAN
+    }));
+  });
+
+  test('should dial only once when several engagement events arrive', async () => {
+    deferSalesDial(LEAD_CALL_SID);
+
+    handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.HUMAN);
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.INTENT)).toBe(false);
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(dialSalesLeg).toHaveBeenCalledTimes(1);
+  });
+
+  test('should ignore triggers that are not enabled', () => {
+    initialize({ triggers: [ENGAGEMENT_TRIGGERS.INTENT] });
+    deferSalesDial(LEAD_CALL_SID);
+
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.HUMAN)).toBe(false);
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.INTENT)).toBe(true);
+  });
+
+  test('should stop waiting after the engagement timeout', () => {
+    deferSalesDial(LEAD_CALL_SID);
+
+    jest.advanceTimersByTime(60000);
+
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.INTENT)).toBe(false);
+    expect(getCallData(LEAD_CALL_SID)).toEqual(expect.objectContaining({
+      salesDialPending: false,
+      salesDialTimedOut: true,
+      salesTeamUnavailable: true
+    }));
+  });
+
+  test('should not dial when the lead hangs up during the delay', async () => {
+    deferSalesDial(LEAD_CALL_SID);
+    handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.HUMAN);
+
+    updateCallData(LEAD_CALL_SID, { finalStatus: 'completed' });
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(dialSalesLeg).not.toHaveBeenCalled();
+  });
+
+  test('should cancel a pending dial when the lead reaches voicemail', () => {
+    deferSalesDial(LEAD_CALL_SID);
+
+    expect(cancelSalesDial(LEAD_CALL_SID)).toBe(true);
+    expect(handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.HUMAN)).toBe(false);
+  });
+
+  test('should mark the sales team unavailable when no specialist is free', async () => {
+    dialSalesLeg.mockResolvedValueOnce(null);
+    deferSalesDial(LEAD_CALL_SID);
+
+    handleLeadEngagement(LEAD_CALL_SID, ENGAGEMENT_TRIGGERS.INTENT);
+    jest.advanceTimersByTime(2000);
+    await flushPromises();
+
+    expect(getCallData(LEAD_CALL_SID).salesTeamUnavailable).toBe(true);
+  });
+
+  test('should keep simultaneous dialing as the default mode', () => {
+    expect(loadSalesDialConfigFromEnv({})).toEqual({});
+
+    initialize({ mode: SALES_DIAL_MODES.SIMULTANEOUS });
+    expect(isDeferredDialing()).toBe(false);
+    expect(() => initialize({ mode: 'whenever' })).toThrow('Unknown sales dial mode');
+  });
+});
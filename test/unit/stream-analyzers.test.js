@@ -0,0 +1,139 @@
+/**
+ * Test suite for the stream analyzer pipeline
+ *
+ * Covers running analyzers over a live call's audio and transcripts, sending
+ * their instructions to ElevenLabs and storing their findings in call state.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { encodeMulaw, SAMPLE_RATE } from '../../forTheLegends/outbound/audio-utils.js';
+import { clearQualityMetrics } from '../../forTheLegends/outbound/call-quality-monitor.js';
+import { clearInterruptionData } from '../../forTheLegends/outbound/interruption-handler.js';
+import {
+  configureStreamAnalysis,
+  registerAnalyzer,
+  unregisterAnalyzer,
+  getAnalyzerNames,
+  startStreamAnalysis,
+  analyzeAudio,
+  analyzeAgentAudio,
+  analyzeTranscript,
+  stopStreamAnalysis,
+  clearStreamAnalysis,
+  SPEAKERS
+} from '../../forTheLegends/outbound/stream-analyzers.js';
+
+const CALL_SID = 'CA_stream_1';
+
+// Base64 μ-law audio, in 20 ms media events, of a 300 Hz tone at the given RMS level
+function frames(ms, rms = 0) {
+  const samples = Array.from({ length: (SAMPLE_RATE * ms) / 1000 }, (_, i) =>
+    rms * Math.SQRT2 * Math.sin((2 * Math.PI * 300 * i) / SAMPLE_RATE));
+  const audio = encodeMulaw(samples);
+  const chunks = [];
+  for (let offset = 0; offset < audio.length; offset += 160) {
+    chunks.push(audio.subarray(offset, offset + 160).toString('base64'));
+  }
+  return chunks;
+}
+
+describe('Stream Analyzers', () => {
+  let sendInstruction;
+
+  beforeEach(() => {
+    clearAllCallData();
+    clearStreamAnalysis();
+    clearQualityMetrics(CALL_SID);
+    clearInterruptionData(CALL_SID);
+    configureStreamAnalysis({ findingsIntervalMs: 10000 });
+    sendInstruction = jest.fn();
+  });
+
+  test('should start with the quality and interruption analyzers', () => {
+    expect(getAnalyzerNames()).toEqual(['quality', 'interruption']);
+  });
+
+  test('should send instructions and store findings from an analyzer', () => {
+    registerAnalyzer({
+      name: 'echo',
+      onTranscript: (callSid, { speaker, text }) => ({
+        instruction: `The ${speaker} said ${text}`,
+        findings: { lastSpeaker: speaker }
+      })
+    });
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+
+    const sent = analyzeTranscript(CALL_SID, SPEAKERS.AGENT, 'hello');
+
+    expect(sent).toEqual(['The agent said hello']);
+    expect(sendInstruction).toHaveBeenCalledWith({ type: 'custom_instruction', instruction: 'The agent said hello' });
+    expect(getCallData(CALL_SID).streamAnalysis.echo).toEqual({ lastSpeaker: 'agent' });
+  });
+
+  test('should keep running when an analyzer fails', () => {
+    unregisterAnalyzer('quality');
+    unregisterAnalyzer('interruption');
+    registerAnalyzer({ name: 'broken', onAudio: () => { throw new Error('boom'); } });
+    registerAnalyzer({ name: 'working', onAudio: () => ({ findings: { heard: true } }) });
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+
+    analyzeAudio(CALL_SID, frames(20)[0]);
+
+    expect(getCallData(CALL_SID).streamAnalysis).toEqual({ working: { heard: true } });
+  });
+
+  test('should not steer a call that is leaving a voicemail', () => {
+    registerAnalyzer({ name: 'chatty', onTranscript: () => ({ instruction: 'Keep talking' }) });
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+    updateCallData(CALL_SID, { isVoicemail: true });
+
+    analyzeTranscript(CALL_SID, SPEAKERS.LEAD, 'Leave a message after the tone');
+
+    expect(sendInstruction).not.toHaveBeenCalled();
+  });
+
+  test('should ignore calls without a live stream', () => {
+    expect(analyzeTranscript('CA_unknown', SPEAKERS.LEAD, 'hold on')).toEqual([]);
+  });
+
+  test('should tell the AI to wait when the lead is interrupted', () => {
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+
+    analyzeTranscript(CALL_SID, SPEAKERS.AGENT, 'Hold on, let me check that');
+    expect(sendInstruction).not.toHaveBeenCalled();
+
+    const sent = analyzeTranscript(CALL_SID, SPEAKERS.LEAD, 'Hold on, someone\'s at the door');
+
+    expect(sent).toEqual([expect.stringMatching(/I'll wait/)]);
+    expect(getCallData(CALL_SID).streamAnalysis.interruption).toEqual(expect.objectContaining({
+      interruptionCount: 1
+    }));
+  });
+
+  test('should ask a quiet lead to speak up', () => {
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+
+    [...frames(500), ...frames(1000, 500), ...frames(500)].forEach(payload => analyzeAudio(CALL_SID, payload));
+
+    expect(sendInstruction).toHaveBeenCalledWith({
+      type: 'custom_instruction',
+      instruction: expect.stringMatching(/speak a bit louder/)
+    });
+    expect(getCallData(CALL_SID).streamAnalysis.quality.lowAudioRunCount).toBe(1);
+  });
+
+  test('should not count silence while the agent is talking', () => {
+    startStreamAnalysis(CALL_SID, { sendInstruction });
+    frames(500, 3000).forEach(payload => analyzeAudio(CALL_SID, payload));
+
+    // Thirty seconds of agent audio queued for the lead
+    analyzeAgentAudio(CALL_SID, Buffer.alloc(SAMPLE_RATE * 30, 0xff).toString('base64'));
+    frames(15000).forEach(payload => analyzeAudio(CALL_SID, payload));
+    stopStreamAnalysis(CALL_SID);
+
+    expect(sendInstruction).not.toHaveBeenCalled();
+    const { quality } = getCallData(CALL_SID).streamAnalysis;
+    expect(quality.audioStats.longestSilenceMs).toBe(0);
+    expect(quality.audioStats.speechMs).toBe(800);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Test suite for the transfer command bus
+ *
+ * Covers the readiness rules every transfer request passes, the audit trail
+ * of who asked and why, and the admin route.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { CALL_STATES, initializeCallLifecycle, transitionCallState } from '../../forTheLegends/outbound/call-lifecycle.js';
+import {
+  initialize as initTransferCommands,
+  evaluateTransferReadiness,
+  requestTransfer,
+  getTransferRequests,
+  registerTransferCommandRoutes,
+  TRANSFER_REQUESTERS,
+  TRANSFER_REQUEST_STATUSES,
+  TRANSFER_START_RESULTS
+} from '../../forTheLegends/outbound/transfer-commands.js';
+
+const CALL_SID = 'CA_transfer_commands_1';
+
+describe('Transfer Commands', () => {
+  let executeTransfer;
+
+  beforeEach(() => {
+    clearAllCallData();
+    executeTransfer = jest.fn().mockResolvedValue(TRANSFER_START_RESULTS.STARTED);
+    initTransferCommands({ executeTransfer });
+
+    initializeCallLifecycle(CALL_SID, { data: { leadStatus: 'in-progress' } });
+    transitionCallState(CALL_SID, CALL_STATES.AI_CONVERSATION);
+    updateCallData(CALL_SID, {
+      transcripts: ['Hello', 'I need help for my mother'],
+      intentData: { hasPositiveIntent: true }
+    });
+  });
+
+  test('should apply the transfer readiness rules', () => {
+    expect(evaluateTransferReadiness(CALL_SID)).toBe(true);
+
+    updateCallData(CALL_SID, { intentData: { hasPositiveIntent: true, hasNegativeIntent: true } });
+    expect(evaluateTransferReadiness(CALL_SID)).toBe(false);
+
+    updateCallData(CALL_SID, { intentData: null, transcripts: ['Hello', 'Go on'] });
+    expect(evaluateTransferReadiness(CALL_SID)).toBe(false);
+
+    updateCallData(CALL_SID, { transcripts: ['Hello', 'Go on', 'Sure'] });
+    expect(evaluateTransferReadiness(CALL_SID)).toBe(true);
+  });
+
+  test('should start an accepted transfer and audit who asked and why', async () => {
+    const result = await requestTransfer(CALL_SID, {
+      requestedBy: TRANSFER_REQUESTERS.INTENT,
+      reason: 'lead asked for a person'
+    });
+
+    expect(executeTransfer).toHaveBeenCalledWith(CALL_SID);
+    expect(result).toMatchObject({ success: true, status: TRANSFER_REQUEST_STATUSES.TRANSFERRING });
+    expect(getCallData(CALL_SID).transferRequestedBy).toBe(TRANSFER_REQUESTERS.INTENT);
+    expect(getTransferRequests(CALL_SID)).toEqual([expect.objectContaining({
+      id: result.requestId,
+      requestedBy: TRANSFER_REQUESTERS.INTENT,
+      reason: 'lead asked for a person',
+      status: TRANSFER_REQUEST_STATUSES.TRANSFERRING,
+      requestedAt: expect.any(String),
+      settledAt: expect.any(String)
+    })]);
+  });
+
+  test('should record the request before it is settled', () => {
+    const pending = requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    expect(getTransferRequests(CALL_SID)).toHaveLength(1);
+    return pending;
+  });
+
+  test('should refuse requests the readiness rules or the call do not allow', async () => {
+    updateCallData(CALL_SID, { transcripts: ['Hello'] });
+    const notReady = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    updateCallData(CALL_SID, { transcripts: ['Hello', 'Yes'], isVoicemail: true });
+    const voicemail = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.INTENT });
+
+    expect(executeTransfer).not.toHaveBeenCalled();
+    expect(notReady).toMatchObject({ success: false, status: TRANSFER_REQUEST_STATUSES.NOT_READY });
+    expect(voicemail).toMatchObject({ success: false, status: TRANSFER_REQUEST_STATUSES.REJECTED, detail: 'call reached voicemail' });
+    expect(getTransferRequests(CALL_SID).map(request => request.status)).toEqual([
+      TRANSFER_REQUEST_STATUSES.NOT_READY,
+      TRANSFER_REQUEST_STATUSES.REJECTED
+    ]);
+  });
+
+  test('should not start a second transfer while one is under way', async () => {
+    transitionCallState(CALL_SID, CALL_STATES.TRANSFER_PENDING);
+
+    const result = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.INTENT });
+
+    expect(executeTransfer).not.toHaveBeenCalled();
+    expect(result.status).toBe(TRANSFER_REQUEST_STATUSES.DUPLICATE);
+  });
+
+  test('should report a pending transfer only while a sales leg is on its way', async () => {
+    executeTransfer.mockResolvedValueOnce(TRANSFER_START_RESULTS.WAITING);
+    const waiting = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    executeTransfer.mockResolvedValueOnce(TRANSFER_START_RESULTS.NO_SALES_LEG);
+    const noSalesLeg = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    expect(waiting).toMatchObject({ success: true, status: TRANSFER_REQUEST_STATUSES.PENDING });
+    expect(noSalesLeg).toMatchObject({ success: false, status: TRANSFER_REQUEST_STATUSES.REJECTED, detail: 'no specialist available' });
+    expect(getCallData(CALL_SID).salesTeamUnavailable).toBe(true);
+  });
+
+  test('should record a failed transfer without throwing', async () => {
+    executeTransfer.mockRejectedValueOnce(new Error('Twilio unavailable'));
+
+    const result = await requestTransfer(CALL_SID, { requestedBy: TRANSFER_REQUESTERS.INTENT });
+
+    expect(result).toMatchObject({ success: false, status: TRANSFER_REQUEST_STATUSES.FAILED, detail: 'Twilio unavailable' });
+  });
+
+  test('should let the admin API request a transfer', async () => {
+    const routes = {};
+    registerTransferCommandRoutes({
+      post: (path, handler) => { routes[`POST ${path}`] = handler; },
+      get: (path, handler) => { routes[`GET ${path}`] = handler; }
+    });
+    const reply = { code: jest.fn().mockReturnThis(), send: jest.fn().mockReturnThis() };
+
+    await routes['POST /calls/:callSid/transfer'](
+      { params: { callSid: CALL_SID }, body: { requestedBy: 'supervisor-jo', reason: 'VIP lead' } },
+      reply
+    );
+    expect(reply.code).toHaveBeenCalledWith(200);
+    expect(getTransferRequests(CALL_SID)[0]).toMatchObject({ requestedBy: 'admin-api:supervisor-jo', reason: 'VIP lead' });
+
+    await routes['POST /calls/:callSid/transfer']({ params: { callSid: 'CA_unknown' }, body: {} }, reply);
+    expect(reply.code).toHaveBeenLastCalledWith(404);
+  });
+});
@@ -0,0 +1,227 @@
+/**
+ * Test suite for recovering from transfers that do not go through
+ *
+ * Covers handing the lead back to the AI when Twilio refuses the whisper or
+ * the bridge, the specialist hangs up during the whisper, never joins the
+ * conference or drops after joining, so a later transfer request can still be
+ * accepted in a fresh room.
+ */
+import { jest } from '@jest/globals';
+import '../setup.js';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { CALL_STATES, initializeCallLifecycle, transitionCallState, getCallState } from '../../forTheLegends/outbound/call-lifecycle.js';
+import { resolveConference, clearConferenceIndex, rebuildConferenceIndex } from '../../forTheLegends/outbound/conference-events.js';
+import { configureWhisper } from '../../forTheLegends/outbound/transfer-whisper.js';
+import { requestTransfer, TRANSFER_REQUESTERS, TRANSFER_REQUEST_STATUSES } from '../../forTheLegends/outbound/transfer-commands.js';
+import { resolveTransfer, clearTransferTimers, TRANSFER_OUTCOMES } from '../../forTheLegends/outbound/transfer-supervisor.js';
+
+// outbound-calls.js builds its Twilio clients from the module, so it is mocked before the import
+const callUpdate = jest.fn();
+const twilioClient = { calls: jest.fn(() => ({ update: callUpdate })) };
+twilioClient.calls.create = jest.fn();
+jest.unstable_mockModule('twilio', () => ({ default: jest.fn(() => twilioClient) }));
+const { registerOutboundRoutes } = await import('../../outbound-calls.js');
+
+const LEAD_CALL_SID = 'CA_recovery_lead';
+const SALES_CALL_SID = 'CA_recovery_sales';
+const CONFERENCE_ROOM = `ConferenceRoom_${SALES_CALL_SID}`;
+
+describe('Transfer Recovery', () => {
+  let routes;
+  let reply;
+
+  beforeAll(async () => {
+    routes = {};
+    const capture = (path, handler) => { routes[path] = handler; };
+    await registerOutboundRoutes({ post: capture, get: capture, all: capture, register: jest.fn(), addHook: jest.fn() });
+  });
+
+  beforeEach(() => {
+    clearAllCallData();
+    clearConferenceIndex();
+    callUpdate.mockReset().mockRejectedValue(new Error('Call is not in-progress'));
+    twilioClient.calls.create.mockReset();
+    reply = { send: jest.fn().mockReturnThis(), code: jest.fn().mockReturnThis(), status: jest.fn().mockReturnThis(), type: jest.fn().mockReturnThis() };
+
+    initializeCallLifecycle(LEAD_CALL_SID, {
+      data: {
+        leadStatus: 'in-progress',
+        salesCallSid: SALES_CALL_SID,
+        callbackHost: 'example.ngrok.app',
+        transcripts: ['Hello', 'I need help for my mother'],
+        intentData: { hasPositiveIntent: true }
+      }
+    });
+    transitionCallState(LEAD_CALL_SID, CALL_STATES.AI_CONVERSATION);
+    updateCallData(SALES_CALL_SID, { leadCallSid: LEAD_CALL_SID, salesStatus: 'ringing' });
+  });
+
+  afterEach(() => {
+    clearTransferTimers();
+    configureWhisper({ enabled: true });
+  });
+
+  const salesAnswers = () => routes['/sales-status']({
+    body: { CallSid: SALES_CALL_SID, CallStatus: 'in-progress' },
+    query: {},
+    headers: { host: 'example.ngrok.app' }
+  }, reply);
+
+  const salesEnds = (CallStatus) => routes['/sales-status']({
+    body: { CallSid: SALES_CALL_SID, CallStatus },
+    query: {},
+    headers: { host: 'example.ngrok.app' }
+  }, reply);
+
+  const expectBackWithTheAi = () => {
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.AI_CONVERSATION);
+    expect(getCallData(LEAD_CALL_SID)).toMatchObject({ transferInitiated: false, conference: null });
+    expect(getCallData(SALES_CALL_SID).transferInitiated).toBe(false);
+    expect(resolveConference({ FriendlyName: CONFERENCE_ROOM })).toBeNull();
+  };
+
+  test('should hand the lead back to the AI when the whisper cannot be played', async () => {
+    await salesAnswers();
+
+    expect(callUpdate).toHaveBeenCalledTimes(1);
+    expectBackWithTheAi();
+
+    // A later request starts the transfer again
+    callUpdate.mockResolvedValue({});
+    const result = await requestTransfer(LEAD_CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    expect(result.status).toBe(TRANSFER_REQUEST_STATUSES.TRANSFERRING);
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.TRANSFER_PENDING);
+  });
+
+  test('should hand the lead back to the AI when the bridge fails', async () => {
+    configureWhisper({ enabled: false });
+
+    await salesAnswers();
+
+    expect(twilioClient.calls).toHaveBeenCalledWith(LEAD_CALL_SID);
+    expectBackWithTheAi();
+  });
+
+  test('should hand the lead back and ring the next specialist when one hangs up during the whisper', async () => {
+    callUpdate.mockResolvedValue({});
+    twilioClient.calls.create.mockResolvedValueOnce({ sid: 'CA_recovery_sales_next' });
+
+    await salesAnswers();
+    expect(getCallData(LEAD_CALL_SID).whisper.status).toBe('pending');
+
+    await salesEnds('completed');
+
+    expectBackWithTheAi();
+    expect(getCallData(LEAD_CALL_SID).whisper.status).toBe('hung-up');
+    expect(getCallData(LEAD_CALL_SID).salesCallSid).toBe('CA_recovery_sales_next');
+
+    // The next request waits for that specialist instead of being turned away as a duplicate
+    const result = await requestTransfer(LEAD_CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+    expect(result.status).toBe(TRANSFER_REQUEST_STATUSES.PENDING);
+  });
+
+  test('should accept a new transfer after the specialist did not join', async () => {
+    configureWhisper({ enabled: false });
+    callUpdate.mockResolvedValue({});
+
+    await salesAnswers();
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.TRANSFER_PENDING);
+
+    await resolveTransfer(LEAD_CALL_SID, TRANSFER_OUTCOMES.SALES_DROPPED, 'specialist left before joining');
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.AI_CONVERSATION);
+    expect(getCallData(LEAD_CALL_SID).transferInitiated).toBe(false);
+
+    const result = await requestTransfer(LEAD_CALL_SID, { requestedBy: TRANSFER_REQUESTERS.INTENT });
+
+    expect(result.status).toBe(TRANSFER_REQUEST_STATUSES.TRANSFERRING);
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.TRANSFER_PENDING);
+  });
+
+  test('should ring the next specialist when a request finds the sales leg already ended', async () => {
+    twilioClient.calls.create.mockResolvedValueOnce({ sid: 'CA_recovery_sales_next' });
+    updateCallData(SALES_CALL_SID, { salesStatus: 'completed', finalStatus: 'completed' });
+
+    const result = await requestTransfer(LEAD_CALL_SID, { requestedBy: TRANSFER_REQUESTERS.CLIENT_TOOL });
+
+    expect(result.status).toBe(TRANSFER_REQUEST_STATUSES.PENDING);
+    expect(twilioClient.calls.create).toHaveBeenCalledTimes(1);
+    expect(getCallData(LEAD_CALL_SID).salesCallSid).toBe('CA_recovery_sales_next');
+  });
+
+  test('should record a lost lead even when the specialist cannot be hung up', async () => {
+    configureWhisper({ enabled: false });
+    callUpdate.mockResolvedValue({});
+
+    await salesAnswers();
+    await routes['/conference-status']({
+      body: {
+        ConferenceSid: 'CF_recovery',
+        FriendlyName: CONFERENCE_ROOM,
+        StatusCallbackEvent: 'participant-join',
+        CallSid: SALES_CALL_SID,
+        ParticipantLabel: 'sales-team'
+      }
+    }, reply);
+
+    callUpdate.mockRejectedValue(new Error('Call is not in-progress'));
+    await resolveTransfer(LEAD_CALL_SID, TRANSFER_OUTCOMES.LEAD_DROPPED, 'lead hung up');
+
+    expect(callUpdate).toHaveBeenLastCalledWith({ twiml: expect.stringContaining('<Hangup/>') });
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.FAILED);
+    expect(getCallData(LEAD_CALL_SID)).toMatchObject({ transferFailed: true, needsFollowUp: true });
+  });
+
+  test('should ring the next specialist and transfer in a fresh room after the specialist dropped', async () => {
+    const nextSalesCallSid = 'CA_recovery_sales_2';
+    configureWhisper({ enabled: false });
+    callUpdate.mockResolvedValue({});
+    twilioClient.calls.create.mockResolvedValueOnce({ sid: nextSalesCallSid });
+    const conferenceStatus = (StatusCallbackEvent, CallSid, label) => routes['/conference-status']({
+      body: {
+        ConferenceSid: 'CF_recovery',
+        FriendlyName: CONFERENCE_ROOM,
+        StatusCallbackEvent,
+        CallSid,
+        ...(label ? { ParticipantLabel: label } : {})
+      }
+    }, reply);
+
+    await salesAnswers();
+    await conferenceStatus('participant-join', LEAD_CALL_SID);
+    await conferenceStatus('participant-join', SALES_CALL_SID, 'sales-team');
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.BRIDGED);
+
+    await conferenceStatus('participant-leave', SALES_CALL_SID, 'sales-team');
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.AI_CONVERSATION);
+    expect(getCallData(LEAD_CALL_SID).transferInitiated).toBe(false);
+
+    // The next specialist is rung right away
+    expect(twilioClient.calls.create).toHaveBeenCalledWith(expect.objectContaining({
+      statusCallback: expect.stringContaining('https://example.ngrok.app/sales-status')
+    }));
+    expect(getCallData(LEAD_CALL_SID).salesCallSid).toBe(nextSalesCallSid);
+    expect(getCallData(nextSalesCallSid)).toMatchObject({ leadCallSid: LEAD_CALL_SID, salesStatus: 'initiated' });
+
+    // and gets their own room once they answer
+    await routes['/sales-status']({
+      body: { CallSid: nextSalesCallSid, CallStatus: 'in-progress' },
+      query: {},
+      headers: { host: 'example.ngrok.app' }
+    }, reply);
+
+    expect(getCallState(LEAD_CALL_SID)).toBe(CALL_STATES.TRANSFER_PENDING);
+    expect(getCallData(LEAD_CALL_SID).conference).toMatchObject({
+      room: `ConferenceRoom_${nextSalesCallSid}`,
+      leadJoined: false,
+      salesJoined: false
+    });
+    expect(resolveConference({ FriendlyName: CONFERENCE_ROOM })).toBeNull();
+
+    // A restart indexes only the current room
+    clearConferenceIndex();
+    rebuildConferenceIndex();
+    expect(resolveConference({ FriendlyName: CONFERENCE_ROOM })).toBeNull();
+    expect(resolveConference({ FriendlyName: `ConferenceRoom_${nextSalesCallSid}` })).toMatchObject({ salesCallSid: nextSalesCallSid });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Test suite for the conference transfer supervisor
+ *
+ * Covers resolving transfers from participant join/leave events, the
+ * cancellable join timeout and resuming supervision after a restart.
+ */
+import { jest } from '@jest/globals';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { registerConference, clearConferenceIndex } from '../../forTheLegends/outbound/conference-events.js';
+import {
+  initialize,
+  startTransferSupervision,
+  handleConferenceEvent,
+  resolveTransfer,
+  cancelTransferSupervision,
+  resumeTransferSupervision,
+  clearTransferTimers,
+  TRANSFER_OUTCOMES
+} from '../../forTheLegends/outbound/transfer-supervisor.js';
+
+const LEAD_CALL_SID = 'CA_lead_1';
+const SALES_CALL_SID = 'CA_sales_1';
+const CONFERENCE_ROOM = `ConferenceRoom_${SALES_CALL_SID}`;
+
+// Flush pending promise callbacks
+const flushPromises = () => new Promise(resolve => jest.requireActual('timers').setImmediate(resolve));
+
+// Build a /conference-status participant event
+function participantEvent(callSid, action, label) {
+  return {
+    ConferenceSid: 'CF_1',
+    FriendlyName: CONFERENCE_ROOM,
+    StatusCallbackEvent: `participant-${action}`,
+    CallSid: callSid,
+    ...(label ? { ParticipantLabel: label } : {})
+  };
+}
+
+describe('Transfer Supervisor', () => {
+  let onOutcome;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ doNotFake: ['setImmediate'] });
+    clearAllCallData();
+
+    onOutcome = jest.fn();
+    initialize({ onOutcome, joinTimeoutMs: 30000 });
+
+    updateCallData(LEAD_CALL_SID, { salesCallSid: SALES_CALL_SID });
+    updateCallData(SALES_CALL_SID, { leadCallSid: LEAD_CALL_SID });
+
+    clearConferenceIndex();
+    registerConference(CONFERENCE_ROOM, { leadCallSid: LEAD_CALL_SID, salesCallSid: SALES_CALL_SID });
+  });
+
+  afterEach(() => {
+    clearTransferTimers();
+    jest.useRealTimers();
+  });
+
+  test('should resolve as bridged once both parties join', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM);
+
+    await handleConferenceEvent(participantEvent(LEAD_CALL_SID, 'join'));
+    expect(onOutcome).not.toHaveBeenCalled();
+
+    const result = await handleConferenceEvent(participantEvent(SALES_CALL_SID, 'join', 'sales-team'));
+
+    expect(result.outcome).toBe(TRANSFER_OUTCOMES.BRIDGED);
+    expect(onOutcome).toHaveBeenCalledWith(LEAD_CALL_SID, TRANSFER_OUTCOMES.BRIDGED, expect.objectContaining({
+      leadJoined: true,
+      salesJoined: true
+    }));
+    expect(getCallData(LEAD_CALL_SID).transferOutcome).toBe(TRANSFER_OUTCOMES.BRIDGED);
+    expect(getCallData(SALES_CALL_SID).transferOutcome).toBe(TRANSFER_OUTCOMES.BRIDGED);
+
+    // The join timeout was cancelled
+    jest.advanceTimersByTime(30000);
+    await flushPromises();
+    expect(onOutcome).toHaveBeenCalledTimes(1);
+  });
+
+  test('should record a dropped specialist', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM);
+
+    await handleConferenceEvent(participantEvent(LEAD_CALL_SID, 'join'));
+    await handleConferenceEvent(participantEvent(SALES_CALL_SID, 'leave', 'sales-team'));
+
+    const transfer = getCallData(LEAD_CALL_SID).transfer;
+    expect(transfer.status).toBe(TRANSFER_OUTCOMES.SALES_DROPPED);
+    expect(transfer.events.map(event => `${event.participant} ${event.action}`)).toEqual(['lead join', 'sales leave']);
+  });
+
+  test('should record a dropped lead', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM);
+
+    await handleConferenceEvent(participantEvent(LEAD_CALL_SID, 'leave'));
+
+    expect(onOutcome).toHaveBeenCalledWith(LEAD_CALL_SID, TRANSFER_OUTCOMES.LEAD_DROPPED, expect.any(Object));
+  });
+
+  test('should time out when the parties do not join in time', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM, { timeoutMs: 20000 });
+    await handleConferenceEvent(participantEvent(LEAD_CALL_SID, 'join'));
+
+    jest.advanceTimersByTime(19999);
+    expect(onOutcome).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    await flushPromises();
+    expect(onOutcome).toHaveBeenCalledWith(LEAD_CALL_SID, TRANSFER_OUTCOMES.TIMED_OUT, expect.objectContaining({
+      leadJoined: true,
+      salesJoined: false
+    }));
+  });
+
+  test('should cancel supervision without a fallback', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM);
+
+    expect(cancelTransferSupervision(LEAD_CALL_SID)).toBe(true);
+    jest.advanceTimersByTime(30000);
+    await flushPromises();
+
+    expect(onOutcome).not.toHaveBeenCalled();
+    expect(getCallData(LEAD_CALL_SID).transfer.status).toBe('canceled');
+    expect(await resolveTransfer(LEAD_CALL_SID, TRANSFER_OUTCOMES.LEAD_DROPPED)).toBe(false);
+  });
+
+  test('should re-arm the remaining timeout after a restart', async () => {
+    // A transfer persisted by a previous process with 5 seconds left
+    updateCallData(LEAD_CALL_SID, {
+      transfer: {
+        salesCallSid: SALES_CALL_SID,
+        conferenceRoom: CONFERENCE_ROOM,
+        status: 'pending',
+        leadJoined: false,
+        salesJoined: false,
+        deadline: Date.now() + 5000,
+        events: []
+      }
+    });
+
+    expect(resumeTransferSupervision()).toBe(1);
+    jest.advanceTimersByTime(5000);
+    await flushPromises();
+
+    expect(onOutcome).toHaveBeenCalledWith(LEAD_CALL_SID, TRANSFER_OUTCOMES.TIMED_OUT, expect.any(Object));
+  });
+
+  test('should ignore participants that are not part of the transfer', async () => {
+    startTransferSupervision(LEAD_CALL_SID, SALES_CALL_SID, CONFERENCE_ROOM);
+
+    const result = await handleConferenceEvent(participantEvent('CA_unknown', 'join'));
+
+    expect(result.tracked).toBe(false);
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * Test suite for the warm-transfer whisper
+ *
+ * Covers the lead summary built from the conversation so far, the
+ * specialist-only whisper TwiML and interpreting the key press.
+ */
+import { processTranscript, clearIntentData } from '../../forTheLegends/outbound/intent-detector.js';
+import {
+  buildLeadSummary,
+  getWhisperTwiml,
+  getWhisperDecision,
+  configureWhisper
+} from '../../forTheLegends/outbound/transfer-whisper.js';
+
+const LEAD_CALL_SID = 'CA_whisper_lead';
+
+describe('Transfer Whisper', () => {
+  afterEach(() => {
+    clearIntentData(LEAD_CALL_SID);
+  });
+
+  test('should summarize lead info, intents, callback preferences and recent statements', () => {
+    processTranscript(LEAD_CALL_SID, 'That sounds good, tell me more', 'lead');
+
+    const summary = buildLeadSummary(LEAD_CALL_SID, {
+      leadInfo: { LeadName: 'Jane Doe', CareReason: 'dementia care', CareNeededFor: 'her mother' },
+      transcripts: ['Hi Jane, this is Heather.', 'Would you like to hear more?'],
+      userTranscripts: ['Hello', 'She keeps forgetting her medication', 'That sounds good, tell me more'],
+      callbackPreferences: [{ hasTimeReference: true, detectedRelative: ['tomorrow'], detectedPeriods: ['afternoon'] }]
+    });
+
+    expect(summary).toContain('Jane Doe is looking for dementia care for her mother.');
+    expect(summary).toContain('They are interested in our services');
+    expect(summary).toContain('They mentioned a callback tomorrow afternoon.');
+    expect(summary).toContain('"She keeps forgetting her medication" and "That sounds good, tell me more"');
+    expect(summary).not.toContain('"Hello"');
+    expect(summary).toContain('exchanged 5 messages');
+  });
+
+  test('should fall back to a generic summary without conversation data', () => {
+    expect(buildLeadSummary(LEAD_CALL_SID, {})).toBe('The lead is looking for home care services.');
+  });
+
+  test('should mention an explicit transfer request', () => {
+    const summary = buildLeadSummary(LEAD_CALL_SID, { intentData: { transferRequested: true } });
+
+    expect(summary).toContain('They asked to speak with a specialist.');
+  });
+
+  test('should gather a single key press and redirect when nothing is pressed', () => {
+    configureWhisper({ timeoutSeconds: 8 });
+
+    const twiml = getWhisperTwiml({
+      summary: 'Jane Doe is looking for "respite" care.',
+      actionUrl: 'https://example.com/transfer-whisper-response?leadCallSid=CA1'
+    });
+
+    expect(twiml).toContain('<Gather numDigits="1" timeout="8" action="https://example.com/transfer-whisper-response?leadCallSid=CA1" method="POST">');
+    expect(twiml).toContain('Jane Doe is looking for &quot;respite&quot; care.');
+    expect(twiml).toContain('Press 1 to accept');
+    expect(twiml).toContain('leadCallSid=CA1&amp;noResponse=true</Redirect>');
+  });
+
+  test('should interpret the key press', () => {
+    expect(getWhisperDecision('1')).toBe('accepted');
+    expect(getWhisperDecision('2')).toBe('rejected');
+    expect(getWhisperDecision(undefined)).toBe('no-response');
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * Test suite for the local voicemail detector
+ *
+ * Runs recorded μ-law fixtures through the detector the way media stream
+ * frames arrive, and covers combining what it hears with Twilio's AnsweredBy.
+ */
+import { readFileSync } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import { encodeMulaw, decodeMulaw, getTonality, SAMPLE_RATE } from '../../forTheLegends/outbound/audio-utils.js';
+import {
+  startVoicemailDetection,
+  processAudio,
+  getLocalDetection,
+  combineVerdict,
+  updateVoicemailVerdict,
+  clearVoicemailDetectors,
+  DETECTOR_EVENTS
+} from '../../forTheLegends/outbound/voicemail-detector.js';
+
+const FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/audio');
+
+// Feed a fixture to the detector in 20 ms media frames and collect what it heard
+function streamFixture(callSid, name) {
+  const audio = readFileSync(path.join(FIXTURES, name));
+  const detections = [];
+  for (let offset = 0; offset < audio.length; offset += 160) {
+    const detection = processAudio(callSid, audio.subarray(offset, offset + 160).toString('base64'));
+    if (detection) detections.push(detection);
+  }
+  return detections;
+}
+
+describe('Voicemail Detector', () => {
+  beforeEach(() => {
+    clearAllCallData();
+    clearVoicemailDetectors();
+  });
+
+  describe('audio utils', () => {
+    test('should round-trip μ-law audio closely', () => {
+      const samples = [0, 100, -100, 1000, -1000, 12000, -32000];
+      const decoded = decodeMulaw(encodeMulaw(samples));
+
+      samples.forEach((sample, i) => {
+        expect(Math.abs(decoded[i] - sample)).toBeLessThanOrEqual(Math.max(8, Math.abs(sample) * 0.05));
+      });
+    });
+
+    test('should measure the share of energy at a frequency', () => {
+      const tone = Array.from({ length: 160 }, (_, i) => 8000 * Math.sin(2 * Math.PI * 1000 * i / SAMPLE_RATE));
+
+      expect(getTonality(tone, 1000)).toBeGreaterThan(0.95);
+      expect(getTonality(tone, 1400)).toBeLessThan(0.05);
+    });
+  });
+
+  test('should hear the greeting and the beep on a voicemail recording', () => {
+    startVoicemailDetection('CA_machine');
+
+    const detections = streamFixture('CA_machine', 'voicemail-greeting-beep.ulaw');
+
+    expect(detections.map(detection => detection.events).flat()).toEqual([
+      DETECTOR_EVENTS.LONG_GREETING,
+      DETECTOR_EVENTS.BEEP
+    ]);
+    const local = getLocalDetection('CA_machine');
+    expect(local.beepFrequencyHz).toBe(1000);
+    // The beep starts 5.55 s into the recording
+    expect(local.beepAtMs).toBeGreaterThan(5550);
+    expect(local.beepAtMs).toBeLessThan(5800);
+
+    const { voicemailVerdict } = getCallData('CA_machine');
+    expect(voicemailVerdict.verdict).toBe('machine');
+    expect(voicemailVerdict.confidence).toBeGreaterThanOrEqual(0.9);
+  });
+
+  test('should hear a short hello followed by silence on a person answering', () => {
+    startVoicemailDetection('CA_human');
+
+    const detections = streamFixture('CA_human', 'human-hello.ulaw');
+
+    expect(detections.map(detection => detection.events).flat()).toEqual([DETECTOR_EVENTS.SHORT_GREETING]);
+    expect(getCallData('CA_human').voicemailVerdict.verdict).toBe('human');
+  });
+
+  test('should ignore audio for calls it is not listening to', () => {
+    expect(processAudio('CA_unknown', Buffer.alloc(160, 0xff).toString('base64'))).toBeNull();
+  });
+
+  test('should combine AnsweredBy with local evidence into a scored verdict', () => {
+    expect(combineVerdict('unknown', {})).toEqual({ verdict: 'unknown', confidence: 0, signals: [] });
+    expect(combineVerdict('unknown', { beep: true })).toEqual(expect.objectContaining({ verdict: 'machine', confidence: 0.9 }));
+    expect(combineVerdict('machine_start', { longGreeting: true }).confidence).toBe(0.91);
+
+    // A beep contradicting a human AMD result leaves little confidence either way
+    const conflicting = combineVerdict('human', { beep: true });
+    expect(conflicting.verdict).toBe('machine');
+    expect(conflicting.confidence).toBeLessThan(0.5);
+  });
+
+  test('should fold a late AMD result into the stored verdict', () => {
+    startVoicemailDetection('CA_machine');
+    streamFixture('CA_machine', 'voicemail-greeting-beep.ulaw');
+
+    updateCallData('CA_machine', { answeredBy: 'machine_end_other' });
+    const verdict = updateVoicemailVerdict('CA_machine');
+
+    expect(verdict.signals).toEqual(['machine_end_other', DETECTOR_EVENTS.BEEP, DETECTOR_EVENTS.LONG_GREETING]);
+    expect(verdict.answeredBy).toBe('machine_end_other');
+    expect(verdict.confidence).toBe(0.99);
+  });
+});
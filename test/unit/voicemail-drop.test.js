@@ -0,0 +1,125 @@
+/**
+ * Test suite for the voicemail drop
+ *
+ * Covers choosing between a recording, a rendered template and the live AI,
+ * caching rendered audio and the TwiML played after the beep.
+ */
+import { jest } from '@jest/globals';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import { getCallData, updateCallData, clearAllCallData } from '../../forTheLegends/outbound/call-state.js';
+import {
+  initialize,
+  prepareVoicemailDrop,
+  pruneDropAudio,
+  dropVoicemail
+} from '../../forTheLegends/outbound/voicemail-drop.js';
+
+const LEAD_INFO = { LeadName: 'Jane Doe', CareReason: 'dementia care', CareNeededFor: 'her mother' };
+
+describe('Voicemail Drop', () => {
+  let cacheDir;
+  let synthesizeSpeech;
+  let client;
+  let callUpdate;
+
+  beforeEach(async () => {
+    clearAllCallData();
+    cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'voicemail-drop-test-'));
+    synthesizeSpeech = jest.fn().mockResolvedValue(Buffer.from('mp3 audio'));
+    initialize({ synthesizeSpeech, cacheDir, audioUrl: null, template: null, voiceId: 'voice_1', cacheTtlMs: 60 * 60 * 1000 });
+
+    callUpdate = jest.fn().mockResolvedValue({});
+    client = { calls: jest.fn(() => ({ update: callUpdate })) };
+  });
+
+  afterEach(async () => {
+    await fs.rm(cacheDir, { recursive: true, force: true });
+  });
+
+  test('should fall back to the live AI when no drop is configured', async () => {
+    updateCallData('CA_lead_1', { leadInfo: LEAD_INFO });
+
+    expect(await prepareVoicemailDrop('CA_lead_1')).toBeNull();
+
+    const result = await dropVoicemail('CA_lead_1', client);
+    expect(result).toEqual(expect.objectContaining({ success: false, fallback: 'live-ai' }));
+    expect(client.calls).not.toHaveBeenCalled();
+  });
+
+  test('should play a recording and hang up', async () => {
+    updateCallData('CA_lead_1', { voicemailDrop: { audioUrl: 'https://example.com/drop.mp3?campaign=1&v=2' } });
+
+    const result = await dropVoicemail('CA_lead_1', client);
+
+    expect(result).toEqual({ success: true, source: 'recording', url: 'https://example.com/drop.mp3?campaign=1&v=2' });
+    expect(client.calls).toHaveBeenCalledWith('CA_lead_1');
+    const { twiml } = callUpdate.mock.calls[0][0];
+    expect(twiml).toContain('<Play>https://example.com/drop.mp3?campaign=1&amp;v=2</Play>');
+    expect(twiml).toContain('<Hangup/>');
+    expect(getCallData('CA_lead_1').voicemailDropped.source).toBe('recording');
+
+    // A second AMD callback does not play it twice
+    expect((await dropVoicemail('CA_lead_1', client)).alreadyDropped).toBe(true);
+    expect(callUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  test('should render a personalized template once and reuse the cached audio', async () => {
+    const voicemailDrop = { template: 'Hi {{leadName}}, this is First Light calling {{forCareNeededFor}}.' };
+    updateCallData('CA_lead_1', { leadInfo: LEAD_INFO, voicemailDrop, callbackHost: 'example.ngrok.io' });
+    updateCallData('CA_lead_2', { leadInfo: LEAD_INFO, voicemailDrop, callbackHost: 'example.ngrok.io' });
+
+    const [first, second] = await Promise.all([
+      prepareVoicemailDrop('CA_lead_1'),
+      prepareVoicemailDrop('CA_lead_2')
+    ]);
+
+    expect(synthesizeSpeech).toHaveBeenCalledTimes(1);
+    expect(synthesizeSpeech).toHaveBeenCalledWith('Hi Jane Doe, this is First Light calling for her mother.', 'voice_1');
+    expect(second.file).toBe(first.file);
+    expect(await fs.readFile(path.join(cacheDir, first.file), 'utf8')).toBe('mp3 audio');
+
+    const result = await dropVoicemail('CA_lead_1', client);
+    expect(result.url).toBe(`https://example.ngrok.io/voicemail-drop/audio/${first.file}`);
+    expect(result.source).toBe('tts');
+  });
+
+  test('should prune rendered audio nobody has used within the cache TTL', async () => {
+    updateCallData('CA_lead_1', { leadInfo: LEAD_INFO, voicemailDrop: { template: 'Hi {{leadName}}.' } });
+    const { file } = await prepareVoicemailDrop('CA_lead_1');
+    const stale = 'a'.repeat(40) + '.mp3';
+    await fs.writeFile(path.join(cacheDir, stale), 'old audio');
+    const twoHoursAgo = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    await fs.utimes(path.join(cacheDir, stale), twoHoursAgo, twoHoursAgo);
+    await fs.utimes(path.join(cacheDir, file), twoHoursAgo, twoHoursAgo);
+
+    // Using the lead's audio again keeps it in the cache
+    updateCallData('CA_lead_2', { leadInfo: LEAD_INFO, voicemailDrop: { template: 'Hi {{leadName}}.' } });
+    await prepareVoicemailDrop('CA_lead_2');
+
+    expect(await pruneDropAudio()).toBe(1);
+    expect((await fs.readdir(cacheDir)).sort()).toEqual([file]);
+    expect(synthesizeSpeech).toHaveBeenCalledTimes(1);
+  });
+
+  test('should use the default template with the voicemail personalization fields', async () => {
+    initialize({ template: 'Hello {{leadName}}{{leadNameComma}} calling {{forCareNeededFor}} {{whoCareReason}}.' });
+    updateCallData('CA_lead_1', { leadInfo: {} });
+
+    await prepareVoicemailDrop('CA_lead_1');
+
+    expect(synthesizeSpeech).toHaveBeenCalledWith('Hello calling.', 'voice_1');
+  });
+
+  test('should fall back to the live AI when rendering fails', async () => {
+    synthesizeSpeech.mockRejectedValueOnce(new Error('Text-to-speech failed: 401 Unauthorized'));
+    updateCallData('CA_lead_1', { leadInfo: LEAD_INFO, voicemailDrop: { template: 'Hi {{leadName}}.' } });
+
+    const result = await dropVoicemail('CA_lead_1', client);
+
+    expect(result).toEqual({ success: false, fallback: 'live-ai', reason: 'Text-to-speech failed: 401 Unauthorized' });
+    expect(getCallData('CA_lead_1').voicemailDropAudio.status).toBe('failed');
+    expect(client.calls).not.toHaveBeenCalled();
+  });
+});
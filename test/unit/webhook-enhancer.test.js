@@ -0,0 +1,43 @@
+/**
+ * Test suite for the webhook enhancer
+ *
+ * Covers the call summary key points built from interruption data, including
+ * the callback time the lead asked for.
+ */
+import {
+  initializeInterruptionDetection,
+  processTranscript,
+  clearInterruptionData
+} from '../../forTheLegends/outbound/interruption-handler.js';
+import { parseCallbackTime } from '../../forTheLegends/outbound/callback-time-parser.js';
+import { enhanceWebhookPayload, generateCallSummary } from '../../forTheLegends/outbound/webhook-enhancer.js';
+
+const CALL_SID = 'CA_webhook_enhancer_1';
+
+describe('Webhook Enhancer', () => {
+  afterEach(() => {
+    clearInterruptionData(CALL_SID);
+  });
+
+  test('should describe a parsed callback time in the key points', () => {
+    const summary = generateCallSummary(null, null, {
+      interruptionData: {
+        interruptionCount: 0,
+        rescheduleCount: 1,
+        preferredCallbackTime: parseCallbackTime('call me back tomorrow afternoon at 3 pm', { now: '2026-10-20T14:00:00Z' })
+      }
+    });
+
+    expect(summary.keyPoints).toContain('Lead requested to reschedule 1 time(s)');
+    expect(summary.keyPoints).toContain('Preferred callback time: tomorrow afternoon at 3 pm');
+  });
+
+  test('should carry the callback time the lead asked for into the webhook summary', () => {
+    initializeInterruptionDetection(CALL_SID);
+    processTranscript(CALL_SID, 'Can you call me back next week in the morning?');
+
+    const payload = enhanceWebhookPayload(CALL_SID, null);
+
+    expect(payload.summary.keyPoints).toContain('Preferred callback time: next week morning');
+  });
+});